@@ -0,0 +1,99 @@
+/* eslint-disable no-restricted-globals */
+// Service worker that lets the planner shell load without a connection.
+// Plan data is not cached here: Firestore keeps its own offline cache in IndexedDB.
+
+const CACHE_NAME = 'trip-planner-shell-v1';
+const BASE_URL = new URL(self.registration.scope).pathname;
+
+// Files that make up the app shell besides the hashed bundles listed in asset-manifest.json
+const SHELL_FILES = ['', 'index.html', 'manifest.json', 'favicon.ico', 'logo192.png', 'logo512.png'];
+
+// The files of the build now deployed, from its asset-manifest.json
+const fetchBuildFiles = async () => {
+  const response = await fetch(`${BASE_URL}asset-manifest.json`, { cache: 'no-cache' });
+  if (!response.ok) throw new Error(`asset-manifest.json returned ${response.status}`);
+  const manifest = await response.json();
+  return Object.values(manifest.files || {}).filter(url => !url.endsWith('.map'));
+};
+
+const precacheShell = async () => {
+  const cache = await caches.open(CACHE_NAME);
+  const urls = SHELL_FILES.map(file => `${BASE_URL}${file}`);
+  try {
+    urls.push(...await fetchBuildFiles());
+  } catch (error) {
+    // Without the manifest the bundles are still cached the first time they are requested
+    console.warn('Could not read asset-manifest.json for precaching:', error);
+  }
+  await cache.addAll([...new Set(urls)]);
+};
+
+// Drops cached files that are not part of the deployed build, such as the hashed bundles of earlier
+// releases. This file stays the same between builds, so the worker isn't reinstalled on a release; pruning
+// also runs whenever a page load brings a new index.html.
+const pruneCache = async () => {
+  let buildFiles;
+  try {
+    buildFiles = await fetchBuildFiles();
+  } catch (error) {
+    // Offline or mid-deploy: keep everything until the manifest can be read
+    return;
+  }
+  const currentPaths = new Set([...SHELL_FILES.map(file => `${BASE_URL}${file}`), ...buildFiles]
+    .map(url => new URL(url, self.location.origin).pathname));
+  const cache = await caches.open(CACHE_NAME);
+  const requests = await cache.keys();
+  await Promise.all(requests
+    .filter(request => !currentPaths.has(new URL(request.url).pathname))
+    .map(request => cache.delete(request)));
+};
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(precacheShell().then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))))
+      .then(pruneCache)
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  // Leave cross-origin requests (Firebase, fonts) and non-GET requests to the network
+  if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+  // Page loads: network first so new releases show up, cached shell when offline. Only a page that loaded
+  // becomes the cached shell, not an error page.
+  if (request.mode === 'navigate') {
+    event.respondWith(
+      fetch(request)
+        .then((response) => {
+          if (response.ok) {
+            const copy = response.clone();
+            event.waitUntil(caches.open(CACHE_NAME)
+              .then(cache => cache.put(`${BASE_URL}index.html`, copy))
+              .then(pruneCache));
+          }
+          return response;
+        })
+        .catch(() => caches.match(`${BASE_URL}index.html`))
+    );
+    return;
+  }
+
+  // Static files: cache first, filling the cache on the first successful fetch
+  event.respondWith(
+    caches.match(request).then(cached => cached || fetch(request).then((response) => {
+      if (response.ok) {
+        const copy = response.clone();
+        caches.open(CACHE_NAME).then(cache => cache.put(request, copy));
+      }
+      return response;
+    }))
+  );
+});
@@ -0,0 +1,187 @@
+import { readFileSync } from 'fs';
+import path from 'path';
+import { initializeTestEnvironment, assertSucceeds, assertFails } from '@firebase/rules-unit-testing';
+import { doc, collection, query, where, getDoc, getDocs, setDoc, updateDoc, deleteDoc, arrayUnion } from 'firebase/firestore';
+import { tripsCollectionPath, plansCollectionPath } from '../src/utils/trips';
+import { revisionsCollectionPath, buildRevision } from '../src/utils/revisions';
+import { invitesCollectionPath } from '../src/utils/profiles';
+import { commentsCollectionPath, buildComment } from '../src/utils/comments';
+import { votesCollectionPath, buildVote, getVoteId } from '../src/utils/proposals';
+import { presenceCollectionPath, buildPresence } from '../src/utils/presence';
+import { validatePlanDocument, MAX_PLAN_ITEMS } from '../src/utils/planSchema';
+import { createItem } from '../src/utils/planItems';
+
+const APP_ID = 'rules-test';
+const tripId = 'naxos';
+const dateId = '2030-06-14';
+const day = new Date('2030-06-01T00:00:00Z');
+const trip = {
+  name: 'Naxos', destination: 'Naxos', startDate: '2030-06-14', endDate: '2030-06-16', timeZone: 'Europe/Athens', color: 'teal',
+  ownerId: 'owner',
+  members: { owner: 'owner', editor: 'editor', viewer: 'viewer' },
+  memberIds: ['owner', 'editor', 'viewer'],
+  createdAt: day,
+};
+const invite = (role, expiresAt) => ({ tripId, tripName: trip.name, role, createdBy: 'owner', createdAt: day, expiresAt });
+const plan = (userId, fields = {}) => ({
+  items: [createItem({ id: 'a', title: 'Beach' })], lastUpdatedBy: userId, timestamp: new Date(), version: 1, ...fields,
+});
+
+let testEnv;
+
+// The Firestore of a signed-in user, or of a signed-out visitor for null
+const dbAs = (userId) => (userId ? testEnv.authenticatedContext(userId) : testEnv.unauthenticatedContext()).firestore();
+const tripDoc = (userId) => doc(dbAs(userId), tripsCollectionPath(APP_ID), tripId);
+const planDoc = (userId) => doc(dbAs(userId), plansCollectionPath(APP_ID, tripId), dateId);
+
+const seed = (write) => testEnv.withSecurityRulesDisabled(context => write(context.firestore()));
+
+beforeAll(async () => {
+  testEnv = await initializeTestEnvironment({
+    projectId: 'demo-trip-planner',
+    firestore: { rules: readFileSync(path.join(__dirname, '..', 'firestore.rules'), 'utf8') },
+  });
+});
+
+afterAll(() => testEnv?.cleanup());
+
+beforeEach(async () => {
+  await testEnv.clearFirestore();
+  await seed(async (db) => {
+    await setDoc(doc(db, tripsCollectionPath(APP_ID), tripId), trip);
+    await setDoc(doc(db, invitesCollectionPath(APP_ID), 'viewer-invite'), invite('viewer', new Date(Date.now() + 60000)));
+    await setDoc(doc(db, invitesCollectionPath(APP_ID), 'old-invite'), invite('viewer', new Date(Date.now() - 60000)));
+  });
+});
+
+describe('trips', () => {
+  test('are read by their members only', async () => {
+    await assertSucceeds(getDoc(tripDoc('viewer')));
+    await assertFails(getDoc(tripDoc('stranger')));
+    await assertFails(getDoc(tripDoc(null)));
+    await assertSucceeds(getDocs(query(collection(dbAs('viewer'), tripsCollectionPath(APP_ID)), where('memberIds', 'array-contains', 'viewer'))));
+  });
+
+  test('are created by their owner', async () => {
+    const newTrip = { ...trip, ownerId: 'stranger', members: { stranger: 'owner' }, memberIds: ['stranger'] };
+    await assertSucceeds(setDoc(doc(dbAs('stranger'), tripsCollectionPath(APP_ID), 'new'), newTrip));
+    await assertFails(setDoc(doc(dbAs('stranger'), tripsCollectionPath(APP_ID), 'other'), { ...newTrip, ownerId: 'owner' }));
+    await assertFails(setDoc(doc(dbAs('stranger'), tripsCollectionPath(APP_ID), 'other'), { ...newTrip, memberIds: [] }));
+  });
+
+  test('let owners manage members and editors change only the budget', async () => {
+    await assertSucceeds(updateDoc(tripDoc('owner'), { 'members.viewer': 'editor' }));
+    await assertSucceeds(updateDoc(tripDoc('editor'), { currency: 'EUR', budget: { total: 800, byCategory: {} } }));
+    await assertFails(updateDoc(tripDoc('editor'), { name: 'Paros' }));
+    await assertFails(updateDoc(tripDoc('editor'), { 'members.stranger': 'editor', memberIds: arrayUnion('stranger') }));
+    await assertFails(updateDoc(tripDoc('viewer'), { currency: 'EUR' }));
+    await assertFails(deleteDoc(tripDoc('editor')));
+  });
+
+  test('can be joined with an unexpired invite and its role', async () => {
+    const join = (token, role) => updateDoc(tripDoc('stranger'), {
+      'members.stranger': role,
+      memberIds: arrayUnion('stranger'),
+      joinedWithInvite: token,
+    });
+    await assertFails(join('viewer-invite', 'editor'));
+    await assertFails(join('old-invite', 'viewer'));
+    await assertFails(join('missing-invite', 'viewer'));
+    await assertSucceeds(join('viewer-invite', 'viewer'));
+  });
+});
+
+describe('plans', () => {
+  test('are read by members and written by owners and editors', async () => {
+    await assertSucceeds(setDoc(planDoc('editor'), plan('editor')));
+    await assertSucceeds(getDoc(planDoc('viewer')));
+    await assertFails(getDoc(planDoc('stranger')));
+    await assertFails(setDoc(planDoc('viewer'), plan('viewer')));
+    await assertFails(setDoc(planDoc('stranger'), plan('stranger')));
+    await assertFails(deleteDoc(planDoc('viewer')));
+    await assertSucceeds(deleteDoc(planDoc('owner')));
+  });
+
+  test('must be credited to the user writing them', async () => {
+    expect(validatePlanDocument(plan('owner'), 'editor')).not.toEqual([]);
+    await assertFails(setDoc(planDoc('editor'), plan('owner')));
+  });
+
+  test('are rejected by the rules when the client schema rejects them', async () => {
+    const items = Array.from({ length: MAX_PLAN_ITEMS + 1 }, (_, index) => createItem({ id: `i${index}`, title: 'Beach' }));
+    const invalidPlans = [
+      { ...plan('editor'), title: 'Old plan' },
+      { ...plan('editor'), items },
+      { ...plan('editor'), version: 0 },
+      { ...plan('editor'), timestamp: 'yesterday' },
+    ];
+    for (const invalidPlan of invalidPlans) {
+      expect(validatePlanDocument(invalidPlan, 'editor')).not.toEqual([]);
+      await assertFails(setDoc(planDoc('editor'), invalidPlan));
+    }
+    await assertSucceeds(setDoc(planDoc('editor'), { ...plan('editor'), items: items.slice(1) }));
+  });
+});
+
+describe('revisions', () => {
+  test('are logged by editors for themselves and never changed', async () => {
+    const revisionDoc = (userId, id = 'r1') => doc(dbAs(userId), revisionsCollectionPath(APP_ID, tripId), id);
+    const revision = buildRevision({ dateId, action: 'save', before: null, after: plan('editor'), userId: 'editor' });
+
+    await assertSucceeds(setDoc(revisionDoc('editor'), revision));
+    await assertFails(setDoc(revisionDoc('editor', 'r2'), { ...revision, userId: 'owner' }));
+    await assertFails(setDoc(revisionDoc('viewer', 'r3'), { ...revision, userId: 'viewer', after: plan('viewer') }));
+    await assertFails(updateDoc(revisionDoc('editor'), { action: 'restore' }));
+    await assertFails(deleteDoc(revisionDoc('editor')));
+    await assertSucceeds(deleteDoc(revisionDoc('owner')));
+  });
+});
+
+describe('discussion and presence', () => {
+  test('lets any member comment as themselves, and authors or the owner delete comments', async () => {
+    const commentDoc = (userId, id = 'c1') => doc(dbAs(userId), commentsCollectionPath(APP_ID, tripId), id);
+    const comment = buildComment({ dateId, itemId: 'a', text: 'Bring towels?' }, 'viewer');
+
+    await assertSucceeds(setDoc(commentDoc('viewer'), comment));
+    await assertFails(setDoc(commentDoc('editor', 'c2'), comment));
+    await assertFails(setDoc(commentDoc('viewer', 'c3'), { ...comment, text: 'x'.repeat(1001) }));
+    await assertFails(setDoc(commentDoc('stranger', 'c4'), buildComment({ dateId, text: 'Hi' }, 'stranger')));
+    await assertFails(deleteDoc(commentDoc('editor')));
+    await assertSucceeds(deleteDoc(commentDoc('owner')));
+  });
+
+  test('keeps one vote per member and item', async () => {
+    const voteDoc = (userId, id) => doc(dbAs(userId), votesCollectionPath(APP_ID, tripId), id);
+
+    await assertSucceeds(setDoc(voteDoc('viewer', getVoteId('a', 'viewer')), buildVote(dateId, 'a', 1, 'viewer')));
+    await assertSucceeds(setDoc(voteDoc('viewer', getVoteId('a', 'viewer')), buildVote(dateId, 'a', -1, 'viewer')));
+    await assertFails(setDoc(voteDoc('viewer', getVoteId('a', 'editor')), buildVote(dateId, 'a', 1, 'viewer')));
+    await assertFails(setDoc(voteDoc('viewer', getVoteId('b', 'viewer')), buildVote(dateId, 'b', 5, 'viewer')));
+    await assertFails(deleteDoc(voteDoc('editor', getVoteId('a', 'viewer'))));
+  });
+
+  test('lets members set only their own presence', async () => {
+    const presenceDoc = (userId, id) => doc(dbAs(userId), presenceCollectionPath(APP_ID, tripId), id);
+
+    await assertSucceeds(setDoc(presenceDoc('viewer', 'viewer'), buildPresence(dateId)));
+    await assertFails(setDoc(presenceDoc('viewer', 'editor'), buildPresence(dateId)));
+    await assertFails(setDoc(presenceDoc('stranger', 'stranger'), buildPresence(dateId)));
+    await assertSucceeds(deleteDoc(presenceDoc('viewer', 'viewer')));
+  });
+});
+
+describe('invites', () => {
+  test('are opened by token and managed by the trip owner', async () => {
+    const inviteDoc = (userId, token) => doc(dbAs(userId), invitesCollectionPath(APP_ID), token);
+    const tripInvites = (userId) => query(collection(dbAs(userId), invitesCollectionPath(APP_ID)), where('tripId', '==', tripId));
+
+    await assertSucceeds(getDoc(inviteDoc('stranger', 'viewer-invite')));
+    await assertFails(getDocs(tripInvites('stranger')));
+    await assertFails(getDocs(tripInvites('editor')));
+    await assertSucceeds(getDocs(tripInvites('owner')));
+    await assertFails(setDoc(inviteDoc('editor', 'new'), { ...invite('editor', day), createdBy: 'editor' }));
+    await assertFails(setDoc(inviteDoc('owner', 'new'), invite('owner', day)));
+    await assertSucceeds(setDoc(inviteDoc('owner', 'new'), invite('editor', day)));
+    await assertSucceeds(deleteDoc(inviteDoc('owner', 'new')));
+  });
+});
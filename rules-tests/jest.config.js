@@ -0,0 +1,11 @@
+// Jest setup for the security rules tests. They need the Firestore and Storage emulators, so run them with
+// `npm run test:rules`, which starts the emulators around this suite; `npm test` only covers src/.
+module.exports = {
+  rootDir: '..',
+  roots: ['<rootDir>/rules-tests'],
+  testEnvironment: 'node',
+  transform: {
+    '\\.js$': ['babel-jest', { presets: ['babel-preset-react-app'] }],
+  },
+  testTimeout: 20000,
+};
@@ -0,0 +1,48 @@
+import { readFileSync } from 'fs';
+import path from 'path';
+import { initializeTestEnvironment, assertSucceeds, assertFails } from '@firebase/rules-unit-testing';
+import { doc, setDoc } from 'firebase/firestore';
+import { ref, uploadBytes, getMetadata, deleteObject } from 'firebase/storage';
+import { tripsCollectionPath } from '../src/utils/trips';
+import { attachmentStoragePath, MAX_ATTACHMENT_SIZE } from '../src/utils/attachments';
+
+const APP_ID = 'rules-test';
+const tripId = 'naxos';
+const trip = { name: 'Naxos', ownerId: 'owner', members: { owner: 'owner', editor: 'editor', viewer: 'viewer' }, memberIds: ['owner', 'editor', 'viewer'] };
+
+let testEnv;
+
+const fileAs = (userId, fileName = 'pass.pdf') =>
+  ref(testEnv.authenticatedContext(userId).storage(), attachmentStoragePath(APP_ID, tripId, 'a1', fileName));
+const pdf = { contentType: 'application/pdf' };
+
+beforeAll(async () => {
+  const readRules = (fileName) => readFileSync(path.join(__dirname, '..', fileName), 'utf8');
+  testEnv = await initializeTestEnvironment({
+    projectId: 'demo-trip-planner',
+    firestore: { rules: readRules('firestore.rules') },
+    storage: { rules: readRules('storage.rules') },
+  });
+  await testEnv.withSecurityRulesDisabled(context => setDoc(doc(context.firestore(), tripsCollectionPath(APP_ID), tripId), trip));
+});
+
+afterAll(() => testEnv?.cleanup());
+
+beforeEach(() => testEnv.clearStorage());
+
+test('lets editors attach files of the accepted types and sizes', async () => {
+  await assertSucceeds(uploadBytes(fileAs('editor'), new Uint8Array([1, 2, 3]), pdf));
+  await assertFails(uploadBytes(fileAs('editor', 'page.html'), new Uint8Array([1, 2, 3]), { contentType: 'text/html' }));
+  await assertFails(uploadBytes(fileAs('editor', 'big.pdf'), new Uint8Array(MAX_ATTACHMENT_SIZE + 1), pdf));
+  await assertFails(uploadBytes(fileAs('viewer', 'other.pdf'), new Uint8Array([1, 2, 3]), pdf));
+  await assertFails(uploadBytes(fileAs('stranger', 'other.pdf'), new Uint8Array([1, 2, 3]), pdf));
+});
+
+test('lets members read attached files and editors delete them', async () => {
+  await assertSucceeds(uploadBytes(fileAs('owner'), new Uint8Array([1, 2, 3]), pdf));
+
+  await assertSucceeds(getMetadata(fileAs('viewer')));
+  await assertFails(getMetadata(fileAs('stranger')));
+  await assertFails(deleteObject(fileAs('viewer')));
+  await assertSucceeds(deleteObject(fileAs('editor')));
+});
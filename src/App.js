@@ -1,283 +1,1433 @@
-import React, { useState, useEffect, useCallback } from 'react';
-import { initializeApp } from 'firebase/app';
-import { getAuth, signInAnonymously, signInWithCustomToken, onAuthStateChanged } from 'firebase/auth';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import ItemListEditor from './components/ItemListEditor';
+import TripSwitcher, { TripBanner } from './components/TripSwitcher';
+import TripFormModal from './components/TripFormModal';
+import AccountModal from './components/AccountModal';
+import Avatar from './components/Avatar';
+import PlanHistory from './components/PlanHistory';
+import RecentlyDeletedModal from './components/RecentlyDeletedModal';
+import ConflictPanel from './components/ConflictPanel';
+import ConnectionStatus from './components/ConnectionStatus';
+import IcsExportModal from './components/IcsExportModal';
+import IcsImportModal from './components/IcsImportModal';
+import ItineraryExportModal from './components/ItineraryExportModal';
+import BackupModal from './components/BackupModal';
+import CalendarView, { getDayElementId } from './components/CalendarView';
+import CalendarToolbar from './components/CalendarToolbar';
+import DayExpenses from './components/DayExpenses';
+import DayAttachments from './components/DayAttachments';
+import DaySeries from './components/DaySeries';
+import DayMoveControls from './components/DayMoveControls';
+import DaySelectionToolbar from './components/DaySelectionToolbar';
+import UndoBar from './components/UndoBar';
+import PresenceBar from './components/PresenceBar';
+import DayDiscussion from './components/DayDiscussion';
+import ActivityFeedModal from './components/ActivityFeedModal';
+import BudgetModal from './components/BudgetModal';
+import SearchPanel from './components/SearchPanel';
+import Checklist from './components/Checklist';
+import ChecklistModal from './components/ChecklistModal';
+import { createBackend } from './storage';
+import { createMapProvider } from './maps';
 import {
-  getFirestore, collection, doc, getDoc, setDoc, onSnapshot, query, orderBy,
-  where, addDoc, updateDoc, deleteDoc
-} from 'firebase/firestore';
+  createItem, getPlanItems, cleanItems, findInvalidTimeRange
+} from './utils/planItems';
+import {
+  canEditTrip, canManageTrip, buildNewTrip, withMemberRole, sortTrips
+} from './utils/trips';
+import { INVITE_PARAM, getDisplayName, buildInvite, isInviteExpired } from './utils/profiles';
+import { sortRevisions, getRestorablePlan, getRecentlyDeleted } from './utils/revisions';
+import { formatDateId, parseDateId, addDays } from './utils/dates';
+import { PlanConflictError, getPlanVersion, itemListsEqual, mergePlanDraft } from './utils/conflicts';
+import { toPlanDocument } from './utils/planSchema';
+import { buildCalendar, mergeImportedItems, getCalendarFileName } from './utils/ical';
+import { downloadFile } from './utils/download';
+import { buildBackup, serializeBackup, planRestore, planSeriesRestore, getBackupFileName } from './utils/backup';
+import {
+  DEFAULT_VIEW, WEEK_START_OPTIONS, isRangeView, shiftViewDate, getViewTitle, getWeeksBetween, getAgendaDates,
+  readViewState, writeViewState
+} from './utils/calendarViews';
+import {
+  getTripTimeZone, getViewerTimeZone, getTodayId, localizePlans, getSourceDateId, getItemDurationMinutes
+} from './utils/timeZones';
+import { buildExpense, getDailyTotals, getTripCurrency } from './utils/expenses';
+import { EMPTY_FILTERS, searchPlans, getDayMatcher } from './utils/search';
+import { buildAttachment } from './utils/attachments';
+import { buildSeries, withSeries, getOccurrenceUpdate, getSkipUpdate } from './utils/series';
+import { getVoteId, buildVote, tallyVotes, getProposalSlots, promoteProposal } from './utils/proposals';
+import { buildComment, countCommentsByDay } from './utils/comments';
+import {
+  moveDay, swapDays, moveItemToDay, shiftDays, clearDays, getUndoEdits, getChangedSince, getDateRange, describePlanMove
+} from './utils/planMoves';
+import { PRESENCE_HEARTBEAT_MS, buildPresence, getActiveViewers, getDayViewers } from './utils/presence';
+import {
+  getActivitySince, readLastVisit, writeLastVisit, buildActivityFeed, getUnreadDateIds
+} from './utils/activity';
+import { buildChecklistTask, buildTemplateTasks, getTaskCompletion, getChecklistProgress } from './utils/checklists';
+import { generateId } from './utils/ids';
+
+// Global variables provided by the environment
+const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
+const firebaseConfig = typeof __firebase_config !== 'undefined' ? JSON.parse(__firebase_config) : {};
+const initialAuthToken = typeof __initial_auth_token !== 'undefined' ? __initial_auth_token : null;
+
+// Storage backend (see storage/) and the signed-in user
+let backend;
+let currentUserId;
+
+// localStorage key remembering the last trip the user had open
+const ACTIVE_TRIP_STORAGE_KEY = 'activeTripId';
+
+// Number of reschedules that can be undone
+const MAX_UNDO_STEPS = 20;
+
+// localStorage key remembering the day the user's weeks start on
+const WEEK_START_STORAGE_KEY = 'weekStartsOn';
+
+const getStoredWeekStart = () => {
+  const weekStartsOn = Number(localStorage.getItem(WEEK_START_STORAGE_KEY));
+  return WEEK_START_OPTIONS.includes(weekStartsOn) ? weekStartsOn : 0;
+};
+
+// `backend` and `mapProvider` can be passed in (e.g. an in-memory backend and the offline map in tests);
+// otherwise they are created from configuration
+function App({ backend: providedBackend, mapProvider: providedMapProvider }) {
+  const [mapProvider] = useState(() => providedMapProvider || createMapProvider());
+  const [plans, setPlans] = useState({});
+  // The view, date, first weekday and trip can come from a bookmarked URL (see utils/calendarViews)
+  const [urlViewState] = useState(() => readViewState(window.location.search));
+  const [calendarView, setCalendarView] = useState(urlViewState.view || DEFAULT_VIEW);
+  const [viewDate, setViewDate] = useState(urlViewState.date || formatDateId(new Date())); // Date ID the view is showing
+  const [weekStartsOn, setWeekStartsOn] = useState(() => urlViewState.weekStartsOn ?? getStoredWeekStart());
+  const [showViewerTime, setShowViewerTime] = useState(urlViewState.zone === 'viewer'); // Times in the viewer's zone, not the trip's
+  const [selectedDate, setSelectedDate] = useState(null);
+  const [showModal, setShowModal] = useState(false);
+  const [planItems, setPlanItems] = useState([]);
+  const [isAuthReady, setIsAuthReady] = useState(false);
+  const [showPrintView, setShowPrintView] = useState(false);
+  const [errorMessage, setErrorMessage] = useState('');
+  const [trips, setTrips] = useState([]);
+  const [tripsLoaded, setTripsLoaded] = useState(false);
+  const [activeTripId, setActiveTripId] = useState(() => urlViewState.tripId || localStorage.getItem(ACTIVE_TRIP_STORAGE_KEY));
+  const [tripForm, setTripForm] = useState(null); // null when closed, { trip } when open (trip is null for a new trip)
+  const [authUser, setAuthUser] = useState(null);
+  const [profiles, setProfiles] = useState({});
+  const [invites, setInvites] = useState([]);
+  const [showAccount, setShowAccount] = useState(false);
+  const [showHistory, setShowHistory] = useState(false);
+  const [dayRevisions, setDayRevisions] = useState([]);
+  const [showRecentlyDeleted, setShowRecentlyDeleted] = useState(false);
+  const [deleteRevisions, setDeleteRevisions] = useState([]);
+  const [editBase, setEditBase] = useState(null); // The stored plan the open day's draft started from
+  const [isOnline, setIsOnline] = useState(() => navigator.onLine);
+  const [pendingDateIds, setPendingDateIds] = useState(() => new Set()); // Days with writes not yet synced
+  const [icsDialog, setIcsDialog] = useState(null); // null when closed, 'export' or 'import' when open
+  const [showBackup, setShowBackup] = useState(false);
+  const [expenses, setExpenses] = useState([]);
+  const [showBudget, setShowBudget] = useState(false);
+  const [searchQuery, setSearchQuery] = useState('');
+  const [searchFilters, setSearchFilters] = useState(EMPTY_FILTERS);
+  const [checklistTasks, setChecklistTasks] = useState([]);
+  const [showChecklists, setShowChecklists] = useState(false);
+  const [attachments, setAttachments] = useState([]);
+  const [series, setSeries] = useState([]); // Multi-day and repeating entries
+  const [comments, setComments] = useState([]); // Comments on the active trip's days and items
+  const [votes, setVotes] = useState([]); // Members' votes on proposals
+  const [undoStack, setUndoStack] = useState([]); // Reschedules that can be undone: [{ label, before, after }]
+  const [isSelectingDays, setIsSelectingDays] = useState(false);
+  const [selectedDayIds, setSelectedDayIds] = useState(() => new Set());
+  const lastSelectedDayIdRef = useRef(null); // Where a Shift-click selection range starts
+  const undoRef = useRef(null); // The latest undoLastReschedule, for the keyboard shortcut
+  const acceptInviteRef = useRef(null); // The latest acceptInvite, for invite links
+  const [presence, setPresence] = useState([]); // Presence documents of the active trip's viewers
+  const [activityRevisions, setActivityRevisions] = useState([]); // Plan changes of the last ACTIVITY_DAYS
+  const [showActivity, setShowActivity] = useState(false);
+  // Changes after `visitedAt` (the previous visit) or after the user opened that day show as unread
+  const [visit, setVisit] = useState({ visitedAt: null, readDays: {} });
+  const visitsRef = useRef({}); // This session's visit of each trip, so switching back keeps what was read
+
+  const authUid = authUser?.uid;
+  const activeTrip = trips.find(trip => trip.id === activeTripId) || null;
+  const canEdit = canEditTrip(activeTrip, currentUserId);
+  const canManageActiveTrip = canManageTrip(activeTrip, currentUserId);
+  // Plans are stored by day in the trip's time zone and shown in the trip's or the viewer's zone
+  const tripTimeZone = getTripTimeZone(activeTrip);
+  const displayTimeZone = showViewerTime ? getViewerTimeZone() : tripTimeZone;
+  // Days can only be rescheduled or selected as stored, not as seen from another zone
+  const showsTripDays = displayTimeZone === tripTimeZone;
+  // Multi-day and repeating entries are stored apart and shown among each day's items
+  const plansWithSeries = withSeries(plans, series);
+  const displayPlans = localizePlans(plansWithSeries, tripTimeZone, displayTimeZone);
+  const todayId = getTodayId(displayTimeZone);
+  const searchResults = searchPlans(displayPlans, searchQuery, { filters: searchFilters, profiles });
+  const viewers = getActiveViewers(presence, currentUserId);
+  const dayViewerNames = Object.fromEntries(Object.entries(getDayViewers(viewers))
+    .map(([dateId, userIds]) => [dateId, userIds.map(userId => getDisplayName(profiles, userId))]));
+  const activityFeed = buildActivityFeed(activityRevisions, currentUserId, visit);
+  const unreadDateIds = getUnreadDateIds(activityFeed);
+
+  // 1. Initialize the storage backend and handle authentication
+  useEffect(() => {
+    try {
+      backend = providedBackend || createBackend({ firebaseConfig, appId, initialAuthToken });
+
+      const unsubscribe = backend.auth.onAuthStateChanged(async (user) => {
+        if (user) {
+          currentUserId = user.uid;
+          setAuthUser(user);
+          setIsAuthReady(true);
+        } else {
+          currentUserId = null;
+          setAuthUser(null);
+          try {
+            // Start a guest session; this listener fires again once the sign-in completes
+            await backend.auth.signInAsGuest();
+          } catch (error) {
+            console.error("Authentication error:", error);
+            setErrorMessage(`Authentication failed: ${error.message}. Please refresh.`);
+            setIsAuthReady(true);
+          }
+        }
+      });
+
+      return () => unsubscribe();
+    } catch (error) {
+      console.error("Error initializing storage backend:", error);
+      setErrorMessage(`Storage initialization failed: ${error.message}. Check config.`);
+    }
+  }, [providedBackend]);
+
+  // 2. Fetch the trips the user is a member of once authenticated
+  useEffect(() => {
+    if (!isAuthReady || !backend || !currentUserId) {
+      return;
+    }
+
+    const unsubscribe = backend.trips.subscribeForMember(currentUserId, (fetchedTrips) => {
+      setTrips(sortTrips(fetchedTrips));
+      setTripsLoaded(true);
+    }, (error) => {
+      console.error("Error fetching trips:", error);
+      setErrorMessage(`Failed to load trips: ${error.message}.`);
+    });
+
+    return () => unsubscribe();
+  }, [isAuthReady, authUid]);
+
+  // Track the browser's connection so plan writes can be queued instead of failing while offline
+  useEffect(() => {
+    const handleOnline = () => setIsOnline(true);
+    const handleOffline = () => setIsOnline(false);
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    };
+  }, []);
+
+  // Undo the last reschedule with Ctrl+Z (Cmd+Z on a Mac), unless a field or the day editor has focus
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key.toLowerCase() !== 'z' || !(e.ctrlKey || e.metaKey) || e.shiftKey || e.altKey) return;
+      if (e.target.closest?.('input, textarea, select, [contenteditable="true"]')) return;
+      if (!undoRef.current) return;
+      e.preventDefault();
+      undoRef.current();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, []);
+
+  // Keep the active trip valid: fall back to the first trip when it is missing or was removed
+  useEffect(() => {
+    if (!tripsLoaded) return;
+    if (!trips.some(trip => trip.id === activeTripId)) {
+      setActiveTripId(trips[0]?.id || null);
+    }
+  }, [trips, tripsLoaded, activeTripId]);
+
+  // Remember the active trip and reset the calendar when switching trips
+  useEffect(() => {
+    if (activeTripId) {
+      localStorage.setItem(ACTIVE_TRIP_STORAGE_KEY, activeTripId);
+    } else {
+      localStorage.removeItem(ACTIVE_TRIP_STORAGE_KEY);
+    }
+    setPlans({});
+    setExpenses([]);
+    setChecklistTasks([]);
+    setAttachments([]);
+    setSeries([]);
+    setComments([]);
+    setVotes([]);
+    setUndoStack([]);
+    setIsSelectingDays(false);
+    setSelectedDayIds(new Set());
+    setPresence([]);
+    setActivityRevisions([]);
+    setShowActivity(false);
+    setShowModal(false);
+    setShowBudget(false);
+    setShowChecklists(false);
+    setSearchQuery('');
+    setSearchFilters(EMPTY_FILTERS);
+  }, [activeTripId]);
+
+  // Remember when the user opened the trip; what others changed since their previous visit shows as unread.
+  // The previous visit is read once per session, so it survives effects running twice and switching trips.
+  useEffect(() => {
+    if (!activeTripId) return;
+    if (!visitsRef.current[activeTripId]) {
+      const now = new Date();
+      visitsRef.current[activeTripId] = { visitedAt: readLastVisit(localStorage, activeTripId) || now, readDays: {} };
+      writeLastVisit(localStorage, activeTripId, now);
+    }
+    setVisit(visitsRef.current[activeTripId]);
+  }, [activeTripId]);
+
+  // Jump to the start of the trip the first time it becomes active, unless the URL asked for a date
+  const activeTripStart = activeTrip?.startDate;
+  const keepUrlDate = useRef(!!urlViewState.date);
+  useEffect(() => {
+    if (!activeTripStart) return;
+    if (keepUrlDate.current) {
+      keepUrlDate.current = false;
+      return;
+    }
+    setViewDate(activeTripStart);
+  }, [activeTripId, activeTripStart]);
+
+  useEffect(() => {
+    localStorage.setItem(WEEK_START_STORAGE_KEY, String(weekStartsOn));
+  }, [weekStartsOn]);
+
+  // Mirror the calendar view in the address bar so it can be bookmarked or shared
+  useEffect(() => {
+    const search = writeViewState(window.location.search, {
+      view: calendarView, date: viewDate, weekStartsOn, tripId: activeTripId, zone: showViewerTime ? 'viewer' : null,
+    });
+    window.history.replaceState(null, '', `${window.location.pathname}${search}${window.location.hash}`);
+  }, [calendarView, viewDate, weekStartsOn, activeTripId, showViewerTime]);
+
+  // 3. Fetch the active trip's plans
+  useEffect(() => {
+    if (!isAuthReady || !backend || !currentUserId || !activeTripId) {
+      return;
+    }
+
+    // Listen for real-time updates to the plans
+    const unsubscribe = backend.plans.subscribe(activeTripId, ({ plans: fetchedPlans, pendingDateIds: pending }) => {
+      setPlans(fetchedPlans);
+      setPendingDateIds(pending);
+      setErrorMessage(''); // Clear any previous error messages
+    }, (error) => {
+      console.error("Error fetching plans:", error);
+      setErrorMessage(`Failed to load plans: ${error.message}.`);
+    });
+
+    return () => unsubscribe(); // Cleanup listener on component unmount or trip switch
+  }, [isAuthReady, authUid, activeTripId]);
+
+  // 4. Fetch the profiles of the user and the active trip's members
+  const profileIdsKey = [...new Set([authUid, ...(activeTrip?.memberIds || [])].filter(Boolean))].sort().join(',');
+  useEffect(() => {
+    if (!isAuthReady || !backend || !profileIdsKey) {
+      return;
+    }
+
+    const unsubscribe = backend.profiles.subscribe(profileIdsKey.split(','), (fetchedProfiles) => {
+      setProfiles(prev => ({ ...prev, ...fetchedProfiles }));
+    }, (error) => {
+      console.error("Error fetching profiles:", error);
+    });
+
+    return () => unsubscribe();
+  }, [isAuthReady, profileIdsKey]);
+
+  // 5. Fetch the open invite links of the active trip for its owner
+  useEffect(() => {
+    if (!isAuthReady || !backend || !activeTripId || !canManageActiveTrip) {
+      setInvites([]);
+      return;
+    }
+
+    const unsubscribe = backend.invites.subscribeForTrip(activeTripId, setInvites, (error) => {
+      console.error("Error fetching invites:", error);
+    });
+
+    return () => unsubscribe();
+  }, [isAuthReady, activeTripId, canManageActiveTrip]);
+
+  // 6. Fetch the change log of the open day while its history panel is shown
+  const historyDateId = showModal && showHistory && selectedDate ? formatDateId(selectedDate) : null;
+  useEffect(() => {
+    if (!isAuthReady || !backend || !activeTripId || !historyDateId) {
+      setDayRevisions([]);
+      return;
+    }
+
+    const unsubscribe = backend.revisions.subscribeForDate(activeTripId, historyDateId, (fetchedRevisions) => {
+      setDayRevisions(sortRevisions(fetchedRevisions));
+    }, (error) => {
+      console.error("Error fetching plan history:", error);
+      setErrorMessage(`Failed to load history: ${error.message}.`);
+    });
+
+    return () => unsubscribe();
+  }, [isAuthReady, activeTripId, historyDateId]);
+
+  // 7. Fetch deletions of the active trip while the "Recently Deleted" list is shown
+  useEffect(() => {
+    if (!isAuthReady || !backend || !activeTripId || !showRecentlyDeleted) {
+      setDeleteRevisions([]);
+      return;
+    }
+
+    const unsubscribe = backend.revisions.subscribeDeletes(activeTripId, setDeleteRevisions, (error) => {
+      console.error("Error fetching deleted plans:", error);
+      setErrorMessage(`Failed to load deleted plans: ${error.message}.`);
+    });
+
+    return () => unsubscribe();
+  }, [isAuthReady, activeTripId, showRecentlyDeleted]);
+
+  // 8. Fetch the active trip's expenses
+  useEffect(() => {
+    if (!isAuthReady || !backend || !currentUserId || !activeTripId) {
+      return;
+    }
+
+    const unsubscribe = backend.expenses.subscribeForTrip(activeTripId, setExpenses, (error) => {
+      console.error("Error fetching expenses:", error);
+      setErrorMessage(`Failed to load expenses: ${error.message}.`);
+    });
+
+    return () => unsubscribe();
+  }, [isAuthReady, authUid, activeTripId]);
+
+  // 9. Fetch the active trip's checklist tasks
+  useEffect(() => {
+    if (!isAuthReady || !backend || !currentUserId || !activeTripId) {
+      return;
+    }
+
+    const unsubscribe = backend.checklist.subscribeForTrip(activeTripId, setChecklistTasks, (error) => {
+      console.error("Error fetching checklist:", error);
+      setErrorMessage(`Failed to load checklist: ${error.message}.`);
+    });
+
+    return () => unsubscribe();
+  }, [isAuthReady, authUid, activeTripId]);
+
+  // 10. Fetch the active trip's attachments
+  useEffect(() => {
+    if (!isAuthReady || !backend || !currentUserId || !activeTripId) {
+      return;
+    }
+
+    const unsubscribe = backend.attachments.subscribeForTrip(activeTripId, setAttachments, (error) => {
+      console.error("Error fetching attachments:", error);
+      setErrorMessage(`Failed to load attachments: ${error.message}.`);
+    });
+
+    return () => unsubscribe();
+  }, [isAuthReady, authUid, activeTripId]);
+
+  // 11. Fetch the active trip's multi-day and repeating entries
+  useEffect(() => {
+    if (!isAuthReady || !backend || !currentUserId || !activeTripId) {
+      return;
+    }
+
+    const unsubscribe = backend.series.subscribeForTrip(activeTripId, setSeries, (error) => {
+      console.error("Error fetching multi-day entries:", error);
+      setErrorMessage(`Failed to load multi-day and repeating entries: ${error.message}.`);
+    });
+
+    return () => unsubscribe();
+  }, [isAuthReady, authUid, activeTripId]);
+
+  // 12. Tell the trip's other viewers that the user is here, and which day they have open
+  useEffect(() => {
+    if (!isAuthReady || !backend || !currentUserId || !activeTripId) {
+      return;
+    }
+
+    const tripId = activeTripId;
+    const userId = currentUserId;
+    const leave = () => backend.presence.remove(tripId, userId).catch((error) => {
+      console.error("Error clearing presence:", error);
+    });
+    window.addEventListener('pagehide', leave);
+    return () => {
+      window.removeEventListener('pagehide', leave);
+      leave();
+    };
+  }, [isAuthReady, authUid, activeTripId]);
+
+  const presenceDateId = showModal && selectedDate ? formatDateId(selectedDate) : '';
+  useEffect(() => {
+    if (!isAuthReady || !backend || !currentUserId || !activeTripId) {
+      return;
+    }
+
+    const tripId = activeTripId;
+    const userId = currentUserId;
+    const publish = () => backend.presence.set(tripId, userId, buildPresence(presenceDateId)).catch((error) => {
+      console.error("Error updating presence:", error);
+    });
+    publish();
+    // Refresh regularly, so viewers who left without saying so drop off
+    const interval = setInterval(publish, PRESENCE_HEARTBEAT_MS);
+    return () => clearInterval(interval);
+  }, [isAuthReady, authUid, activeTripId, presenceDateId]);
+
+  // 13. Watch who is viewing the active trip
+  useEffect(() => {
+    if (!isAuthReady || !backend || !currentUserId || !activeTripId) {
+      return;
+    }
+
+    const unsubscribe = backend.presence.subscribeForTrip(activeTripId, setPresence, (error) => {
+      console.error("Error fetching presence:", error);
+      setErrorMessage(`Failed to load who is viewing the trip: ${error.message}.`);
+    });
+
+    return () => unsubscribe();
+  }, [isAuthReady, authUid, activeTripId]);
+
+  // 14. Fetch the active trip's recent plan changes for the activity feed
+  useEffect(() => {
+    if (!isAuthReady || !backend || !currentUserId || !activeTripId) {
+      return;
+    }
+
+    const unsubscribe = backend.revisions.subscribeSince(activeTripId, getActivitySince(), setActivityRevisions, (error) => {
+      console.error("Error fetching activity:", error);
+      setErrorMessage(`Failed to load activity: ${error.message}.`);
+    });
+
+    return () => unsubscribe();
+  }, [isAuthReady, authUid, activeTripId]);
+
+  // 15. Fetch the comments and votes on the active trip's plans
+  useEffect(() => {
+    if (!isAuthReady || !backend || !currentUserId || !activeTripId) {
+      return;
+    }
+
+    const unsubscribeComments = backend.comments.subscribeForTrip(activeTripId, setComments, (error) => {
+      console.error("Error fetching comments:", error);
+      setErrorMessage(`Failed to load comments: ${error.message}.`);
+    });
+    const unsubscribeVotes = backend.votes.subscribeForTrip(activeTripId, setVotes, (error) => {
+      console.error("Error fetching votes:", error);
+      setErrorMessage(`Failed to load votes: ${error.message}.`);
+    });
+
+    return () => {
+      unsubscribeComments();
+      unsubscribeVotes();
+    };
+  }, [isAuthReady, authUid, activeTripId]);
+
+  // Detect when the open day changed underneath the draft (the plans listener already sees it)
+  const selectedDateId = selectedDate ? formatDateId(selectedDate) : null;
+  const incomingPlan = selectedDateId ? plans[selectedDateId] : undefined;
+  const hasConflict = showModal && getPlanVersion(incomingPlan) !== getPlanVersion(editBase);
+  const draftUnchanged = showModal && itemListsEqual(cleanItems(planItems), getPlanItems(editBase));
+
+  // Without local edits there is nothing to lose, so the draft simply follows the incoming version
+  useEffect(() => {
+    if (hasConflict && draftUnchanged) {
+      setPlanItems(getPlanItems(incomingPlan).map(item => ({ ...item })));
+      setEditBase(incomingPlan || null);
+    }
+  }, [hasConflict, draftUnchanged, incomingPlan]);
+
+  // Accept an invite link (?invite=<token>) once signed in and the user's trips are known
+  useEffect(() => {
+    if (!tripsLoaded || !authUid) return;
+    const params = new URLSearchParams(window.location.search);
+    const token = params.get(INVITE_PARAM);
+    if (!token) return;
+
+    // Drop the token from the address bar so a refresh doesn't process it again
+    params.delete(INVITE_PARAM);
+    const search = params.toString();
+    window.history.replaceState(null, '', `${window.location.pathname}${search ? `?${search}` : ''}${window.location.hash}`);
+
+    acceptInviteRef.current(token);
+  }, [tripsLoaded, authUid]);
+
+  // Records what the user has seen of the active trip's activity, for this session
+  const updateVisit = (fields) => {
+    const nextVisit = { ...visitsRef.current[activeTripId], ...fields };
+    visitsRef.current[activeTripId] = nextVisit;
+    setVisit(nextVisit);
+  };
+
+  const markDayRead = (dateId) => updateVisit({ readDays: { ...visit.readDays, [dateId]: new Date() } });
+
+  const markAllRead = () => updateVisit({ visitedAt: new Date(), readDays: {} });
+
+  // Function to handle date click
+  const handleDateClick = (day) => {
+    setSelectedDate(day);
+    const dateId = formatDateId(day);
+    markDayRead(dateId);
+    const items = getPlanItems(plans[dateId]);
+    // Start new days with one empty item so the user can type straight away
+    setPlanItems(items.length > 0 || !canEdit ? items.map(item => ({ ...item })) : [createItem()]);
+    setEditBase(plans[dateId] || null);
+    setShowHistory(false);
+    setShowModal(true);
+  };
+
+  // Opens the stored day behind a day of the calendar, which is a day off when seen from another zone
+  const openDisplayedDay = (dateId) => handleDateClick(parseDateId(getSourceDateId(displayPlans, dateId)));
+
+  // Reports a queued (offline) plan change that failed once it reached the server
+  const handleSyncError = (error) => {
+    setErrorMessage(`Failed to sync plan changes: ${error.message}`);
+  };
+
+  // Error message for a failed plan write; conflicts point the user at the conflict panel
+  const describePlanWriteError = (action, error) =>
+    error instanceof PlanConflictError
+      ? `${error.message} Review their changes below, then try again.`
+      : `Failed to ${action} plan: ${error.message}`;
+
+  // Conflict resolution: continue from the incoming version, merging the draft into it
+  const mergeIncomingPlan = () => {
+    setPlanItems(mergePlanDraft(editBase, planItems, incomingPlan));
+    setEditBase(incomingPlan || null);
+  };
+
+  // Conflict resolution: keep the draft as-is so the next save replaces the incoming version
+  const overwriteIncomingPlan = () => {
+    setEditBase(incomingPlan || null);
+  };
+
+  // Conflict resolution: throw the draft away and continue from the incoming version
+  const discardDraft = () => {
+    setPlanItems(getPlanItems(incomingPlan).map(item => ({ ...item })));
+    setEditBase(incomingPlan || null);
+  };
+
+  // Function to bring a day back to the plan stored in a revision
+  const restoreRevision = async (revision) => {
+    if (!backend || !currentUserId || !activeTripId || !canEdit) {
+      setErrorMessage("Cannot restore plan: You have view-only access to this trip.");
+      return;
+    }
+
+    try {
+      await backend.plans.save(activeTripId, revision.dateId, {
+        action: 'restore',
+        expectedVersion: getPlanVersion(plans[revision.dateId]),
+        buildNextPlan: () => toPlanDocument(getRestorablePlan(revision), currentUserId),
+        userId: currentUserId,
+        onSyncError: handleSyncError,
+      });
+      setShowModal(false);
+      setErrorMessage('');
+    } catch (error) {
+      console.error("Error restoring plan:", error);
+      setErrorMessage(describePlanWriteError('restore', error));
+    }
+  };
+
+  // Function to save or update a plan
+  const savePlan = async () => {
+    if (!selectedDate || !backend || !currentUserId || !activeTripId) {
+      setErrorMessage("Cannot save plan: Date not selected or storage not ready.");
+      return;
+    }
+    if (!canEdit) {
+      setErrorMessage("Cannot save plan: You have view-only access to this trip.");
+      return;
+    }
+
+    const items = cleanItems(planItems);
+    if (items.length === 0) {
+      setErrorMessage("Add at least one item before saving, or delete the plan.");
+      return;
+    }
+    const dateId = formatDateId(selectedDate);
+    const invalidItem = findInvalidTimeRange(items, (item) => getItemDurationMinutes(item, dateId, tripTimeZone));
+    if (invalidItem) {
+      setErrorMessage(`"${invalidItem.title || 'Untitled item'}" ends before it starts.`);
+      return;
+    }
+
+    try {
+      await backend.plans.save(activeTripId, dateId, {
+        expectedVersion: getPlanVersion(editBase),
+        buildNextPlan: (currentPlan) => {
+          // Drop the fields of the old single-plan format; their content now lives in `items`
+          const { title, description, ...otherFields } = currentPlan || {};
+          return {
+            ...otherFields,
+            items,
+            lastUpdatedBy: currentUserId,
+            timestamp: new Date(),
+          };
+        },
+        userId: currentUserId,
+        onSyncError: handleSyncError,
+      });
+      setShowModal(false);
+      setErrorMessage('');
+    } catch (error) {
+      console.error("Error saving plan:", error);
+      setErrorMessage(describePlanWriteError('save', error));
+    }
+  };
+
+  // Function to delete a plan
+  const deletePlan = async () => {
+    if (!selectedDate || !backend || !currentUserId || !activeTripId) {
+      setErrorMessage("Cannot delete plan: Date not selected or storage not ready.");
+      return;
+    }
+    if (!canEdit) {
+      setErrorMessage("Cannot delete plan: You have view-only access to this trip.");
+      return;
+    }
+
+    const dateId = formatDateId(selectedDate);
+
+    try {
+      await backend.plans.delete(activeTripId, dateId, {
+        expectedVersion: getPlanVersion(editBase),
+        userId: currentUserId,
+        onSyncError: handleSyncError,
+      });
+      setShowModal(false);
+      setErrorMessage('');
+    } catch (error) {
+      console.error("Error deleting plan:", error);
+      setErrorMessage(describePlanWriteError('delete', error));
+    }
+  };
+
+  // Writes reschedule edits ({ dateId: items }, see utils/planMoves) day by day, deleting days left empty.
+  // Days are added to `written` as they are saved, so a failure part way through can still be undone.
+  const writePlanEdits = async (edits, action, written = {}) => {
+    const userId = currentUserId;
+    for (const [dateId, items] of Object.entries(edits)) {
+      const change = { expectedVersion: getPlanVersion(plans[dateId]), userId, onSyncError: handleSyncError };
+      if (items.length === 0) {
+        await backend.plans.delete(activeTripId, dateId, change);
+      } else {
+        await backend.plans.save(activeTripId, dateId, {
+          ...change,
+          action,
+          buildNextPlan: (currentPlan) => {
+            const { title, description, ...otherFields } = currentPlan || {};
+            return { ...otherFields, items, lastUpdatedBy: userId, timestamp: new Date() };
+          },
+        });
+      }
+      written[dateId] = items;
+    }
+  };
+
+  // Function to move, copy, swap, shift or delete plans and offer to undo it; returns whether it was saved
+  const reschedulePlans = async (edits, label) => {
+    if (!backend || !currentUserId || !activeTripId || !canEdit) {
+      setErrorMessage("Cannot move plans: You have view-only access to this trip.");
+      return false;
+    }
+    if (Object.keys(edits).length === 0) return true;
+
+    const written = {};
+    const rememberUndo = (entryLabel) => setUndoStack(stack => [
+      ...stack.slice(1 - MAX_UNDO_STEPS),
+      { label: entryLabel, before: getUndoEdits(plans, written), after: written },
+    ]);
+    try {
+      await writePlanEdits(edits, 'move', written);
+      rememberUndo(label);
+      setErrorMessage('');
+      return true;
+    } catch (error) {
+      console.error("Error moving plans:", error);
+      if (Object.keys(written).length > 0) rememberUndo(`${label} (partly)`);
+      setErrorMessage(error instanceof PlanConflictError
+        ? `${error.message} Try again with the latest plans.`
+        : `Failed to move plans: ${error.message}`);
+      return false;
+    }
+  };
+
+  // Function to undo the last reschedule, unless someone changed those days since
+  const undoLastReschedule = async () => {
+    const last = undoStack[undoStack.length - 1];
+    if (!last || !backend || !activeTripId || !canEdit) return;
+
+    setUndoStack(stack => stack.slice(0, -1));
+    const changedIds = getChangedSince(plans, last.after);
+    if (changedIds.length > 0) {
+      setErrorMessage(`Cannot undo "${last.label}": ${changedIds.join(', ')} changed since.`);
+      return;
+    }
+    try {
+      await writePlanEdits(last.before, 'undo');
+      setErrorMessage('');
+    } catch (error) {
+      console.error("Error undoing reschedule:", error);
+      setErrorMessage(`Failed to undo "${last.label}": ${error.message}`);
+    }
+  };
+  undoRef.current = !showModal && undoStack.length > 0 ? undoLastReschedule : null;
+
+  // Function to handle a day or item dropped on another day in the calendar, or moved from the day editor
+  const dropPlan = ({ type, fromId, itemId, toId, copy, swap }) => {
+    if (type === 'item') {
+      return reschedulePlans(moveItemToDay(plans, itemId, toId, { copy }), describePlanMove({ type, toId, copy }));
+    }
+    if (swap) {
+      return reschedulePlans(swapDays(plans, fromId, toId), describePlanMove({ type: 'swap', fromId, toId }));
+    }
+    return reschedulePlans(moveDay(plans, fromId, toId, { copy }), describePlanMove({ type, fromId, toId, copy }));
+  };
+
+  // Function to toggle a day's selection; `extend` selects every day since the last one picked instead
+  const selectDay = (dateId, extend) => {
+    const lastId = lastSelectedDayIdRef.current;
+    setSelectedDayIds(selected => {
+      const next = new Set(selected);
+      if (extend && lastId) {
+        getDateRange(lastId, dateId).forEach(rangeId => next.add(rangeId));
+      } else if (next.has(dateId)) {
+        next.delete(dateId);
+      } else {
+        next.add(dateId);
+      }
+      return next;
+    });
+    lastSelectedDayIdRef.current = dateId;
+  };
+
+  // Function to extend the selection from its first day through the trip's last day, or the last planned day after it
+  const selectThroughLastDay = () => {
+    const firstId = [...selectedDayIds].sort()[0];
+    const lastId = [activeTrip.endDate, ...Object.keys(plans)].sort().pop();
+    if (firstId && lastId >= firstId) setSelectedDayIds(new Set(getDateRange(firstId, lastId)));
+  };
+
+  // Number of selected days that have a plan
+  const countSelectedPlans = () => [...selectedDayIds].filter(dateId => getPlanItems(plans[dateId]).length > 0).length;
+
+  // Function to shift (or with `copy`, duplicate) the selected days' plans by `offset` days
+  const shiftSelectedDays = async (offset, copy) => {
+    const label = describePlanMove({ type: 'shift', count: countSelectedPlans(), offset, copy });
+    if (await reschedulePlans(shiftDays(plans, [...selectedDayIds], offset, { copy }), label) && !copy) {
+      // The selection follows the plans, so they can be pushed again
+      setSelectedDayIds(selected => new Set([...selected].map(dateId => addDays(dateId, offset))));
+      lastSelectedDayIdRef.current = null;
+    }
+  };
+
+  // Function to delete the selected days' plans
+  const deleteSelectedDays = async () => {
+    const label = describePlanMove({ type: 'delete', count: countSelectedPlans() });
+    if (await reschedulePlans(clearDays(plans, [...selectedDayIds]), label)) {
+      setSelectedDayIds(new Set());
+    }
+  };
+
+  // Function to download the active trip's plans, with its multi-day and repeating entries, between two
+  // date IDs as an .ics file
+  const exportIcs = (startDateId, endDateId) => {
+    try {
+      const calendar = buildCalendar({ trip: activeTrip, plans: plansWithSeries, startDateId, endDateId });
+      downloadFile(getCalendarFileName(activeTrip), calendar, 'text/calendar;charset=utf-8');
+      setIcsDialog(null);
+    } catch (error) {
+      console.error("Error exporting calendar:", error);
+      setErrorMessage(`Failed to export calendar: ${error.message}`);
+    }
+  };
+
+  // Function to write the days picked in the .ics import preview.
+  // Imported items replace items with the same ID and are added after the day's other items.
+  const importIcs = async (rows) => {
+    if (!backend || !currentUserId || !activeTripId || !canEdit) {
+      setErrorMessage("Cannot import: You have view-only access to this trip.");
+      return;
+    }
+
+    const userId = currentUserId;
+    try {
+      for (const row of rows) {
+        await backend.plans.save(activeTripId, row.dateId, {
+          action: 'import',
+          expectedVersion: getPlanVersion(plans[row.dateId]),
+          buildNextPlan: (currentPlan) => {
+            const { title, description, ...otherFields } = currentPlan || {};
+            return {
+              ...otherFields,
+              items: mergeImportedItems(getPlanItems(currentPlan), row.items),
+              lastUpdatedBy: userId,
+              timestamp: new Date(),
+            };
+          },
+          userId,
+          onSyncError: handleSyncError,
+        });
+      }
+      setIcsDialog(null);
+      setErrorMessage('');
+    } catch (error) {
+      console.error("Error importing calendar:", error);
+      setErrorMessage(error instanceof PlanConflictError
+        ? `${error.message} Open the import again to see the latest plans.`
+        : `Failed to import calendar: ${error.message}`);
+    }
+  };
+
+  // Function to download a JSON backup of the active trip, all of its plans and its entries
+  const downloadBackup = () => {
+    try {
+      const backup = buildBackup({ trip: activeTrip, plans, series, appId });
+      downloadFile(getBackupFileName(activeTrip), serializeBackup(backup), 'application/json');
+    } catch (error) {
+      console.error("Error creating backup:", error);
+      setErrorMessage(`Failed to create backup: ${error.message}`);
+    }
+  };
+
+  // Function to restore a parsed backup into the active trip, merging with or replacing its plans and entries
+  const restoreBackup = async (backup, mode) => {
+    if (!backend || !currentUserId || !activeTripId || !canEdit) {
+      setErrorMessage("Cannot restore backup: You have view-only access to this trip.");
+      return;
+    }
+
+    const userId = currentUserId;
+    const { saves, deleteDateIds } = planRestore(backup.plans, plans, mode, { userId });
+    const seriesRestore = planSeriesRestore(backup.series, series, mode, { userId });
+    try {
+      for (const [dateId, plan] of Object.entries(saves)) {
+        await backend.plans.save(activeTripId, dateId, {
+          action: 'restore',
+          expectedVersion: getPlanVersion(plans[dateId]),
+          buildNextPlan: () => plan,
+          userId,
+          onSyncError: handleSyncError,
+        });
+      }
+      for (const dateId of deleteDateIds) {
+        await backend.plans.delete(activeTripId, dateId, {
+          expectedVersion: getPlanVersion(plans[dateId]),
+          userId,
+          onSyncError: handleSyncError,
+        });
+      }
+      await Promise.all([
+        ...Object.entries(seriesRestore.saves).map(([seriesId, entry]) => backend.series.save(activeTripId, seriesId, entry)),
+        ...seriesRestore.removeIds.map(seriesId => backend.series.remove(activeTripId, seriesId)),
+      ]);
+      setShowBackup(false);
+      setErrorMessage('');
+    } catch (error) {
+      console.error("Error restoring backup:", error);
+      setErrorMessage(error instanceof PlanConflictError
+        ? `${error.message} Open the backup again to see the latest plans.`
+        : `Failed to restore backup: ${error.message}`);
+    }
+  };
+
+  // Function to create a new trip owned by the user from a parsed (and possibly date-shifted) backup
+  const createTripFromBackup = async (backup, name) => {
+    if (!backend || !currentUserId) {
+      setErrorMessage("Cannot create trip: Storage not ready.");
+      return;
+    }
+
+    const userId = currentUserId;
+    try {
+      const tripId = await backend.trips.create(buildNewTrip({ ...backup.trip, name }, userId));
+      for (const [dateId, plan] of Object.entries(backup.plans)) {
+        await backend.plans.save(tripId, dateId, {
+          action: 'import',
+          expectedVersion: null,
+          buildNextPlan: () => toPlanDocument(plan, userId),
+          userId,
+          onSyncError: handleSyncError,
+        });
+      }
+      const { saves: seriesSaves } = planSeriesRestore(backup.series, [], 'merge', { userId });
+      await Promise.all(Object.entries(seriesSaves).map(([seriesId, entry]) => backend.series.save(tripId, seriesId, entry)));
+      setActiveTripId(tripId);
+      setShowBackup(false);
+      setErrorMessage('');
+    } catch (error) {
+      console.error("Error creating trip from backup:", error);
+      setErrorMessage(`Failed to create trip from backup: ${error.message}`);
+    }
+  };
+
+  // Function to add an expense to the active trip; returns whether it was saved
+  const saveExpense = async (fields) => {
+    if (!backend || !currentUserId || !activeTripId || !canEdit) {
+      setErrorMessage("Cannot add expense: You have view-only access to this trip.");
+      return false;
+    }
+
+    try {
+      await backend.expenses.save(activeTripId, generateId(), buildExpense(fields, currentUserId));
+      setErrorMessage('');
+      return true;
+    } catch (error) {
+      console.error("Error saving expense:", error);
+      setErrorMessage(`Failed to save expense: ${error.message}`);
+      return false;
+    }
+  };
+
+  // Function to remove an expense from the active trip
+  const removeExpense = async (expense) => {
+    if (!backend || !activeTripId || !canEdit) return;
+
+    try {
+      await backend.expenses.remove(activeTripId, expense.id);
+      setErrorMessage('');
+    } catch (error) {
+      console.error("Error removing expense:", error);
+      setErrorMessage(`Failed to remove expense: ${error.message}`);
+    }
+  };
+
+  // Function to attach a file to a day or one of its items; returns whether it was uploaded
+  const uploadAttachment = async (file, { dateId, itemId }) => {
+    if (!backend || !currentUserId || !activeTripId || !canEdit) {
+      setErrorMessage("Cannot attach file: You have view-only access to this trip.");
+      return false;
+    }
 
-// Global variables provided by the environment
-const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
-const firebaseConfig = typeof __firebase_config !== 'undefined' ? JSON.parse(__firebase_config) : {};
-const initialAuthToken = typeof __initial_auth_token !== 'undefined' ? __initial_auth_token : null;
+    try {
+      await backend.attachments.upload(activeTripId, generateId(), file, buildAttachment({ dateId, itemId, file }, currentUserId));
+      setErrorMessage('');
+      return true;
+    } catch (error) {
+      console.error("Error uploading attachment:", error);
+      setErrorMessage(`Failed to attach "${file.name}": ${error.message}`);
+      return false;
+    }
+  };
 
-// Firebase services
-let app;
-let db;
-let auth;
-let currentUserId;
+  // Function to remove an attachment and its file
+  const removeAttachment = async (attachment) => {
+    if (!backend || !activeTripId || !canEdit) return;
 
-function App() {
-  const [plans, setPlans] = useState({});
-  const [currentDate, setCurrentDate] = useState(new Date());
-  const [selectedDate, setSelectedDate] = useState(null);
-  const [showModal, setShowModal] = useState(false);
-  const [planTitle, setPlanTitle] = useState('');
-  const [planDescription, setPlanDescription] = useState('');
-  const [isAuthReady, setIsAuthReady] = useState(false);
-  const [showPrintView, setShowPrintView] = useState(false);
-  const [printStartDate, setPrintStartDate] = useState(null);
-  const [printEndDate, setPrintEndDate] = useState(null);
-  const [errorMessage, setErrorMessage] = useState('');
+    try {
+      await backend.attachments.remove(activeTripId, attachment);
+      setErrorMessage('');
+    } catch (error) {
+      console.error("Error removing attachment:", error);
+      setErrorMessage(`Failed to remove attachment: ${error.message}`);
+    }
+  };
+
+  // Function to add a multi-day or repeating entry; returns whether it was saved
+  const addSeries = async (fields) => {
+    if (!backend || !currentUserId || !activeTripId || !canEdit) {
+      setErrorMessage("Cannot add entry: You have view-only access to this trip.");
+      return false;
+    }
 
-  // 1. Initialize Firebase and handle authentication
-  useEffect(() => {
     try {
-      app = initializeApp(firebaseConfig);
-      db = getFirestore(app);
-      auth = getAuth(app);
+      await backend.series.save(activeTripId, generateId(), buildSeries(fields, currentUserId));
+      setErrorMessage('');
+      return true;
+    } catch (error) {
+      console.error("Error adding entry:", error);
+      setErrorMessage(`Failed to add entry: ${error.message}`);
+      return false;
+    }
+  };
 
-      const unsubscribe = onAuthStateChanged(auth, async (user) => {
-        if (user) {
-          currentUserId = user.uid;
-          console.log("Firebase user ID:", currentUserId);
-        } else {
-          try {
-            // Sign in anonymously if no custom token or initial sign-in fails
-            if (initialAuthToken) {
-              await signInWithCustomToken(auth, initialAuthToken);
-            } else {
-              await signInAnonymously(auth);
-            }
-            currentUserId = auth.currentUser?.uid || crypto.randomUUID(); // Fallback if still no UID
-            console.log("Signed in anonymously or with custom token. User ID:", currentUserId);
-          } catch (error) {
-            console.error("Firebase authentication error:", error);
-            setErrorMessage(`Authentication failed: ${error.message}. Please refresh.`);
-          }
-        }
-        setIsAuthReady(true);
-      });
+  // Function to edit one day of an entry, for that day only (scope 'day') or all days; returns whether it was saved
+  const updateSeries = async (entry, dateId, fields, scope) => {
+    if (!backend || !currentUserId || !activeTripId || !canEdit) {
+      setErrorMessage("Cannot edit entry: You have view-only access to this trip.");
+      return false;
+    }
 
-      return () => unsubscribe();
+    try {
+      await backend.series.update(activeTripId, entry.id, getOccurrenceUpdate(entry, dateId, fields, scope, currentUserId));
+      setErrorMessage('');
+      return true;
     } catch (error) {
-      console.error("Error initializing Firebase:", error);
-      setErrorMessage(`Firebase initialization failed: ${error.message}. Check config.`);
+      console.error("Error updating entry:", error);
+      setErrorMessage(`Failed to update entry: ${error.message}`);
+      return false;
     }
-  }, []);
+  };
 
-  // 2. Fetch data from Firestore once authenticated
-  useEffect(() => {
-    if (!isAuthReady || !db || !currentUserId) {
-      return;
+  // Function to leave one day out of an entry
+  const skipSeriesDay = async (entry, dateId) => {
+    if (!backend || !currentUserId || !activeTripId || !canEdit) return;
+
+    try {
+      await backend.series.update(activeTripId, entry.id, getSkipUpdate(entry, dateId, currentUserId));
+      setErrorMessage('');
+    } catch (error) {
+      console.error("Error skipping entry day:", error);
+      setErrorMessage(`Failed to remove the day from the entry: ${error.message}`);
     }
+  };
 
-    // Define the collection path for public data
-    // Data will be stored under /artifacts/{appId}/public/data/tripPlans
-    const plansCollectionRef = collection(db, `artifacts/${appId}/public/data/tripPlans`);
+  // Function to delete an entry from all its days
+  const removeSeries = async (entry) => {
+    if (!backend || !activeTripId || !canEdit) return;
 
-    // Listen for real-time updates to the plans
-    const q = query(plansCollectionRef); // No orderBy to avoid index issues
+    try {
+      await backend.series.remove(activeTripId, entry.id);
+      setErrorMessage('');
+    } catch (error) {
+      console.error("Error removing entry:", error);
+      setErrorMessage(`Failed to remove entry: ${error.message}`);
+    }
+  };
 
-    const unsubscribe = onSnapshot(q, (snapshot) => {
-      const fetchedPlans = {};
-      snapshot.forEach((doc) => {
-        fetchedPlans[doc.id] = doc.data();
-      });
-      setPlans(fetchedPlans);
-      setErrorMessage(''); // Clear any previous error messages
-    }, (error) => {
-      console.error("Error fetching plans from Firestore:", error);
-      setErrorMessage(`Failed to load plans: ${error.message}.`);
-    });
+  // Function to post a comment on a day or one of its items; returns whether it was saved.
+  // Every member can comment and vote, viewers included.
+  const addComment = async (fields) => {
+    if (!backend || !currentUserId || !activeTripId) return false;
+
+    try {
+      await backend.comments.save(activeTripId, generateId(), buildComment(fields, currentUserId));
+      setErrorMessage('');
+      return true;
+    } catch (error) {
+      console.error("Error saving comment:", error);
+      setErrorMessage(`Failed to post comment: ${error.message}`);
+      return false;
+    }
+  };
 
-    return () => unsubscribe(); // Cleanup listener on component unmount
-  }, [isAuthReady, db]);
+  // Function to delete one of the user's own comments
+  const removeComment = async (comment) => {
+    if (!backend || !activeTripId || comment.userId !== currentUserId) return;
 
-  // Helper function to format date as YYYY-MM-DD for Firestore document IDs
-  const formatDateId = (date) => {
-    const year = date.getFullYear();
-    const month = String(date.getMonth() + 1).padStart(2, '0');
-    const day = String(date.getDate()).padStart(2, '0');
-    return `${year}-${month}-${day}`;
+    try {
+      await backend.comments.remove(activeTripId, comment.id);
+      setErrorMessage('');
+    } catch (error) {
+      console.error("Error removing comment:", error);
+      setErrorMessage(`Failed to delete comment: ${error.message}`);
+    }
   };
 
-  // Function to handle date click
-  const handleDateClick = (day) => {
-    setSelectedDate(day);
-    const dateId = formatDateId(day);
-    const plan = plans[dateId];
-    setPlanTitle(plan?.title || '');
-    setPlanDescription(plan?.description || '');
-    setShowModal(true);
+  // Function to upvote (1) or downvote (-1) a proposal, or take the user's vote back (0)
+  const voteOnItem = async (item, value) => {
+    if (!backend || !currentUserId || !activeTripId) return;
+
+    const voteId = getVoteId(item.id, currentUserId);
+    try {
+      if (value === 0) {
+        await backend.votes.remove(activeTripId, voteId);
+      } else {
+        await backend.votes.set(activeTripId, voteId, buildVote(selectedDateId, item.id, value, currentUserId));
+      }
+      setErrorMessage('');
+    } catch (error) {
+      console.error("Error voting:", error);
+      setErrorMessage(`Failed to save your vote: ${error.message}`);
+    }
   };
 
-  // Function to save or update a plan
-  const savePlan = async () => {
-    if (!selectedDate || !db || !currentUserId) {
-      setErrorMessage("Cannot save plan: Date not selected or Firebase not ready.");
+  // Function for the trip's organizer to confirm a proposal, dropping the other alternatives for its slot
+  // and the votes on them
+  const promoteItem = async (item) => {
+    if (!backend || !currentUserId || !activeTripId || !canManageActiveTrip) {
+      setErrorMessage("Cannot promote proposal: Only the trip's owner can confirm proposals.");
       return;
     }
 
-    const dateId = formatDateId(selectedDate);
-    const planRef = doc(db, `artifacts/${appId}/public/data/tripPlans`, dateId);
+    const dateId = selectedDateId;
+    const userId = currentUserId;
+    const slot = getProposalSlots(getPlanItems(plans[dateId])).find(({ items }) => items.some(({ id }) => id === item.id));
+    const votedItemIds = new Set((slot?.items || [item]).map(({ id }) => id));
+    try {
+      await backend.plans.save(activeTripId, dateId, {
+        action: 'promote',
+        expectedVersion: getPlanVersion(plans[dateId]),
+        buildNextPlan: (currentPlan) => {
+          const { title, description, ...otherFields } = currentPlan || {};
+          return { ...otherFields, items: promoteProposal(getPlanItems(currentPlan), item.id), lastUpdatedBy: userId, timestamp: new Date() };
+        },
+        userId,
+        onSyncError: handleSyncError,
+      });
+      await Promise.all(votes.filter(vote => votedItemIds.has(vote.itemId)).map(vote => backend.votes.remove(activeTripId, vote.id)));
+      setErrorMessage('');
+    } catch (error) {
+      console.error("Error promoting proposal:", error);
+      setErrorMessage(error instanceof PlanConflictError
+        ? `${error.message} Try again with the latest plan.`
+        : `Failed to promote proposal: ${error.message}`);
+    }
+  };
+
+  // Function to add a task to the trip's or a day's checklist; returns whether it was saved
+  const addChecklistTask = async (fields) => {
+    if (!backend || !currentUserId || !activeTripId || !canEdit) {
+      setErrorMessage("Cannot add task: You have view-only access to this trip.");
+      return false;
+    }
 
     try {
-      await setDoc(planRef, {
-        title: planTitle,
-        description: planDescription,
-        lastUpdatedBy: currentUserId,
-        timestamp: new Date(),
-      }, { merge: true }); // Use merge to only update specified fields
-      setShowModal(false);
+      await backend.checklist.save(activeTripId, generateId(), buildChecklistTask(fields, currentUserId));
       setErrorMessage('');
+      return true;
     } catch (error) {
-      console.error("Error saving plan:", error);
-      setErrorMessage(`Failed to save plan: ${error.message}`);
+      console.error("Error saving task:", error);
+      setErrorMessage(`Failed to save task: ${error.message}`);
+      return false;
     }
   };
 
-  // Function to delete a plan
-  const deletePlan = async () => {
-    if (!selectedDate || !db || !currentUserId) {
-      setErrorMessage("Cannot delete plan: Date not selected or Firebase not ready.");
-      return;
+  // Function to add a template's tasks to the trip's checklist
+  const addChecklistTemplate = async (templateId) => {
+    if (!backend || !currentUserId || !activeTrip || !canEdit) return;
+
+    try {
+      const tasks = buildTemplateTasks(templateId, activeTrip, checklistTasks, currentUserId);
+      await Promise.all(tasks.map(task => backend.checklist.save(activeTrip.id, generateId(), task)));
+      setErrorMessage('');
+    } catch (error) {
+      console.error("Error adding checklist template:", error);
+      setErrorMessage(`Failed to add checklist template: ${error.message}`);
     }
+  };
 
-    const dateId = formatDateId(selectedDate);
-    const planRef = doc(db, `artifacts/${appId}/public/data/tripPlans`, dateId);
+  // Function to tick a task off or reopen it
+  const toggleChecklistTask = async (task, done) => {
+    if (!backend || !currentUserId || !activeTripId || !canEdit) return;
 
     try {
-      await deleteDoc(planRef);
-      setShowModal(false);
+      await backend.checklist.update(activeTripId, task.id, getTaskCompletion(done, currentUserId));
       setErrorMessage('');
     } catch (error) {
-      console.error("Error deleting plan:", error);
-      setErrorMessage(`Failed to delete plan: ${error.message}`);
-    }
-  };
-
-  // Calendar rendering logic
-  const renderCalendar = () => {
-    const startDay = new Date(currentDate.getFullYear(), currentDate.getMonth(), 1);
-    const endDay = new Date(currentDate.getFullYear(), currentDate.getMonth() + 1, 0);
-    const numDays = endDay.getDate();
-
-    const calendarDays = [];
-    const firstDayOfWeek = startDay.getDay(); // 0 for Sunday, 6 for Saturday
-
-    // Add empty cells for days before the 1st of the month
-    for (let i = 0; i < firstDayOfWeek; i++) {
-      calendarDays.push(<div key={`empty-${i}`} className="w-1/7 aspect-square p-2 border-r border-b border-gray-200"></div>);
-    }
-
-    // Add actual days
-    for (let i = 1; i <= numDays; i++) {
-      const day = new Date(currentDate.getFullYear(), currentDate.getMonth(), i);
-      const dateId = formatDateId(day);
-      const plan = plans[dateId];
-      const hasPlan = !!plan?.title || !!plan?.description;
-
-      calendarDays.push(
-        <div
-          key={dateId}
-          className={`w-1/7 aspect-square p-2 border-r border-b border-gray-200 cursor-pointer relative
-                      ${hasPlan ? 'bg-blue-100' : 'bg-white'}
-                      hover:bg-blue-200 transition-colors duration-200
-                      ${selectedDate && formatDateId(selectedDate) === dateId ? 'border-2 border-blue-500 ring-2 ring-blue-300' : ''}`}
-          onClick={() => handleDateClick(day)}
-        >
-          <span className="font-bold text-gray-800 text-lg">{i}</span>
-          {hasPlan && (
-            <div className="absolute bottom-1 left-1 right-1 text-xs text-blue-800 truncate">
-              {plan.title || 'Plan exists'}
-            </div>
-          )}
-        </div>
-      );
+      console.error("Error updating task:", error);
+      setErrorMessage(`Failed to update task: ${error.message}`);
     }
+  };
 
-    return (
-      <div className="grid grid-cols-7 gap-px bg-gray-200 border-t border-l border-gray-200 rounded-lg overflow-hidden">
-        {['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].map(day => (
-          <div key={day} className="w-full text-center py-2 bg-gray-100 text-gray-600 font-semibold text-sm border-b border-r border-gray-200">
-            {day}
-          </div>
-        ))}
-        {calendarDays}
-      </div>
-    );
+  // Function to remove a task from a checklist
+  const removeChecklistTask = async (task) => {
+    if (!backend || !activeTripId || !canEdit) return;
+
+    try {
+      await backend.checklist.remove(activeTripId, task.id);
+      setErrorMessage('');
+    } catch (error) {
+      console.error("Error removing task:", error);
+      setErrorMessage(`Failed to remove task: ${error.message}`);
+    }
   };
 
-  const handlePrintView = () => {
-    setShowPrintView(true);
-    setPrintStartDate(null); // Reset for new selection
-    setPrintEndDate(null);   // Reset for new selection
+  // Function to save the active trip's currency, budgets and exchange rates
+  const saveBudgetSettings = async (settings) => {
+    if (!activeTrip || !backend || !canEdit) return;
+
+    try {
+      await backend.trips.update(activeTrip.id, settings);
+      setShowBudget(false);
+      setErrorMessage('');
+    } catch (error) {
+      console.error("Error saving budget:", error);
+      setErrorMessage(`Failed to save budget: ${error.message}`);
+    }
   };
 
-  const generatePrintContent = () => {
-    if (!printStartDate || !printEndDate) {
-      setErrorMessage("Please select a start and end date for printing.");
-      return;
+  // Function to join the trip an invite token points to
+  const acceptInvite = async (token) => {
+    try {
+      const invite = await backend.invites.get(token);
+      if (!invite || isInviteExpired(invite)) {
+        setErrorMessage("This invite link is invalid or has expired. Ask the trip owner for a new one.");
+        return;
+      }
+
+      // Existing members keep their current role
+      if (!trips.some(trip => trip.id === invite.tripId)) {
+        await backend.trips.join(invite.tripId, currentUserId, invite.role, token);
+      }
+      setActiveTripId(invite.tripId);
+      setErrorMessage('');
+    } catch (error) {
+      console.error("Error accepting invite:", error);
+      setErrorMessage(`Failed to join trip: ${error.message}`);
+    }
+  };
+  acceptInviteRef.current = acceptInvite;
+
+  // Function to create an invite link for the active trip
+  const createInvite = async (role) => {
+    if (!activeTrip || !backend) return;
+
+    try {
+      const { token, ...invite } = buildInvite(activeTrip, role, currentUserId);
+      await backend.invites.create(token, invite);
+      setErrorMessage('');
+    } catch (error) {
+      console.error("Error creating invite:", error);
+      setErrorMessage(`Failed to create invite link: ${error.message}`);
+    }
+  };
+
+  // Function to revoke an invite link
+  const revokeInvite = async (token) => {
+    try {
+      await backend.invites.remove(token);
+      setErrorMessage('');
+    } catch (error) {
+      console.error("Error revoking invite:", error);
+      setErrorMessage(`Failed to revoke invite link: ${error.message}`);
+    }
+  };
+
+  // Function to save the user's display name and avatar
+  const saveProfile = async ({ displayName, photoURL }) => {
+    if (!backend || !currentUserId) return;
+
+    try {
+      await backend.profiles.save(currentUserId, {
+        displayName,
+        photoURL,
+        updatedAt: new Date(),
+      });
+      await backend.auth.updateProfile({ displayName, photoURL });
+      setShowAccount(false);
+      setErrorMessage('');
+    } catch (error) {
+      console.error("Error saving profile:", error);
+      setErrorMessage(`Failed to save profile: ${error.message}`);
+    }
+  };
+
+  // Function to turn a guest session into an email/password account.
+  // The user ID stays the same, so trips and plans stay attached to the user.
+  const createAccount = async (email, password) => {
+    try {
+      setAuthUser(await backend.auth.createAccount(email, password));
+      setShowAccount(false);
+      setErrorMessage('');
+    } catch (error) {
+      console.error("Error creating account:", error);
+      setErrorMessage(`Failed to create account: ${error.message}`);
+    }
+  };
+
+  // Function to sign in to an existing email/password account
+  const signIn = async (email, password) => {
+    try {
+      await backend.auth.signIn(email, password);
+      setShowAccount(false);
+      setErrorMessage('');
+    } catch (error) {
+      console.error("Error signing in:", error);
+      setErrorMessage(`Failed to sign in: ${error.message}`);
+    }
+  };
+
+  // Function to sign out; a fresh guest session starts automatically afterwards
+  const signOutUser = async () => {
+    try {
+      await backend.auth.signOut();
+      setTrips([]);
+      setTripsLoaded(false);
+      setProfiles({});
+      setShowAccount(false);
+      setErrorMessage('');
+    } catch (error) {
+      console.error("Error signing out:", error);
+      setErrorMessage(`Failed to sign out: ${error.message}`);
     }
+  };
 
-    const start = new Date(printStartDate);
-    const end = new Date(printEndDate);
-    const printablePlans = [];
+  // Function to create a new trip or update the active trip's details
+  const saveTrip = async (fields) => {
+    if (!backend || !currentUserId) {
+      setErrorMessage("Cannot save trip: Storage not ready.");
+      return;
+    }
 
-    let currentDate = new Date(start);
-    while (currentDate <= end) {
-      const dateId = formatDateId(currentDate);
-      const plan = plans[dateId];
-      if (plan && (plan.title || plan.description)) {
-        printablePlans.push({ date: new Date(currentDate), plan: plan });
+    const existingTrip = tripForm?.trip;
+    try {
+      if (existingTrip) {
+        await backend.trips.update(existingTrip.id, {
+          name: fields.name.trim(),
+          destination: fields.destination.trim(),
+          startDate: fields.startDate,
+          endDate: fields.endDate,
+          color: fields.color,
+          timeZone: fields.timeZone,
+        });
+      } else {
+        const tripId = await backend.trips.create(buildNewTrip(fields, currentUserId));
+        if (fields.copyLegacyPlans) {
+          await backend.plans.importLegacy(tripId, fields.startDate, fields.endDate, currentUserId);
+        }
+        setActiveTripId(tripId);
       }
-      currentDate.setDate(currentDate.getDate() + 1);
-    }
-
-    // Sort by date to ensure correct order
-    printablePlans.sort((a, b) => a.date - b.date);
-
-    return (
-      <div className="p-4 bg-white rounded-lg shadow-md max-w-4xl mx-auto">
-        <h2 className="text-2xl font-bold mb-6 text-center text-gray-800">
-          Trip Itinerary: {formatDateId(start)} to {formatDateId(end)}
-        </h2>
-        {printablePlans.length === 0 ? (
-          <p className="text-center text-gray-600">No plans found for the selected date range.</p>
-        ) : (
-          printablePlans.map((item, index) => (
-            <div key={index} className="mb-6 p-4 border border-gray-200 rounded-lg bg-gray-50 shadow-sm">
-              <h3 className="text-xl font-semibold text-blue-700 mb-2">{item.date.toDateString()}</h3>
-              <p className="text-gray-900 font-medium text-lg mb-1">{item.plan.title}</p>
-              <p className="text-gray-700 leading-relaxed whitespace-pre-wrap">{item.plan.description}</p>
-              <p className="text-sm text-gray-500 mt-2">Last updated by: {item.plan.lastUpdatedBy}</p>
-            </div>
-          ))
-        )}
-        <div className="flex justify-center mt-6 print:hidden">
-          <button
-            onClick={() => window.print()}
-            className="px-6 py-3 bg-green-600 text-white font-semibold rounded-lg shadow-md hover:bg-green-700 transition-colors duration-200"
-          >
-            Print
-          </button>
-          <button
-            onClick={() => setShowPrintView(false)}
-            className="ml-4 px-6 py-3 bg-gray-500 text-white font-semibold rounded-lg shadow-md hover:bg-gray-600 transition-colors duration-200"
-          >
-            Close
-          </button>
-        </div>
-      </div>
-    );
+      setTripForm(null);
+      setErrorMessage('');
+    } catch (error) {
+      console.error("Error saving trip:", error);
+      setErrorMessage(`Failed to save trip: ${error.message}`);
+    }
+  };
+
+  // Function to delete the active trip along with its plans
+  const deleteTrip = async () => {
+    if (!activeTrip || !backend) return;
+    if (!window.confirm(`Delete "${activeTrip.name}" and all of its plans? This cannot be undone.`)) return;
+
+    try {
+      await backend.trips.remove(activeTrip.id);
+      setTripForm(null);
+      setErrorMessage('');
+    } catch (error) {
+      console.error("Error deleting trip:", error);
+      setErrorMessage(`Failed to delete trip: ${error.message}`);
+    }
+  };
+
+  // Function to add, change the role of, or remove (role = null) a member of the active trip
+  const updateTripMember = async (memberId, role) => {
+    if (!activeTrip || !backend) return;
+
+    try {
+      await backend.trips.update(activeTrip.id, withMemberRole(activeTrip, memberId, role));
+      setErrorMessage('');
+    } catch (error) {
+      console.error("Error updating trip members:", error);
+      setErrorMessage(`Failed to update trip members: ${error.message}`);
+    }
   };
 
-  // Helper for date input formatting
-  const formatDateForInput = (date) => {
-    if (!date) return '';
-    const d = new Date(date);
-    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+  // Function for the "Today" button: range views scroll to today if they show it, other views move to it
+  const goToToday = () => {
+    setViewDate(todayId);
+    if (!isRangeView(calendarView)) return;
+
+    const shownDateIds = calendarView === 'trip'
+      ? getWeeksBetween(activeTrip.startDate, activeTrip.endDate, weekStartsOn).flat()
+      : getAgendaDates(activeTrip, displayPlans);
+    if (shownDateIds.includes(todayId)) {
+      document.getElementById(getDayElementId(todayId))?.scrollIntoView?.({ behavior: 'smooth', block: 'center' });
+    } else {
+      setCalendarView('day');
+    }
   };
 
   return (
@@ -285,10 +1435,6 @@ function App() {
       <style>{`
         @import url('https://fonts.googleapis.com/css2?family=Inter:wght@300;400;500;600;700&display=swap');
         body { font-family: 'Inter', sans-serif; }
-        @media print {
-            body > div:not(.print-content) { display: none; }
-            .print-content { display: block; width: 100%; margin: 0; padding: 0; }
-        }
         /* Keyframes for the modal animation */
         @keyframes fade-in-scale {
           from {
@@ -333,77 +1479,437 @@ function App() {
             Collaborative Trip Planner
           </h1>
 
-          <div className="flex justify-center mb-6 text-xl font-semibold text-gray-700">
-            <button
-              onClick={() => setCurrentDate(new Date(currentDate.getFullYear(), currentDate.getMonth() - 1, 1))}
-              className="px-4 py-2 bg-blue-100 rounded-lg hover:bg-blue-200 transition-colors duration-200 mr-2"
-            >
-              &lt;
-            </button>
-            <span>{currentDate.toLocaleString('default', { month: 'long', year: 'numeric' })}</span>
-            <button
-              onClick={() => setCurrentDate(new Date(currentDate.getFullYear(), currentDate.getMonth() + 1, 1))}
-              className="px-4 py-2 bg-blue-100 rounded-lg hover:bg-blue-200 transition-colors duration-200 ml-2"
-            >
-              &gt;
-            </button>
+          <div className="flex justify-center mb-4">
+            <ConnectionStatus isOnline={isOnline} pendingCount={pendingDateIds.size} />
           </div>
 
+          <TripSwitcher
+            trips={trips}
+            activeTripId={activeTripId}
+            currentUserId={currentUserId}
+            onSelect={setActiveTripId}
+            onCreate={() => setTripForm({ trip: null })}
+            onEdit={(trip) => setTripForm({ trip })}
+          />
+
+          {activeTrip && <TripBanner trip={activeTrip} />}
+          {activeTrip && (
+            <PresenceBar viewers={viewers} profiles={profiles} onOpenDay={(dateId) => handleDateClick(parseDateId(dateId))} />
+          )}
+
+          {activeTrip && (
+            <CalendarToolbar
+              view={calendarView}
+              title={getViewTitle(calendarView, viewDate, weekStartsOn, activeTrip)}
+              weekStartsOn={weekStartsOn}
+              onViewChange={setCalendarView}
+              onShift={(direction) => setViewDate(shiftViewDate(calendarView, viewDate, direction))}
+              onToday={goToToday}
+              onWeekStartChange={setWeekStartsOn}
+              tripTimeZone={tripTimeZone}
+              viewerTimeZone={getViewerTimeZone()}
+              showViewerTime={showViewerTime}
+              onShowViewerTimeChange={setShowViewerTime}
+            />
+          )}
+
+          {activeTrip && (
+            <SearchPanel
+              trip={activeTrip}
+              plans={displayPlans}
+              profiles={profiles}
+              query={searchQuery}
+              filters={searchFilters}
+              results={searchResults}
+              onQueryChange={setSearchQuery}
+              onFiltersChange={setSearchFilters}
+              onOpenDay={(dateId) => {
+                setViewDate(dateId);
+                openDisplayedDay(dateId);
+              }}
+            />
+          )}
+
           <div className="flex flex-col md:flex-row items-center justify-between mb-8">
-            <p className="text-gray-600 text-sm mb-2 md:mb-0">
-              Your User ID: <span className="font-mono bg-gray-100 px-2 py-1 rounded text-gray-700 break-all">{currentUserId}</span>
-              <br />Share this ID with others to identify your updates.
-            </p>
-            <button
-              onClick={handlePrintView}
-              className="px-6 py-3 bg-purple-600 text-white font-semibold rounded-lg shadow-lg hover:bg-purple-700 transition-colors duration-200 transform hover:scale-105"
-            >
-              Create Printable Plan
-            </button>
+            {authUser ? (
+              <button
+                onClick={() => setShowAccount(true)}
+                className="flex items-center gap-3 text-left text-sm text-gray-600 mb-2 md:mb-0 rounded-lg px-2 py-1 hover:bg-gray-100 transition-colors duration-200"
+              >
+                <Avatar profiles={profiles} userId={authUser.uid} />
+                <span>
+                  <span className="block font-semibold text-gray-800">{getDisplayName(profiles, authUser.uid)}</span>
+                  {authUser.isAnonymous ? 'Guest — create an account to keep your trips' : authUser.email}
+                </span>
+              </button>
+            ) : <span></span>}
+            <div className="flex gap-3">
+              {activeTrip && canEdit && (
+                <button
+                  onClick={() => setIcsDialog('import')}
+                  className="px-4 py-3 bg-gray-100 text-gray-700 font-semibold rounded-lg hover:bg-gray-200 transition-colors duration-200"
+                >
+                  Import .ics
+                </button>
+              )}
+              {activeTrip && (
+                <button
+                  onClick={() => setIcsDialog('export')}
+                  className="px-4 py-3 bg-gray-100 text-gray-700 font-semibold rounded-lg hover:bg-gray-200 transition-colors duration-200"
+                >
+                  Export .ics
+                </button>
+              )}
+              {activeTrip && (
+                <button
+                  onClick={() => setShowActivity(true)}
+                  className="px-4 py-3 bg-gray-100 text-gray-700 font-semibold rounded-lg hover:bg-gray-200 transition-colors duration-200"
+                >
+                  Activity{unreadDateIds.size > 0 && ` (${activityFeed.filter(entry => entry.unread).length} new)`}
+                </button>
+              )}
+              {activeTrip && (
+                <button
+                  onClick={() => setShowChecklists(true)}
+                  className="px-4 py-3 bg-gray-100 text-gray-700 font-semibold rounded-lg hover:bg-gray-200 transition-colors duration-200"
+                >
+                  Checklists
+                </button>
+              )}
+              {activeTrip && (
+                <button
+                  onClick={() => setShowBudget(true)}
+                  className="px-4 py-3 bg-gray-100 text-gray-700 font-semibold rounded-lg hover:bg-gray-200 transition-colors duration-200"
+                >
+                  Budget
+                </button>
+              )}
+              {activeTrip && (
+                <button
+                  onClick={() => setShowBackup(true)}
+                  className="px-4 py-3 bg-gray-100 text-gray-700 font-semibold rounded-lg hover:bg-gray-200 transition-colors duration-200"
+                >
+                  Backup
+                </button>
+              )}
+              {activeTrip && (
+                <button
+                  onClick={() => setShowRecentlyDeleted(true)}
+                  className="px-4 py-3 bg-gray-100 text-gray-700 font-semibold rounded-lg hover:bg-gray-200 transition-colors duration-200"
+                >
+                  Recently Deleted
+                </button>
+              )}
+              {activeTrip && (
+                <button
+                  onClick={() => setShowPrintView(true)}
+                  className="px-6 py-3 bg-purple-600 text-white font-semibold rounded-lg shadow-lg hover:bg-purple-700 transition-colors duration-200 transform hover:scale-105"
+                >
+                  Create Printable Plan
+                </button>
+              )}
+            </div>
           </div>
 
-          {renderCalendar()}
+          {activeTrip && canEdit && (
+            <DaySelectionToolbar
+              isUnavailable={!showsTripDays}
+              isSelecting={isSelectingDays}
+              selectedCount={selectedDayIds.size}
+              onStart={() => setIsSelectingDays(true)}
+              onShift={(offset) => shiftSelectedDays(offset, false)}
+              onDuplicate={(offset) => shiftSelectedDays(offset, true)}
+              onDelete={deleteSelectedDays}
+              onSelectToEnd={selectThroughLastDay}
+              onClear={() => setSelectedDayIds(new Set())}
+              onDone={() => {
+                setIsSelectingDays(false);
+                setSelectedDayIds(new Set());
+              }}
+            />
+          )}
+          {undoStack.length > 0 && (
+            <UndoBar
+              label={undoStack[undoStack.length - 1].label}
+              onUndo={undoLastReschedule}
+              onDismiss={() => setUndoStack([])}
+            />
+          )}
+
+          {activeTrip ? (
+            <CalendarView
+              view={calendarView}
+              dateId={viewDate}
+              weekStartsOn={weekStartsOn}
+              trip={activeTrip}
+              plans={displayPlans}
+              pendingDateIds={pendingDateIds}
+              selectedDateId={selectedDateId}
+              todayId={todayId}
+              mapProvider={mapProvider}
+              dailyTotals={getDailyTotals(expenses, activeTrip)}
+              currency={getTripCurrency(activeTrip)}
+              checklistProgress={getChecklistProgress(checklistTasks)}
+              commentCounts={countCommentsByDay(comments)}
+              isDayMatching={getDayMatcher(displayPlans, searchQuery, searchFilters, profiles)}
+              onOpenDay={openDisplayedDay}
+              onDropPlan={canEdit && showsTripDays ? dropPlan : undefined}
+              unreadDateIds={unreadDateIds}
+              dayViewers={dayViewerNames}
+              selectedDayIds={isSelectingDays && showsTripDays ? selectedDayIds : undefined}
+              onSelectDay={selectDay}
+            />
+          ) : (
+            <div className="text-center py-16 border-2 border-dashed border-gray-300 rounded-lg text-gray-600">
+              {tripsLoaded ? 'Create a trip to start planning, or open an invite link from a trip owner.' : 'Loading trips...'}
+            </div>
+          )}
+
+          {tripForm && (
+            <TripFormModal
+              trip={tripForm.trip}
+              currentUserId={currentUserId}
+              profiles={profiles}
+              invites={invites}
+              onSave={saveTrip}
+              onDelete={deleteTrip}
+              onUpdateMember={updateTripMember}
+              onCreateInvite={createInvite}
+              onRevokeInvite={revokeInvite}
+              onClose={() => setTripForm(null)}
+            />
+          )}
+
+          {showRecentlyDeleted && (
+            <RecentlyDeletedModal
+              deletedRevisions={getRecentlyDeleted(deleteRevisions, plans)}
+              profiles={profiles}
+              canRestore={canEdit}
+              onRestore={restoreRevision}
+              onClose={() => setShowRecentlyDeleted(false)}
+            />
+          )}
+
+          {icsDialog === 'export' && activeTrip && (
+            <IcsExportModal
+              trip={activeTrip}
+              plans={plansWithSeries}
+              onExport={exportIcs}
+              onClose={() => setIcsDialog(null)}
+            />
+          )}
+
+          {showBackup && activeTrip && (
+            <BackupModal
+              trip={activeTrip}
+              plans={plans}
+              series={series}
+              appId={appId}
+              canEdit={canEdit}
+              onDownload={downloadBackup}
+              onRestore={restoreBackup}
+              onCreateTrip={createTripFromBackup}
+              onClose={() => setShowBackup(false)}
+            />
+          )}
+
+          {showBudget && activeTrip && (
+            <BudgetModal
+              trip={activeTrip}
+              expenses={expenses}
+              profiles={profiles}
+              canEdit={canEdit}
+              onSaveSettings={saveBudgetSettings}
+              onClose={() => setShowBudget(false)}
+            />
+          )}
+
+          {showActivity && activeTrip && (
+            <ActivityFeedModal
+              feed={activityFeed}
+              profiles={profiles}
+              onOpenDay={(dateId) => {
+                setShowActivity(false);
+                setViewDate(dateId);
+                handleDateClick(parseDateId(dateId));
+              }}
+              onMarkAllRead={markAllRead}
+              onClose={() => setShowActivity(false)}
+            />
+          )}
+
+          {showChecklists && activeTrip && (
+            <ChecklistModal
+              trip={activeTrip}
+              tasks={checklistTasks}
+              profiles={profiles}
+              todayId={todayId}
+              canEdit={canEdit}
+              onAdd={addChecklistTask}
+              onAddTemplate={addChecklistTemplate}
+              onToggle={toggleChecklistTask}
+              onRemove={removeChecklistTask}
+              onOpenDay={(dateId) => {
+                setShowChecklists(false);
+                handleDateClick(parseDateId(dateId));
+              }}
+              onClose={() => setShowChecklists(false)}
+            />
+          )}
+
+          {icsDialog === 'import' && activeTrip && (
+            <IcsImportModal
+              trip={activeTrip}
+              plans={plans}
+              onImport={importIcs}
+              onClose={() => setIcsDialog(null)}
+            />
+          )}
+
+          {showAccount && authUser && (
+            <AccountModal
+              authUser={authUser}
+              profiles={profiles}
+              onSaveProfile={saveProfile}
+              onCreateAccount={createAccount}
+              onSignIn={signIn}
+              onSignOut={signOutUser}
+              onClose={() => setShowAccount(false)}
+            />
+          )}
 
           {/* Plan Input Modal */}
           {showModal && (
             <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
-              <div className="bg-white rounded-lg shadow-xl p-6 w-full max-w-lg relative transform transition-all duration-300 scale-95 opacity-0 animate-fade-in-scale">
-                <h2 className="text-2xl font-bold text-blue-700 mb-4">
-                  Plan for {selectedDate?.toDateString()}
-                </h2>
-                <div className="mb-4">
-                  <label htmlFor="planTitle" className="block text-gray-700 text-sm font-bold mb-2">
-                    Title:
-                  </label>
-                  <input
-                    type="text"
-                    id="planTitle"
-                    className="shadow appearance-none border rounded-lg w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:ring-2 focus:ring-blue-300"
-                    value={planTitle}
-                    onChange={(e) => setPlanTitle(e.target.value)}
-                    placeholder="e.g., Explore City Center"
-                  />
-                </div>
-                <div className="mb-6">
-                  <label htmlFor="planDescription" className="block text-gray-700 text-sm font-bold mb-2">
-                    Description:
-                  </label>
-                  <textarea
-                    id="planDescription"
-                    className="shadow appearance-none border rounded-lg w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:ring-2 focus:ring-blue-300 h-32 resize-y"
-                    value={planDescription}
-                    onChange={(e) => setPlanDescription(e.target.value)}
-                    placeholder="Details: Visit museum, lunch at cafe, evening show..."
-                  ></textarea>
-                </div>
-                <div className="flex justify-end gap-3">
+              <div className="bg-white rounded-lg shadow-xl p-6 w-full max-w-2xl relative transform transition-all duration-300 scale-95 opacity-0 animate-fade-in-scale max-h-full overflow-y-auto">
+                <div className="flex items-start justify-between mb-4">
+                  <h2 className="text-2xl font-bold text-blue-700">
+                    Plan for {selectedDate?.toDateString()}
+                  </h2>
                   <button
-                    onClick={savePlan}
-                    className="bg-blue-600 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-300 transition-colors duration-200 shadow-md"
+                    onClick={() => setShowHistory(!showHistory)}
+                    className="px-3 py-1 text-sm bg-gray-100 text-gray-700 font-semibold rounded-lg hover:bg-gray-200 transition-colors duration-200"
                   >
-                    Save Plan
+                    {showHistory ? 'Back to Plan' : 'History'}
                   </button>
-                  {plans[formatDateId(selectedDate)] && (
+                </div>
+                {!showsTripDays && (
+                  <p className="mb-4 px-3 py-2 bg-blue-50 text-blue-800 text-sm rounded-lg">
+                    Days and times here are in the trip's time zone ({tripTimeZone}); the calendar shows them in {displayTimeZone}.
+                  </p>
+                )}
+                {dayViewerNames[selectedDateId] && (
+                  <p className="mb-4 px-3 py-2 bg-pink-50 text-pink-800 text-sm rounded-lg" role="status">
+                    {dayViewerNames[selectedDateId].join(', ')} also {dayViewerNames[selectedDateId].length === 1 ? 'has' : 'have'} this day open.
+                  </p>
+                )}
+                {hasConflict && !draftUnchanged && canEdit && (
+                  <ConflictPanel
+                    incomingPlan={incomingPlan}
+                    draftItems={planItems}
+                    profiles={profiles}
+                    onMerge={mergeIncomingPlan}
+                    onOverwrite={overwriteIncomingPlan}
+                    onDiscard={discardDraft}
+                  />
+                )}
+                {showHistory ? (
+                  <PlanHistory
+                    revisions={dayRevisions}
+                    profiles={profiles}
+                    canRestore={canEdit}
+                    onRestore={restoreRevision}
+                  />
+                ) : (
+                  <>
+                    <ItemListEditor
+                      items={planItems}
+                      onChange={setPlanItems}
+                      tripTimeZone={tripTimeZone}
+                      mapProvider={mapProvider}
+                      readOnly={!canEdit}
+                    />
+                    {canEdit && (
+                      <DayMoveControls
+                        key={`move-${selectedDateId}`}
+                        dateId={selectedDateId}
+                        items={getPlanItems(plans[selectedDateId])}
+                        disabled={!draftUnchanged}
+                        onMove={async (move) => {
+                          if (await dropPlan(move)) setShowModal(false);
+                        }}
+                      />
+                    )}
+                    <DayDiscussion
+                      key={`discussion-${selectedDateId}`}
+                      dateId={selectedDateId}
+                      items={getPlanItems(plans[selectedDateId])}
+                      comments={comments.filter(comment => comment.dateId === selectedDateId)}
+                      tallies={tallyVotes(votes.filter(vote => vote.dateId === selectedDateId), currentUserId)}
+                      profiles={profiles}
+                      currentUserId={currentUserId}
+                      canPromote={canManageActiveTrip}
+                      promoteDisabled={!draftUnchanged}
+                      onVote={voteOnItem}
+                      onPromote={promoteItem}
+                      onComment={addComment}
+                      onRemoveComment={removeComment}
+                    />
+                    <DaySeries
+                      key={selectedDateId}
+                      dateId={selectedDateId}
+                      trip={activeTrip}
+                      seriesList={series}
+                      canEdit={canEdit}
+                      onAdd={addSeries}
+                      onUpdate={updateSeries}
+                      onSkip={skipSeriesDay}
+                      onDelete={removeSeries}
+                    />
+                    <DayAttachments
+                      dateId={selectedDateId}
+                      items={getPlanItems(plans[selectedDateId])}
+                      attachments={attachments.filter(attachment => attachment.dateId === selectedDateId)}
+                      canEdit={canEdit}
+                      maxSize={backend?.attachments.maxSize}
+                      onUpload={uploadAttachment}
+                      onRemove={removeAttachment}
+                    />
+                    <DayExpenses
+                      dateId={selectedDateId}
+                      trip={activeTrip}
+                      items={getPlanItems(plans[selectedDateId])}
+                      expenses={expenses.filter(expense => expense.dateId === selectedDateId)}
+                      profiles={profiles}
+                      currentUserId={currentUserId}
+                      canEdit={canEdit}
+                      onAdd={saveExpense}
+                      onRemove={removeExpense}
+                    />
+                    <Checklist
+                      title="Tasks"
+                      dateId={selectedDateId}
+                      trip={activeTrip}
+                      tasks={checklistTasks.filter(task => task.dateId === selectedDateId)}
+                      profiles={profiles}
+                      todayId={todayId}
+                      canEdit={canEdit}
+                      onAdd={addChecklistTask}
+                      onToggle={toggleChecklistTask}
+                      onRemove={removeChecklistTask}
+                    />
+                  </>
+                )}
+                <div className="flex justify-end gap-3">
+                  {canEdit && !showHistory && (
+                    <button
+                      onClick={savePlan}
+                      className="bg-blue-600 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-300 transition-colors duration-200 shadow-md"
+                    >
+                      Save Plan
+                    </button>
+                  )}
+                  {canEdit && !showHistory && plans[formatDateId(selectedDate)] && (
                     <button
                       onClick={deletePlan}
                       className="bg-red-600 hover:bg-red-700 text-white font-bold py-2 px-4 rounded-lg focus:outline-none focus:ring-2 focus:ring-red-300 transition-colors duration-200 shadow-md"
@@ -422,74 +1928,15 @@ function App() {
             </div>
           )}
 
-          {/* Print View Modal */}
-          {showPrintView && (
-            <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
-              <div className="bg-white rounded-lg shadow-xl p-6 w-full max-w-2xl relative transform transition-all duration-300 scale-95 opacity-0 animate-fade-in-scale">
-                <h2 className="text-2xl font-bold text-blue-700 mb-4">Select Date Range for Printing</h2>
-                <div className="mb-4">
-                  <label htmlFor="printStartDate" className="block text-gray-700 text-sm font-bold mb-2">
-                    Start Date:
-                  </label>
-                  <input
-                    type="date"
-                    id="printStartDate"
-                    className="shadow appearance-none border rounded-lg w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:ring-2 focus:ring-blue-300"
-                    value={formatDateForInput(printStartDate)}
-                    onChange={(e) => setPrintStartDate(e.target.value ? new Date(e.target.value + 'T00:00:00') : null)} // Add T00:00:00 to avoid timezone issues
-                  />
-                </div>
-                <div className="mb-6">
-                  <label htmlFor="printEndDate" className="block text-gray-700 text-sm font-bold mb-2">
-                    End Date:
-                  </label>
-                  <input
-                    type="date"
-                    id="printEndDate"
-                    className="shadow appearance-none border rounded-lg w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:ring-2 focus:ring-blue-300"
-                    value={formatDateForInput(printEndDate)}
-                    onChange={(e) => setPrintEndDate(e.target.value ? new Date(e.target.value + 'T23:59:59') : null)} // Add T23:59:59
-                  />
-                </div>
-                <div className="flex justify-end gap-3">
-                  <button
-                    onClick={() => {
-                      if (printStartDate && printEndDate) {
-                        const content = generatePrintContent();
-                        if (content) {
-                          const printWindow = window.open('', '_blank');
-                          printWindow.document.write('<!DOCTYPE html><html><head><title>Trip Plan Print</title>');
-                          printWindow.document.write('<link href="https://cdn.jsdelivr.net/npm/tailwindcss@2.2.19/dist/tailwind.min.css" rel="stylesheet">');
-                          printWindow.document.write('<style>');
-                          printWindow.document.write(`@import url('https://fonts.googleapis.com/css2?family=Inter:wght@300;400;500;600;700&display=swap');`);
-                          printWindow.document.write(`body { font-family: 'Inter', sans-serif; margin: 0; padding: 0; }`);
-                          printWindow.document.write(`@media print { .print\\:hidden { display: none !important; } }`);
-                          printWindow.document.write('</style></head><body class="print-content">');
-                          // Injecting React component content as plain HTML string
-                          const tempDiv = document.createElement('div');
-                          tempDiv.appendChild(content); // Append the React element to a temporary div to get its innerHTML
-                          printWindow.document.write(tempDiv.innerHTML);
-                          printWindow.document.write('</body></html>');
-                          printWindow.document.close();
-                          printWindow.focus();
-                        }
-                      } else {
-                        setErrorMessage("Please select both start and end dates.");
-                      }
-                    }}
-                    className="bg-green-600 hover:bg-green-700 text-white font-bold py-2 px-4 rounded-lg focus:outline-none focus:ring-2 focus:ring-green-300 transition-colors duration-200 shadow-md"
-                  >
-                    Show Printable View
-                  </button>
-                  <button
-                    onClick={() => setShowPrintView(false)}
-                    className="bg-gray-400 hover:bg-gray-500 text-white font-bold py-2 px-4 rounded-lg focus:outline-none focus:ring-2 focus:ring-gray-300 transition-colors duration-200 shadow-md"
-                  >
-                    Cancel
-                  </button>
-                </div>
-              </div>
-            </div>
+          {showPrintView && activeTrip && (
+            <ItineraryExportModal
+              trip={activeTrip}
+              plans={plansWithSeries}
+              attachments={attachments}
+              profiles={profiles}
+              onError={setErrorMessage}
+              onClose={() => setShowPrintView(false)}
+            />
           )}
         </div>
       )}
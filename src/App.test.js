@@ -1,8 +1,461 @@
-import { render, screen } from '@testing-library/react';
+import { render, screen, fireEvent, waitFor, act } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
 import App from './App';
+import { createMemoryBackend } from './storage';
+import { createOfflineProvider } from './maps';
+import { getViewerTimeZone, convertDateTime } from './utils/timeZones';
+import { parseDateId } from './utils/dates';
+import { buildPresence } from './utils/presence';
 
-test('renders learn react link', () => {
-  render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+// Renders the app on an in-memory backend and the offline map, and creates a trip over 10-12 May 2030,
+// in the viewer's time zone unless another is given
+const renderWithTrip = async ({ timeZone, backend = createMemoryBackend() } = {}) => {
+  render(<App backend={backend} mapProvider={createOfflineProvider()} />);
+
+  userEvent.click(await screen.findByRole('button', { name: '+ New Trip' }));
+  userEvent.type(screen.getByLabelText('Name:'), 'Lisbon Weekend');
+  userEvent.type(screen.getByLabelText('Start Date:'), '2030-05-10');
+  userEvent.type(screen.getByLabelText('End Date:'), '2030-05-12');
+  if (timeZone) {
+    userEvent.selectOptions(screen.getByLabelText('Home Time Zone:'), timeZone);
+  }
+  userEvent.click(screen.getByRole('button', { name: 'Create Trip' }));
+
+  await screen.findByRole('heading', { name: 'Lisbon Weekend' });
+};
+
+// The day number shown in a calendar cell of the displayed month; clicks on it open the day
+const getDayNumber = (day) => screen.getByText(String(day), { selector: 'span.font-bold' });
+
+beforeEach(() => {
+  localStorage.clear();
+  window.history.replaceState(null, '', '/');
+});
+
+test('asks to create a trip when the user has none', async () => {
+  render(<App backend={createMemoryBackend()} />);
+
+  expect(await screen.findByText(/Create a trip to start planning/)).toBeInTheDocument();
+});
+
+test('creates a trip and shows its month', async () => {
+  await renderWithTrip();
+
+  expect(screen.getByText('May 2030', { exact: false })).toBeInTheDocument();
+  expect(screen.getByLabelText('Trip:')).toHaveDisplayValue(/Lisbon Weekend/);
+});
+
+test('saves items for a day and lists them in the calendar cell', async () => {
+  await renderWithTrip();
+
+  userEvent.click(getDayNumber(11));
+  expect(screen.getByRole('heading', { name: /Plan for Sat May 11 2030/ })).toBeInTheDocument();
+
+  userEvent.type(screen.getByLabelText('Title'), 'Tram 28 to Alfama');
+  userEvent.type(screen.getByLabelText('Start time'), '09:30');
+  userEvent.click(screen.getByRole('button', { name: 'Save Plan' }));
+
+  expect(await screen.findByText('Tram 28 to Alfama')).toBeInTheDocument();
+  expect(screen.getByText('09:30')).toBeInTheDocument();
+  expect(screen.queryByRole('heading', { name: /Plan for/ })).not.toBeInTheDocument();
+});
+
+test('records saved changes in the day history', async () => {
+  await renderWithTrip();
+
+  userEvent.click(getDayNumber(10));
+  userEvent.type(screen.getByLabelText('Title'), 'Check in');
+  userEvent.click(screen.getByRole('button', { name: 'Save Plan' }));
+  await screen.findByText('Check in');
+
+  userEvent.click(getDayNumber(10));
+  userEvent.click(screen.getByRole('button', { name: 'History' }));
+  expect(await screen.findByText('Added "Check in"', { exact: false })).toBeInTheDocument();
+});
+
+test('opens the itinerary export for the whole trip', async () => {
+  await renderWithTrip();
+
+  userEvent.click(screen.getByRole('button', { name: 'Create Printable Plan' }));
+
+  expect(screen.getByRole('heading', { name: 'Export Itinerary' })).toBeInTheDocument();
+  expect(screen.getByLabelText('Start Date:')).toHaveValue('2030-05-10');
+  expect(screen.getByLabelText('End Date:')).toHaveValue('2030-05-12');
+});
+
+test('imports an .ics file after previewing the days it creates', async () => {
+  await renderWithTrip();
+  const ics = [
+    'BEGIN:VCALENDAR',
+    'BEGIN:VEVENT',
+    'UID:flight-1@airline.example',
+    'DTSTART:20300510T071500',
+    'SUMMARY:Flight to Lisbon',
+    'END:VEVENT',
+    'END:VCALENDAR',
+  ].join('\r\n');
+
+  userEvent.click(screen.getByRole('button', { name: 'Import .ics' }));
+  userEvent.upload(screen.getByLabelText('Calendar file:'), new File([ics], 'flight.ics', { type: 'text/calendar' }));
+
+  expect(await screen.findByText('New day')).toBeInTheDocument();
+  userEvent.click(screen.getByRole('button', { name: 'Import 1 day' }));
+
+  expect(await screen.findByText('Flight to Lisbon')).toBeInTheDocument();
+  expect(screen.queryByRole('heading', { name: /Import from Calendar/ })).not.toBeInTheDocument();
+});
+
+test('copies the trip to new dates as a new trip', async () => {
+  await renderWithTrip();
+  userEvent.click(getDayNumber(10));
+  userEvent.type(screen.getByLabelText('Title'), 'Check in');
+  userEvent.click(screen.getByRole('button', { name: 'Save Plan' }));
+  await screen.findByText('Check in');
+
+  userEvent.click(screen.getByRole('button', { name: 'Backup' }));
+  userEvent.click(screen.getByLabelText('Copy this trip to new dates'));
+  userEvent.type(screen.getByLabelText('New trip name:'), 'Lisbon Again');
+  userEvent.clear(screen.getByLabelText('Starts on:'));
+  userEvent.type(screen.getByLabelText('Starts on:'), '2031-06-02');
+  userEvent.click(screen.getByRole('button', { name: 'Create Trip' }));
+
+  expect(await screen.findByRole('heading', { name: 'Lisbon Again' })).toBeInTheDocument();
+  expect(await screen.findByText('June 2031', { exact: false })).toBeInTheDocument();
+  expect(await screen.findByText('Check in')).toBeInTheDocument();
+});
+
+test('drags an item onto another day and undoes the move with Ctrl+Z', async () => {
+  await renderWithTrip();
+  userEvent.click(getDayNumber(10));
+  userEvent.paste(screen.getByLabelText('Title'), 'Check in');
+  userEvent.click(screen.getByRole('button', { name: 'Save Plan' }));
+  await screen.findByText('Check in');
+
+  fireEvent.dragStart(screen.getByText('Check in'));
+  fireEvent.dragOver(getDayNumber(12));
+  fireEvent.drop(getDayNumber(12));
+  expect(await screen.findByText('Moved an item to May 12')).toBeInTheDocument();
+  userEvent.click(getDayNumber(12));
+  expect(screen.getByLabelText('Title')).toHaveValue('Check in');
+  userEvent.click(screen.getByRole('button', { name: 'Cancel' }));
+
+  userEvent.keyboard('{Control>}z{/Control}');
+  await waitFor(() => expect(screen.queryByText('Moved an item to May 12')).not.toBeInTheDocument());
+  userEvent.click(getDayNumber(10));
+  expect(screen.getByLabelText('Title')).toHaveValue('Check in');
+});
+
+test('shifts selected days and moves a day from the day editor', async () => {
+  await renderWithTrip();
+  userEvent.click(getDayNumber(11));
+  userEvent.paste(screen.getByLabelText('Title'), 'Beach');
+  userEvent.click(screen.getByRole('button', { name: 'Save Plan' }));
+  await screen.findByText('Beach');
+
+  userEvent.click(screen.getByRole('button', { name: 'Select Days' }));
+  userEvent.click(screen.getByLabelText('Select Fri May 10 2030'));
+  userEvent.click(screen.getByRole('button', { name: 'Select Through Last Day' }));
+  expect(screen.getByText('3 days selected')).toBeInTheDocument();
+  userEvent.click(screen.getByRole('button', { name: 'Shift' }));
+  expect(await screen.findByText('Shifted 1 day by +1 day')).toBeInTheDocument();
+  userEvent.click(screen.getByRole('button', { name: 'Done' }));
+
+  userEvent.click(getDayNumber(12));
+  userEvent.clear(screen.getByLabelText('to'));
+  userEvent.type(screen.getByLabelText('to'), '2030-05-10');
+  userEvent.click(screen.getByRole('button', { name: 'Swap Days' }));
+  expect(await screen.findByText('Swapped May 12 and May 10')).toBeInTheDocument();
+  userEvent.click(getDayNumber(10));
+  expect(screen.getByLabelText('Title')).toHaveValue('Beach');
+});
+
+test('adds an expense to a day and totals it in the calendar and the budget', async () => {
+  await renderWithTrip();
+
+  userEvent.click(getDayNumber(10));
+  userEvent.type(screen.getByLabelText('Expense description'), 'Dinner');
+  userEvent.type(screen.getByLabelText('Amount'), '42.5');
+  userEvent.selectOptions(screen.getByLabelText('Expense category'), 'food');
+  userEvent.click(screen.getByRole('button', { name: 'Add Expense' }));
+  expect(await screen.findByRole('button', { name: 'Remove expense Dinner' })).toBeInTheDocument();
+  userEvent.click(screen.getByRole('button', { name: 'Cancel' }));
+
+  expect(screen.getByTitle('Spent on this day')).toHaveTextContent('€42.50');
+
+  userEvent.click(screen.getByRole('button', { name: 'Budget' }));
+  userEvent.type(screen.getByLabelText('Total budget:'), '100');
+  userEvent.click(screen.getByRole('button', { name: 'Save Budget' }));
+  userEvent.click(await screen.findByRole('button', { name: 'Budget' }));
+  expect(screen.getByText('€42.50 of €100.00')).toBeInTheDocument();
+  expect(screen.getByText('Everyone is settled up.')).toBeInTheDocument();
+});
+
+test('attaches images and PDFs to a day and turns away other files', async () => {
+  await renderWithTrip();
+
+  userEvent.click(getDayNumber(10));
+  userEvent.upload(screen.getByLabelText('Attach files:'), new File(['%PDF'], 'notes.txt', { type: 'text/plain' }));
+  expect(screen.getByRole('alert')).toHaveTextContent('"notes.txt" can\'t be attached.');
+
+  userEvent.upload(screen.getByLabelText('Attach files:'), new File(['png'], 'boarding-pass.png', { type: 'image/png' }));
+  expect(await screen.findByAltText('boarding-pass.png')).toHaveAttribute('src', expect.stringMatching(/^data:image\/png/));
+  expect(screen.queryByRole('alert')).not.toBeInTheDocument();
+});
+
+test('adds a hotel stay that spans days as one bar across the calendar', async () => {
+  await renderWithTrip();
+
+  userEvent.click(getDayNumber(10));
+  userEvent.click(screen.getByRole('button', { name: '+ Add multi-day or repeating entry' }));
+  userEvent.paste(screen.getByLabelText('Entry title'), 'Hotel Avenida');
+  userEvent.selectOptions(screen.getByLabelText('Entry category'), 'lodging');
+  userEvent.clear(screen.getByLabelText('until'));
+  userEvent.type(screen.getByLabelText('until'), '2030-05-12');
+  userEvent.type(screen.getByLabelText('Starts at (first day)'), '15:00');
+  userEvent.click(screen.getByRole('button', { name: 'Add Entry' }));
+  expect(await screen.findByText('Day 1 of 3')).toBeInTheDocument();
+  userEvent.click(screen.getByRole('button', { name: 'Cancel' }));
+
+  // Fri 10 to Sun 12 May crosses into the next week, so the bar goes on in the next row
+  const [firstRow, nextRow] = screen.getAllByTitle('Hotel Avenida (3 days)');
+  expect(firstRow).toHaveTextContent('15:00Hotel Avenida');
+  expect(nextRow).toHaveTextContent('… Hotel Avenida');
+
+  // Backups keep the stay, so a copy of the trip has it too
+  userEvent.click(screen.getByRole('button', { name: 'Backup' }));
+  userEvent.click(screen.getByLabelText('Copy this trip to new dates'));
+  expect(screen.getByText(/1 multi-day or repeating entry/)).toBeInTheDocument();
+  userEvent.paste(screen.getByLabelText('New trip name:'), 'Lisbon Again');
+  userEvent.click(screen.getByRole('button', { name: 'Create Trip' }));
+  expect(await screen.findByRole('heading', { name: 'Lisbon Again' })).toBeInTheDocument();
+  expect((await screen.findAllByTitle('Hotel Avenida (3 days)')).length).toBeGreaterThan(0);
+});
+
+test('changes one day of a repeating entry without touching the others', async () => {
+  await renderWithTrip();
+
+  userEvent.click(getDayNumber(10));
+  userEvent.click(screen.getByRole('button', { name: '+ Add multi-day or repeating entry' }));
+  userEvent.selectOptions(screen.getByLabelText('Entry type'), 'repeat');
+  userEvent.paste(screen.getByLabelText('Entry title'), 'Breakfast');
+  userEvent.click(screen.getByRole('button', { name: 'Add Entry' }));
+  expect(await screen.findByText('Every day')).toBeInTheDocument();
+  userEvent.click(screen.getByRole('button', { name: 'Cancel' }));
+
+  userEvent.click(getDayNumber(11));
+  userEvent.click(screen.getByRole('button', { name: 'Edit' }));
+  userEvent.clear(screen.getByLabelText('Entry title'));
+  userEvent.paste(screen.getByLabelText('Entry title'), 'Brunch');
+  userEvent.click(screen.getByRole('button', { name: 'Save this day only' }));
+  expect(await screen.findByText('Brunch')).toBeInTheDocument();
+  userEvent.click(screen.getByRole('button', { name: 'Cancel' }));
+
+  expect(screen.getAllByText('↻ Breakfast')).toHaveLength(2);
+  expect(screen.getByText('↻ Brunch')).toBeInTheDocument();
+});
+
+test('starts the trip checklist from a template and ticks tasks off', async () => {
+  await renderWithTrip();
+
+  userEvent.click(screen.getByRole('button', { name: 'Checklists' }));
+  userEvent.selectOptions(screen.getByLabelText('Add from template:'), 'beach');
+  userEvent.click(screen.getByRole('button', { name: 'Add Template' }));
+  userEvent.click(await screen.findByLabelText('Sunscreen'));
+
+  expect(await screen.findByText('1 of 5 done')).toBeInTheDocument();
+  expect(screen.getByLabelText('Sunscreen')).toBeChecked();
+});
+
+test('adds a task to a day and shows its progress in the calendar', async () => {
+  await renderWithTrip();
+
+  userEvent.click(getDayNumber(11));
+  userEvent.paste(screen.getByLabelText('Task'), 'Book the tram tour');
+  userEvent.click(screen.getByRole('button', { name: 'Add Task' }));
+  expect(await screen.findByLabelText('Book the tram tour')).not.toBeChecked();
+  userEvent.click(screen.getByRole('button', { name: 'Cancel' }));
+
+  expect(screen.getByTitle('Tasks done on this day')).toHaveTextContent('0/1');
+});
+
+test('finds a place for an item by name or takes typed coordinates', async () => {
+  await renderWithTrip();
+
+  userEvent.click(getDayNumber(11));
+  userEvent.paste(screen.getByLabelText('Location'), 'jorge');
+  userEvent.click(screen.getByText('Find'));
+  userEvent.click(await screen.findByText('Castelo de São Jorge'));
+  expect(screen.getByLabelText('Location')).toHaveValue('Castelo de São Jorge');
+  expect(screen.getByText('(38.7139, -9.1335)')).toBeInTheDocument();
+
+  userEvent.clear(screen.getByLabelText('Location'));
+  userEvent.paste(screen.getByLabelText('Location'), '38.7075, -9.1364');
+  expect(screen.getByText('(38.7075, -9.1364)')).toBeInTheDocument();
+});
+
+test('maps the day route and warns when items are too close together to travel between', async () => {
+  window.history.replaceState(null, '', '/?view=day&date=2030-05-11');
+  await renderWithTrip();
+
+  userEvent.click(screen.getByText('Edit Day'));
+  userEvent.type(screen.getByLabelText('Title'), 'Castle');
+  userEvent.type(screen.getByLabelText('Start time'), '09:00');
+  userEvent.paste(screen.getByLabelText('Location'), '38.7139, -9.1335');
+  userEvent.click(screen.getByText('+ Add item'));
+  userEvent.type(screen.getAllByLabelText('Title')[1], 'Lunch');
+  userEvent.type(screen.getAllByLabelText('Start time')[1], '09:10');
+  userEvent.paste(screen.getAllByLabelText('Location')[1], '38.7075, -9.1364');
+  userEvent.click(screen.getByText('Save Plan'));
+
+  expect(await screen.findByLabelText('Map of 2 stops')).toBeInTheDocument();
+  expect(screen.getByText(/only 10 min between "Castle" and "Lunch"/)).toBeInTheDocument();
+
+  userEvent.selectOptions(screen.getByLabelText('Getting around:'), 'drive');
+  expect(screen.queryByText(/only 10 min between/)).not.toBeInTheDocument();
+});
+
+test('searches the trip\'s plans, opens a matching day and fades the others', async () => {
+  await renderWithTrip();
+  userEvent.click(getDayNumber(11));
+  userEvent.paste(screen.getByLabelText('Title'), 'Tram 28 to Alfama');
+  userEvent.click(screen.getByRole('button', { name: 'Save Plan' }));
+  await screen.findByText('Tram 28 to Alfama');
+
+  userEvent.paste(screen.getByLabelText('Search plans'), 'alfama');
+  expect(screen.getByText('alfama', { selector: 'mark', exact: false })).toHaveTextContent('Alfama');
+  userEvent.click(screen.getByText('Sat May 11 2030'));
+  expect(screen.getByRole('heading', { name: /Plan for Sat May 11 2030/ })).toBeInTheDocument();
+  userEvent.click(screen.getByRole('button', { name: 'Cancel' }));
+
+  userEvent.click(screen.getByRole('button', { name: 'Agenda' }));
+  expect(screen.getAllByTitle("Doesn't match the search or filters")).toHaveLength(2);
+
+  userEvent.click(screen.getByRole('button', { name: 'Clear' }));
+  expect(screen.queryByTitle("Doesn't match the search or filters")).not.toBeInTheDocument();
+  userEvent.selectOptions(screen.getByLabelText('Category:'), 'food');
+  expect(screen.getAllByTitle("Doesn't match the search or filters")).toHaveLength(3);
+});
+
+test('switches to the agenda view and keeps the view in the URL', async () => {
+  await renderWithTrip();
+
+  userEvent.click(screen.getByRole('button', { name: 'Agenda' }));
+
+  expect(screen.getByRole('button', { name: 'Sat May 11 2030' })).toBeInTheDocument();
+  expect(screen.getAllByText('Nothing planned.')).toHaveLength(3);
+  expect(window.location.search).toContain('view=agenda');
+  expect(window.location.search).toContain('date=2030-05-10');
+});
+
+test('opens a bookmarked day view and moves between days', async () => {
+  window.history.replaceState(null, '', '/?view=day&date=2030-05-11&weekStart=1');
+  await renderWithTrip();
+
+  expect(screen.getByText('Saturday, May 11, 2030')).toBeInTheDocument();
+  expect(screen.getByLabelText('Week starts on:')).toHaveDisplayValue('Monday');
+
+  userEvent.click(screen.getByRole('button', { name: 'Next' }));
+  expect(screen.getByText('Sunday, May 12, 2030')).toBeInTheDocument();
+
+  userEvent.click(screen.getByRole('button', { name: 'Edit Day' }));
+  expect(screen.getByRole('heading', { name: /Plan for Sun May 12 2030/ })).toBeInTheDocument();
+});
+
+test('shows times in the trip time zone, or in the viewer zone when asked', async () => {
+  const tripTimeZone = getViewerTimeZone() === 'Pacific/Kiritimati' ? 'Pacific/Pago_Pago' : 'Pacific/Kiritimati';
+  await renderWithTrip({ timeZone: tripTimeZone });
+  expect(screen.getByText(`Times in ${tripTimeZone} (trip time zone)`)).toBeInTheDocument();
+
+  userEvent.click(getDayNumber(11));
+  userEvent.type(screen.getByLabelText('Title'), 'Sunrise walk');
+  userEvent.type(screen.getByLabelText('Start time'), '06:00');
+  expect(screen.getByLabelText('Start time zone')).toHaveDisplayValue(`Trip time (${tripTimeZone})`);
+  userEvent.click(screen.getByRole('button', { name: 'Save Plan' }));
+  await screen.findByText('Sunrise walk');
+  expect(screen.getByText('06:00')).toBeInTheDocument();
+
+  userEvent.click(screen.getByLabelText(/Show in my time zone/));
+  const { dateId, time } = convertDateTime('2030-05-11', '06:00', tripTimeZone, getViewerTimeZone());
+  userEvent.click(screen.getByRole('button', { name: 'Agenda' }));
+  expect(screen.getByText(time)).toBeInTheDocument();
+  expect(window.location.search).toContain('zone=viewer');
+  expect(screen.getByRole('button', { name: 'Select Days' })).toBeDisabled();
+  expect(screen.getByText(/Switch back to the trip's time zone/)).toBeInTheDocument();
+
+  // The walk is edited on the day it is stored on, in the trip's zone
+  userEvent.click(screen.getByRole('button', { name: parseDateId(dateId).toDateString() }));
+  expect(screen.getByRole('heading', { name: /Plan for Sat May 11 2030/ })).toBeInTheDocument();
+  expect(screen.getByText(/Days and times here are in the trip's time zone/)).toBeInTheDocument();
+});
+
+test('shows who else is viewing the trip and the changes they made since the last visit', async () => {
+  const backend = createMemoryBackend();
+  await renderWithTrip({ backend });
+  const tripId = new URLSearchParams(window.location.search).get('trip');
+  const ferry = { id: 'f1', title: 'Ferry to Naxos', notes: '', startTime: '08:00', endTime: '', category: 'transport' };
+
+  await act(async () => {
+    await backend.trips.join(tripId, 'alex', 'editor', 'token');
+    await backend.profiles.save('alex', { displayName: 'Alex' });
+    await backend.presence.set(tripId, 'alex', buildPresence('2030-05-11'));
+    await backend.plans.save(tripId, '2030-05-11', {
+      expectedVersion: null,
+      buildNextPlan: () => ({ items: [ferry], lastUpdatedBy: 'alex', timestamp: new Date() }),
+      userId: 'alex',
+    });
+  });
+
+  expect(await screen.findByText('Viewing now:')).toBeInTheDocument();
+  expect(screen.getByTitle('Open now by Alex')).toBeInTheDocument();
+  expect(screen.getByTitle('Changed since your last visit')).toBeInTheDocument();
+
+  userEvent.click(screen.getByRole('button', { name: 'Activity (1 new)' }));
+  userEvent.click(screen.getByRole('button', { name: /Alex added "Ferry to Naxos" on May 11/ }));
+
+  expect(await screen.findByText('Alex also has this day open.')).toBeInTheDocument();
+  expect(screen.queryByTitle('Changed since your last visit')).not.toBeInTheDocument();
+});
+
+test('votes on alternative proposals and promotes the winner', async () => {
+  await renderWithTrip();
+
+  userEvent.click(getDayNumber(11));
+  userEvent.paste(screen.getByLabelText('Title'), 'Ferry to Naxos');
+  userEvent.selectOptions(screen.getByLabelText('Status'), 'proposal');
+  userEvent.click(screen.getByRole('button', { name: '+ Add item' }));
+  userEvent.paste(screen.getAllByLabelText('Title')[1], 'Flight to Naxos');
+  userEvent.selectOptions(screen.getAllByLabelText('Status')[1], 'proposal');
+  userEvent.click(screen.getByRole('button', { name: 'Save Plan' }));
+  expect(await screen.findAllByTitle('Proposal, not confirmed yet')).toHaveLength(2);
+
+  userEvent.click(getDayNumber(11));
+  expect(screen.getByText('Any time · 2 alternatives')).toBeInTheDocument();
+  userEvent.click(screen.getByRole('button', { name: 'Upvote Flight to Naxos' }));
+  expect(await screen.findByRole('button', { name: 'Upvote Flight to Naxos', pressed: true })).toHaveTextContent('▲ 1');
+  expect(screen.getByText('Leading')).toBeInTheDocument();
+
+  userEvent.click(screen.getAllByRole('button', { name: 'Promote' })[1]);
+
+  await waitFor(() => expect(screen.queryByTitle('Proposal, not confirmed yet')).not.toBeInTheDocument());
+  expect(screen.queryByText('Any time · 2 alternatives')).not.toBeInTheDocument();
+  expect(screen.getByDisplayValue('Flight to Naxos')).toBeInTheDocument();
+  expect(screen.queryByDisplayValue('Ferry to Naxos')).not.toBeInTheDocument();
+});
+
+test('comments on an item and badges the day in the calendar', async () => {
+  await renderWithTrip();
+
+  userEvent.click(getDayNumber(11));
+  userEvent.paste(screen.getByLabelText('Title'), 'Ferry to Naxos');
+  userEvent.click(screen.getByRole('button', { name: 'Save Plan' }));
+  await screen.findByText('Ferry to Naxos');
+
+  userEvent.click(getDayNumber(11));
+  userEvent.selectOptions(screen.getByLabelText('Comment on'), 'Ferry to Naxos');
+  userEvent.paste(screen.getByLabelText('Comment'), 'Too early for me');
+  userEvent.click(screen.getByRole('button', { name: 'Post Comment' }));
+
+  expect(await screen.findByText('Too early for me')).toBeInTheDocument();
+  expect(screen.getByText('On "Ferry to Naxos":')).toBeInTheDocument();
+  expect(screen.getByTitle('1 comment')).toBeInTheDocument();
 });
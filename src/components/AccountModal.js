@@ -0,0 +1,167 @@
+import React, { useState } from 'react';
+import Avatar from './Avatar';
+
+const inputClass = "shadow appearance-none border rounded-lg w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:ring-2 focus:ring-blue-300";
+const labelClass = "block text-gray-700 text-sm font-bold mb-2";
+const MIN_PASSWORD_LENGTH = 6; // Firebase Auth rejects shorter passwords
+
+// Modal for editing the user's profile and managing how they are signed in.
+// Guests can turn their session into a permanent account (keeping their user ID and data) or sign in to an existing one.
+function AccountModal({ authUser, profiles, onSaveProfile, onCreateAccount, onSignIn, onSignOut, onClose }) {
+  const profile = profiles[authUser.uid] || {};
+  const [displayName, setDisplayName] = useState(profile.displayName || '');
+  const [photoURL, setPhotoURL] = useState(profile.photoURL || '');
+  const [mode, setMode] = useState('upgrade'); // 'upgrade' or 'signIn', only used for guests
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [formError, setFormError] = useState('');
+
+  const previewProfiles = { ...profiles, [authUser.uid]: { displayName, photoURL } };
+
+  const handleSaveProfile = (e) => {
+    e.preventDefault();
+    if (!displayName.trim()) {
+      setFormError('Display name is required.');
+      return;
+    }
+    setFormError('');
+    onSaveProfile({ displayName: displayName.trim(), photoURL: photoURL.trim() });
+  };
+
+  const handleCredentials = (e) => {
+    e.preventDefault();
+    if (!email.trim() || password.length < MIN_PASSWORD_LENGTH) {
+      setFormError(`Enter an email and a password of at least ${MIN_PASSWORD_LENGTH} characters.`);
+      return;
+    }
+    setFormError('');
+    if (mode === 'upgrade') {
+      onCreateAccount(email.trim(), password);
+    } else {
+      onSignIn(email.trim(), password);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-lg shadow-xl p-6 w-full max-w-lg relative transform transition-all duration-300 scale-95 opacity-0 animate-fade-in-scale max-h-full overflow-y-auto">
+        <h2 className="text-2xl font-bold text-blue-700 mb-4">Your Account</h2>
+
+        {formError && <p className="text-red-600 text-sm mb-4" role="alert">{formError}</p>}
+
+        <form onSubmit={handleSaveProfile} className="mb-6">
+          <div className="flex items-center gap-4 mb-4">
+            <Avatar profiles={previewProfiles} userId={authUser.uid} size="lg" />
+            <div className="text-sm text-gray-600">
+              {authUser.isAnonymous ? 'Guest session on this device' : `Signed in as ${authUser.email}`}
+            </div>
+          </div>
+          <div className="mb-4">
+            <label htmlFor="displayName" className={labelClass}>Display Name:</label>
+            <input
+              id="displayName"
+              type="text"
+              className={inputClass}
+              value={displayName}
+              onChange={(e) => setDisplayName(e.target.value)}
+              placeholder="e.g., Alex"
+            />
+          </div>
+          <div className="mb-4">
+            <label htmlFor="photoURL" className={labelClass}>Avatar Image URL (optional):</label>
+            <input
+              id="photoURL"
+              type="url"
+              className={inputClass}
+              value={photoURL}
+              onChange={(e) => setPhotoURL(e.target.value)}
+              placeholder="https://..."
+            />
+          </div>
+          <button
+            type="submit"
+            className="bg-blue-600 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-300 transition-colors duration-200 shadow-md"
+          >
+            Save Profile
+          </button>
+        </form>
+
+        {authUser.isAnonymous ? (
+          <form onSubmit={handleCredentials} className="border-t border-gray-200 pt-4 mb-6">
+            <div className="flex gap-2 mb-4">
+              <button
+                type="button"
+                onClick={() => setMode('upgrade')}
+                className={`px-3 py-1 rounded-lg text-sm font-semibold ${mode === 'upgrade' ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700'}`}
+              >
+                Create Account
+              </button>
+              <button
+                type="button"
+                onClick={() => setMode('signIn')}
+                className={`px-3 py-1 rounded-lg text-sm font-semibold ${mode === 'signIn' ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700'}`}
+              >
+                Sign In
+              </button>
+            </div>
+            <p className="text-sm text-gray-600 mb-4">
+              {mode === 'upgrade'
+                ? 'Keep your trips by turning this guest session into a permanent account.'
+                : 'Switch to an existing account. Trips you joined as a guest stay with the guest session.'}
+            </p>
+            <div className="mb-4">
+              <label htmlFor="accountEmail" className={labelClass}>Email:</label>
+              <input
+                id="accountEmail"
+                type="email"
+                autoComplete="email"
+                className={inputClass}
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+              />
+            </div>
+            <div className="mb-4">
+              <label htmlFor="accountPassword" className={labelClass}>Password:</label>
+              <input
+                id="accountPassword"
+                type="password"
+                autoComplete={mode === 'upgrade' ? 'new-password' : 'current-password'}
+                className={inputClass}
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+              />
+            </div>
+            <button
+              type="submit"
+              className="bg-green-600 hover:bg-green-700 text-white font-bold py-2 px-4 rounded-lg focus:outline-none focus:ring-2 focus:ring-green-300 transition-colors duration-200 shadow-md"
+            >
+              {mode === 'upgrade' ? 'Create Account' : 'Sign In'}
+            </button>
+          </form>
+        ) : (
+          <div className="border-t border-gray-200 pt-4 mb-6">
+            <button
+              type="button"
+              onClick={onSignOut}
+              className="bg-red-600 hover:bg-red-700 text-white font-bold py-2 px-4 rounded-lg focus:outline-none focus:ring-2 focus:ring-red-300 transition-colors duration-200 shadow-md"
+            >
+              Sign Out
+            </button>
+          </div>
+        )}
+
+        <div className="flex justify-end">
+          <button
+            type="button"
+            onClick={onClose}
+            className="bg-gray-400 hover:bg-gray-500 text-white font-bold py-2 px-4 rounded-lg focus:outline-none focus:ring-2 focus:ring-gray-300 transition-colors duration-200 shadow-md"
+          >
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default AccountModal;
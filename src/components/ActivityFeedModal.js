@@ -0,0 +1,56 @@
+import React from 'react';
+import Avatar from './Avatar';
+import { getDisplayName } from '../utils/profiles';
+import { ACTIVITY_DAYS, summarizeRevision } from '../utils/activity';
+import { toDate } from '../utils/dates';
+
+// Recent changes to the trip's plans, newest first, with the ones made since the user's last visit marked
+function ActivityFeedModal({ feed, profiles, onOpenDay, onMarkAllRead, onClose }) {
+  const hasUnread = feed.some(entry => entry.unread);
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-lg shadow-xl p-6 w-full max-w-lg relative transform transition-all duration-300 scale-95 opacity-0 animate-fade-in-scale max-h-full overflow-y-auto">
+        <h2 className="text-2xl font-bold text-blue-700 mb-4">Activity</h2>
+        {feed.length === 0 ? (
+          <p className="text-gray-600 mb-6">No changes in the last {ACTIVITY_DAYS} days.</p>
+        ) : (
+          <ul className="divide-y divide-gray-200 border border-gray-200 rounded-lg mb-6">
+            {feed.map(({ revision, unread }) => (
+              <li key={revision.id} className={`flex items-start gap-3 p-3 text-sm ${unread ? 'bg-blue-50' : ''}`}>
+                <Avatar profiles={profiles} userId={revision.userId} size="sm" />
+                <div className="flex-1">
+                  <button type="button" onClick={() => onOpenDay(revision.dateId)} className="text-left text-gray-800 hover:underline">
+                    <span className="font-semibold">{getDisplayName(profiles, revision.userId)}</span> {summarizeRevision(revision)}
+                  </button>
+                  <p className="text-gray-500">{toDate(revision.timestamp)?.toLocaleString()}</p>
+                </div>
+                {unread && <span className="px-2 py-0.5 rounded-full bg-blue-600 text-white text-xs font-semibold">New</span>}
+              </li>
+            ))}
+          </ul>
+        )}
+        <div className="flex justify-end gap-3">
+          {hasUnread && (
+            <button
+              type="button"
+              onClick={onMarkAllRead}
+              className="bg-blue-100 hover:bg-blue-200 text-blue-800 font-bold py-2 px-4 rounded-lg transition-colors duration-200"
+            >
+              Mark All as Read
+            </button>
+          )}
+          <button
+            type="button"
+            onClick={onClose}
+            className="bg-gray-400 hover:bg-gray-500 text-white font-bold py-2 px-4 rounded-lg focus:outline-none focus:ring-2 focus:ring-gray-300 transition-colors duration-200 shadow-md"
+          >
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ActivityFeedModal;
@@ -0,0 +1,30 @@
+import React from 'react';
+import { getAvatarColorClass, getDisplayName, getInitials } from '../utils/profiles';
+
+const SIZE_CLASSES = {
+  sm: 'w-6 h-6 text-xs',
+  md: 'w-9 h-9 text-sm',
+  lg: 'w-14 h-14 text-lg',
+};
+
+// Round avatar for a user: their photo if they set one, otherwise their initials on a stable color
+function Avatar({ profiles, userId, size = 'md' }) {
+  const name = getDisplayName(profiles, userId);
+  const photoURL = profiles[userId]?.photoURL;
+  const sizeClass = SIZE_CLASSES[size] || SIZE_CLASSES.md;
+
+  if (photoURL) {
+    return <img src={photoURL} alt={name} title={name} className={`${sizeClass} rounded-full object-cover shrink-0`} />;
+  }
+  return (
+    <span
+      title={name}
+      aria-label={name}
+      className={`${sizeClass} ${getAvatarColorClass(userId)} rounded-full text-white font-semibold inline-flex items-center justify-center shrink-0`}
+    >
+      {getInitials(profiles[userId]?.displayName)}
+    </span>
+  );
+}
+
+export default Avatar;
@@ -0,0 +1,237 @@
+import React, { useState } from 'react';
+import {
+  RESTORE_MODES, parseBackup, serializeBackup, buildBackup, shiftBackup, findConflictingDates
+} from '../utils/backup';
+import { addDays, daysBetween } from '../utils/dates';
+
+const labelClass = "block text-gray-700 text-sm font-bold mb-2";
+const inputClass = "shadow appearance-none border rounded-lg w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:ring-2 focus:ring-blue-300";
+const sectionClass = "border border-gray-200 rounded-lg p-4 mb-4";
+
+const readFileAsText = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error);
+  reader.readAsText(file);
+});
+
+// Copying the trip goes through the same serialization as a file, so both paths behave alike
+const getTripBackup = (trip, plans, series, appId) => {
+  try {
+    return parseBackup(serializeBackup(buildBackup({ trip, plans, series, appId })));
+  } catch (error) {
+    console.error("Error copying trip:", error);
+    return null;
+  }
+};
+
+// Downloads a JSON backup of the trip, restores a backup into it, or creates a new trip from a backup
+// or from the trip itself, optionally shifted to new dates (e.g. reusing last year's trip as a template)
+function BackupModal({ trip, plans, series, appId, canEdit, onDownload, onRestore, onCreateTrip, onClose }) {
+  const [source, setSource] = useState('file'); // 'file' or 'trip'
+  const [fileBackup, setFileBackup] = useState(null);
+  const [fileError, setFileError] = useState('');
+  const [destination, setDestination] = useState(canEdit ? 'trip' : 'new'); // 'trip' or 'new'
+  const [mode, setMode] = useState('merge');
+  const [newTrip, setNewTrip] = useState({ name: '', startDate: '' });
+  const [isWorking, setIsWorking] = useState(false);
+
+  const backup = source === 'trip' ? getTripBackup(trip, plans, series, appId) : fileBackup;
+  const effectiveDestination = source === 'trip' ? 'new' : destination;
+  const startDate = newTrip.startDate || backup?.trip.startDate || '';
+  const conflicts = backup && effectiveDestination === 'trip' ? findConflictingDates(backup.plans, plans) : [];
+  const deletedCount = backup && effectiveDestination === 'trip' && mode === 'replace'
+    ? Object.keys(plans).filter(dateId => !backup.plans[dateId]).length
+    : 0;
+
+  const chooseSource = (nextSource) => {
+    setSource(nextSource);
+    setNewTrip({ name: '', startDate: '' });
+  };
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    try {
+      setFileBackup(parseBackup(await readFileAsText(file)));
+      setFileError('');
+      setNewTrip({ name: '', startDate: '' });
+    } catch (error) {
+      console.error("Error reading backup file:", error);
+      setFileBackup(null);
+      setFileError(error.problems ? error.problems.join(' ') : `Could not read the file: ${error.message}`);
+    }
+  };
+
+  const handleSubmit = async () => {
+    setIsWorking(true);
+    if (effectiveDestination === 'trip') {
+      await onRestore(backup, mode);
+    } else {
+      const name = newTrip.name.trim() || `${backup.trip.name} (copy)`;
+      await onCreateTrip(shiftBackup(backup, startDate), name);
+    }
+    setIsWorking(false);
+  };
+
+  const dayCount = backup ? Object.keys(backup.plans).length : 0;
+  const entryCount = backup ? backup.series.length : 0;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-lg shadow-xl p-6 w-full max-w-2xl relative transform transition-all duration-300 scale-95 opacity-0 animate-fade-in-scale max-h-full overflow-y-auto">
+        <h2 className="text-2xl font-bold text-blue-700 mb-4">Backup &amp; Restore</h2>
+
+        <section className={sectionClass}>
+          <h3 className="font-semibold text-gray-800 mb-1">Download a backup</h3>
+          <p className="text-sm text-gray-600 mb-3">
+            Saves the trip details, every day's plan (including who changed it and when) and the multi-day and repeating entries as a JSON file.
+          </p>
+          <button
+            type="button"
+            onClick={onDownload}
+            className="px-4 py-2 bg-blue-100 text-blue-800 font-semibold rounded-lg hover:bg-blue-200 transition-colors duration-200"
+          >
+            Download JSON Backup
+          </button>
+        </section>
+
+        <section className={sectionClass}>
+          <h3 className="font-semibold text-gray-800 mb-3">Restore or copy</h3>
+          <div className="flex flex-wrap gap-4 mb-3 text-sm text-gray-700">
+            <label className="flex items-center gap-2">
+              <input type="radio" name="backupSource" checked={source === 'file'} onChange={() => chooseSource('file')} />
+              From a backup file
+            </label>
+            <label className="flex items-center gap-2">
+              <input type="radio" name="backupSource" checked={source === 'trip'} onChange={() => chooseSource('trip')} />
+              Copy this trip to new dates
+            </label>
+          </div>
+
+          {source === 'file' && (
+            <>
+              <label htmlFor="backupFile" className={labelClass}>Backup file:</label>
+              <input
+                type="file"
+                id="backupFile"
+                accept=".json,application/json"
+                onChange={handleFileChange}
+                className="block w-full text-sm text-gray-700 mb-3"
+              />
+              {fileError && <p className="text-sm text-red-700 mb-3" role="alert">{fileError}</p>}
+            </>
+          )}
+
+          {backup && (
+            <>
+              <p className="text-sm text-gray-700 mb-3">
+                <span className="font-semibold">{backup.trip.name}</span>, {backup.trip.startDate} to {backup.trip.endDate}
+                {' · '}{dayCount} {dayCount === 1 ? 'day' : 'days'} with plans
+                {entryCount > 0 && ` · ${entryCount} multi-day or repeating ${entryCount === 1 ? 'entry' : 'entries'}`}
+                {source === 'file' && backup.exportedAt && ` · backed up ${new Date(backup.exportedAt).toLocaleString()}`}
+              </p>
+
+              {source === 'file' && (
+                <div className="flex flex-wrap gap-4 mb-3 text-sm text-gray-700">
+                  {canEdit && (
+                    <label className="flex items-center gap-2">
+                      <input type="radio" name="backupDestination" checked={destination === 'trip'} onChange={() => setDestination('trip')} />
+                      Restore into "{trip.name}"
+                    </label>
+                  )}
+                  <label className="flex items-center gap-2">
+                    <input type="radio" name="backupDestination" checked={destination === 'new'} onChange={() => setDestination('new')} />
+                    Create a new trip
+                  </label>
+                </div>
+              )}
+
+              {effectiveDestination === 'trip' ? (
+                <>
+                  {conflicts.length > 0 ? (
+                    <div className="p-3 mb-3 border border-amber-400 bg-amber-50 rounded-lg text-sm text-amber-800">
+                      {conflicts.length} {conflicts.length === 1 ? 'day already has' : 'days already have'} plans in this trip: {conflicts.join(', ')}
+                    </div>
+                  ) : (
+                    <p className="text-sm text-gray-600 mb-3">None of the days in the backup have plans in this trip yet.</p>
+                  )}
+                  <fieldset className="space-y-2 mb-3">
+                    {Object.entries(RESTORE_MODES).map(([modeId, restoreMode]) => (
+                      <label key={modeId} className="flex items-start gap-2 text-sm text-gray-700">
+                        <input
+                          type="radio"
+                          name="restoreMode"
+                          className="mt-1"
+                          checked={mode === modeId}
+                          onChange={() => setMode(modeId)}
+                        />
+                        <span>
+                          <span className="font-semibold">{restoreMode.label}</span> — {restoreMode.description}
+                        </span>
+                      </label>
+                    ))}
+                  </fieldset>
+                  {deletedCount > 0 && (
+                    <p className="text-sm text-red-700 mb-3">
+                      {deletedCount} {deletedCount === 1 ? 'day' : 'days'} not in the backup will be deleted. They can be brought back from Recently Deleted.
+                    </p>
+                  )}
+                </>
+              ) : (
+                <div className="grid grid-cols-2 gap-4 mb-3">
+                  <div>
+                    <label htmlFor="backupTripName" className={labelClass}>New trip name:</label>
+                    <input
+                      type="text"
+                      id="backupTripName"
+                      className={inputClass}
+                      value={newTrip.name}
+                      placeholder={`${backup.trip.name} (copy)`}
+                      onChange={(e) => setNewTrip({ ...newTrip, name: e.target.value })}
+                    />
+                  </div>
+                  <div>
+                    <label htmlFor="backupStartDate" className={labelClass}>Starts on:</label>
+                    <input
+                      type="date"
+                      id="backupStartDate"
+                      className={inputClass}
+                      value={startDate}
+                      onChange={(e) => setNewTrip({ ...newTrip, startDate: e.target.value })}
+                    />
+                  </div>
+                  {startDate && (
+                    <p className="col-span-2 text-sm text-gray-600">
+                      The new trip runs {startDate} to {addDays(backup.trip.endDate, daysBetween(backup.trip.startDate, startDate))}; every day's plan moves with it.
+                    </p>
+                  )}
+                </div>
+              )}
+            </>
+          )}
+        </section>
+
+        <div className="flex justify-end gap-3">
+          <button
+            type="button"
+            onClick={handleSubmit}
+            disabled={!backup || !startDate || isWorking}
+            className="bg-blue-600 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-300 transition-colors duration-200 shadow-md disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {isWorking ? 'Working...' : effectiveDestination === 'trip' ? 'Restore Backup' : 'Create Trip'}
+          </button>
+          <button
+            type="button"
+            onClick={onClose}
+            className="bg-gray-400 hover:bg-gray-500 text-white font-bold py-2 px-4 rounded-lg focus:outline-none focus:ring-2 focus:ring-gray-300 transition-colors duration-200 shadow-md"
+          >
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default BackupModal;
@@ -0,0 +1,236 @@
+import React, { useState } from 'react';
+import {
+  EXPENSE_CATEGORIES, getTripCurrency, formatMoney, summarizeExpenses, computeBalances, settleBalances,
+  validateBudgetSettings
+} from '../utils/expenses';
+import { getDisplayName } from '../utils/profiles';
+
+const labelClass = "block text-gray-700 text-sm font-bold mb-2";
+const inputClass = "shadow appearance-none border rounded-lg w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:ring-2 focus:ring-blue-300";
+const smallInputClass = "border rounded-lg py-1 px-2 text-sm text-gray-700 focus:outline-none focus:ring-2 focus:ring-blue-300";
+const sectionClass = "border border-gray-200 rounded-lg p-4 mb-4";
+
+// Spent amount against a budget as a bar; without a budget only the amount is shown
+function SpendBar({ label, spent, budget, currency, barClass }) {
+  const ratio = budget ? spent / budget : 0;
+  return (
+    <div>
+      <div className="flex justify-between text-sm text-gray-700">
+        <span className="font-semibold">{label}</span>
+        <span className={ratio > 1 ? 'text-red-700 font-semibold' : ''}>
+          {formatMoney(spent, currency)}{budget ? ` of ${formatMoney(budget, currency)}` : ''}
+        </span>
+      </div>
+      {budget && (
+        <div className="h-2 mt-1 rounded-full bg-gray-200 overflow-hidden">
+          <div className={`h-full ${ratio > 1 ? 'bg-red-500' : barClass}`} style={{ width: `${Math.min(ratio, 1) * 100}%` }}></div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Form values as strings, so empty inputs mean "no budget"
+const toSettingsForm = (trip) => ({
+  currency: getTripCurrency(trip),
+  total: trip.budget?.total ? String(trip.budget.total) : '',
+  byCategory: Object.fromEntries(Object.keys(EXPENSE_CATEGORIES).map(id => [id, trip.budget?.byCategory?.[id] ? String(trip.budget.byCategory[id]) : ''])),
+  rates: Object.entries(trip.exchangeRates || {}).map(([code, rate]) => ({ code, rate: String(rate) })),
+});
+
+const fromSettingsForm = (form) => {
+  const toAmount = (value) => (value === '' ? null : Number(value));
+  return {
+    currency: form.currency.trim().toUpperCase(),
+    budget: {
+      total: toAmount(form.total),
+      byCategory: Object.fromEntries(Object.entries(form.byCategory).filter(([, value]) => value !== '').map(([id, value]) => [id, Number(value)])),
+    },
+    exchangeRates: Object.fromEntries(form.rates.filter(({ code }) => code.trim()).map(({ code, rate }) => [code.trim().toUpperCase(), Number(rate)])),
+  };
+};
+
+// Trip spend by category against its budget, who owes whom, and (for editors) the budget,
+// trip currency and the fixed exchange rates used to convert other currencies
+function BudgetModal({ trip, expenses, profiles, canEdit, onSaveSettings, onClose }) {
+  const [form, setForm] = useState(() => toSettingsForm(trip));
+  const [formError, setFormError] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+
+  const currency = getTripCurrency(trip);
+  const summary = summarizeExpenses(expenses, trip);
+  const payments = settleBalances(computeBalances(expenses, trip));
+  const categoryIds = Object.keys(EXPENSE_CATEGORIES).filter(id => summary.byCategory[id] || summary.categoryBudgets[id]);
+
+  const updateRate = (index, field, value) => {
+    setForm({ ...form, rates: form.rates.map((rate, i) => (i === index ? { ...rate, [field]: value } : rate)) });
+  };
+
+  const handleSave = async () => {
+    const settings = fromSettingsForm(form);
+    const error = validateBudgetSettings(settings);
+    if (error) {
+      setFormError(error);
+      return;
+    }
+    setFormError('');
+    setIsSaving(true);
+    await onSaveSettings(settings);
+    setIsSaving(false);
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-lg shadow-xl p-6 w-full max-w-2xl relative transform transition-all duration-300 scale-95 opacity-0 animate-fade-in-scale max-h-full overflow-y-auto">
+        <h2 className="text-2xl font-bold text-blue-700 mb-4">Budget &amp; Expenses</h2>
+
+        <section className={sectionClass}>
+          <h3 className="font-semibold text-gray-800 mb-3">Spending</h3>
+          <div className="space-y-3">
+            <SpendBar label="Total" spent={summary.total} budget={summary.budget} currency={currency} barClass="bg-blue-500" />
+            {categoryIds.map(id => (
+              <SpendBar
+                key={id}
+                label={EXPENSE_CATEGORIES[id].label}
+                spent={summary.byCategory[id] || 0}
+                budget={summary.categoryBudgets[id]}
+                currency={currency}
+                barClass={EXPENSE_CATEGORIES[id].barClass}
+              />
+            ))}
+          </div>
+          {summary.missingCurrencies.length > 0 && (
+            <p className="text-sm text-amber-800 mt-3">
+              Expenses in {summary.missingCurrencies.join(', ')} are left out until an exchange rate is set.
+            </p>
+          )}
+        </section>
+
+        <section className={sectionClass}>
+          <h3 className="font-semibold text-gray-800 mb-3">Who owes whom</h3>
+          {payments.length === 0 ? (
+            <p className="text-sm text-gray-600">Everyone is settled up.</p>
+          ) : (
+            <ul className="space-y-1 text-sm text-gray-800">
+              {payments.map(payment => (
+                <li key={`${payment.from}-${payment.to}`}>
+                  <span className="font-semibold">{getDisplayName(profiles, payment.from)}</span> owes{' '}
+                  <span className="font-semibold">{getDisplayName(profiles, payment.to)}</span>{' '}
+                  {formatMoney(payment.amount, currency)}
+                </li>
+              ))}
+            </ul>
+          )}
+        </section>
+
+        {canEdit && (
+          <section className={sectionClass}>
+            <h3 className="font-semibold text-gray-800 mb-3">Budget settings</h3>
+            <div className="grid grid-cols-2 gap-4 mb-3">
+              <div>
+                <label htmlFor="tripCurrency" className={labelClass}>Trip currency:</label>
+                <input
+                  type="text"
+                  id="tripCurrency"
+                  maxLength={3}
+                  className={inputClass}
+                  value={form.currency}
+                  onChange={(e) => setForm({ ...form, currency: e.target.value })}
+                />
+              </div>
+              <div>
+                <label htmlFor="tripBudget" className={labelClass}>Total budget:</label>
+                <input
+                  type="number"
+                  id="tripBudget"
+                  min="0"
+                  className={inputClass}
+                  value={form.total}
+                  onChange={(e) => setForm({ ...form, total: e.target.value })}
+                />
+              </div>
+            </div>
+            <span className={labelClass}>Budget per category:</span>
+            <div className="grid grid-cols-2 md:grid-cols-3 gap-2 mb-3">
+              {Object.entries(EXPENSE_CATEGORIES).map(([id, category]) => (
+                <label key={id} className="flex items-center justify-between gap-2 text-sm text-gray-700">
+                  {category.label}
+                  <input
+                    type="number"
+                    min="0"
+                    className={`${smallInputClass} w-24`}
+                    value={form.byCategory[id]}
+                    onChange={(e) => setForm({ ...form, byCategory: { ...form.byCategory, [id]: e.target.value } })}
+                  />
+                </label>
+              ))}
+            </div>
+            <span className={labelClass}>Exchange rates (in {form.currency || currency} per unit):</span>
+            <ul className="space-y-2 mb-2">
+              {form.rates.map((rate, index) => (
+                <li key={index} className="flex items-center gap-2">
+                  <input
+                    type="text"
+                    aria-label="Currency code"
+                    maxLength={3}
+                    className={`${smallInputClass} w-20`}
+                    value={rate.code}
+                    onChange={(e) => updateRate(index, 'code', e.target.value)}
+                  />
+                  <input
+                    type="number"
+                    aria-label={`Rate for ${rate.code || 'currency'}`}
+                    min="0"
+                    step="any"
+                    className={`${smallInputClass} w-28`}
+                    value={rate.rate}
+                    onChange={(e) => updateRate(index, 'rate', e.target.value)}
+                  />
+                  <button
+                    type="button"
+                    onClick={() => setForm({ ...form, rates: form.rates.filter((_, i) => i !== index) })}
+                    aria-label={`Remove rate for ${rate.code || 'currency'}`}
+                    className="px-2 py-1 text-sm rounded-lg bg-gray-100 hover:bg-gray-200 transition-colors duration-200"
+                  >
+                    ✕
+                  </button>
+                </li>
+              ))}
+            </ul>
+            <button
+              type="button"
+              onClick={() => setForm({ ...form, rates: [...form.rates, { code: '', rate: '' }] })}
+              className="text-sm text-blue-700 hover:underline mb-3"
+            >
+              + Add exchange rate
+            </button>
+            <p className="text-xs text-gray-500 mb-3">
+              Rates are fixed for the trip, so totals don't change with the market and work offline.
+            </p>
+            {formError && <p className="text-sm text-red-700 mb-3" role="alert">{formError}</p>}
+            <button
+              type="button"
+              onClick={handleSave}
+              disabled={isSaving}
+              className="bg-blue-600 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-300 transition-colors duration-200 shadow-md disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {isSaving ? 'Saving...' : 'Save Budget'}
+            </button>
+          </section>
+        )}
+
+        <div className="flex justify-end gap-3">
+          <button
+            type="button"
+            onClick={onClose}
+            className="bg-gray-400 hover:bg-gray-500 text-white font-bold py-2 px-4 rounded-lg focus:outline-none focus:ring-2 focus:ring-gray-300 transition-colors duration-200 shadow-md"
+          >
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default BudgetModal;
@@ -0,0 +1,83 @@
+import React from 'react';
+import { CALENDAR_VIEWS, WEEK_START_OPTIONS, WEEKDAY_NAMES, isRangeView } from '../utils/calendarViews';
+
+const navButtonClass = "px-4 py-2 bg-blue-100 rounded-lg hover:bg-blue-200 transition-colors duration-200";
+
+// View switcher, previous/next and "Today" navigation, the first day of the week, and whether times are
+// shown in the trip's time zone or the viewer's
+function CalendarToolbar({
+  view, title, weekStartsOn, onViewChange, onShift, onToday, onWeekStartChange,
+  tripTimeZone, viewerTimeZone, showViewerTime, onShowViewerTimeChange
+}) {
+  return (
+    <div className="mb-6">
+      <div className="flex flex-col md:flex-row md:items-center justify-between gap-3 mb-4">
+        <div className="inline-flex rounded-lg border border-gray-200 overflow-hidden" role="group" aria-label="Calendar view">
+          {Object.entries(CALENDAR_VIEWS).map(([viewId, calendarView]) => (
+            <button
+              key={viewId}
+              type="button"
+              onClick={() => onViewChange(viewId)}
+              aria-pressed={view === viewId}
+              className={`px-3 py-2 text-sm font-semibold transition-colors duration-200
+                          ${view === viewId ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-100'}`}
+            >
+              {calendarView.label}
+            </button>
+          ))}
+        </div>
+        <div className="flex items-center gap-3">
+          <button
+            type="button"
+            onClick={onToday}
+            className="px-3 py-2 bg-gray-100 text-gray-700 text-sm font-semibold rounded-lg hover:bg-gray-200 transition-colors duration-200"
+          >
+            Today
+          </button>
+          <label htmlFor="weekStartSelect" className="text-gray-700 text-sm font-bold">
+            Week starts on:
+          </label>
+          <select
+            id="weekStartSelect"
+            className="shadow border rounded-lg py-2 px-3 text-sm text-gray-700 focus:outline-none focus:ring-2 focus:ring-blue-300"
+            value={weekStartsOn}
+            onChange={(e) => onWeekStartChange(Number(e.target.value))}
+          >
+            {WEEK_START_OPTIONS.map(day => (
+              <option key={day} value={day}>{WEEKDAY_NAMES[day]}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      <div className="flex justify-center items-center text-xl font-semibold text-gray-700">
+        {!isRangeView(view) && (
+          <button type="button" onClick={() => onShift(-1)} className={`${navButtonClass} mr-2`} aria-label="Previous">
+            &lt;
+          </button>
+        )}
+        <span>{title}</span>
+        {!isRangeView(view) && (
+          <button type="button" onClick={() => onShift(1)} className={`${navButtonClass} ml-2`} aria-label="Next">
+            &gt;
+          </button>
+        )}
+      </div>
+      <div className="flex flex-wrap justify-center items-center gap-3 mt-2 text-sm text-gray-600">
+        <span>Times in {showViewerTime ? `${viewerTimeZone} (your time zone)` : `${tripTimeZone} (trip time zone)`}</span>
+        {tripTimeZone !== viewerTimeZone && (
+          <label className="flex items-center gap-2">
+            <input
+              type="checkbox"
+              checked={showViewerTime}
+              onChange={(e) => onShowViewerTimeChange(e.target.checked)}
+            />
+            Show in my time zone ({viewerTimeZone})
+          </label>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default CalendarToolbar;
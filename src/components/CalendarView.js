@@ -0,0 +1,475 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { ITEM_CATEGORIES, getPlanItems, formatTimeRange, isProposal } from '../utils/planItems';
+import { getTripColor, isWithinTrip } from '../utils/trips';
+import { parseDateId } from '../utils/dates';
+import { formatMoney } from '../utils/expenses';
+import { formatLocation } from '../utils/locations';
+import DayRoute from './DayRoute';
+import {
+  getWeekdayLabels, getMonthWeeks, getWeeksBetween, getWeekDates, getAgendaDates, layoutTimeline, layoutSpanBars
+} from '../utils/calendarViews';
+
+// Number of items listed in a month cell before collapsing into "+N more"
+const MAX_CELL_ITEMS = 3;
+// Height of one hour on the day timeline, in pixels
+const HOUR_HEIGHT = 48;
+// Hour the day timeline scrolls to when the day has no timed items
+const DEFAULT_SCROLL_HOUR = 8;
+// Multi-day bars in a grid row: offset of the first below the day number, and the height of each lane, in rem
+const BAR_TOP = 2.25;
+const BAR_LANE_HEIGHT = 1.25;
+
+const categoryOf = (item) => ITEM_CATEGORIES[item.category] || ITEM_CATEGORIES.activity;
+
+// Title of an item with a mark for multi-day and repeating entries, e.g. "Hotel (day 2 of 5)" or "↻ Breakfast"
+const describeItem = (item) => {
+  const title = item.title || 'Untitled';
+  if (item.span) return `${title} (day ${item.span.index + 1} of ${item.span.count})`;
+  return item.seriesId ? `↻ ${title}` : title;
+};
+
+// ID of the element showing a day, used by the "Today" button to scroll to it
+export const getDayElementId = (dateId) => `calendar-day-${dateId}`;
+
+function PendingBadge() {
+  return (
+    <span
+      className="absolute top-1 right-1 px-1.5 py-0.5 rounded-full bg-amber-100 text-amber-800 text-[10px] font-semibold"
+      title="Changes to this day haven't synced yet"
+    >
+      Pending sync
+    </span>
+  );
+}
+
+// What was spent on a day, in the trip's currency
+function DailyTotal({ dateId, calendar }) {
+  const cents = calendar.dailyTotals?.[dateId];
+  if (!cents) return null;
+  return (
+    <span className="ml-1 px-1.5 py-0.5 rounded-full bg-green-100 text-green-800 text-[10px] font-semibold" title="Spent on this day">
+      {formatMoney(cents, calendar.currency)}
+    </span>
+  );
+}
+
+// Tasks ticked off on a day with open tasks
+function ChecklistProgress({ dateId, calendar }) {
+  const progress = calendar.checklistProgress?.[dateId];
+  if (!progress) return null;
+  return (
+    <span className="ml-1 px-1.5 py-0.5 rounded-full bg-amber-100 text-amber-800 text-[10px] font-semibold" title="Tasks done on this day">
+      ☑ {progress.done}/{progress.total}
+    </span>
+  );
+}
+
+// Marks a day changed by someone else since the user's last visit, the others who have it open now,
+// and how many comments it has
+function DayActivity({ dateId, calendar }) {
+  const isUnread = calendar.unreadDateIds?.has(dateId);
+  const viewerNames = calendar.dayViewers?.[dateId] || [];
+  const commentCount = calendar.commentCounts?.[dateId] || 0;
+  return (
+    <>
+      {isUnread && (
+        <span className="ml-1 px-1.5 py-0.5 rounded-full bg-blue-600 text-white text-[10px] font-semibold" title="Changed since your last visit">
+          New
+        </span>
+      )}
+      {viewerNames.length > 0 && (
+        <span
+          className="ml-1 px-1.5 py-0.5 rounded-full bg-pink-100 text-pink-800 text-[10px] font-semibold"
+          title={`Open now by ${viewerNames.join(', ')}`}
+        >
+          👁 {viewerNames.length === 1 ? viewerNames[0] : viewerNames.length}
+        </span>
+      )}
+      {commentCount > 0 && (
+        <span
+          className="ml-1 px-1.5 py-0.5 rounded-full bg-gray-100 text-gray-700 text-[10px] font-semibold"
+          title={commentCount === 1 ? '1 comment' : `${commentCount} comments`}
+        >
+          💬 {commentCount}
+        </span>
+      )}
+    </>
+  );
+}
+
+// Proposals are drawn faded and in italics, apart from the confirmed plan
+const getProposalProps = (item) => (
+  isProposal(item)
+    ? { className: 'italic opacity-60', title: 'Proposal, not confirmed yet' }
+    : { className: '', title: undefined }
+);
+
+// Fades days that don't match the active search or filters
+const getMatchProps = (calendar, dateId) => (
+  calendar.isDayMatching && !calendar.isDayMatching(dateId)
+    ? { className: 'opacity-40', title: "Doesn't match the search or filters" }
+    : { className: '', title: undefined }
+);
+
+// Holding Alt, Ctrl or Cmd while dropping copies instead of moving
+const isCopyDrop = (e) => e.altKey || e.ctrlKey || e.metaKey;
+
+// Starts dragging a day's plan ({ type: 'day', fromId }) or one item ({ type: 'item', fromId, itemId })
+const startDrag = (e, calendar, dragged) => {
+  e.stopPropagation();
+  if (e.dataTransfer) {
+    e.dataTransfer.effectAllowed = 'copyMove';
+    // Some browsers only start a drag that carries data
+    e.dataTransfer.setData('text/plain', dragged.itemId || dragged.fromId);
+  }
+  calendar.setDragged(dragged);
+};
+
+// One day in a month, trip or week grid. `maxItems` limits the items listed (null lists them all);
+// `showMonth` adds the month name, for grids spanning several months.
+// `barLanes` is the number of multi-day bar lanes drawn over the cell's row, which the item list goes below.
+function DayCell({ dateId, calendar, maxItems, showMonth, muted, barLanes = 0 }) {
+  const { trip, plans, pendingDateIds, selectedDateId, todayId, onOpenDay, onDropPlan, dragged, setDragged } = calendar;
+  const [isDropTarget, setIsDropTarget] = useState(false);
+  const date = parseDateId(dateId);
+  const allItems = getPlanItems(plans[dateId]);
+  const hasPlan = allItems.length > 0;
+  // Multi-day entries are drawn as bars across the row instead
+  const items = allItems.filter(item => !item.span);
+  const shownItems = maxItems ? items.slice(0, maxItems) : items;
+  const barSpace = `${barLanes * BAR_LANE_HEIGHT}rem`;
+  const match = getMatchProps(calendar, dateId);
+  // Entries from utils/series aren't part of the day's plan, so they stay put
+  const isDraggable = (item) => Boolean(onDropPlan) && !item.seriesId;
+  const isPicked = calendar.selectedDayIds?.has(dateId);
+
+  const dropProps = onDropPlan ? {
+    onDragOver: (e) => {
+      if (!dragged) return;
+      e.preventDefault();
+      if (e.dataTransfer) e.dataTransfer.dropEffect = isCopyDrop(e) ? 'copy' : 'move';
+      setIsDropTarget(true);
+    },
+    onDragLeave: () => setIsDropTarget(false),
+    onDrop: (e) => {
+      e.preventDefault();
+      setIsDropTarget(false);
+      if (!dragged) return;
+      // Holding Shift while dropping a day swaps the two days
+      onDropPlan({ ...dragged, toId: dateId, copy: isCopyDrop(e), swap: dragged.type === 'day' && e.shiftKey });
+      setDragged(null);
+    },
+  } : {};
+
+  return (
+    <div
+      id={getDayElementId(dateId)}
+      title={match.title}
+      className={`p-2 border-r border-b border-gray-200 cursor-pointer relative ${match.className}
+                  ${maxItems ? 'aspect-square' : 'min-h-[12rem]'}
+                  ${hasPlan ? 'bg-blue-100' : muted ? 'bg-gray-50' : isWithinTrip(trip, dateId) ? getTripColor(trip).cellClass : 'bg-white'}
+                  hover:bg-blue-200 transition-colors duration-200
+                  ${selectedDateId === dateId ? 'border-2 border-blue-500 ring-2 ring-blue-300' : ''}
+                  ${isPicked ? 'ring-2 ring-inset ring-amber-400' : ''}
+                  ${isDropTarget ? 'ring-2 ring-inset ring-green-500' : ''}`}
+      onClick={() => onOpenDay(dateId)}
+      draggable={allItems.some(isDraggable)}
+      onDragStart={(e) => startDrag(e, calendar, { type: 'day', fromId: dateId })}
+      onDragEnd={() => setDragged(null)}
+      {...dropProps}
+    >
+      {calendar.selectedDayIds && (
+        <input
+          type="checkbox"
+          aria-label={`Select ${date.toDateString()}`}
+          className="mr-1 align-middle"
+          checked={isPicked}
+          onClick={(e) => e.stopPropagation()}
+          onChange={(e) => calendar.onSelectDay(dateId, e.nativeEvent.shiftKey)}
+        />
+      )}
+      <span
+        className={`font-bold text-lg ${dateId === todayId ? 'inline-flex items-center justify-center w-8 h-8 rounded-full bg-blue-600 text-white' : muted ? 'text-gray-400' : 'text-gray-800'}`}
+        title={dateId === todayId ? 'Today' : undefined}
+      >
+        {date.getDate()}
+      </span>
+      {showMonth && (
+        <span className="ml-1 text-xs font-semibold text-gray-500 uppercase">
+          {date.toLocaleString('default', { month: 'short' })}
+        </span>
+      )}
+      <DailyTotal dateId={dateId} calendar={calendar} />
+      <ChecklistProgress dateId={dateId} calendar={calendar} />
+      <DayActivity dateId={dateId} calendar={calendar} />
+      {pendingDateIds.has(dateId) && <PendingBadge />}
+      {items.length > 0 && (
+        <ul
+          className={`text-xs text-blue-800 space-y-0.5 ${maxItems ? 'absolute bottom-1 left-1 right-1 overflow-hidden' : 'mt-2'}`}
+          style={maxItems ? { top: `calc(2rem + ${barSpace})` } : { paddingTop: barSpace }}
+        >
+          {shownItems.map(item => (
+            <li
+              key={item.id}
+              className={`flex items-center gap-1 truncate ${getProposalProps(item).className}`}
+              title={getProposalProps(item).title}
+              draggable={isDraggable(item)}
+              onDragStart={(e) => startDrag(e, calendar, { type: 'item', fromId: dateId, itemId: item.id })}
+              onDragEnd={() => setDragged(null)}
+            >
+              <span className={`inline-block shrink-0 w-1.5 h-1.5 rounded-full ${categoryOf(item).dotClass}`}></span>
+              {item.startTime && <span className="font-mono text-gray-600">{item.startTime}</span>}
+              <span className="truncate">{describeItem(item)}</span>
+            </li>
+          ))}
+          {items.length > shownItems.length && (
+            <li className="text-gray-500">+{items.length - shownItems.length} more</li>
+          )}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+// A multi-day entry drawn across the days of a grid row it covers; clicking it opens its first day there
+function SpanBar({ bar, week, calendar }) {
+  const { item, startColumn, columnCount, lane, continuesBefore, continuesAfter } = bar;
+  return (
+    <button
+      type="button"
+      onClick={() => calendar.onOpenDay(week[startColumn])}
+      title={`${item.title || 'Untitled'} (${item.span.count} days)`}
+      className={`absolute z-10 h-4 px-1 text-left text-[10px] leading-4 font-semibold truncate shadow-sm ${categoryOf(item).badgeClass}
+                  ${continuesBefore ? 'rounded-l-none' : 'rounded-l'} ${continuesAfter ? 'rounded-r-none' : 'rounded-r'}`}
+      style={{
+        top: `${BAR_TOP + lane * BAR_LANE_HEIGHT}rem`,
+        left: `calc(${(startColumn / 7) * 100}% + ${continuesBefore ? 0 : 4}px)`,
+        width: `calc(${(columnCount / 7) * 100}% - ${(continuesBefore ? 0 : 4) + (continuesAfter ? 0 : 4)}px)`,
+      }}
+    >
+      {continuesBefore && '… '}
+      {!continuesBefore && item.startTime && <span className="font-mono mr-1">{item.startTime}</span>}
+      {item.title || 'Untitled'}
+    </button>
+  );
+}
+
+// Rows of 7 days under a weekday header. Null entries are blank cells.
+function DayGrid({ weeks, calendar, maxItems, isMuted = () => false, showMonthOn = () => false }) {
+  return (
+    <div className="bg-gray-200 border-t border-l border-gray-200 rounded-lg overflow-hidden space-y-px">
+      <div className="grid grid-cols-7 gap-px">
+        {getWeekdayLabels(calendar.weekStartsOn).map(day => (
+          <div key={day} className="w-full text-center py-2 bg-gray-100 text-gray-600 font-semibold text-sm border-b border-r border-gray-200">
+            {day}
+          </div>
+        ))}
+      </div>
+      {weeks.map((week, weekIndex) => {
+        const bars = layoutSpanBars(week, calendar.plans);
+        const barLanes = Math.max(0, ...bars.map(bar => bar.lane + 1));
+        return (
+          <div key={week.find(Boolean) || weekIndex} className="relative grid grid-cols-7 gap-px">
+            {week.map((dateId, column) => (dateId ? (
+              <DayCell
+                key={dateId}
+                dateId={dateId}
+                calendar={calendar}
+                maxItems={maxItems}
+                muted={isMuted(dateId)}
+                showMonth={showMonthOn(dateId, weekIndex * 7 + column)}
+                barLanes={barLanes}
+              />
+            ) : (
+              <div key={`empty-${column}`} className="aspect-square p-2 border-r border-b border-gray-200 bg-white"></div>
+            )))}
+            {bars.map(bar => <SpanBar key={`${bar.item.seriesId}-${bar.startColumn}`} bar={bar} week={week} calendar={calendar} />)}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+// Hour-by-hour view of one day; untimed items are listed above the hours
+function DayTimeline({ calendar }) {
+  const { dateId, plans, pendingDateIds, onOpenDay } = calendar;
+  const items = getPlanItems(plans[dateId]);
+  const entries = layoutTimeline(items);
+  const untimedItems = items.filter(item => !item.startTime);
+  const scrollRef = useRef(null);
+  const match = getMatchProps(calendar, dateId);
+
+  // Start scrolled to the first item, or to the morning on an empty day
+  const firstStart = entries.length > 0 ? entries[0].startMinutes : DEFAULT_SCROLL_HOUR * 60;
+  useEffect(() => {
+    if (scrollRef.current) {
+      scrollRef.current.scrollTop = (firstStart / 60) * HOUR_HEIGHT;
+    }
+  }, [dateId, firstStart]);
+
+  return (
+    <div id={getDayElementId(dateId)} title={match.title} className={`relative border border-gray-200 rounded-lg overflow-hidden ${match.className}`}>
+      {pendingDateIds.has(dateId) && <PendingBadge />}
+      <div className="flex items-center justify-between gap-3 px-4 py-2 bg-gray-100 border-b border-gray-200">
+        <div className="text-sm text-gray-700">
+          {untimedItems.length > 0 ? (
+            <ul className="flex flex-wrap gap-2" aria-label="Items without a time">
+              {untimedItems.map(item => (
+                <li
+                  key={item.id}
+                  title={getProposalProps(item).title}
+                  className={`px-2 py-0.5 rounded-full text-xs font-semibold ${categoryOf(item).badgeClass} ${getProposalProps(item).className}`}
+                >
+                  {describeItem(item)}
+                </li>
+              ))}
+            </ul>
+          ) : items.length === 0 && 'Nothing planned yet.'}
+        </div>
+        <DailyTotal dateId={dateId} calendar={calendar} />
+        <ChecklistProgress dateId={dateId} calendar={calendar} />
+        <DayActivity dateId={dateId} calendar={calendar} />
+        <button
+          type="button"
+          onClick={() => onOpenDay(dateId)}
+          className="shrink-0 px-3 py-1 bg-blue-100 text-blue-800 text-sm font-semibold rounded-lg hover:bg-blue-200 transition-colors duration-200"
+        >
+          Edit Day
+        </button>
+      </div>
+      <div ref={scrollRef} className="max-h-[32rem] overflow-y-auto">
+        <div
+          className="relative ml-14 cursor-pointer"
+          style={{ height: 24 * HOUR_HEIGHT }}
+          onClick={() => onOpenDay(dateId)}
+        >
+          {Array.from({ length: 24 }, (_, hour) => (
+            <div
+              key={hour}
+              className="absolute left-0 right-0 border-t border-gray-200"
+              style={{ top: hour * HOUR_HEIGHT }}
+            >
+              <span className="absolute -left-14 -top-2 w-12 text-right text-xs text-gray-500 font-mono">
+                {`${String(hour).padStart(2, '0')}:00`}
+              </span>
+            </div>
+          ))}
+          {entries.map(({ item, startMinutes, endMinutes, column, columnCount }) => (
+            <div
+              key={item.id}
+              title={getProposalProps(item).title}
+              className={`absolute rounded-md px-2 py-1 text-xs overflow-hidden shadow-sm border ${categoryOf(item).badgeClass}
+                          ${isProposal(item) ? `border-dashed border-violet-500 ${getProposalProps(item).className}` : 'border-white'}`}
+              style={{
+                top: (startMinutes / 60) * HOUR_HEIGHT,
+                height: Math.max(((endMinutes - startMinutes) / 60) * HOUR_HEIGHT, 20),
+                left: `${(column / columnCount) * 100}%`,
+                width: `${100 / columnCount}%`,
+              }}
+            >
+              <span className="font-mono mr-1">{formatTimeRange(item)}</span>
+              <span className="font-semibold">{describeItem(item)}</span>
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Every day of the trip (and any other day with plans) as a list
+function AgendaView({ calendar }) {
+  const { trip, plans, pendingDateIds, selectedDateId, todayId, onOpenDay } = calendar;
+
+  return (
+    <ol className="space-y-3">
+      {getAgendaDates(trip, plans).map(dateId => {
+        const items = getPlanItems(plans[dateId]);
+        const match = getMatchProps(calendar, dateId);
+        return (
+          <li
+            key={dateId}
+            id={getDayElementId(dateId)}
+            title={match.title}
+            className={`relative border rounded-lg p-4 ${match.className} ${selectedDateId === dateId ? 'border-blue-500 ring-2 ring-blue-300' : 'border-gray-200'}
+                        ${isWithinTrip(trip, dateId) ? '' : 'bg-gray-50'}`}
+          >
+            {pendingDateIds.has(dateId) && <PendingBadge />}
+            <button
+              type="button"
+              onClick={() => onOpenDay(dateId)}
+              className="text-left font-semibold text-blue-700 hover:underline"
+            >
+              {parseDateId(dateId).toDateString()}
+              {dateId === todayId && <span className="ml-2 px-2 py-0.5 rounded-full bg-blue-600 text-white text-xs">Today</span>}
+            </button>
+            <DailyTotal dateId={dateId} calendar={calendar} />
+            <ChecklistProgress dateId={dateId} calendar={calendar} />
+            <DayActivity dateId={dateId} calendar={calendar} />
+            {items.length === 0 ? (
+              <p className="text-sm text-gray-500 italic mt-1">Nothing planned.</p>
+            ) : (
+              <ul className="mt-2 space-y-1">
+                {items.map(item => (
+                  <li key={item.id} className={`text-sm text-gray-800 ${getProposalProps(item).className}`}>
+                    {item.startTime && <span className="font-mono text-gray-600 mr-2">{formatTimeRange(item)}</span>}
+                    <span className="font-semibold">{describeItem(item)}</span>
+                    <span className={`ml-2 px-2 py-0.5 rounded-full text-xs ${categoryOf(item).badgeClass}`}>{categoryOf(item).label}</span>
+                    {isProposal(item) && <span className="ml-2 px-2 py-0.5 rounded-full text-xs bg-violet-100 text-violet-800">Proposal</span>}
+                    {item.location && <p className="text-gray-500 text-xs ml-1">{formatLocation(item.location)}</p>}
+                    {item.notes && <p className="text-gray-600 whitespace-pre-wrap ml-1">{item.notes}</p>}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </li>
+        );
+      })}
+    </ol>
+  );
+}
+
+// Shows the active trip's plans in the chosen view (see utils/calendarViews). Props:
+// { view, dateId, weekStartsOn, trip, plans, pendingDateIds, selectedDateId, todayId, onOpenDay },
+// plus optional `dailyTotals` ({ dateId: cents }) spent in the trip's `currency`, `checklistProgress`
+// ({ dateId: { done, total } }) for days with open tasks, the `mapProvider`
+// drawing the day view's route, and `isDayMatching(dateId)`, which fades days it returns false for.
+// `unreadDateIds` (a Set) marks days changed since the user's last visit and `dayViewers` ({ dateId: [name] })
+// shows who else has a day open; `commentCounts` ({ dateId: count }) badges days with comments.
+// With `onDropPlan({ type, fromId, itemId, toId, copy, swap })`, days and items in the grids can be dragged onto
+// other days; with `selectedDayIds` (a Set) the grid days get checkboxes calling `onSelectDay(dateId, extend)`.
+function CalendarView(props) {
+  const { view: viewName, dateId, weekStartsOn, trip } = props;
+  const [dragged, setDragged] = useState(null);
+  const calendar = { ...props, dragged, setDragged };
+
+  if (viewName === 'week') {
+    return <DayGrid weeks={[getWeekDates(dateId, weekStartsOn)]} calendar={calendar} />;
+  }
+  if (viewName === 'day') {
+    return (
+      <>
+        <DayTimeline calendar={calendar} />
+        <DayRoute items={getPlanItems(props.plans[dateId])} mapProvider={props.mapProvider} />
+      </>
+    );
+  }
+  if (viewName === 'trip') {
+    return (
+      <DayGrid
+        weeks={getWeeksBetween(trip.startDate, trip.endDate, weekStartsOn)}
+        calendar={calendar}
+        maxItems={MAX_CELL_ITEMS}
+        isMuted={(day) => !isWithinTrip(trip, day)}
+        showMonthOn={(day, index) => index === 0 || day.endsWith('-01')}
+      />
+    );
+  }
+  if (viewName === 'agenda') {
+    return <AgendaView calendar={calendar} />;
+  }
+  return <DayGrid weeks={getMonthWeeks(dateId, weekStartsOn)} calendar={calendar} maxItems={MAX_CELL_ITEMS} />;
+}
+
+export default CalendarView;
@@ -0,0 +1,121 @@
+import React, { useState } from 'react';
+import { validateChecklistTask, sortChecklistTasks, isTaskOverdue } from '../utils/checklists';
+import { getDisplayName } from '../utils/profiles';
+import { parseDateId } from '../utils/dates';
+
+const smallInputClass = "border rounded-lg py-1 px-2 text-sm text-gray-700 focus:outline-none focus:ring-2 focus:ring-blue-300";
+
+const emptyForm = () => ({ text: '', assigneeId: '', dueDate: '' });
+
+// Tasks of the trip (`dateId` '') or of one day, ticked off as soon as they are clicked, with a form
+// for editors to add one. Tasks are saved straight away, independently of the day's plan draft.
+function Checklist({ title, dateId, trip, tasks, profiles, todayId, canEdit, onAdd, onToggle, onRemove }) {
+  const [form, setForm] = useState(emptyForm);
+  const [formError, setFormError] = useState('');
+  const memberIds = Object.keys(trip.members || {});
+  const doneCount = tasks.filter(task => task.done).length;
+
+  const handleAdd = async () => {
+    const error = validateChecklistTask(form);
+    if (error) {
+      setFormError(error);
+      return;
+    }
+    setFormError('');
+    if (await onAdd({ ...form, dateId })) {
+      setForm(emptyForm());
+    }
+  };
+
+  return (
+    <section className="mb-6" aria-label={title}>
+      <div className="flex items-center justify-between mb-2">
+        <span className="block text-gray-700 text-sm font-bold">{title}:</span>
+        {tasks.length > 0 && <span className="text-xs text-gray-500">{doneCount} of {tasks.length} done</span>}
+      </div>
+      {tasks.length === 0 ? (
+        <p className="text-gray-500 text-sm mb-3">No tasks yet.</p>
+      ) : (
+        <ul className="space-y-1 mb-3">
+          {sortChecklistTasks(tasks).map(task => (
+            <li key={task.id} className="flex items-center gap-2 text-sm text-gray-800">
+              <label className="flex items-center gap-2 min-w-0">
+                <input
+                  type="checkbox"
+                  checked={task.done}
+                  disabled={!canEdit}
+                  onChange={(e) => onToggle(task, e.target.checked)}
+                />
+                <span className={`truncate ${task.done ? 'line-through text-gray-500' : ''}`}>{task.text}</span>
+              </label>
+              {task.assigneeId && (
+                <span className="text-gray-500 truncate">· {getDisplayName(profiles, task.assigneeId)}</span>
+              )}
+              {task.dueDate && (
+                <span className={`text-xs ${isTaskOverdue(task, todayId) ? 'text-red-700 font-semibold' : 'text-gray-500'}`}>
+                  due {parseDateId(task.dueDate).toDateString()}
+                </span>
+              )}
+              {task.done && task.doneBy && (
+                <span className="text-xs text-gray-400 truncate">done by {getDisplayName(profiles, task.doneBy)}</span>
+              )}
+              {canEdit && (
+                <button
+                  type="button"
+                  onClick={() => onRemove(task)}
+                  aria-label={`Remove task ${task.text}`}
+                  className="ml-auto px-2 py-1 text-sm rounded-lg bg-gray-100 hover:bg-gray-200 transition-colors duration-200"
+                >
+                  ✕
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {canEdit && (
+        <div className="p-3 border border-gray-200 rounded-lg bg-gray-50 space-y-2">
+          <div className="flex flex-wrap gap-2">
+            <input
+              type="text"
+              aria-label="Task"
+              placeholder="Something to pack or do"
+              className={`${smallInputClass} flex-1 min-w-[8rem]`}
+              value={form.text}
+              onChange={(e) => setForm({ ...form, text: e.target.value })}
+            />
+            <select
+              aria-label="Assigned to"
+              className={smallInputClass}
+              value={form.assigneeId}
+              onChange={(e) => setForm({ ...form, assigneeId: e.target.value })}
+            >
+              <option value="">Anyone</option>
+              {memberIds.map(memberId => (
+                <option key={memberId} value={memberId}>{getDisplayName(profiles, memberId)}</option>
+              ))}
+            </select>
+            <input
+              type="date"
+              aria-label="Due date"
+              className={smallInputClass}
+              value={form.dueDate}
+              onChange={(e) => setForm({ ...form, dueDate: e.target.value })}
+            />
+          </div>
+          {formError && <p className="text-sm text-red-700" role="alert">{formError}</p>}
+          <button
+            type="button"
+            onClick={handleAdd}
+            className="px-3 py-1 bg-blue-100 text-blue-800 text-sm font-semibold rounded-lg hover:bg-blue-200 transition-colors duration-200"
+          >
+            Add Task
+          </button>
+        </div>
+      )}
+    </section>
+  );
+}
+
+export default Checklist;
@@ -0,0 +1,89 @@
+import React, { useState } from 'react';
+import Checklist from './Checklist';
+import { CHECKLIST_TEMPLATES } from '../utils/checklists';
+import { parseDateId } from '../utils/dates';
+
+const smallInputClass = "border rounded-lg py-1 px-2 text-sm text-gray-700 focus:outline-none focus:ring-2 focus:ring-blue-300";
+const sectionClass = "border border-gray-200 rounded-lg p-4 mb-4";
+
+// The trip's own checklist, with ready-made templates to start it from, and the days that have tasks
+function ChecklistModal({ trip, tasks, profiles, todayId, canEdit, onAdd, onAddTemplate, onToggle, onRemove, onOpenDay, onClose }) {
+  const [templateId, setTemplateId] = useState(Object.keys(CHECKLIST_TEMPLATES)[0]);
+  const tripTasks = tasks.filter(task => !task.dateId);
+  const dayIds = [...new Set(tasks.filter(task => task.dateId).map(task => task.dateId))].sort();
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-lg shadow-xl p-6 w-full max-w-2xl relative transform transition-all duration-300 scale-95 opacity-0 animate-fade-in-scale max-h-full overflow-y-auto">
+        <h2 className="text-2xl font-bold text-blue-700 mb-4">Checklists</h2>
+
+        {canEdit && (
+          <div className="flex flex-wrap items-center gap-2 mb-4 text-sm text-gray-700">
+            <label htmlFor="checklistTemplate" className="font-bold">Add from template:</label>
+            <select
+              id="checklistTemplate"
+              className={smallInputClass}
+              value={templateId}
+              onChange={(e) => setTemplateId(e.target.value)}
+            >
+              {Object.entries(CHECKLIST_TEMPLATES).map(([id, { label }]) => <option key={id} value={id}>{label}</option>)}
+            </select>
+            <button
+              type="button"
+              onClick={() => onAddTemplate(templateId)}
+              className="px-3 py-1 bg-blue-100 text-blue-800 font-semibold rounded-lg hover:bg-blue-200 transition-colors duration-200"
+            >
+              Add Template
+            </button>
+          </div>
+        )}
+
+        <Checklist
+          title="Trip checklist"
+          dateId=""
+          trip={trip}
+          tasks={tripTasks}
+          profiles={profiles}
+          todayId={todayId}
+          canEdit={canEdit}
+          onAdd={onAdd}
+          onToggle={onToggle}
+          onRemove={onRemove}
+        />
+
+        {dayIds.length > 0 && (
+          <section className={sectionClass}>
+            <h3 className="font-semibold text-gray-800 mb-3">Tasks for days</h3>
+            <ul className="space-y-1 text-sm">
+              {dayIds.map(dateId => {
+                const dayTasks = tasks.filter(task => task.dateId === dateId);
+                return (
+                  <li key={dateId}>
+                    <button type="button" onClick={() => onOpenDay(dateId)} className="text-blue-700 hover:underline">
+                      {parseDateId(dateId).toDateString()}
+                    </button>
+                    <span className="ml-2 text-gray-500">
+                      {dayTasks.filter(task => task.done).length} of {dayTasks.length} done
+                    </span>
+                  </li>
+                );
+              })}
+            </ul>
+          </section>
+        )}
+
+        <div className="flex justify-end gap-3">
+          <button
+            type="button"
+            onClick={onClose}
+            className="bg-gray-400 hover:bg-gray-500 text-white font-bold py-2 px-4 rounded-lg focus:outline-none focus:ring-2 focus:ring-gray-300 transition-colors duration-200 shadow-md"
+          >
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ChecklistModal;
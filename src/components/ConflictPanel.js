@@ -0,0 +1,68 @@
+import React from 'react';
+import { getPlanItems, formatTimeRange } from '../utils/planItems';
+import { getDisplayName } from '../utils/profiles';
+import { toDate } from '../utils/dates';
+
+const ItemSummaryList = ({ items }) => (
+  items.length === 0 ? (
+    <p className="text-gray-500 italic">No items</p>
+  ) : (
+    <ol className="space-y-1">
+      {items.map(item => (
+        <li key={item.id}>
+          {formatTimeRange(item) && <span className="font-mono text-gray-600 mr-1">{formatTimeRange(item)}</span>}
+          {item.title || 'Untitled'}
+        </li>
+      ))}
+    </ol>
+  )
+);
+
+// Shown in the day modal when someone else changed the day after editing started.
+// Puts the incoming version next to the local draft and lets the user merge, overwrite or discard.
+function ConflictPanel({ incomingPlan, draftItems, profiles, onMerge, onOverwrite, onDiscard }) {
+  return (
+    <div className="mb-4 p-4 border border-amber-400 bg-amber-50 rounded-lg" role="alert">
+      <p className="font-semibold text-amber-800 mb-3">
+        {incomingPlan
+          ? `${getDisplayName(profiles, incomingPlan.lastUpdatedBy)} changed this day at ${toDate(incomingPlan.timestamp)?.toLocaleTimeString()} while you were editing.`
+          : 'Someone deleted this day while you were editing.'}
+      </p>
+      <div className="grid grid-cols-2 gap-4 text-sm mb-3">
+        <div>
+          <h3 className="font-semibold text-gray-700 mb-1">Their version</h3>
+          <ItemSummaryList items={getPlanItems(incomingPlan)} />
+        </div>
+        <div>
+          <h3 className="font-semibold text-gray-700 mb-1">Your draft</h3>
+          <ItemSummaryList items={draftItems} />
+        </div>
+      </div>
+      <div className="flex flex-wrap gap-2">
+        <button
+          type="button"
+          onClick={onMerge}
+          className="px-3 py-1 bg-amber-500 text-white font-semibold rounded-lg hover:bg-amber-600 transition-colors duration-200"
+        >
+          Merge Both
+        </button>
+        <button
+          type="button"
+          onClick={onOverwrite}
+          className="px-3 py-1 bg-white border border-amber-500 text-amber-800 font-semibold rounded-lg hover:bg-amber-100 transition-colors duration-200"
+        >
+          Keep Mine
+        </button>
+        <button
+          type="button"
+          onClick={onDiscard}
+          className="px-3 py-1 bg-white border border-gray-400 text-gray-700 font-semibold rounded-lg hover:bg-gray-100 transition-colors duration-200"
+        >
+          Discard Mine
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default ConflictPanel;
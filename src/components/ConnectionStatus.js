@@ -0,0 +1,23 @@
+import React from 'react';
+
+const STATUSES = {
+  online: { label: 'Online', dotClass: 'bg-green-500', textClass: 'text-green-800 bg-green-100' },
+  syncing: { label: 'Syncing…', dotClass: 'bg-amber-500 animate-pulse', textClass: 'text-amber-800 bg-amber-100' },
+  offline: { label: 'Offline — changes will sync later', dotClass: 'bg-gray-500', textClass: 'text-gray-700 bg-gray-200' },
+};
+
+// Small pill showing whether the app is online, offline, or still pushing queued changes
+function ConnectionStatus({ isOnline, pendingCount }) {
+  const status = !isOnline ? 'offline' : pendingCount > 0 ? 'syncing' : 'online';
+  const { label, dotClass, textClass } = STATUSES[status];
+
+  return (
+    <span className={`inline-flex items-center gap-2 px-3 py-1 rounded-full text-sm font-semibold ${textClass}`} role="status">
+      <span className={`inline-block w-2 h-2 rounded-full ${dotClass}`}></span>
+      {label}
+      {pendingCount > 0 && <span className="font-normal">({pendingCount} pending)</span>}
+    </span>
+  );
+}
+
+export default ConnectionStatus;
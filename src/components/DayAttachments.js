@@ -0,0 +1,99 @@
+import React, { useState } from 'react';
+import {
+  ATTACHMENT_ACCEPT, ATTACHMENT_TYPES, MAX_ATTACHMENT_SIZE, validateAttachmentFile, formatFileSize, isImageAttachment
+} from '../utils/attachments';
+
+const smallInputClass = "border rounded-lg py-1 px-2 text-sm text-gray-700 focus:outline-none focus:ring-2 focus:ring-blue-300";
+
+// Files attached to one day or its items, as thumbnails that open the file, with a picker for editors.
+// Files are uploaded straight away, independently of the day's plan draft. `maxSize` is the storage
+// backend's size limit.
+function DayAttachments({ dateId, items, attachments, canEdit, maxSize = MAX_ATTACHMENT_SIZE, onUpload, onRemove }) {
+  const [itemId, setItemId] = useState('');
+  const [formError, setFormError] = useState('');
+  const [isUploading, setIsUploading] = useState(false);
+  const itemTitles = Object.fromEntries(items.map(item => [item.id, item.title || 'Untitled']));
+
+  const handleFiles = async (e) => {
+    const files = Array.from(e.target.files);
+    e.target.value = '';
+    const error = files.map(file => validateAttachmentFile(file, maxSize)).find(Boolean);
+    if (error) {
+      setFormError(error);
+      return;
+    }
+    setFormError('');
+    setIsUploading(true);
+    for (const file of files) {
+      if (!await onUpload(file, { dateId, itemId })) break;
+    }
+    setIsUploading(false);
+  };
+
+  return (
+    <section className="mb-6" aria-label="Attachments">
+      <span className="block text-gray-700 text-sm font-bold mb-2">Attachments:</span>
+      {attachments.length === 0 ? (
+        <p className="text-gray-500 text-sm mb-3">No files attached to this day.</p>
+      ) : (
+        <ul className="grid grid-cols-2 sm:grid-cols-4 gap-3 mb-3">
+          {attachments.map(attachment => (
+            <li key={attachment.id} className="relative border border-gray-200 rounded-lg overflow-hidden text-xs">
+              <a href={attachment.url} target="_blank" rel="noopener noreferrer" className="block hover:bg-gray-50">
+                {isImageAttachment(attachment) ? (
+                  <img src={attachment.url} alt={attachment.name} className="w-full h-24 object-cover bg-gray-100" />
+                ) : (
+                  <span className="flex items-center justify-center w-full h-24 bg-red-50 text-red-700 font-bold text-lg">
+                    {ATTACHMENT_TYPES[attachment.type] || 'File'}
+                  </span>
+                )}
+                <span className="block px-2 pt-1 font-semibold text-gray-800 truncate">{attachment.name}</span>
+                <span className="block px-2 pb-1 text-gray-500 truncate">
+                  {formatFileSize(attachment.size)}
+                  {attachment.itemId && itemTitles[attachment.itemId] && ` · ${itemTitles[attachment.itemId]}`}
+                </span>
+              </a>
+              {canEdit && (
+                <button
+                  type="button"
+                  onClick={() => onRemove(attachment)}
+                  aria-label={`Remove attachment ${attachment.name}`}
+                  className="absolute top-1 right-1 px-1.5 rounded bg-white bg-opacity-80 hover:bg-gray-200 transition-colors duration-200"
+                >
+                  ✕
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {canEdit && (
+        <div className="p-3 border border-gray-200 rounded-lg bg-gray-50 space-y-2">
+          <div className="flex flex-wrap items-center gap-2 text-sm text-gray-700">
+            {items.length > 0 && (
+              <select
+                aria-label="Attach to"
+                className={smallInputClass}
+                value={itemId}
+                onChange={(e) => setItemId(e.target.value)}
+              >
+                <option value="">Whole day</option>
+                {items.map(item => <option key={item.id} value={item.id}>{itemTitles[item.id]}</option>)}
+              </select>
+            )}
+            <label className="flex items-center gap-2">
+              Attach files:
+              <input type="file" multiple accept={ATTACHMENT_ACCEPT} disabled={isUploading} onChange={handleFiles} className="text-sm" />
+            </label>
+            {isUploading && <span className="text-gray-500">Uploading...</span>}
+          </div>
+          <p className="text-xs text-gray-500">PDFs and images up to {formatFileSize(maxSize)} each.</p>
+          {formError && <p className="text-sm text-red-700" role="alert">{formError}</p>}
+        </div>
+      )}
+    </section>
+  );
+}
+
+export default DayAttachments;
@@ -0,0 +1,167 @@
+import React, { useState } from 'react';
+import { getProposalSlots, getLeadingProposal } from '../utils/proposals';
+import { validateComment, getThreads, MAX_COMMENT_LENGTH } from '../utils/comments';
+import { getDisplayName } from '../utils/profiles';
+import { toDate } from '../utils/dates';
+import Avatar from './Avatar';
+
+const smallInputClass = "border rounded-lg py-1 px-2 text-sm text-gray-700 focus:outline-none focus:ring-2 focus:ring-blue-300";
+const smallButtonClass = "px-2 py-1 text-sm font-semibold rounded-lg transition-colors duration-200 disabled:opacity-50";
+
+const NO_VOTES = { up: 0, down: 0, score: 0, mine: 0 };
+
+// A day's proposals with their votes, and comment threads on the day and its items. Votes and comments
+// are saved straight away by any member; promoting a proposal (organizers only) rewrites the stored plan,
+// so a draft has to be saved or discarded first.
+function DayDiscussion({
+  dateId, items, comments, tallies, profiles, currentUserId, canPromote, promoteDisabled,
+  onVote, onPromote, onComment, onRemoveComment
+}) {
+  const [itemId, setItemId] = useState('');
+  const [text, setText] = useState('');
+  const [formError, setFormError] = useState('');
+  const slots = getProposalSlots(items);
+  const threads = getThreads(comments, dateId, items.map(item => item.id));
+  const threadItems = items.filter(item => threads[item.id]);
+
+  const handlePost = async () => {
+    const error = validateComment(text);
+    if (error) {
+      setFormError(error);
+      return;
+    }
+    setFormError('');
+    if (await onComment({ dateId, itemId, text })) {
+      setText('');
+    }
+  };
+
+  const renderThread = (threadComments) => (
+    <ul className="space-y-2 mb-3">
+      {threadComments.map(comment => (
+        <li key={comment.id} className="flex items-start gap-2 text-sm text-gray-800">
+          <Avatar profiles={profiles} userId={comment.userId} size="sm" />
+          <div className="min-w-0 flex-1">
+            <span className="font-semibold">{getDisplayName(profiles, comment.userId)}</span>
+            <span className="ml-2 text-xs text-gray-500">{toDate(comment.createdAt)?.toLocaleString()}</span>
+            <p className="whitespace-pre-wrap break-words">{comment.text}</p>
+          </div>
+          {comment.userId === currentUserId && (
+            <button
+              type="button"
+              onClick={() => onRemoveComment(comment)}
+              aria-label="Delete comment"
+              className="px-2 py-1 text-sm rounded-lg bg-gray-100 hover:bg-gray-200 transition-colors duration-200"
+            >
+              ✕
+            </button>
+          )}
+        </li>
+      ))}
+    </ul>
+  );
+
+  return (
+    <section className="mb-6" aria-label="Proposals and comments">
+      {slots.length > 0 && (
+        <>
+          <span className="block text-gray-700 text-sm font-bold mb-2">Proposals:</span>
+          {slots.map(slot => {
+            const leading = getLeadingProposal(slot, tallies);
+            return (
+              <div key={slot.startTime} className="mb-3 p-3 border border-dashed border-violet-300 bg-violet-50 rounded-lg">
+                <p className="text-xs font-semibold text-violet-800 mb-2">
+                  {slot.startTime ? `At ${slot.startTime}` : 'Any time'}
+                  {slot.items.length > 1 && ` · ${slot.items.length} alternatives`}
+                </p>
+                <ul className="space-y-1">
+                  {slot.items.map(item => {
+                    const title = item.title || 'Untitled';
+                    const tally = tallies[item.id] || NO_VOTES;
+                    return (
+                      <li key={item.id} className="flex flex-wrap items-center gap-2 text-sm text-gray-800">
+                        <span className="flex-1 min-w-0 truncate">
+                          {title}
+                          {leading?.id === item.id && (
+                            <span className="ml-2 px-1.5 py-0.5 rounded-full bg-violet-200 text-violet-900 text-[10px] font-semibold">Leading</span>
+                          )}
+                        </span>
+                        <button
+                          type="button"
+                          aria-label={`Upvote ${title}`}
+                          aria-pressed={tally.mine > 0}
+                          onClick={() => onVote(item, tally.mine > 0 ? 0 : 1)}
+                          className={`${smallButtonClass} ${tally.mine > 0 ? 'bg-green-200 text-green-900' : 'bg-white text-gray-700 hover:bg-green-100'}`}
+                        >
+                          ▲ {tally.up}
+                        </button>
+                        <button
+                          type="button"
+                          aria-label={`Downvote ${title}`}
+                          aria-pressed={tally.mine < 0}
+                          onClick={() => onVote(item, tally.mine < 0 ? 0 : -1)}
+                          className={`${smallButtonClass} ${tally.mine < 0 ? 'bg-red-200 text-red-900' : 'bg-white text-gray-700 hover:bg-red-100'}`}
+                        >
+                          ▼ {tally.down}
+                        </button>
+                        {canPromote && (
+                          <button
+                            type="button"
+                            disabled={promoteDisabled}
+                            onClick={() => onPromote(item)}
+                            title={slot.items.length > 1 ? 'Confirm this proposal and drop the other alternatives' : 'Confirm this proposal'}
+                            className={`${smallButtonClass} bg-violet-600 text-white hover:bg-violet-700`}
+                          >
+                            Promote
+                          </button>
+                        )}
+                      </li>
+                    );
+                  })}
+                </ul>
+              </div>
+            );
+          })}
+          {canPromote && promoteDisabled && (
+            <p className="text-xs text-gray-500 mb-3">Save or discard your changes to this day to promote a proposal.</p>
+          )}
+        </>
+      )}
+
+      <span className="block text-gray-700 text-sm font-bold mb-2">Comments:</span>
+      {comments.length === 0 && <p className="text-gray-500 text-sm mb-3">No comments yet.</p>}
+      {threads[''].length > 0 && renderThread(threads[''])}
+      {threadItems.map(item => (
+        <div key={item.id}>
+          <p className="text-xs font-semibold text-gray-600 mb-1">On "{item.title || 'Untitled'}":</p>
+          {renderThread(threads[item.id])}
+        </div>
+      ))}
+
+      <div className="p-3 border border-gray-200 rounded-lg bg-gray-50 space-y-2">
+        <select aria-label="Comment on" className={smallInputClass} value={itemId} onChange={(e) => setItemId(e.target.value)}>
+          <option value="">Whole day</option>
+          {items.map(item => <option key={item.id} value={item.id}>{item.title || 'Untitled'}</option>)}
+        </select>
+        <textarea
+          aria-label="Comment"
+          placeholder="What do you think?"
+          maxLength={MAX_COMMENT_LENGTH}
+          className={`${smallInputClass} w-full h-16 resize-y`}
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+        ></textarea>
+        {formError && <p className="text-sm text-red-700" role="alert">{formError}</p>}
+        <button
+          type="button"
+          onClick={handlePost}
+          className="px-3 py-1 bg-blue-100 text-blue-800 text-sm font-semibold rounded-lg hover:bg-blue-200 transition-colors duration-200"
+        >
+          Post Comment
+        </button>
+      </div>
+    </section>
+  );
+}
+
+export default DayDiscussion;
@@ -0,0 +1,169 @@
+import React, { useState } from 'react';
+import {
+  EXPENSE_CATEGORIES, DEFAULT_EXPENSE_CATEGORY, getTripCurrency, getTripCurrencies, validateExpense, formatMoney, toCents
+} from '../utils/expenses';
+import { getDisplayName } from '../utils/profiles';
+
+const smallInputClass = "border rounded-lg py-1 px-2 text-sm text-gray-700 focus:outline-none focus:ring-2 focus:ring-blue-300";
+
+const emptyForm = (trip, currentUserId) => ({
+  description: '',
+  amount: '',
+  currency: getTripCurrency(trip),
+  category: DEFAULT_EXPENSE_CATEGORY,
+  paidBy: currentUserId,
+  sharedWith: Object.keys(trip.members || {}),
+  itemId: '',
+});
+
+// Expenses of one day, with a form for editors to add one for the day or one of its items.
+// Expenses are saved straight away, independently of the day's plan draft.
+function DayExpenses({ dateId, trip, items, expenses, profiles, currentUserId, canEdit, onAdd, onRemove }) {
+  const [form, setForm] = useState(() => emptyForm(trip, currentUserId));
+  const [formError, setFormError] = useState('');
+  const memberIds = Object.keys(trip.members || {});
+  const itemTitles = Object.fromEntries(items.map(item => [item.id, item.title || 'Untitled']));
+
+  const toggleSharer = (memberId) => {
+    const sharedWith = form.sharedWith.includes(memberId)
+      ? form.sharedWith.filter(id => id !== memberId)
+      : [...form.sharedWith, memberId];
+    setForm({ ...form, sharedWith });
+  };
+
+  const handleAdd = async () => {
+    const error = validateExpense(form);
+    if (error) {
+      setFormError(error);
+      return;
+    }
+    setFormError('');
+    if (await onAdd({ ...form, dateId })) {
+      setForm(emptyForm(trip, currentUserId));
+    }
+  };
+
+  return (
+    <section className="mb-6" aria-label="Expenses">
+      <span className="block text-gray-700 text-sm font-bold mb-2">Expenses:</span>
+      {expenses.length === 0 ? (
+        <p className="text-gray-500 text-sm mb-3">No expenses for this day.</p>
+      ) : (
+        <ul className="space-y-1 mb-3">
+          {expenses.map(expense => (
+            <li key={expense.id} className="flex items-center gap-2 text-sm text-gray-800">
+              <span className="font-mono">{formatMoney(toCents(expense.amount), expense.currency)}</span>
+              <span className="font-semibold truncate">{expense.description}</span>
+              {expense.itemId && itemTitles[expense.itemId] && (
+                <span className="text-gray-500 truncate">for {itemTitles[expense.itemId]}</span>
+              )}
+              <span className="text-gray-500 truncate">
+                · paid by {getDisplayName(profiles, expense.paidBy)}, shared by {expense.sharedWith.length}
+              </span>
+              {canEdit && (
+                <button
+                  type="button"
+                  onClick={() => onRemove(expense)}
+                  aria-label={`Remove expense ${expense.description}`}
+                  className="ml-auto px-2 py-1 text-sm rounded-lg bg-gray-100 hover:bg-gray-200 transition-colors duration-200"
+                >
+                  ✕
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {canEdit && (
+        <div className="p-3 border border-gray-200 rounded-lg bg-gray-50 space-y-2">
+          <div className="flex flex-wrap gap-2">
+            <input
+              type="text"
+              aria-label="Expense description"
+              placeholder="Description"
+              className={`${smallInputClass} flex-1 min-w-[8rem]`}
+              value={form.description}
+              onChange={(e) => setForm({ ...form, description: e.target.value })}
+            />
+            <input
+              type="number"
+              aria-label="Amount"
+              placeholder="0.00"
+              min="0"
+              step="0.01"
+              className={`${smallInputClass} w-24`}
+              value={form.amount}
+              onChange={(e) => setForm({ ...form, amount: e.target.value })}
+            />
+            <select
+              aria-label="Currency"
+              className={smallInputClass}
+              value={form.currency}
+              onChange={(e) => setForm({ ...form, currency: e.target.value })}
+            >
+              {getTripCurrencies(trip).map(code => <option key={code} value={code}>{code}</option>)}
+            </select>
+            <select
+              aria-label="Expense category"
+              className={smallInputClass}
+              value={form.category}
+              onChange={(e) => setForm({ ...form, category: e.target.value })}
+            >
+              {Object.entries(EXPENSE_CATEGORIES).map(([id, category]) => (
+                <option key={id} value={id}>{category.label}</option>
+              ))}
+            </select>
+          </div>
+          <div className="flex flex-wrap items-center gap-2 text-sm text-gray-700">
+            <select
+              aria-label="Paid by"
+              className={smallInputClass}
+              value={form.paidBy}
+              onChange={(e) => setForm({ ...form, paidBy: e.target.value })}
+            >
+              {memberIds.map(memberId => (
+                <option key={memberId} value={memberId}>Paid by {getDisplayName(profiles, memberId)}</option>
+              ))}
+            </select>
+            {items.length > 0 && (
+              <select
+                aria-label="For item"
+                className={smallInputClass}
+                value={form.itemId}
+                onChange={(e) => setForm({ ...form, itemId: e.target.value })}
+              >
+                <option value="">Whole day</option>
+                {items.map(item => <option key={item.id} value={item.id}>{itemTitles[item.id]}</option>)}
+              </select>
+            )}
+          </div>
+          <fieldset className="flex flex-wrap items-center gap-3 text-sm text-gray-700">
+            <legend className="sr-only">Shared with</legend>
+            <span>Shared with:</span>
+            {memberIds.map(memberId => (
+              <label key={memberId} className="flex items-center gap-1">
+                <input
+                  type="checkbox"
+                  checked={form.sharedWith.includes(memberId)}
+                  onChange={() => toggleSharer(memberId)}
+                />
+                {getDisplayName(profiles, memberId)}
+              </label>
+            ))}
+          </fieldset>
+          {formError && <p className="text-sm text-red-700" role="alert">{formError}</p>}
+          <button
+            type="button"
+            onClick={handleAdd}
+            className="px-3 py-1 bg-blue-100 text-blue-800 text-sm font-semibold rounded-lg hover:bg-blue-200 transition-colors duration-200"
+          >
+            Add Expense
+          </button>
+        </div>
+      )}
+    </section>
+  );
+}
+
+export default DayExpenses;
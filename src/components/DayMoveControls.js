@@ -0,0 +1,45 @@
+import React, { useState } from 'react';
+import { addDays } from '../utils/dates';
+
+const smallInputClass = "border rounded-lg py-1 px-2 text-sm text-gray-700 focus:outline-none focus:ring-2 focus:ring-blue-300";
+const smallButtonClass = "px-3 py-1 text-sm font-semibold rounded-lg transition-colors duration-200 disabled:opacity-50";
+
+// Moving, copying or swapping the open day's plan, or one of its items, with another day: the keyboard
+// counterpart of dragging in the calendar. Works on the stored plan, so a draft has to be saved or discarded first.
+function DayMoveControls({ dateId, items, disabled, onMove }) {
+  const [itemId, setItemId] = useState('');
+  const [toId, setToId] = useState(() => addDays(dateId, 1));
+  const move = (fields) => onMove({ type: itemId ? 'item' : 'day', fromId: dateId, itemId, toId, ...fields });
+
+  if (items.length === 0) return null;
+
+  return (
+    <section className="mb-6" aria-label="Move or copy">
+      <span className="block text-gray-700 text-sm font-bold mb-2">Move or copy:</span>
+      <div className="flex flex-wrap items-center gap-2 text-sm text-gray-700">
+        <select aria-label="What to move" className={smallInputClass} value={itemId} onChange={(e) => setItemId(e.target.value)}>
+          <option value="">Whole day</option>
+          {items.map(item => <option key={item.id} value={item.id}>{item.title || 'Untitled'}</option>)}
+        </select>
+        <label className="flex items-center gap-1">
+          to
+          <input type="date" className={smallInputClass} value={toId} onChange={(e) => setToId(e.target.value)} />
+        </label>
+        <button type="button" disabled={disabled || !toId} onClick={() => move({ copy: false })} className={`${smallButtonClass} bg-blue-100 text-blue-800 hover:bg-blue-200`}>
+          Move
+        </button>
+        <button type="button" disabled={disabled || !toId} onClick={() => move({ copy: true })} className={`${smallButtonClass} bg-blue-100 text-blue-800 hover:bg-blue-200`}>
+          Copy
+        </button>
+        {!itemId && (
+          <button type="button" disabled={disabled || !toId} onClick={() => move({ swap: true })} className={`${smallButtonClass} bg-blue-100 text-blue-800 hover:bg-blue-200`}>
+            Swap Days
+          </button>
+        )}
+      </div>
+      {disabled && <p className="text-xs text-gray-500 mt-1">Save or discard your changes to this day first.</p>}
+    </section>
+  );
+}
+
+export default DayMoveControls;
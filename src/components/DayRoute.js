@@ -0,0 +1,70 @@
+import React, { useState } from 'react';
+import RouteMap from './RouteMap';
+import {
+  TRAVEL_MODES, DEFAULT_TRAVEL_MODE, getDayRoute, formatLocation, formatDistance, formatDuration
+} from '../utils/locations';
+
+// The day's located items in order on a map, with the estimated distance and travel time between
+// consecutive stops and a warning where the time between two items is shorter than the travel time
+function DayRoute({ items, mapProvider }) {
+  const [travelMode, setTravelMode] = useState(DEFAULT_TRAVEL_MODE);
+  const { stops, legs } = getDayRoute(items, travelMode);
+  if (stops.length === 0) return null;
+
+  const legsByTo = Object.fromEntries(legs.map(leg => [leg.to.id, leg]));
+
+  return (
+    <section className="mt-4" aria-label="Route">
+      <div className="flex items-center justify-between gap-3 mb-2">
+        <h3 className="font-semibold text-gray-800">Route</h3>
+        <label className="flex items-center gap-2 text-sm text-gray-700">
+          Getting around:
+          <select
+            className="border rounded-lg py-1 px-2 text-sm text-gray-700 focus:outline-none focus:ring-2 focus:ring-blue-300"
+            value={travelMode}
+            onChange={(e) => setTravelMode(e.target.value)}
+          >
+            {Object.entries(TRAVEL_MODES).map(([mode, { label }]) => <option key={mode} value={mode}>{label}</option>)}
+          </select>
+        </label>
+      </div>
+      <div className="grid md:grid-cols-2 gap-4">
+        <RouteMap stops={stops} mapProvider={mapProvider} />
+        <ol className="space-y-2 text-sm">
+          {stops.map(({ item, number }) => {
+            const leg = legsByTo[item.id];
+            return (
+              <li key={item.id}>
+                {leg && (
+                  <p className={`ml-7 mb-1 text-xs ${leg.tooShort ? 'text-red-700 font-semibold' : 'text-gray-500'}`}>
+                    {formatDistance(leg.distanceKm)} · about {formatDuration(leg.travelMinutes)} {TRAVEL_MODES[travelMode].label.toLowerCase()}
+                    {leg.tooShort && (
+                      <span role="note">
+                        {' '}— only {formatDuration(Math.max(leg.gapMinutes, 0))} between "{leg.from.title || 'Untitled'}" and "{leg.to.title || 'Untitled'}"
+                      </span>
+                    )}
+                  </p>
+                )}
+                <div className="flex items-start gap-2">
+                  <span className="shrink-0 inline-flex items-center justify-center w-5 h-5 rounded-full bg-blue-700 text-white text-xs font-bold">
+                    {number}
+                  </span>
+                  <span>
+                    {item.startTime && <span className="font-mono text-gray-600 mr-1">{item.startTime}</span>}
+                    <span className="font-semibold">{item.title || 'Untitled'}</span>
+                    <span className="block text-xs text-gray-500">{formatLocation(item.location)}</span>
+                  </span>
+                </div>
+              </li>
+            );
+          })}
+        </ol>
+      </div>
+      {items.some(item => item.location && !stops.some(stop => stop.item.id === item.id)) && (
+        <p className="mt-2 text-xs text-gray-500">Places without coordinates aren't on the map; use "Find" when editing the day to place them.</p>
+      )}
+    </section>
+  );
+}
+
+export default DayRoute;
@@ -0,0 +1,66 @@
+import React, { useState } from 'react';
+
+const smallInputClass = "border rounded-lg py-1 px-2 text-sm text-gray-700 focus:outline-none focus:ring-2 focus:ring-blue-300";
+const smallButtonClass = "px-3 py-1 text-sm font-semibold rounded-lg transition-colors duration-200 disabled:opacity-50";
+
+// Selecting several calendar days to shift, duplicate or delete their plans at once. While selecting, the
+// calendar's days get checkboxes; Shift-clicking one selects every day since the last one picked.
+// `isUnavailable` is set while the calendar shows days in another zone than the trip's, where they are not
+// the stored days.
+function DaySelectionToolbar({ isUnavailable, isSelecting, selectedCount, onStart, onShift, onDuplicate, onDelete, onSelectToEnd, onClear, onDone }) {
+  const [offset, setOffset] = useState(1);
+  const isValidOffset = Number.isInteger(offset) && offset !== 0;
+
+  if (isUnavailable || !isSelecting) {
+    return (
+      <div className="flex flex-wrap items-center gap-3 mb-3 text-sm text-gray-500">
+        <button type="button" disabled={isUnavailable} onClick={onStart} className={`${smallButtonClass} bg-gray-100 text-gray-700 hover:bg-gray-200`}>
+          Select Days
+        </button>
+        <span>
+          {isUnavailable
+            ? "Switch back to the trip's time zone to move, copy or select days."
+            : 'Drag a day or an item onto another day to move it; hold Alt or Ctrl to copy, or Shift to swap two days.'}
+        </span>
+      </div>
+    );
+  }
+
+  const hasSelection = selectedCount > 0;
+  return (
+    <div className="flex flex-wrap items-center gap-2 mb-3 p-3 border border-amber-200 bg-amber-50 rounded-lg text-sm text-gray-700" role="toolbar" aria-label="Selected days">
+      <span className="font-semibold">{selectedCount === 1 ? '1 day selected' : `${selectedCount} days selected`}</span>
+      <label className="flex items-center gap-1">
+        By
+        <input
+          type="number"
+          aria-label="Days to shift or duplicate by"
+          className={`${smallInputClass} w-20`}
+          value={offset}
+          onChange={(e) => setOffset(Number(e.target.value))}
+        />
+        day(s)
+      </label>
+      <button type="button" disabled={!hasSelection || !isValidOffset} onClick={() => onShift(offset)} className={`${smallButtonClass} bg-blue-100 text-blue-800 hover:bg-blue-200`}>
+        Shift
+      </button>
+      <button type="button" disabled={!hasSelection || !isValidOffset} onClick={() => onDuplicate(offset)} className={`${smallButtonClass} bg-blue-100 text-blue-800 hover:bg-blue-200`}>
+        Duplicate
+      </button>
+      <button type="button" disabled={!hasSelection} onClick={onDelete} className={`${smallButtonClass} bg-red-100 text-red-800 hover:bg-red-200`}>
+        Delete
+      </button>
+      <button type="button" disabled={!hasSelection} onClick={onSelectToEnd} className={`${smallButtonClass} bg-gray-100 text-gray-700 hover:bg-gray-200`}>
+        Select Through Last Day
+      </button>
+      <button type="button" disabled={!hasSelection} onClick={onClear} className={`${smallButtonClass} bg-gray-100 text-gray-700 hover:bg-gray-200`}>
+        Clear
+      </button>
+      <button type="button" onClick={onDone} className={`${smallButtonClass} bg-gray-100 text-gray-700 hover:bg-gray-200 ml-auto`}>
+        Done
+      </button>
+    </div>
+  );
+}
+
+export default DaySelectionToolbar;
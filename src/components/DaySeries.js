@@ -0,0 +1,255 @@
+import React, { useState } from 'react';
+import { ITEM_CATEGORIES, DEFAULT_CATEGORY, formatTimeRange } from '../utils/planItems';
+import { addDays, parseDateId } from '../utils/dates';
+import {
+  SERIES_KINDS, MAX_REPEAT_EVERY, validateSeries, getSeriesDates, getOccurrence, describeRepeat
+} from '../utils/series';
+
+const smallInputClass = "border rounded-lg py-1 px-2 text-sm text-gray-700 focus:outline-none focus:ring-2 focus:ring-blue-300";
+const smallButtonClass = "px-3 py-1 text-sm font-semibold rounded-lg transition-colors duration-200";
+
+const formatShortDate = (dateId) => parseDateId(dateId).toLocaleDateString('default', { month: 'short', day: 'numeric' });
+
+const emptyForm = (dateId) => ({
+  kind: 'span',
+  title: '',
+  category: DEFAULT_CATEGORY,
+  startDateId: dateId,
+  endDateId: addDays(dateId, 1),
+  startTime: '',
+  endTime: '',
+  every: 1,
+});
+
+// Dates, times and repeat of an entry in words, e.g. "May 10 – May 15 · 15:00 to 11:00" or "Every day, May 10 – May 12"
+const describeSeries = (series) => {
+  const dates = `${formatShortDate(series.startDateId)} – ${formatShortDate(series.endDateId)}`;
+  if (series.kind === 'span') {
+    const times = [series.startTime, series.endTime].some(Boolean) ? ` · ${series.startTime || '…'} to ${series.endTime || '…'}` : '';
+    return `${dates}${times}`;
+  }
+  return `${describeRepeat(series.every)}, ${dates}`;
+};
+
+// Form for one day of an entry: its title, time(s) and notes, saved for that day only or for every day
+function OccurrenceForm({ series, occurrence, onSave, onCancel }) {
+  const [fields, setFields] = useState({
+    title: occurrence.title, startTime: occurrence.startTime, endTime: occurrence.endTime, notes: occurrence.notes,
+  });
+  const [isSaving, setIsSaving] = useState(false);
+  // A span shows a single time on its first and last days, and none in between
+  const isSpan = series.kind === 'span';
+  const hasTime = !isSpan || occurrence.span.index === 0 || occurrence.span.index === occurrence.span.count - 1;
+
+  const save = async (scope) => {
+    setIsSaving(true);
+    const saved = await onSave(isSpan ? { ...fields, endTime: '' } : fields, scope);
+    setIsSaving(false);
+    if (saved) onCancel();
+  };
+
+  return (
+    <div className="mt-2 p-3 border border-gray-200 rounded-lg bg-gray-50 space-y-2">
+      <div className="flex flex-wrap gap-2">
+        <input
+          type="text"
+          aria-label="Entry title"
+          className={`${smallInputClass} flex-1 min-w-[8rem]`}
+          value={fields.title}
+          onChange={(e) => setFields({ ...fields, title: e.target.value })}
+        />
+        {hasTime && (
+          <input
+            type="time"
+            aria-label={isSpan ? 'Entry time' : 'Entry start'}
+            className={smallInputClass}
+            value={fields.startTime}
+            onChange={(e) => setFields({ ...fields, startTime: e.target.value })}
+          />
+        )}
+        {!isSpan && (
+          <input
+            type="time"
+            aria-label="Entry end"
+            className={smallInputClass}
+            value={fields.endTime}
+            onChange={(e) => setFields({ ...fields, endTime: e.target.value })}
+          />
+        )}
+      </div>
+      <textarea
+        aria-label="Entry notes"
+        rows="2"
+        className={`${smallInputClass} w-full`}
+        value={fields.notes}
+        onChange={(e) => setFields({ ...fields, notes: e.target.value })}
+      />
+      <div className="flex flex-wrap gap-2">
+        <button type="button" disabled={isSaving} onClick={() => save('day')} className={`${smallButtonClass} bg-blue-100 text-blue-800 hover:bg-blue-200`}>
+          Save this day only
+        </button>
+        <button type="button" disabled={isSaving} onClick={() => save('all')} className={`${smallButtonClass} bg-blue-600 text-white hover:bg-blue-700`}>
+          Save all days
+        </button>
+        <button type="button" onClick={onCancel} className={`${smallButtonClass} bg-gray-100 text-gray-700 hover:bg-gray-200`}>
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+}
+
+// The multi-day and repeating entries (see utils/series) that fall on one day, with a form for editors to
+// add one. Changes are saved straight away, independently of the day's plan draft.
+function DaySeries({ dateId, trip, seriesList, canEdit, onAdd, onUpdate, onSkip, onDelete }) {
+  // null, 'add' while adding an entry, or the ID of the entry being edited
+  const [editing, setEditing] = useState(null);
+  const [form, setForm] = useState(() => emptyForm(dateId));
+  const [formError, setFormError] = useState('');
+  const daySeries = seriesList
+    .filter(series => getSeriesDates(series).includes(dateId))
+    .map(series => ({ series, occurrence: getOccurrence(series, dateId) }))
+    .filter(({ occurrence }) => occurrence);
+
+  const setKind = (kind) => {
+    // Repeats default to the rest of the trip, spans to one night
+    const endDateId = kind === 'repeat' && trip.endDate > dateId ? trip.endDate : addDays(dateId, 1);
+    setForm({ ...form, kind, endDateId });
+  };
+
+  const handleAdd = async () => {
+    const error = validateSeries(form);
+    if (error) {
+      setFormError(error);
+      return;
+    }
+    setFormError('');
+    if (await onAdd(form)) {
+      setForm(emptyForm(dateId));
+      setEditing(null);
+    }
+  };
+
+  return (
+    <section className="mb-6" aria-label="Multi-day and repeating entries">
+      <span className="block text-gray-700 text-sm font-bold mb-2">Multi-day &amp; repeating:</span>
+      {daySeries.length === 0 && <p className="text-gray-500 text-sm mb-3">Nothing spans or repeats on this day.</p>}
+      <ul className="space-y-2 mb-3">
+        {daySeries.map(({ series, occurrence }) => (
+          <li key={series.id} className="text-sm text-gray-800">
+            <div className="flex flex-wrap items-center gap-2">
+              {formatTimeRange(occurrence) && <span className="font-mono text-gray-600">{formatTimeRange(occurrence)}</span>}
+              <span className="font-semibold">{occurrence.title || 'Untitled'}</span>
+              <span className={`px-2 py-0.5 rounded-full text-xs ${(ITEM_CATEGORIES[series.category] || ITEM_CATEGORIES.activity).badgeClass}`}>
+                {occurrence.span ? `Day ${occurrence.span.index + 1} of ${occurrence.span.count}` : describeRepeat(series.every)}
+              </span>
+              <span className="text-gray-500 text-xs">{describeSeries(series)}</span>
+              {canEdit && editing !== series.id && (
+                <span className="ml-auto flex gap-1">
+                  <button type="button" onClick={() => setEditing(series.id)} className={`${smallButtonClass} bg-gray-100 text-gray-700 hover:bg-gray-200`}>
+                    Edit
+                  </button>
+                  <button type="button" onClick={() => onSkip(series, dateId)} className={`${smallButtonClass} bg-gray-100 text-gray-700 hover:bg-gray-200`}>
+                    Remove this day only
+                  </button>
+                  <button type="button" onClick={() => onDelete(series)} className={`${smallButtonClass} bg-red-100 text-red-800 hover:bg-red-200`}>
+                    Delete all days
+                  </button>
+                </span>
+              )}
+            </div>
+            {occurrence.notes && <p className="text-gray-600 whitespace-pre-wrap">{occurrence.notes}</p>}
+            {editing === series.id && (
+              <OccurrenceForm
+                series={series}
+                occurrence={occurrence}
+                onSave={(fields, scope) => onUpdate(series, dateId, fields, scope)}
+                onCancel={() => setEditing(null)}
+              />
+            )}
+          </li>
+        ))}
+      </ul>
+
+      {canEdit && editing !== 'add' && (
+        <button
+          type="button"
+          onClick={() => setEditing('add')}
+          className="text-sm text-blue-700 font-semibold hover:underline"
+        >
+          + Add multi-day or repeating entry
+        </button>
+      )}
+      {canEdit && editing === 'add' && (
+        <div className="p-3 border border-gray-200 rounded-lg bg-gray-50 space-y-2">
+          <div className="flex flex-wrap gap-2">
+            <select aria-label="Entry type" className={smallInputClass} value={form.kind} onChange={(e) => setKind(e.target.value)}>
+              {Object.entries(SERIES_KINDS).map(([kind, { label }]) => <option key={kind} value={kind}>{label}</option>)}
+            </select>
+            <input
+              type="text"
+              aria-label="Entry title"
+              placeholder={form.kind === 'span' ? 'e.g. Hotel Avenida' : 'e.g. Breakfast'}
+              className={`${smallInputClass} flex-1 min-w-[8rem]`}
+              value={form.title}
+              onChange={(e) => setForm({ ...form, title: e.target.value })}
+            />
+            <select
+              aria-label="Entry category"
+              className={smallInputClass}
+              value={form.category}
+              onChange={(e) => setForm({ ...form, category: e.target.value })}
+            >
+              {Object.entries(ITEM_CATEGORIES).map(([id, { label }]) => <option key={id} value={id}>{label}</option>)}
+            </select>
+          </div>
+          <div className="flex flex-wrap items-center gap-2 text-sm text-gray-700">
+            <label className="flex items-center gap-1">
+              From
+              <input type="date" className={smallInputClass} value={form.startDateId} onChange={(e) => setForm({ ...form, startDateId: e.target.value })} />
+            </label>
+            <label className="flex items-center gap-1">
+              until
+              <input type="date" className={smallInputClass} value={form.endDateId} onChange={(e) => setForm({ ...form, endDateId: e.target.value })} />
+            </label>
+            {form.kind === 'repeat' && (
+              <label className="flex items-center gap-1">
+                every
+                <input
+                  type="number"
+                  min="1"
+                  max={MAX_REPEAT_EVERY}
+                  className={`${smallInputClass} w-16`}
+                  value={form.every}
+                  onChange={(e) => setForm({ ...form, every: Number(e.target.value) })}
+                />
+                day(s)
+              </label>
+            )}
+          </div>
+          <div className="flex flex-wrap items-center gap-2 text-sm text-gray-700">
+            <label className="flex items-center gap-1">
+              {form.kind === 'span' ? 'Starts at (first day)' : 'Entry start'}
+              <input type="time" className={smallInputClass} value={form.startTime} onChange={(e) => setForm({ ...form, startTime: e.target.value })} />
+            </label>
+            <label className="flex items-center gap-1">
+              {form.kind === 'span' ? 'Ends at (last day)' : 'Entry end'}
+              <input type="time" className={smallInputClass} value={form.endTime} onChange={(e) => setForm({ ...form, endTime: e.target.value })} />
+            </label>
+          </div>
+          {formError && <p className="text-sm text-red-700" role="alert">{formError}</p>}
+          <div className="flex gap-2">
+            <button type="button" onClick={handleAdd} className={`${smallButtonClass} bg-blue-100 text-blue-800 hover:bg-blue-200`}>
+              Add Entry
+            </button>
+            <button type="button" onClick={() => setEditing(null)} className={`${smallButtonClass} bg-gray-100 text-gray-700 hover:bg-gray-200`}>
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+    </section>
+  );
+}
+
+export default DaySeries;
@@ -0,0 +1,82 @@
+import React, { useState } from 'react';
+import { getPlanItems } from '../utils/planItems';
+
+const labelClass = "block text-gray-700 text-sm font-bold mb-2";
+const inputClass = "shadow appearance-none border rounded-lg w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:ring-2 focus:ring-blue-300";
+
+// Lets the user pick a date range (the whole trip by default) and download its plans as an .ics file
+function IcsExportModal({ trip, plans, onExport, onClose }) {
+  const [startDate, setStartDate] = useState(trip.startDate);
+  const [endDate, setEndDate] = useState(trip.endDate);
+
+  const isValidRange = startDate && endDate && startDate <= endDate;
+  const eventCount = isValidRange
+    ? Object.keys(plans)
+      .filter(dateId => dateId >= startDate && dateId <= endDate)
+      .reduce((count, dateId) => count + getPlanItems(plans[dateId]).length, 0)
+    : 0;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-lg shadow-xl p-6 w-full max-w-md relative transform transition-all duration-300 scale-95 opacity-0 animate-fade-in-scale">
+        <h2 className="text-2xl font-bold text-blue-700 mb-4">Export to Calendar (.ics)</h2>
+        <div className="grid grid-cols-2 gap-4 mb-4">
+          <div>
+            <label htmlFor="icsStartDate" className={labelClass}>From:</label>
+            <input
+              type="date"
+              id="icsStartDate"
+              className={inputClass}
+              value={startDate}
+              onChange={(e) => setStartDate(e.target.value)}
+            />
+          </div>
+          <div>
+            <label htmlFor="icsEndDate" className={labelClass}>To:</label>
+            <input
+              type="date"
+              id="icsEndDate"
+              className={inputClass}
+              value={endDate}
+              onChange={(e) => setEndDate(e.target.value)}
+            />
+          </div>
+        </div>
+        <button
+          type="button"
+          onClick={() => {
+            setStartDate(trip.startDate);
+            setEndDate(trip.endDate);
+          }}
+          className="mb-4 text-sm text-blue-700 font-semibold hover:underline"
+        >
+          Whole trip ({trip.startDate} – {trip.endDate})
+        </button>
+        <p className="text-sm text-gray-600 mb-6">
+          {isValidRange
+            ? `${eventCount} ${eventCount === 1 ? 'event' : 'events'} will be exported. Items without a start time become all-day events.`
+            : 'Choose a start date on or before the end date.'}
+        </p>
+        <div className="flex justify-end gap-3">
+          <button
+            type="button"
+            onClick={() => onExport(startDate, endDate)}
+            disabled={!isValidRange || eventCount === 0}
+            className="bg-blue-600 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-300 transition-colors duration-200 shadow-md disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Download .ics
+          </button>
+          <button
+            type="button"
+            onClick={onClose}
+            className="bg-gray-400 hover:bg-gray-500 text-white font-bold py-2 px-4 rounded-lg focus:outline-none focus:ring-2 focus:ring-gray-300 transition-colors duration-200 shadow-md"
+          >
+            Cancel
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default IcsExportModal;
@@ -0,0 +1,132 @@
+import React, { useState } from 'react';
+import { formatTimeRange } from '../utils/planItems';
+import { isWithinTrip } from '../utils/trips';
+import { parseCalendar, eventsToPlanItems, buildImportPreview } from '../utils/ical';
+import { getTripTimeZone } from '../utils/timeZones';
+import { parseDateId } from '../utils/dates';
+
+const readFileAsText = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error);
+  reader.readAsText(file);
+});
+
+// Imports an .ics file (e.g. a flight or hotel confirmation) into the trip.
+// After choosing a file the user sees which days would be created or overwritten and picks the ones to import.
+function IcsImportModal({ trip, plans, onImport, onClose }) {
+  const [preview, setPreview] = useState(null); // null until a file was read
+  const [selectedDateIds, setSelectedDateIds] = useState(() => new Set());
+  const [fileError, setFileError] = useState('');
+  const [isImporting, setIsImporting] = useState(false);
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    try {
+      const events = parseCalendar(await readFileAsText(file));
+      const rows = buildImportPreview(eventsToPlanItems(events, trip.id, getTripTimeZone(trip)), plans);
+      setPreview(rows);
+      setSelectedDateIds(new Set(rows.map(row => row.dateId)));
+      setFileError(rows.length === 0 ? 'The file contains no events.' : '');
+    } catch (error) {
+      console.error("Error reading calendar file:", error);
+      setPreview(null);
+      setFileError(`Could not read the file: ${error.message}`);
+    }
+  };
+
+  const toggleDate = (dateId) => {
+    const next = new Set(selectedDateIds);
+    if (next.has(dateId)) {
+      next.delete(dateId);
+    } else {
+      next.add(dateId);
+    }
+    setSelectedDateIds(next);
+  };
+
+  const handleImport = async () => {
+    setIsImporting(true);
+    await onImport(preview.filter(row => selectedDateIds.has(row.dateId)));
+    setIsImporting(false);
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-lg shadow-xl p-6 w-full max-w-2xl relative transform transition-all duration-300 scale-95 opacity-0 animate-fade-in-scale max-h-full overflow-y-auto">
+        <h2 className="text-2xl font-bold text-blue-700 mb-4">Import from Calendar (.ics)</h2>
+        <label htmlFor="icsFile" className="block text-gray-700 text-sm font-bold mb-2">
+          Calendar file:
+        </label>
+        <input
+          type="file"
+          id="icsFile"
+          accept=".ics,text/calendar"
+          onChange={handleFileChange}
+          className="block w-full text-sm text-gray-700 mb-4"
+        />
+        {fileError && <p className="text-sm text-red-700 mb-4">{fileError}</p>}
+
+        {preview && preview.length > 0 && (
+          <ul className="divide-y divide-gray-200 border border-gray-200 rounded-lg mb-6 max-h-96 overflow-y-auto">
+            {preview.map(row => (
+              <li key={row.dateId} className="p-3 text-sm">
+                <label className="flex items-start gap-3">
+                  <input
+                    type="checkbox"
+                    className="mt-1"
+                    checked={selectedDateIds.has(row.dateId)}
+                    onChange={() => toggleDate(row.dateId)}
+                  />
+                  <span className="flex-1">
+                    <span className="flex flex-wrap items-center gap-2 font-semibold text-gray-800">
+                      {parseDateId(row.dateId).toDateString()}
+                      {row.action === 'create' ? (
+                        <span className="px-2 py-0.5 rounded-full bg-green-100 text-green-800 text-xs">New day</span>
+                      ) : (
+                        <span className="px-2 py-0.5 rounded-full bg-amber-100 text-amber-800 text-xs">Overwrites existing plan</span>
+                      )}
+                      {!isWithinTrip(trip, row.dateId) && (
+                        <span className="px-2 py-0.5 rounded-full bg-gray-100 text-gray-700 text-xs">Outside trip dates</span>
+                      )}
+                    </span>
+                    <span className="block text-gray-600">
+                      {row.items.map(item => [formatTimeRange(item), item.title || 'Untitled'].filter(Boolean).join(' ')).join(', ')}
+                    </span>
+                    {row.action === 'overwrite' && (
+                      <span className="block text-gray-500">
+                        {row.overwrittenTitles.length > 0 && `Replaces ${row.overwrittenTitles.map(title => `"${title}"`).join(', ')}. `}
+                        {row.addedCount > 0 && `Adds ${row.addedCount} ${row.addedCount === 1 ? 'item' : 'items'} to the day.`}
+                      </span>
+                    )}
+                  </span>
+                </label>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        <div className="flex justify-end gap-3">
+          <button
+            type="button"
+            onClick={handleImport}
+            disabled={!preview || selectedDateIds.size === 0 || isImporting}
+            className="bg-blue-600 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-300 transition-colors duration-200 shadow-md disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {isImporting ? 'Importing...' : `Import ${selectedDateIds.size} ${selectedDateIds.size === 1 ? 'day' : 'days'}`}
+          </button>
+          <button
+            type="button"
+            onClick={onClose}
+            className="bg-gray-400 hover:bg-gray-500 text-white font-bold py-2 px-4 rounded-lg focus:outline-none focus:ring-2 focus:ring-gray-300 transition-colors duration-200 shadow-md"
+          >
+            Cancel
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default IcsImportModal;
@@ -0,0 +1,180 @@
+import React from 'react';
+import { ITEM_CATEGORIES, ITEM_STATUSES, createItem, moveItem, sortItemsByTime, isProposal } from '../utils/planItems';
+import { getTimeZoneOptions } from '../utils/timeZones';
+import { ITEM_TEXT_LIMITS, MAX_PLAN_ITEMS } from '../utils/planSchema';
+import LocationField from './LocationField';
+
+const inputClass = "shadow appearance-none border rounded-lg w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:ring-2 focus:ring-blue-300";
+const smallSelectClass = "border rounded-lg py-1 px-2 text-sm text-gray-700 focus:outline-none focus:ring-2 focus:ring-blue-300";
+const iconButtonClass = "px-2 py-1 text-sm rounded-lg bg-gray-100 hover:bg-gray-200 disabled:opacity-40 disabled:cursor-not-allowed transition-colors duration-200";
+
+// Editable, ordered list of itinerary items for a single day. With `readOnly` the list is shown but can't be changed.
+// Times are in `tripTimeZone` unless an item picks its own start or end zone; places are looked up with `mapProvider`.
+// Proposals, items the group hasn't agreed on yet, are drawn with a dashed border.
+function ItemListEditor({ items, onChange, tripTimeZone, mapProvider, readOnly = false }) {
+  const timeZoneOptions = getTimeZoneOptions(...items.flatMap(item => [item.timeZone, item.endTimeZone]));
+
+  const updateItem = (id, field, value) => {
+    onChange(items.map(item => (item.id === id ? { ...item, [field]: value } : item)));
+  };
+
+  const removeItem = (id) => {
+    onChange(items.filter(item => item.id !== id));
+  };
+
+  return (
+    <fieldset className="mb-6" disabled={readOnly}>
+      <div className="flex items-center justify-between mb-2">
+        <span className="block text-gray-700 text-sm font-bold">Itinerary:</span>
+        {!readOnly && items.length > 1 && (
+          <button
+            type="button"
+            onClick={() => onChange(sortItemsByTime(items))}
+            className="text-sm text-blue-700 hover:underline"
+          >
+            Sort by time
+          </button>
+        )}
+      </div>
+
+      {items.length === 0 && (
+        <p className="text-gray-500 text-sm mb-3">No items yet for this day.</p>
+      )}
+
+      <ol className="space-y-3 max-h-96 overflow-y-auto pr-1">
+        {items.map((item, index) => (
+          <li
+            key={item.id}
+            className={`p-3 border rounded-lg ${isProposal(item) ? 'border-dashed border-violet-400 bg-violet-50' : 'border-gray-200 bg-gray-50'}`}
+          >
+            <div className="flex flex-wrap items-center gap-2 mb-2">
+              <select
+                aria-label="Category"
+                className="border rounded-lg py-1 px-2 text-sm text-gray-700 focus:outline-none focus:ring-2 focus:ring-blue-300"
+                value={item.category}
+                onChange={(e) => updateItem(item.id, 'category', e.target.value)}
+              >
+                {Object.entries(ITEM_CATEGORIES).map(([id, category]) => (
+                  <option key={id} value={id}>{category.label}</option>
+                ))}
+              </select>
+              <select
+                aria-label="Status"
+                className={smallSelectClass}
+                value={isProposal(item) ? 'proposal' : 'confirmed'}
+                onChange={(e) => updateItem(item.id, 'status', e.target.value === 'proposal' ? 'proposal' : '')}
+              >
+                {Object.entries(ITEM_STATUSES).map(([id, status]) => (
+                  <option key={id} value={id}>{status.label}</option>
+                ))}
+              </select>
+              <input
+                type="time"
+                aria-label="Start time"
+                className="border rounded-lg py-1 px-2 text-sm text-gray-700 focus:outline-none focus:ring-2 focus:ring-blue-300"
+                value={item.startTime}
+                onChange={(e) => updateItem(item.id, 'startTime', e.target.value)}
+              />
+              <span className="text-gray-500 text-sm">to</span>
+              <input
+                type="time"
+                aria-label="End time"
+                className="border rounded-lg py-1 px-2 text-sm text-gray-700 focus:outline-none focus:ring-2 focus:ring-blue-300"
+                value={item.endTime}
+                onChange={(e) => updateItem(item.id, 'endTime', e.target.value)}
+              />
+              <div className="ml-auto flex gap-1">
+                <button
+                  type="button"
+                  aria-label="Move up"
+                  className={iconButtonClass}
+                  disabled={index === 0}
+                  onClick={() => onChange(moveItem(items, index, index - 1))}
+                >
+                  ↑
+                </button>
+                <button
+                  type="button"
+                  aria-label="Move down"
+                  className={iconButtonClass}
+                  disabled={index === items.length - 1}
+                  onClick={() => onChange(moveItem(items, index, index + 1))}
+                >
+                  ↓
+                </button>
+                <button
+                  type="button"
+                  aria-label="Remove item"
+                  className="px-2 py-1 text-sm rounded-lg bg-red-100 text-red-700 hover:bg-red-200 transition-colors duration-200"
+                  onClick={() => removeItem(item.id)}
+                >
+                  ✕
+                </button>
+              </div>
+            </div>
+            {(item.startTime || item.timeZone || item.endTimeZone) && (
+              <div className="flex flex-wrap items-center gap-2 mb-2 text-sm text-gray-600">
+                <select
+                  aria-label="Start time zone"
+                  className={smallSelectClass}
+                  value={item.timeZone || ''}
+                  onChange={(e) => updateItem(item.id, 'timeZone', e.target.value)}
+                >
+                  <option value="">Trip time ({tripTimeZone})</option>
+                  {timeZoneOptions.map(timeZone => <option key={timeZone} value={timeZone}>{timeZone}</option>)}
+                </select>
+                <span>ends in</span>
+                <select
+                  aria-label="End time zone"
+                  className={smallSelectClass}
+                  value={item.endTimeZone || ''}
+                  onChange={(e) => updateItem(item.id, 'endTimeZone', e.target.value)}
+                >
+                  <option value="">Same zone</option>
+                  {timeZoneOptions.map(timeZone => <option key={timeZone} value={timeZone}>{timeZone}</option>)}
+                </select>
+              </div>
+            )}
+            <input
+              type="text"
+              aria-label="Title"
+              maxLength={ITEM_TEXT_LIMITS.title}
+              className={`${inputClass} mb-2`}
+              value={item.title}
+              onChange={(e) => updateItem(item.id, 'title', e.target.value)}
+              placeholder="e.g., Explore City Center"
+            />
+            <LocationField
+              location={item.location}
+              onChange={(location) => updateItem(item.id, 'location', location)}
+              mapProvider={mapProvider}
+              readOnly={readOnly}
+            />
+            <textarea
+              aria-label="Notes"
+              maxLength={ITEM_TEXT_LIMITS.notes}
+              className={`${inputClass} h-16 resize-y`}
+              value={item.notes}
+              onChange={(e) => updateItem(item.id, 'notes', e.target.value)}
+              placeholder="Details: booking reference, address, what to bring..."
+            ></textarea>
+          </li>
+        ))}
+      </ol>
+
+      {!readOnly && (
+        <button
+          type="button"
+          onClick={() => onChange([...items, createItem()])}
+          disabled={items.length >= MAX_PLAN_ITEMS}
+          title={items.length >= MAX_PLAN_ITEMS ? `A day can have at most ${MAX_PLAN_ITEMS} items` : undefined}
+          className="mt-3 w-full py-2 border-2 border-dashed border-blue-300 text-blue-700 font-semibold rounded-lg hover:bg-blue-50 disabled:opacity-50 disabled:cursor-not-allowed transition-colors duration-200"
+        >
+          + Add item
+        </button>
+      )}
+    </fieldset>
+  );
+}
+
+export default ItemListEditor;
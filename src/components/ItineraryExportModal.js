@@ -0,0 +1,163 @@
+import React, { useState } from 'react';
+import {
+  DEFAULT_ITINERARY_OPTIONS, buildItinerary, itineraryToHtml, itineraryToMarkdown, itineraryToText,
+  itineraryToPdf, getItineraryFileName
+} from '../utils/itinerary';
+import { downloadFile } from '../utils/download';
+
+const labelClass = "block text-gray-700 text-sm font-bold mb-2";
+const inputClass = "shadow appearance-none border rounded-lg w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:ring-2 focus:ring-blue-300";
+const actionButtonClass = "px-3 py-2 bg-blue-100 text-blue-800 font-semibold rounded-lg hover:bg-blue-200 transition-colors duration-200 disabled:opacity-50 disabled:cursor-not-allowed";
+
+const OPTION_LABELS = {
+  pagePerDay: 'Start each day on a new page',
+  includeEmptyDays: 'Include days without plans',
+  showAuthors: 'Show who last updated each day',
+  includeAttachments: 'Add an appendix of attached files',
+  includeProposals: 'Include proposals not yet confirmed',
+};
+
+// Exports the plans of a date range (the whole trip by default) as a printable page, PDF, Markdown or text
+function ItineraryExportModal({ trip, plans, attachments, profiles, onError, onClose }) {
+  const [startDate, setStartDate] = useState(trip.startDate);
+  const [endDate, setEndDate] = useState(trip.endDate);
+  const [options, setOptions] = useState(DEFAULT_ITINERARY_OPTIONS);
+  const [copyStatus, setCopyStatus] = useState('');
+
+  const isValidRange = startDate && endDate && startDate <= endDate;
+  const getItinerary = () => buildItinerary({
+    trip, plans, attachments, startDateId: startDate, endDateId: endDate,
+    includeEmptyDays: options.includeEmptyDays, includeProposals: options.includeProposals
+  });
+
+  // Opens the HTML itinerary in a new window and brings up the print dialog there
+  const printItinerary = () => {
+    const printWindow = window.open('', '_blank');
+    if (!printWindow) {
+      onError("The print window was blocked. Allow pop-ups for this site, or download the HTML instead.");
+      return;
+    }
+    printWindow.document.write(itineraryToHtml(getItinerary(), options, profiles));
+    printWindow.document.close();
+    printWindow.focus();
+    printWindow.print();
+  };
+
+  const downloadItinerary = (format) => {
+    try {
+      const itinerary = getItinerary();
+      const fileName = getItineraryFileName(itinerary);
+      if (format === 'html') {
+        downloadFile(`${fileName}.html`, itineraryToHtml(itinerary, options, profiles), 'text/html;charset=utf-8');
+      } else if (format === 'pdf') {
+        downloadFile(`${fileName}.pdf`, itineraryToPdf(itinerary, options, profiles), 'application/pdf');
+      } else {
+        downloadFile(`${fileName}.md`, itineraryToMarkdown(itinerary, options, profiles), 'text/markdown;charset=utf-8');
+      }
+    } catch (error) {
+      console.error("Error exporting itinerary:", error);
+      onError(`Failed to export itinerary: ${error.message}`);
+    }
+  };
+
+  const copyItinerary = async (format) => {
+    const toFormat = format === 'markdown' ? itineraryToMarkdown : itineraryToText;
+    try {
+      await navigator.clipboard.writeText(toFormat(getItinerary(), options, profiles));
+      setCopyStatus(format === 'markdown' ? 'Markdown copied to the clipboard.' : 'Text copied to the clipboard.');
+    } catch (error) {
+      console.error("Error copying itinerary:", error);
+      onError(`Failed to copy itinerary: ${error.message}`);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-lg shadow-xl p-6 w-full max-w-2xl relative transform transition-all duration-300 scale-95 opacity-0 animate-fade-in-scale max-h-full overflow-y-auto">
+        <h2 className="text-2xl font-bold text-blue-700 mb-4">Export Itinerary</h2>
+        <div className="grid grid-cols-2 gap-4 mb-2">
+          <div>
+            <label htmlFor="printStartDate" className={labelClass}>Start Date:</label>
+            <input
+              type="date"
+              id="printStartDate"
+              className={inputClass}
+              value={startDate}
+              onChange={(e) => setStartDate(e.target.value)}
+            />
+          </div>
+          <div>
+            <label htmlFor="printEndDate" className={labelClass}>End Date:</label>
+            <input
+              type="date"
+              id="printEndDate"
+              className={inputClass}
+              value={endDate}
+              onChange={(e) => setEndDate(e.target.value)}
+            />
+          </div>
+        </div>
+        <button
+          type="button"
+          onClick={() => {
+            setStartDate(trip.startDate);
+            setEndDate(trip.endDate);
+          }}
+          className="mb-4 text-sm text-blue-700 font-semibold hover:underline"
+        >
+          Whole trip ({trip.startDate} – {trip.endDate})
+        </button>
+        {!isValidRange && (
+          <p className="text-sm text-red-700 mb-4">Choose a start date on or before the end date.</p>
+        )}
+
+        <fieldset className="mb-6 space-y-2">
+          {Object.entries(OPTION_LABELS).map(([option, label]) => (
+            <label key={option} className="flex items-center gap-2 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={options[option]}
+                onChange={(e) => setOptions({ ...options, [option]: e.target.checked })}
+              />
+              {label}
+            </label>
+          ))}
+        </fieldset>
+
+        <div className="grid grid-cols-2 md:grid-cols-3 gap-2 mb-4">
+          <button type="button" onClick={printItinerary} disabled={!isValidRange} className={actionButtonClass}>
+            Print
+          </button>
+          <button type="button" onClick={() => downloadItinerary('pdf')} disabled={!isValidRange} className={actionButtonClass}>
+            Download PDF
+          </button>
+          <button type="button" onClick={() => downloadItinerary('html')} disabled={!isValidRange} className={actionButtonClass}>
+            Download HTML
+          </button>
+          <button type="button" onClick={() => downloadItinerary('markdown')} disabled={!isValidRange} className={actionButtonClass}>
+            Download Markdown
+          </button>
+          <button type="button" onClick={() => copyItinerary('markdown')} disabled={!isValidRange} className={actionButtonClass}>
+            Copy as Markdown
+          </button>
+          <button type="button" onClick={() => copyItinerary('text')} disabled={!isValidRange} className={actionButtonClass}>
+            Copy as Text
+          </button>
+        </div>
+        {copyStatus && <p className="text-sm text-green-700 mb-4" role="status">{copyStatus}</p>}
+
+        <div className="flex justify-end">
+          <button
+            type="button"
+            onClick={onClose}
+            className="bg-gray-400 hover:bg-gray-500 text-white font-bold py-2 px-4 rounded-lg focus:outline-none focus:ring-2 focus:ring-gray-300 transition-colors duration-200 shadow-md"
+          >
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ItineraryExportModal;
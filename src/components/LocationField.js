@@ -0,0 +1,84 @@
+import React, { useState } from 'react';
+import { cleanLocation, hasCoordinates, parseCoordinates } from '../utils/locations';
+import { LOCATION_TEXT_LIMITS } from '../utils/planSchema';
+
+const smallButtonClass = "px-2 py-1 text-sm rounded-lg bg-gray-100 hover:bg-gray-200 disabled:opacity-40 disabled:cursor-not-allowed transition-colors duration-200";
+
+// Place of an itinerary item. The name can be typed freely; "Find" looks it up with the map provider so the
+// item can be placed on the day's map, and typed "lat, lng" coordinates place it directly. Typing a new name
+// drops the address and coordinates of the place found before.
+function LocationField({ location, onChange, mapProvider, readOnly = false }) {
+  const [results, setResults] = useState(null); // null when no search has been made
+  const [isSearching, setIsSearching] = useState(false);
+  const [searchError, setSearchError] = useState('');
+  const query = location?.name || '';
+
+  const search = async () => {
+    setIsSearching(true);
+    setSearchError('');
+    try {
+      setResults(await mapProvider.geocode(query.trim()));
+    } catch (error) {
+      console.error("Error searching for place:", error);
+      setSearchError(`Could not search for places: ${error.message}`);
+    } finally {
+      setIsSearching(false);
+    }
+  };
+
+  const pick = (place) => {
+    onChange(cleanLocation(place));
+    setResults(null);
+  };
+
+  return (
+    <div className="mb-2">
+      <div className="flex gap-2">
+        <input
+          type="text"
+          aria-label="Location"
+          maxLength={LOCATION_TEXT_LIMITS.name}
+          className="shadow appearance-none border rounded-lg w-full py-1 px-3 text-sm text-gray-700 leading-tight focus:outline-none focus:ring-2 focus:ring-blue-300"
+          value={query}
+          onChange={(e) => onChange(e.target.value ? { name: e.target.value, address: '', ...parseCoordinates(e.target.value) } : null)}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter' && query.trim()) {
+              e.preventDefault();
+              search();
+            }
+          }}
+          placeholder="Where? e.g., Castelo de São Jorge"
+        />
+        {!readOnly && (
+          <button type="button" className={smallButtonClass} disabled={!query.trim() || isSearching || !mapProvider} onClick={search}>
+            {isSearching ? 'Finding...' : 'Find'}
+          </button>
+        )}
+      </div>
+      {location && (location.address || hasCoordinates(location)) && (
+        <p className="mt-1 text-xs text-gray-500">
+          {location.address}
+          {hasCoordinates(location) && (
+            <span className="ml-1 font-mono">({location.lat.toFixed(4)}, {location.lng.toFixed(4)})</span>
+          )}
+        </p>
+      )}
+      {searchError && <p className="mt-1 text-xs text-red-700">{searchError}</p>}
+      {results && (
+        <ul className="mt-1 border border-gray-200 rounded-lg bg-white divide-y divide-gray-100" aria-label="Places found">
+          {results.length === 0 && <li className="px-3 py-2 text-sm text-gray-500">No places found.</li>}
+          {results.map((place, index) => (
+            <li key={`${place.lat},${place.lng},${index}`}>
+              <button type="button" className="w-full text-left px-3 py-2 text-sm hover:bg-blue-50" onClick={() => pick(place)}>
+                <span className="font-semibold">{place.name}</span>
+                {place.address && place.address !== place.name && <span className="block text-xs text-gray-500">{place.address}</span>}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default LocationField;
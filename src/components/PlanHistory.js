@@ -0,0 +1,63 @@
+import React from 'react';
+import Avatar from './Avatar';
+import { diffPlans } from '../utils/revisions';
+import { getDisplayName } from '../utils/profiles';
+import { toDate } from '../utils/dates';
+
+const ACTION_LABELS = {
+  save: 'saved',
+  delete: 'deleted the plan',
+  restore: 'restored a version',
+  import: 'imported from a calendar file',
+  move: 'moved plans between days',
+  undo: 'undid moving plans',
+  promote: 'promoted a proposal',
+};
+
+const CHANGE_CLASSES = {
+  added: 'text-green-700',
+  removed: 'text-red-700',
+  changed: 'text-amber-700',
+  reordered: 'text-gray-600',
+};
+
+// Change log for one day: who changed what and when, with a button to restore any earlier version
+function PlanHistory({ revisions, profiles, canRestore, onRestore }) {
+  if (revisions.length === 0) {
+    return <p className="text-gray-500 text-sm mb-6">No changes recorded for this day yet.</p>;
+  }
+
+  return (
+    <ol className="mb-6 max-h-96 overflow-y-auto divide-y divide-gray-200 border border-gray-200 rounded-lg">
+      {revisions.map((revision, index) => {
+        const changes = diffPlans(revision.before, revision.after);
+        return (
+          <li key={revision.id} className="p-3 text-sm">
+            <div className="flex items-center gap-2 mb-1">
+              <Avatar profiles={profiles} userId={revision.userId} size="sm" />
+              <span className="font-semibold text-gray-800">{getDisplayName(profiles, revision.userId)}</span>
+              <span className="text-gray-600">{ACTION_LABELS[revision.action] || revision.action}</span>
+              <span className="ml-auto text-gray-500 whitespace-nowrap">{toDate(revision.timestamp)?.toLocaleString()}</span>
+            </div>
+            <ul className="ml-8 space-y-0.5">
+              {changes.map((change, changeIndex) => (
+                <li key={changeIndex} className={CHANGE_CLASSES[change.type]}>{change.text}</li>
+              ))}
+            </ul>
+            {canRestore && index > 0 && (
+              <button
+                type="button"
+                onClick={() => onRestore(revision)}
+                className="ml-8 mt-1 text-blue-700 hover:underline"
+              >
+                {revision.action === 'delete' ? 'Restore the deleted plan' : 'Restore this version'}
+              </button>
+            )}
+          </li>
+        );
+      })}
+    </ol>
+  );
+}
+
+export default PlanHistory;
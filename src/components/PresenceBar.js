@@ -0,0 +1,28 @@
+import React from 'react';
+import Avatar from './Avatar';
+import { getDisplayName } from '../utils/profiles';
+import { parseDateId } from '../utils/dates';
+
+// Avatars of the other members viewing the trip right now, with the day each has open
+function PresenceBar({ viewers, profiles, onOpenDay }) {
+  if (viewers.length === 0) return null;
+
+  return (
+    <div className="flex flex-wrap items-center gap-3 mb-4 text-sm text-gray-600" aria-label="Viewing now">
+      <span className="font-semibold">Viewing now:</span>
+      {viewers.map(viewer => (
+        <span key={viewer.id} className="inline-flex items-center gap-1">
+          <Avatar profiles={profiles} userId={viewer.id} size="sm" />
+          <span>{getDisplayName(profiles, viewer.id)}</span>
+          {viewer.dateId && (
+            <button type="button" onClick={() => onOpenDay(viewer.dateId)} className="text-blue-700 hover:underline">
+              on {parseDateId(viewer.dateId).toLocaleDateString('default', { month: 'short', day: 'numeric' })}
+            </button>
+          )}
+        </span>
+      ))}
+    </div>
+  );
+}
+
+export default PresenceBar;
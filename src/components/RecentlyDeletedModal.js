@@ -0,0 +1,60 @@
+import React from 'react';
+import { getPlanItems } from '../utils/planItems';
+import { getDisplayName } from '../utils/profiles';
+import { RECENTLY_DELETED_DAYS } from '../utils/revisions';
+import { toDate, parseDateId } from '../utils/dates';
+
+// Lists days whose plan was deleted recently and lets editors bring them back
+function RecentlyDeletedModal({ deletedRevisions, profiles, canRestore, onRestore, onClose }) {
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-lg shadow-xl p-6 w-full max-w-lg relative transform transition-all duration-300 scale-95 opacity-0 animate-fade-in-scale max-h-full overflow-y-auto">
+        <h2 className="text-2xl font-bold text-blue-700 mb-4">Recently Deleted</h2>
+        {deletedRevisions.length === 0 ? (
+          <p className="text-gray-600 mb-6">No days were deleted in the last {RECENTLY_DELETED_DAYS} days.</p>
+        ) : (
+          <ul className="divide-y divide-gray-200 border border-gray-200 rounded-lg mb-6">
+            {deletedRevisions.map(revision => {
+              const items = getPlanItems(revision.before);
+              return (
+                <li key={revision.id} className="flex items-center gap-3 p-3 text-sm">
+                  <div className="flex-1">
+                    <p className="font-semibold text-gray-800">
+                      {parseDateId(revision.dateId).toDateString()}
+                    </p>
+                    <p className="text-gray-600 truncate">
+                      {items.map(item => item.title || 'Untitled').join(', ')}
+                    </p>
+                    <p className="text-gray-500">
+                      Deleted by {getDisplayName(profiles, revision.userId)} on {toDate(revision.timestamp)?.toLocaleString()}
+                    </p>
+                  </div>
+                  {canRestore && (
+                    <button
+                      type="button"
+                      onClick={() => onRestore(revision)}
+                      className="px-3 py-1 bg-blue-100 text-blue-800 font-semibold rounded-lg hover:bg-blue-200 transition-colors duration-200"
+                    >
+                      Restore
+                    </button>
+                  )}
+                </li>
+              );
+            })}
+          </ul>
+        )}
+        <div className="flex justify-end">
+          <button
+            type="button"
+            onClick={onClose}
+            className="bg-gray-400 hover:bg-gray-500 text-white font-bold py-2 px-4 rounded-lg focus:outline-none focus:ring-2 focus:ring-gray-300 transition-colors duration-200 shadow-md"
+          >
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default RecentlyDeletedModal;
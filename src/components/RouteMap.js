@@ -0,0 +1,65 @@
+import React from 'react';
+import { project, fitPoints, getVisibleTiles, TILE_SIZE } from '../maps/mercator';
+
+const MAP_WIDTH = 640;
+const MAP_HEIGHT = 320;
+// Closest zoom used, so a single stop or stops next door still show their surroundings
+const MAX_MAP_ZOOM = 16;
+
+// Numbered stops joined in order on a map. Tiles come from `mapProvider`; providers without tiles
+// (such as the offline one) get a plain grid instead.
+function RouteMap({ stops, mapProvider }) {
+  const points = stops.map(stop => stop.item.location);
+  const view = fitPoints(points, MAP_WIDTH, MAP_HEIGHT, { maxZoom: MAX_MAP_ZOOM });
+  const toPixel = (point) => {
+    const { x, y } = project(point, view.zoom);
+    return { x: x - view.left, y: y - view.top };
+  };
+  const tiles = getVisibleTiles(view, MAP_WIDTH, MAP_HEIGHT)
+    .map(tile => ({ ...tile, url: mapProvider?.getTileUrl(tile.x, tile.y, tile.z) }))
+    .filter(tile => tile.url);
+  const pixels = points.map(toPixel);
+
+  return (
+    <figure className="border border-gray-200 rounded-lg overflow-hidden">
+      <svg
+        viewBox={`0 0 ${MAP_WIDTH} ${MAP_HEIGHT}`}
+        className="w-full h-auto bg-slate-100 block"
+        role="img"
+        aria-label={`Map of ${stops.length} ${stops.length === 1 ? 'stop' : 'stops'}`}
+      >
+        <defs>
+          <pattern id="route-map-grid" width="32" height="32" patternUnits="userSpaceOnUse">
+            <path d="M 32 0 L 0 0 0 32" fill="none" stroke="#e2e8f0" strokeWidth="1" />
+          </pattern>
+        </defs>
+        <rect width={MAP_WIDTH} height={MAP_HEIGHT} fill="url(#route-map-grid)" />
+        {tiles.map(tile => (
+          <image key={`${tile.z}/${tile.left}/${tile.top}`} href={tile.url} x={tile.left} y={tile.top} width={TILE_SIZE} height={TILE_SIZE} />
+        ))}
+        {pixels.length > 1 && (
+          <polyline
+            points={pixels.map(({ x, y }) => `${x},${y}`).join(' ')}
+            fill="none"
+            stroke="#2563eb"
+            strokeWidth="3"
+            strokeDasharray="6 4"
+            strokeLinejoin="round"
+          />
+        )}
+        {stops.map((stop, index) => (
+          <g key={stop.item.id} transform={`translate(${pixels[index].x}, ${pixels[index].y})`}>
+            <circle r="11" fill="#1d4ed8" stroke="#fff" strokeWidth="2" />
+            <text textAnchor="middle" dy="4" fontSize="11" fontWeight="bold" fill="#fff">{stop.number}</text>
+            <title>{stop.item.title || 'Untitled'}</title>
+          </g>
+        ))}
+      </svg>
+      {mapProvider?.attribution && (
+        <figcaption className="px-2 py-1 text-[10px] text-gray-500 text-right bg-white">{mapProvider.attribution}</figcaption>
+      )}
+    </figure>
+  );
+}
+
+export default RouteMap;
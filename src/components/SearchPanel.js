@@ -0,0 +1,99 @@
+import React from 'react';
+import { ITEM_CATEGORIES } from '../utils/planItems';
+import { parseDateId } from '../utils/dates';
+import { getDisplayName } from '../utils/profiles';
+import { EMPTY_FILTERS, hasActiveFilters, getPlanAuthors, MAX_SEARCH_RESULTS } from '../utils/search';
+
+const fieldClass = "border rounded-lg py-1 px-2 text-sm text-gray-700 focus:outline-none focus:ring-2 focus:ring-blue-300";
+
+// Search box and filters for the trip's plans, with the matching days listed below.
+// `results` come from searchPlans; picking one calls `onOpenDay` with its date ID.
+function SearchPanel({ trip, plans, profiles, query, filters, results, onQueryChange, onFiltersChange, onOpenDay }) {
+  const authorIds = [...new Set([...Object.keys(trip.members || {}), ...getPlanAuthors(plans)])];
+  const setFilter = (name, value) => onFiltersChange({ ...filters, [name]: value });
+  const isSearching = query.trim() !== '';
+
+  return (
+    <section className="mb-6 border border-gray-200 rounded-lg p-4" aria-label="Search">
+      <div className="flex flex-col md:flex-row md:items-center gap-3">
+        <input
+          type="search"
+          className={`${fieldClass} flex-1 py-2`}
+          placeholder="Search titles, notes, places…"
+          aria-label="Search plans"
+          value={query}
+          onChange={(e) => onQueryChange(e.target.value)}
+        />
+        <div className="flex flex-wrap items-center gap-2 text-sm text-gray-700">
+          <label className="flex items-center gap-1">
+            Author:
+            <select className={fieldClass} value={filters.authorId} onChange={(e) => setFilter('authorId', e.target.value)}>
+              <option value="">Anyone</option>
+              {authorIds.map(userId => <option key={userId} value={userId}>{getDisplayName(profiles, userId)}</option>)}
+            </select>
+          </label>
+          <label className="flex items-center gap-1">
+            Category:
+            <select className={fieldClass} value={filters.category} onChange={(e) => setFilter('category', e.target.value)}>
+              <option value="">Any</option>
+              {Object.entries(ITEM_CATEGORIES).map(([id, { label }]) => <option key={id} value={id}>{label}</option>)}
+            </select>
+          </label>
+          <label className="flex items-center gap-1">
+            From:
+            <input type="date" className={fieldClass} value={filters.startDateId} onChange={(e) => setFilter('startDateId', e.target.value)} />
+          </label>
+          <label className="flex items-center gap-1">
+            To:
+            <input type="date" className={fieldClass} value={filters.endDateId} onChange={(e) => setFilter('endDateId', e.target.value)} />
+          </label>
+          {(isSearching || hasActiveFilters(filters)) && (
+            <button
+              type="button"
+              onClick={() => {
+                onQueryChange('');
+                onFiltersChange(EMPTY_FILTERS);
+              }}
+              className="px-3 py-1 bg-gray-100 text-gray-700 font-semibold rounded-lg hover:bg-gray-200 transition-colors duration-200"
+            >
+              Clear
+            </button>
+          )}
+        </div>
+      </div>
+
+      {isSearching && (
+        results.length === 0 ? (
+          <p className="mt-3 text-sm text-gray-500 italic">No days match "{query.trim()}".</p>
+        ) : (
+          <ol className="mt-3 space-y-2 max-h-64 overflow-y-auto" aria-label="Search results">
+            {results.map(({ dateId, matches }) => (
+              <li key={dateId}>
+                <button
+                  type="button"
+                  onClick={() => onOpenDay(dateId)}
+                  className="w-full text-left rounded-lg px-3 py-2 hover:bg-blue-50 transition-colors duration-200"
+                >
+                  <span className="font-semibold text-blue-700">{parseDateId(dateId).toDateString()}</span>
+                  <ul className="mt-1 space-y-0.5 text-sm text-gray-700">
+                    {matches.map(({ itemId, title, field, label, snippet }) => (
+                      <li key={`${itemId}-${field}`}>
+                        <span className="text-xs text-gray-500 mr-1">{field === 'title' ? label : `${title} · ${label}`}:</span>
+                        {snippet.before}<mark className="bg-yellow-200 rounded px-0.5">{snippet.match}</mark>{snippet.after}
+                      </li>
+                    ))}
+                  </ul>
+                </button>
+              </li>
+            ))}
+          </ol>
+        )
+      )}
+      {isSearching && results.length === MAX_SEARCH_RESULTS && (
+        <p className="mt-2 text-xs text-gray-500">Showing the first {MAX_SEARCH_RESULTS} days; refine the search to see others.</p>
+      )}
+    </section>
+  );
+}
+
+export default SearchPanel;
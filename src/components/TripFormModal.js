@@ -0,0 +1,275 @@
+import React, { useState } from 'react';
+import Avatar from './Avatar';
+import { TRIP_COLORS, DEFAULT_TRIP_COLOR, ROLES, canManageTrip, validateTripFields } from '../utils/trips';
+import { getDisplayName, buildInviteLink, isInviteExpired } from '../utils/profiles';
+import { toDate } from '../utils/dates';
+import { getTripTimeZone, getTimeZoneOptions } from '../utils/timeZones';
+
+const inputClass = "shadow appearance-none border rounded-lg w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:ring-2 focus:ring-blue-300";
+const labelClass = "block text-gray-700 text-sm font-bold mb-2";
+
+// Modal for creating a trip, or editing an existing trip's details, members and invite links
+function TripFormModal({
+  trip, currentUserId, profiles, invites, onSave, onDelete, onUpdateMember, onCreateInvite, onRevokeInvite, onClose
+}) {
+  const isNew = !trip;
+  const canManage = isNew || canManageTrip(trip, currentUserId);
+  const [fields, setFields] = useState({
+    name: trip?.name || '',
+    destination: trip?.destination || '',
+    startDate: trip?.startDate || '',
+    endDate: trip?.endDate || '',
+    color: trip?.color || DEFAULT_TRIP_COLOR,
+    timeZone: getTripTimeZone(trip),
+    copyLegacyPlans: false,
+  });
+  const [formError, setFormError] = useState('');
+  const [inviteRole, setInviteRole] = useState('editor');
+  const [copiedToken, setCopiedToken] = useState(null);
+
+  const setField = (field, value) => setFields(prev => ({ ...prev, [field]: value }));
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const error = validateTripFields(fields);
+    if (error) {
+      setFormError(error);
+      return;
+    }
+    onSave(fields);
+  };
+
+  const copyInviteLink = async (token) => {
+    try {
+      await navigator.clipboard.writeText(buildInviteLink(token));
+      setCopiedToken(token);
+    } catch (error) {
+      console.error("Error copying invite link:", error);
+      setFormError('Could not copy the link. Copy it from the field instead.');
+    }
+  };
+
+  const activeInvites = (invites || []).filter(invite => !isInviteExpired(invite));
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <form
+        onSubmit={handleSubmit}
+        className="bg-white rounded-lg shadow-xl p-6 w-full max-w-lg relative transform transition-all duration-300 scale-95 opacity-0 animate-fade-in-scale max-h-full overflow-y-auto"
+      >
+        <h2 className="text-2xl font-bold text-blue-700 mb-4">{isNew ? 'New Trip' : 'Trip Settings'}</h2>
+
+        {formError && <p className="text-red-600 text-sm mb-4" role="alert">{formError}</p>}
+
+        <fieldset disabled={!canManage}>
+          <div className="mb-4">
+            <label htmlFor="tripName" className={labelClass}>Name:</label>
+            <input
+              id="tripName"
+              type="text"
+              className={inputClass}
+              value={fields.name}
+              onChange={(e) => setField('name', e.target.value)}
+              placeholder="e.g., Summer in the Cyclades"
+            />
+          </div>
+          <div className="mb-4">
+            <label htmlFor="tripDestination" className={labelClass}>Destination:</label>
+            <input
+              id="tripDestination"
+              type="text"
+              className={inputClass}
+              value={fields.destination}
+              onChange={(e) => setField('destination', e.target.value)}
+              placeholder="e.g., Naxos, Greece"
+            />
+          </div>
+          <div className="flex gap-4 mb-4">
+            <div className="flex-1">
+              <label htmlFor="tripStartDate" className={labelClass}>Start Date:</label>
+              <input
+                id="tripStartDate"
+                type="date"
+                className={inputClass}
+                value={fields.startDate}
+                onChange={(e) => setField('startDate', e.target.value)}
+              />
+            </div>
+            <div className="flex-1">
+              <label htmlFor="tripEndDate" className={labelClass}>End Date:</label>
+              <input
+                id="tripEndDate"
+                type="date"
+                className={inputClass}
+                value={fields.endDate}
+                onChange={(e) => setField('endDate', e.target.value)}
+              />
+            </div>
+          </div>
+          <div className="mb-4">
+            <label htmlFor="tripTimeZone" className={labelClass}>Home Time Zone:</label>
+            <select
+              id="tripTimeZone"
+              className={inputClass}
+              value={fields.timeZone}
+              onChange={(e) => setField('timeZone', e.target.value)}
+            >
+              {getTimeZoneOptions(fields.timeZone).map(timeZone => (
+                <option key={timeZone} value={timeZone}>{timeZone.replace(/_/g, ' ')}</option>
+              ))}
+            </select>
+            <p className="text-xs text-gray-500 mt-1">Calendar days, times and exports use this zone unless an item has its own.</p>
+          </div>
+          <div className="mb-4">
+            <span className={labelClass}>Cover Color:</span>
+            <div className="flex gap-2">
+              {Object.entries(TRIP_COLORS).map(([id, color]) => (
+                <button
+                  key={id}
+                  type="button"
+                  aria-label={color.label}
+                  aria-pressed={fields.color === id}
+                  onClick={() => setField('color', id)}
+                  className={`w-8 h-8 rounded-full ${color.swatchClass} ${fields.color === id ? 'ring-4 ring-offset-2 ring-gray-400' : ''}`}
+                ></button>
+              ))}
+            </div>
+          </div>
+          {isNew && (
+            <label className="flex items-center gap-2 mb-4 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={fields.copyLegacyPlans}
+                onChange={(e) => setField('copyLegacyPlans', e.target.checked)}
+              />
+              Copy plans in these dates from the old shared calendar
+            </label>
+          )}
+        </fieldset>
+
+        {!isNew && (
+          <div className="mb-6">
+            <h3 className="text-lg font-semibold text-gray-800 mb-2">Members</h3>
+            <ul className="divide-y divide-gray-200 border border-gray-200 rounded-lg mb-3">
+              {Object.entries(trip.members || {}).map(([memberId, role]) => (
+                <li key={memberId} className="flex items-center gap-2 px-3 py-2 text-sm">
+                  <Avatar profiles={profiles} userId={memberId} size="sm" />
+                  <span className="break-all flex-1">
+                    {getDisplayName(profiles, memberId)}{memberId === currentUserId && ' (you)'}
+                  </span>
+                  {canManage && role !== 'owner' ? (
+                    <>
+                      <select
+                        aria-label={`Role for ${getDisplayName(profiles, memberId)}`}
+                        className="border rounded-lg py-1 px-2"
+                        value={role}
+                        onChange={(e) => onUpdateMember(memberId, e.target.value)}
+                      >
+                        <option value="editor">{ROLES.editor.label}</option>
+                        <option value="viewer">{ROLES.viewer.label}</option>
+                      </select>
+                      <button
+                        type="button"
+                        onClick={() => onUpdateMember(memberId, null)}
+                        className="text-red-600 hover:underline"
+                      >
+                        Remove
+                      </button>
+                    </>
+                  ) : (
+                    <span className="text-gray-600">{ROLES[role]?.label || role}</span>
+                  )}
+                </li>
+              ))}
+            </ul>
+            {canManage && (
+              <>
+                <h3 className="text-lg font-semibold text-gray-800 mb-2">Invite Links</h3>
+                {activeInvites.length > 0 && (
+                  <ul className="space-y-2 mb-3">
+                    {activeInvites.map(invite => (
+                      <li key={invite.id} className="flex items-center gap-2 text-sm">
+                        <input
+                          type="text"
+                          readOnly
+                          aria-label="Invite link"
+                          className="border rounded-lg py-1 px-2 flex-1 font-mono text-xs text-gray-600"
+                          value={buildInviteLink(invite.id)}
+                          onFocus={(e) => e.target.select()}
+                        />
+                        <span className="text-gray-600 whitespace-nowrap">
+                          {ROLES[invite.role]?.label}, until {toDate(invite.expiresAt).toLocaleDateString()}
+                        </span>
+                        <button
+                          type="button"
+                          onClick={() => copyInviteLink(invite.id)}
+                          className="text-blue-700 hover:underline"
+                        >
+                          {copiedToken === invite.id ? 'Copied' : 'Copy'}
+                        </button>
+                        <button
+                          type="button"
+                          onClick={() => onRevokeInvite(invite.id)}
+                          className="text-red-600 hover:underline"
+                        >
+                          Revoke
+                        </button>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+                <div className="flex gap-2">
+                  <select
+                    aria-label="Invite role"
+                    className="border rounded-lg py-1 px-2 text-sm"
+                    value={inviteRole}
+                    onChange={(e) => setInviteRole(e.target.value)}
+                  >
+                    <option value="editor">{ROLES.editor.label}</option>
+                    <option value="viewer">{ROLES.viewer.label}</option>
+                  </select>
+                  <button
+                    type="button"
+                    onClick={() => onCreateInvite(inviteRole)}
+                    className="px-4 py-2 bg-blue-100 text-blue-800 font-semibold rounded-lg hover:bg-blue-200 transition-colors duration-200"
+                  >
+                    Create Invite Link
+                  </button>
+                </div>
+              </>
+            )}
+          </div>
+        )}
+
+        <div className="flex justify-end gap-3">
+          {canManage && (
+            <button
+              type="submit"
+              className="bg-blue-600 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-300 transition-colors duration-200 shadow-md"
+            >
+              {isNew ? 'Create Trip' : 'Save Trip'}
+            </button>
+          )}
+          {!isNew && canManage && (
+            <button
+              type="button"
+              onClick={onDelete}
+              className="bg-red-600 hover:bg-red-700 text-white font-bold py-2 px-4 rounded-lg focus:outline-none focus:ring-2 focus:ring-red-300 transition-colors duration-200 shadow-md"
+            >
+              Delete Trip
+            </button>
+          )}
+          <button
+            type="button"
+            onClick={onClose}
+            className="bg-gray-400 hover:bg-gray-500 text-white font-bold py-2 px-4 rounded-lg focus:outline-none focus:ring-2 focus:ring-gray-300 transition-colors duration-200 shadow-md"
+          >
+            {canManage ? 'Cancel' : 'Close'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
+
+export default TripFormModal;
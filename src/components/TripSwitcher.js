@@ -0,0 +1,66 @@
+import React from 'react';
+import { getTripColor, getMemberRole, ROLES } from '../utils/trips';
+
+// Lists the user's trips and lets them switch the active one or start a new trip
+function TripSwitcher({ trips, activeTripId, currentUserId, onSelect, onCreate, onEdit }) {
+  const activeTrip = trips.find(trip => trip.id === activeTripId);
+
+  return (
+    <div className="flex flex-col md:flex-row md:items-center gap-3 mb-6">
+      <label htmlFor="tripSelect" className="text-gray-700 text-sm font-bold">
+        Trip:
+      </label>
+      <select
+        id="tripSelect"
+        className="shadow border rounded-lg py-2 px-3 text-gray-700 focus:outline-none focus:ring-2 focus:ring-blue-300 md:w-72"
+        value={activeTripId || ''}
+        onChange={(e) => onSelect(e.target.value || null)}
+        disabled={trips.length === 0}
+      >
+        {trips.length === 0 && <option value="">No trips yet</option>}
+        {trips.map(trip => (
+          <option key={trip.id} value={trip.id}>
+            {trip.name} ({trip.startDate} – {trip.endDate})
+          </option>
+        ))}
+      </select>
+      {activeTrip && (
+        <span className="flex items-center gap-2 text-sm text-gray-600">
+          <span className={`inline-block w-3 h-3 rounded-full ${getTripColor(activeTrip).swatchClass}`}></span>
+          {ROLES[getMemberRole(activeTrip, currentUserId)]?.label || 'Not a member'}
+        </span>
+      )}
+      <div className="flex gap-2 md:ml-auto">
+        {activeTrip && (
+          <button
+            onClick={() => onEdit(activeTrip)}
+            className="px-4 py-2 bg-blue-100 text-blue-800 font-semibold rounded-lg hover:bg-blue-200 transition-colors duration-200"
+          >
+            Trip Settings
+          </button>
+        )}
+        <button
+          onClick={onCreate}
+          className="px-4 py-2 bg-blue-600 text-white font-semibold rounded-lg shadow-md hover:bg-blue-700 transition-colors duration-200"
+        >
+          + New Trip
+        </button>
+      </div>
+    </div>
+  );
+}
+
+// Banner describing the active trip, tinted with its cover color
+export function TripBanner({ trip }) {
+  return (
+    <div className={`${getTripColor(trip).bannerClass} text-white rounded-lg px-5 py-4 mb-6 shadow-md`}>
+      <h2 className="text-2xl font-bold">{trip.name}</h2>
+      <p className="text-sm opacity-90">
+        {trip.destination && <span>{trip.destination} · </span>}
+        {trip.startDate} to {trip.endDate}
+      </p>
+    </div>
+  );
+}
+
+export default TripSwitcher;
@@ -0,0 +1,18 @@
+import React from 'react';
+
+// Notice for the last plan reschedule, with a button (or Ctrl+Z / Cmd+Z) to undo it
+function UndoBar({ label, onUndo, onDismiss }) {
+  return (
+    <div className="flex items-center gap-3 mb-3 px-4 py-2 bg-gray-800 text-white text-sm rounded-lg shadow" role="status">
+      <span>{label}</span>
+      <button type="button" onClick={onUndo} className="font-semibold text-blue-300 hover:text-blue-200">
+        Undo
+      </button>
+      <button type="button" onClick={onDismiss} aria-label="Dismiss" className="ml-auto text-gray-400 hover:text-white">
+        ✕
+      </button>
+    </div>
+  );
+}
+
+export default UndoBar;
@@ -0,0 +1,30 @@
+import { createOsmProvider } from './osmProvider';
+import { createOfflineProvider } from './offlineProvider';
+
+export { createOsmProvider, createOfflineProvider };
+
+// Providers of map tiles and place search (geocoding) the app can use:
+// - osm: OpenStreetMap tiles and Nominatim search, or compatible servers (see REACT_APP_MAP_TILE_URL
+//   and REACT_APP_GEOCODER_URL)
+// - offline: no tiles and a built-in list of places, for development without network access
+export const MAP_PROVIDER_NAMES = ['osm', 'offline'];
+
+// Picks the provider from REACT_APP_MAP_PROVIDER, defaulting to OpenStreetMap
+export const getMapProviderName = (env) => {
+  const requested = env.REACT_APP_MAP_PROVIDER;
+  if (requested && !MAP_PROVIDER_NAMES.includes(requested)) {
+    throw new Error(`Unknown map provider "${requested}". Use one of: ${MAP_PROVIDER_NAMES.join(', ')}.`);
+  }
+  return requested || 'osm';
+};
+
+// Creates the configured map provider
+export const createMapProvider = ({ env = process.env } = {}) => {
+  if (getMapProviderName(env) === 'offline') {
+    return createOfflineProvider();
+  }
+  return createOsmProvider({
+    ...(env.REACT_APP_MAP_TILE_URL && { tileUrl: env.REACT_APP_MAP_TILE_URL }),
+    ...(env.REACT_APP_GEOCODER_URL && { geocodeUrl: env.REACT_APP_GEOCODER_URL }),
+  });
+};
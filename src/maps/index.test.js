@@ -0,0 +1,33 @@
+import { createMapProvider, getMapProviderName, createOsmProvider, createOfflineProvider } from '.';
+
+test('picks the map provider from the environment', () => {
+  expect(getMapProviderName({})).toBe('osm');
+  expect(getMapProviderName({ REACT_APP_MAP_PROVIDER: 'offline' })).toBe('offline');
+  expect(() => getMapProviderName({ REACT_APP_MAP_PROVIDER: 'atlas' })).toThrow('Unknown map provider "atlas"');
+  expect(createMapProvider({ env: { REACT_APP_MAP_TILE_URL: 'https://tiles.example/{z}/{x}/{y}.png' } }).getTileUrl(1, 2, 3))
+    .toBe('https://tiles.example/3/1/2.png');
+});
+
+test('searches places with the geocoding server', async () => {
+  const fetchImpl = jest.fn().mockResolvedValue({
+    ok: true,
+    json: async () => [{ name: 'Castelo de São Jorge', display_name: 'Castelo de São Jorge, Lisboa, Portugal', lat: '38.7139', lon: '-9.1335' }],
+  });
+  const provider = createOsmProvider({ geocodeUrl: 'https://geo.example/search', fetchImpl });
+
+  expect(await provider.geocode('castelo lisboa')).toEqual([
+    { name: 'Castelo de São Jorge', address: 'Castelo de São Jorge, Lisboa, Portugal', lat: 38.7139, lng: -9.1335 },
+  ]);
+  expect(fetchImpl.mock.calls[0][0]).toBe('https://geo.example/search?q=castelo+lisboa&format=jsonv2&limit=5');
+
+  fetchImpl.mockResolvedValue({ ok: false, status: 429 });
+  await expect(provider.geocode('castelo')).rejects.toThrow('Place search failed (429).');
+});
+
+test('finds built-in places offline, ignoring accents', async () => {
+  const provider = createOfflineProvider();
+
+  expect((await provider.geocode('sao jorge')).map(place => place.name)).toEqual(['Castelo de São Jorge']);
+  expect(await provider.geocode('Atlantis')).toEqual([]);
+  expect(provider.getTileUrl(0, 0, 0)).toBeNull();
+});
@@ -0,0 +1,58 @@
+// Web Mercator projection used by slippy-map tiles (OpenStreetMap and compatible servers)
+
+export const TILE_SIZE = 256;
+export const MAX_ZOOM = 18;
+
+// Position of a { lat, lng } point in pixels on the whole-world map at `zoom`
+export const project = ({ lat, lng }, zoom) => {
+  const scale = TILE_SIZE * 2 ** zoom;
+  const sinLat = Math.sin((Math.max(Math.min(lat, 85.0511), -85.0511) * Math.PI) / 180);
+  return {
+    x: ((lng + 180) / 360) * scale,
+    y: (0.5 - Math.log((1 + sinLat) / (1 - sinLat)) / (4 * Math.PI)) * scale,
+  };
+};
+
+// Bounding box of points in world pixels at `zoom`
+const getPixelBounds = (points, zoom) => {
+  const projected = points.map(point => project(point, zoom));
+  const xs = projected.map(p => p.x);
+  const ys = projected.map(p => p.y);
+  return { minX: Math.min(...xs), maxX: Math.max(...xs), minY: Math.min(...ys), maxY: Math.max(...ys) };
+};
+
+// The view of a width x height map showing every point with `padding` pixels to spare:
+// { zoom, left, top } where left/top are the world-pixel coordinates of the map's top-left corner.
+export const fitPoints = (points, width, height, { padding = 32, maxZoom = MAX_ZOOM } = {}) => {
+  let zoom = maxZoom;
+  let bounds = getPixelBounds(points, zoom);
+  while (zoom > 0 && (bounds.maxX - bounds.minX > width - 2 * padding || bounds.maxY - bounds.minY > height - 2 * padding)) {
+    zoom -= 1;
+    bounds = getPixelBounds(points, zoom);
+  }
+  return {
+    zoom,
+    left: (bounds.minX + bounds.maxX) / 2 - width / 2,
+    top: (bounds.minY + bounds.maxY) / 2 - height / 2,
+  };
+};
+
+// Tiles covering the view: [{ x, y, z, left, top }] with left/top relative to the map's corner.
+// Tiles wrap around horizontally and are skipped above and below the world.
+export const getVisibleTiles = ({ zoom, left, top }, width, height) => {
+  const count = 2 ** zoom;
+  const tiles = [];
+  for (let tileY = Math.floor(top / TILE_SIZE); tileY * TILE_SIZE < top + height; tileY += 1) {
+    if (tileY < 0 || tileY >= count) continue;
+    for (let tileX = Math.floor(left / TILE_SIZE); tileX * TILE_SIZE < left + width; tileX += 1) {
+      tiles.push({
+        x: ((tileX % count) + count) % count,
+        y: tileY,
+        z: zoom,
+        left: tileX * TILE_SIZE - left,
+        top: tileY * TILE_SIZE - top,
+      });
+    }
+  }
+  return tiles;
+};
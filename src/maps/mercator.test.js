@@ -0,0 +1,33 @@
+import { project, fitPoints, getVisibleTiles, TILE_SIZE } from './mercator';
+
+test('projects coordinates onto the tile grid', () => {
+  expect(project({ lat: 0, lng: 0 }, 0)).toEqual({ x: 128, y: 128 });
+  const lisbon = project({ lat: 38.7139, lng: -9.1335 }, 12);
+  // Tile 1944/1569 at zoom 12 covers central Lisbon
+  expect([Math.floor(lisbon.x / TILE_SIZE), Math.floor(lisbon.y / TILE_SIZE)]).toEqual([1944, 1569]);
+});
+
+test('fits the stops in the map and lists the tiles covering it', () => {
+  const points = [{ lat: 38.7139, lng: -9.1335 }, { lat: 38.6916, lng: -9.216 }];
+  const view = fitPoints(points, 640, 320, { padding: 32 });
+  const pixels = points.map(point => project(point, view.zoom)).map(({ x, y }) => ({ x: x - view.left, y: y - view.top }));
+
+  pixels.forEach(({ x, y }) => {
+    expect(x).toBeGreaterThanOrEqual(32);
+    expect(x).toBeLessThanOrEqual(608);
+    expect(y).toBeGreaterThanOrEqual(32);
+    expect(y).toBeLessThanOrEqual(288);
+  });
+  // One zoom level closer would no longer fit
+  const closer = points.map(point => project(point, view.zoom + 1));
+  expect(Math.abs(closer[0].x - closer[1].x)).toBeGreaterThan(640 - 64);
+
+  const tiles = getVisibleTiles(view, 640, 320);
+  expect(tiles.length).toBeGreaterThanOrEqual(6);
+  expect(tiles.every(tile => tile.left > -TILE_SIZE && tile.left < 640 && tile.top > -TILE_SIZE && tile.top < 320)).toBe(true);
+});
+
+test('wraps tiles around the date line and skips rows outside the world', () => {
+  const tiles = getVisibleTiles({ zoom: 1, left: -128, top: -100 }, 512, 300);
+  expect(tiles.map(tile => [tile.x, tile.y])).toEqual([[1, 0], [0, 0], [1, 0]]);
+});
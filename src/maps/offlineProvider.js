@@ -0,0 +1,36 @@
+// Map provider that needs no network, for development, tests and demos: the map is drawn without
+// tiles, and places are looked up in a small built-in list (or the list passed in).
+
+export const SAMPLE_PLACES = [
+  { name: 'Praça do Comércio', address: 'Praça do Comércio, Lisboa, Portugal', lat: 38.7075, lng: -9.1364 },
+  { name: 'Castelo de São Jorge', address: 'Rua de Santa Cruz do Castelo, Lisboa, Portugal', lat: 38.7139, lng: -9.1335 },
+  { name: 'Torre de Belém', address: 'Avenida Brasília, Lisboa, Portugal', lat: 38.6916, lng: -9.216 },
+  { name: 'Mosteiro dos Jerónimos', address: 'Praça do Império, Lisboa, Portugal', lat: 38.6979, lng: -9.2068 },
+  { name: 'Lisbon Airport', address: 'Alameda das Comunidades Portuguesas, Lisboa, Portugal', lat: 38.7742, lng: -9.1342 },
+  { name: 'Colosseum', address: 'Piazza del Colosseo, Roma, Italy', lat: 41.8902, lng: 12.4922 },
+  { name: 'Pantheon', address: 'Piazza della Rotonda, Roma, Italy', lat: 41.8986, lng: 12.4769 },
+  { name: 'Trevi Fountain', address: 'Piazza di Trevi, Roma, Italy', lat: 41.9009, lng: 12.4833 },
+  { name: 'Acropolis', address: 'Athens, Greece', lat: 37.9715, lng: 23.7257 },
+  { name: 'Eiffel Tower', address: 'Champ de Mars, Paris, France', lat: 48.8584, lng: 2.2945 },
+  { name: 'Louvre Museum', address: 'Rue de Rivoli, Paris, France', lat: 48.8606, lng: 2.3376 },
+  { name: 'Shibuya Crossing', address: 'Shibuya, Tokyo, Japan', lat: 35.6595, lng: 139.7005 },
+];
+
+// Lower-cased with accents removed, so "sao jorge" finds "São Jorge"
+const normalize = (text) => text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+
+export function createOfflineProvider({ places = SAMPLE_PLACES } = {}) {
+  return {
+    name: 'offline',
+    attribution: 'Offline map (no tiles)',
+
+    getTileUrl: () => null,
+
+    geocode: async (query) => {
+      const words = normalize(query).split(/\s+/).filter(Boolean);
+      return places
+        .filter(place => words.every(word => normalize(`${place.name} ${place.address}`).includes(word)))
+        .map(place => ({ ...place }));
+    },
+  };
+}
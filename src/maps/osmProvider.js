@@ -0,0 +1,34 @@
+// Map provider using OpenStreetMap tiles and the Nominatim geocoder (or compatible servers).
+// The public servers ask for light, interactive use only; point `tileUrl` and `geocodeUrl` at
+// your own or a commercial server for heavier traffic.
+
+export const OSM_TILE_URL = 'https://tile.openstreetmap.org/{z}/{x}/{y}.png';
+export const NOMINATIM_URL = 'https://nominatim.openstreetmap.org/search';
+
+// Maximum number of places a search returns
+const MAX_RESULTS = 5;
+
+export function createOsmProvider({ tileUrl = OSM_TILE_URL, geocodeUrl = NOMINATIM_URL, fetchImpl } = {}) {
+  return {
+    name: 'osm',
+    attribution: '© OpenStreetMap contributors',
+
+    getTileUrl: (x, y, z) => tileUrl.replace('{z}', z).replace('{x}', x).replace('{y}', y),
+
+    // Resolves to [{ name, address, lat, lng }] for a free-text place search
+    geocode: async (query) => {
+      const params = new URLSearchParams({ q: query, format: 'jsonv2', limit: String(MAX_RESULTS) });
+      const response = await (fetchImpl || fetch)(`${geocodeUrl}?${params}`, { headers: { Accept: 'application/json' } });
+      if (!response.ok) {
+        throw new Error(`Place search failed (${response.status}).`);
+      }
+      const places = await response.json();
+      return places.map(place => ({
+        name: place.name || place.display_name.split(',')[0],
+        address: place.display_name,
+        lat: Number(place.lat),
+        lng: Number(place.lon),
+      }));
+    },
+  };
+}
@@ -0,0 +1,25 @@
+// Registers public/service-worker.js so the app shell can be installed and loaded offline.
+// Only production builds register it; in development it would serve stale bundles.
+export function register() {
+  if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) {
+    return;
+  }
+
+  window.addEventListener('load', () => {
+    navigator.serviceWorker
+      .register(`${process.env.PUBLIC_URL}/service-worker.js`)
+      .catch((error) => {
+        console.error('Error during service worker registration:', error);
+      });
+  });
+}
+
+export function unregister() {
+  if ('serviceWorker' in navigator) {
+    navigator.serviceWorker.ready
+      .then(registration => registration.unregister())
+      .catch((error) => {
+        console.error(error.message);
+      });
+  }
+}
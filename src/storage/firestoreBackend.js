@@ -0,0 +1,376 @@
+import { initializeApp } from 'firebase/app';
+import {
+  getAuth, signInAnonymously, signInWithCustomToken, onAuthStateChanged, EmailAuthProvider, linkWithCredential,
+  signInWithEmailAndPassword, createUserWithEmailAndPassword, signOut, updateProfile
+} from 'firebase/auth';
+import {
+  getFirestore, initializeFirestore, persistentLocalCache, persistentMultipleTabManager, collection, doc, getDoc,
+  getDocFromCache, getDocs, setDoc, onSnapshot, query, where, addDoc, updateDoc, deleteDoc, writeBatch, documentId,
+  arrayUnion, runTransaction
+} from 'firebase/firestore';
+import { getStorage, ref as storageRef, uploadBytes, getDownloadURL, deleteObject } from 'firebase/storage';
+import { tripsCollectionPath, plansCollectionPath, legacyPlansCollectionPath } from '../utils/trips';
+import { profilesCollectionPath, invitesCollectionPath, MAX_IN_QUERY_VALUES, toAuthUser, chunk } from '../utils/profiles';
+import { revisionsCollectionPath } from '../utils/revisions';
+import { expensesCollectionPath } from '../utils/expenses';
+import { checklistCollectionPath } from '../utils/checklists';
+import { attachmentsCollectionPath, attachmentStoragePath, MAX_ATTACHMENT_SIZE } from '../utils/attachments';
+import { seriesCollectionPath } from '../utils/series';
+import { presenceCollectionPath } from '../utils/presence';
+import { commentsCollectionPath } from '../utils/comments';
+import { votesCollectionPath } from '../utils/proposals';
+import { toPlanDocument } from '../utils/planSchema';
+import { applyPlanChange } from './planChanges';
+
+// Firestore limit on the number of writes in one batch
+const MAX_BATCH_WRITES = 500;
+
+// Collects a query snapshot into a list of `{ id, ...data }` records
+const snapshotToList = (snapshot) => {
+  const records = [];
+  snapshot.forEach((doc) => {
+    records.push({ id: doc.id, ...doc.data() });
+  });
+  return records;
+};
+
+// Storage backend keeping everything in Cloud Firestore, with Firebase Authentication for identity.
+// Data lives under /artifacts/{appId}/public/data; see the path helpers in utils/ for the layout.
+export function createFirestoreBackend({ firebaseConfig, appId, initialAuthToken = null }) {
+  const app = initializeApp(firebaseConfig);
+  let db;
+  try {
+    // Keep a local cache in IndexedDB so plans stay readable offline and writes queue until reconnecting
+    db = initializeFirestore(app, {
+      localCache: persistentLocalCache({ tabManager: persistentMultipleTabManager() }),
+    });
+  } catch (error) {
+    // Firestore was already initialized, e.g. when the app is created twice in development
+    db = getFirestore(app);
+  }
+  const auth = getAuth(app);
+  const fileStorage = getStorage(app);
+
+  const tripRef = (tripId) => doc(db, tripsCollectionPath(appId), tripId);
+  const planRef = (tripId, dateId) => doc(db, plansCollectionPath(appId, tripId), dateId);
+
+  // Writes a plan change and its revision in one batch. Used while offline: Firestore keeps the batch
+  // queued until the connection returns. The version is checked against the local cache only, so edits
+  // made elsewhere in the meantime can't be detected and the last write to reach the server wins.
+  const queuePlanChange = async (tripId, change) => {
+    const ref = planRef(tripId, change.dateId);
+    const cachedSnap = await getDocFromCache(ref).catch(() => null); // Throws when the day isn't cached
+    const currentPlan = cachedSnap?.exists() ? cachedSnap.data() : null;
+    const { storedPlan, revision } = applyPlanChange(currentPlan, change);
+
+    const batch = writeBatch(db);
+    if (storedPlan) {
+      batch.set(ref, storedPlan);
+    } else {
+      batch.delete(ref);
+    }
+    batch.set(doc(collection(db, revisionsCollectionPath(appId, tripId))), revision);
+    // The commit only resolves once the server has the write, so don't wait for it while offline
+    batch.commit().catch((error) => {
+      console.error("Error syncing queued plan change:", error);
+      change.onSyncError?.(error);
+    });
+  };
+
+  // Writes a plan change and its revision in one transaction, so a stale write is rejected
+  const commitPlanChange = async (tripId, change) => {
+    if (!navigator.onLine) {
+      return queuePlanChange(tripId, change);
+    }
+
+    const ref = planRef(tripId, change.dateId);
+    const revisionRef = doc(collection(db, revisionsCollectionPath(appId, tripId)));
+    try {
+      await runTransaction(db, async (transaction) => {
+        const planSnap = await transaction.get(ref);
+        const { storedPlan, revision } = applyPlanChange(planSnap.exists() ? planSnap.data() : null, change);
+        if (storedPlan) {
+          transaction.set(ref, storedPlan);
+        } else {
+          transaction.delete(ref);
+        }
+        transaction.set(revisionRef, revision);
+      });
+    } catch (error) {
+      // Transactions need the server; if it can't be reached the change is queued like any offline edit
+      if (error.code !== 'unavailable') throw error;
+      return queuePlanChange(tripId, change);
+    }
+  };
+
+  // Deletes an attachment's file; one that is already gone is not an error
+  const deleteAttachmentFile = async (attachment) => {
+    try {
+      await deleteObject(storageRef(fileStorage, attachment.path));
+    } catch (error) {
+      if (error.code !== 'storage/object-not-found') throw error;
+    }
+  };
+
+  // Deletes every document in the given collections, in batches of at most MAX_BATCH_WRITES
+  const deleteCollections = async (paths) => {
+    const snapshots = await Promise.all(paths.map(path => getDocs(collection(db, path))));
+    const refs = snapshots.flatMap(snapshot => snapshot.docs.map(snap => snap.ref));
+    for (const refsChunk of chunk(refs, MAX_BATCH_WRITES)) {
+      const batch = writeBatch(db);
+      refsChunk.forEach(ref => batch.delete(ref));
+      await batch.commit();
+    }
+  };
+
+  return {
+    name: 'firestore',
+
+    auth: {
+      onAuthStateChanged: (callback) => onAuthStateChanged(auth, user => callback(user ? toAuthUser(user) : null)),
+      signInAsGuest: async () => {
+        if (initialAuthToken) {
+          await signInWithCustomToken(auth, initialAuthToken);
+        } else {
+          await signInAnonymously(auth);
+        }
+      },
+      // Linking a guest session keeps the same user ID, so trips and plans stay attached to the user
+      createAccount: async (email, password) => {
+        const result = auth.currentUser?.isAnonymous
+          ? await linkWithCredential(auth.currentUser, EmailAuthProvider.credential(email, password))
+          : await createUserWithEmailAndPassword(auth, email, password);
+        return toAuthUser(result.user);
+      },
+      signIn: async (email, password) => {
+        await signInWithEmailAndPassword(auth, email, password);
+      },
+      signOut: () => signOut(auth),
+      updateProfile: async ({ displayName, photoURL }) => {
+        if (auth.currentUser && !auth.currentUser.isAnonymous) {
+          await updateProfile(auth.currentUser, { displayName, photoURL: photoURL || null });
+        }
+      },
+    },
+
+    trips: {
+      subscribeForMember: (userId, onChange, onError) => onSnapshot(
+        query(collection(db, tripsCollectionPath(appId)), where('memberIds', 'array-contains', userId)),
+        snapshot => onChange(snapshotToList(snapshot)),
+        onError
+      ),
+      create: async (trip) => (await addDoc(collection(db, tripsCollectionPath(appId)), trip)).id,
+      update: (tripId, fields) => updateDoc(tripRef(tripId), fields),
+      // Adds a member through an invite; the token lets security rules check the invite
+      join: (tripId, userId, role, inviteToken) => updateDoc(tripRef(tripId), {
+        [`members.${userId}`]: role,
+        memberIds: arrayUnion(userId),
+        joinedWithInvite: inviteToken,
+      }),
+      // Firestore doesn't delete subcollections with their parent, so they go first, after the attached files.
+      // The trip's invites go too, while the rules can still check that the trip is the user's.
+      remove: async (tripId) => {
+        const attachments = snapshotToList(await getDocs(collection(db, attachmentsCollectionPath(appId, tripId))));
+        await Promise.all(attachments.map(deleteAttachmentFile));
+        await deleteCollections([
+          plansCollectionPath(appId, tripId), revisionsCollectionPath(appId, tripId), expensesCollectionPath(appId, tripId),
+          checklistCollectionPath(appId, tripId), attachmentsCollectionPath(appId, tripId), seriesCollectionPath(appId, tripId),
+          presenceCollectionPath(appId, tripId), commentsCollectionPath(appId, tripId), votesCollectionPath(appId, tripId),
+        ]);
+        const invites = await getDocs(query(collection(db, invitesCollectionPath(appId)), where('tripId', '==', tripId)));
+        await Promise.all(invites.docs.map(snap => deleteDoc(snap.ref)));
+        await deleteDoc(tripRef(tripId));
+      },
+    },
+
+    plans: {
+      // Calls onChange({ plans, pendingDateIds }) with every plan of the trip keyed by date ID.
+      // Metadata changes are included so it also fires when queued writes reach the server.
+      subscribe: (tripId, onChange, onError) => onSnapshot(
+        query(collection(db, plansCollectionPath(appId, tripId))), // No orderBy to avoid index issues
+        { includeMetadataChanges: true },
+        (snapshot) => {
+          const plans = {};
+          const pendingDateIds = new Set();
+          snapshot.forEach((doc) => {
+            plans[doc.id] = doc.data();
+            if (doc.metadata.hasPendingWrites) {
+              pendingDateIds.add(doc.id);
+            }
+          });
+          onChange({ plans, pendingDateIds });
+        },
+        onError
+      ),
+      get: async (tripId, dateId) => {
+        const planSnap = await getDoc(planRef(tripId, dateId));
+        return planSnap.exists() ? planSnap.data() : null;
+      },
+      // Returns the plans between two date IDs (inclusive), keyed by date ID
+      listRange: async (tripId, startDateId, endDateId) => {
+        const snapshot = await getDocs(query(
+          collection(db, plansCollectionPath(appId, tripId)),
+          where(documentId(), '>=', startDateId),
+          where(documentId(), '<=', endDateId)
+        ));
+        return Object.fromEntries(snapshotToList(snapshot).map(({ id, ...plan }) => [id, plan]));
+      },
+      // `change` is { action, expectedVersion, buildNextPlan, userId, onSyncError }, see applyPlanChange
+      save: (tripId, dateId, change) => commitPlanChange(tripId, { action: 'save', ...change, dateId }),
+      delete: (tripId, dateId, change) =>
+        commitPlanChange(tripId, { ...change, dateId, action: 'delete', buildNextPlan: () => null }),
+      // Copies plans in the date range from the pre-trips shared calendar into a new trip, as imports by `userId`
+      importLegacy: async (tripId, startDateId, endDateId, userId) => {
+        const snapshot = await getDocs(collection(db, legacyPlansCollectionPath(appId)));
+        const batch = writeBatch(db);
+        snapshot.forEach((legacyDoc) => {
+          if (legacyDoc.id >= startDateId && legacyDoc.id <= endDateId) {
+            const { storedPlan, revision } = applyPlanChange(null, {
+              dateId: legacyDoc.id,
+              action: 'import',
+              expectedVersion: null,
+              buildNextPlan: () => toPlanDocument(legacyDoc.data(), userId),
+              userId,
+            });
+            batch.set(planRef(tripId, legacyDoc.id), storedPlan);
+            batch.set(doc(collection(db, revisionsCollectionPath(appId, tripId))), revision);
+          }
+        });
+        await batch.commit();
+      },
+    },
+
+    // Revisions are filtered with single-field queries and sorted client-side to avoid composite indexes
+    revisions: {
+      subscribeForDate: (tripId, dateId, onChange, onError) => onSnapshot(
+        query(collection(db, revisionsCollectionPath(appId, tripId)), where('dateId', '==', dateId)),
+        snapshot => onChange(snapshotToList(snapshot)),
+        onError
+      ),
+      subscribeDeletes: (tripId, onChange, onError) => onSnapshot(
+        query(collection(db, revisionsCollectionPath(appId, tripId)), where('action', '==', 'delete')),
+        snapshot => onChange(snapshotToList(snapshot)),
+        onError
+      ),
+      subscribeSince: (tripId, since, onChange, onError) => onSnapshot(
+        query(collection(db, revisionsCollectionPath(appId, tripId)), where('timestamp', '>=', since)),
+        snapshot => onChange(snapshotToList(snapshot)),
+        onError
+      ),
+    },
+
+    expenses: {
+      subscribeForTrip: (tripId, onChange, onError) => onSnapshot(
+        collection(db, expensesCollectionPath(appId, tripId)),
+        snapshot => onChange(snapshotToList(snapshot)),
+        onError
+      ),
+      save: (tripId, expenseId, expense) => setDoc(doc(db, expensesCollectionPath(appId, tripId), expenseId), expense),
+      remove: (tripId, expenseId) => deleteDoc(doc(db, expensesCollectionPath(appId, tripId), expenseId)),
+    },
+
+    checklist: {
+      subscribeForTrip: (tripId, onChange, onError) => onSnapshot(
+        collection(db, checklistCollectionPath(appId, tripId)),
+        snapshot => onChange(snapshotToList(snapshot)),
+        onError
+      ),
+      save: (tripId, taskId, task) => setDoc(doc(db, checklistCollectionPath(appId, tripId), taskId), task),
+      // Updates only the given fields, so ticking a task off doesn't undo someone else's edit
+      update: (tripId, taskId, fields) => updateDoc(doc(db, checklistCollectionPath(appId, tripId), taskId), fields),
+      remove: (tripId, taskId) => deleteDoc(doc(db, checklistCollectionPath(appId, tripId), taskId)),
+    },
+
+    // Files go to Firebase Storage; the attachment document records where
+    attachments: {
+      maxSize: MAX_ATTACHMENT_SIZE,
+      subscribeForTrip: (tripId, onChange, onError) => onSnapshot(
+        collection(db, attachmentsCollectionPath(appId, tripId)),
+        snapshot => onChange(snapshotToList(snapshot)),
+        onError
+      ),
+      upload: async (tripId, attachmentId, file, attachment) => {
+        const path = attachmentStoragePath(appId, tripId, attachmentId, file.name);
+        const fileRef = storageRef(fileStorage, path);
+        await uploadBytes(fileRef, file, { contentType: file.type });
+        const url = await getDownloadURL(fileRef);
+        await setDoc(doc(db, attachmentsCollectionPath(appId, tripId), attachmentId), { ...attachment, path, url });
+      },
+      remove: async (tripId, attachment) => {
+        await deleteAttachmentFile(attachment);
+        await deleteDoc(doc(db, attachmentsCollectionPath(appId, tripId), attachment.id));
+      },
+    },
+
+    series: {
+      subscribeForTrip: (tripId, onChange, onError) => onSnapshot(
+        collection(db, seriesCollectionPath(appId, tripId)),
+        snapshot => onChange(snapshotToList(snapshot)),
+        onError
+      ),
+      save: (tripId, seriesId, series) => setDoc(doc(db, seriesCollectionPath(appId, tripId), seriesId), series),
+      update: (tripId, seriesId, fields) => updateDoc(doc(db, seriesCollectionPath(appId, tripId), seriesId), fields),
+      remove: (tripId, seriesId) => deleteDoc(doc(db, seriesCollectionPath(appId, tripId), seriesId)),
+    },
+
+    // One document per user viewing the trip, keyed by user ID
+    presence: {
+      subscribeForTrip: (tripId, onChange, onError) => onSnapshot(
+        collection(db, presenceCollectionPath(appId, tripId)),
+        snapshot => onChange(snapshotToList(snapshot)),
+        onError
+      ),
+      set: (tripId, userId, presence) => setDoc(doc(db, presenceCollectionPath(appId, tripId), userId), presence),
+      remove: (tripId, userId) => deleteDoc(doc(db, presenceCollectionPath(appId, tripId), userId)),
+    },
+
+    comments: {
+      subscribeForTrip: (tripId, onChange, onError) => onSnapshot(
+        collection(db, commentsCollectionPath(appId, tripId)),
+        snapshot => onChange(snapshotToList(snapshot)),
+        onError
+      ),
+      save: (tripId, commentId, comment) => setDoc(doc(db, commentsCollectionPath(appId, tripId), commentId), comment),
+      remove: (tripId, commentId) => deleteDoc(doc(db, commentsCollectionPath(appId, tripId), commentId)),
+    },
+
+    // One document per member and item (see getVoteId), so a new vote replaces the member's previous one
+    votes: {
+      subscribeForTrip: (tripId, onChange, onError) => onSnapshot(
+        collection(db, votesCollectionPath(appId, tripId)),
+        snapshot => onChange(snapshotToList(snapshot)),
+        onError
+      ),
+      set: (tripId, voteId, vote) => setDoc(doc(db, votesCollectionPath(appId, tripId), voteId), vote),
+      remove: (tripId, voteId) => deleteDoc(doc(db, votesCollectionPath(appId, tripId), voteId)),
+    },
+
+    profiles: {
+      // Calls onChange with the profiles found for `userIds`, keyed by user ID.
+      // `in` queries are limited in size, so the IDs are watched in batches.
+      subscribe: (userIds, onChange, onError) => {
+        const unsubscribes = chunk(userIds, MAX_IN_QUERY_VALUES).map(ids => onSnapshot(
+          query(collection(db, profilesCollectionPath(appId)), where(documentId(), 'in', ids)),
+          snapshot => onChange(Object.fromEntries(snapshotToList(snapshot).map(({ id, ...profile }) => [id, profile]))),
+          onError
+        ));
+        return () => unsubscribes.forEach(unsubscribe => unsubscribe());
+      },
+      save: (userId, profile) => setDoc(doc(db, profilesCollectionPath(appId), userId), profile, { merge: true }),
+    },
+
+    invites: {
+      subscribeForTrip: (tripId, onChange, onError) => onSnapshot(
+        query(collection(db, invitesCollectionPath(appId)), where('tripId', '==', tripId)),
+        snapshot => onChange(snapshotToList(snapshot)),
+        onError
+      ),
+      get: async (token) => {
+        const inviteSnap = await getDoc(doc(db, invitesCollectionPath(appId), token));
+        return inviteSnap.exists() ? inviteSnap.data() : null;
+      },
+      create: (token, invite) => setDoc(doc(db, invitesCollectionPath(appId), token), invite),
+      remove: (token) => deleteDoc(doc(db, invitesCollectionPath(appId), token)),
+    },
+  };
+}
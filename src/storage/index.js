@@ -0,0 +1,34 @@
+import { createFirestoreBackend } from './firestoreBackend';
+import { createLocalBackend, createMemoryBackend } from './localBackend';
+
+export { createFirestoreBackend, createLocalBackend, createMemoryBackend };
+
+// Storage backends the app can run on:
+// - firestore: Cloud Firestore and Firebase Authentication (production)
+// - local: browser localStorage, for offline demos without a Firebase project
+// - memory: nothing persisted, for tests
+export const BACKEND_NAMES = ['firestore', 'local', 'memory'];
+
+// Picks the backend from REACT_APP_STORAGE_BACKEND, defaulting to Firestore when a Firebase config is available
+export const getBackendName = (env, firebaseConfig) => {
+  const requested = env.REACT_APP_STORAGE_BACKEND;
+  if (requested) {
+    if (!BACKEND_NAMES.includes(requested)) {
+      throw new Error(`Unknown storage backend "${requested}". Use one of: ${BACKEND_NAMES.join(', ')}.`);
+    }
+    return requested;
+  }
+  return firebaseConfig?.apiKey ? 'firestore' : 'local';
+};
+
+// Creates the configured storage backend
+export const createBackend = ({ env = process.env, firebaseConfig, appId, initialAuthToken }) => {
+  switch (getBackendName(env, firebaseConfig)) {
+    case 'firestore':
+      return createFirestoreBackend({ firebaseConfig, appId, initialAuthToken });
+    case 'memory':
+      return createMemoryBackend({ appId });
+    default:
+      return createLocalBackend({ appId, storage: window.localStorage });
+  }
+};
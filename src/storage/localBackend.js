@@ -0,0 +1,381 @@
+import { generateId } from '../utils/ids';
+import { MAX_ATTACHMENT_SIZE, LOCAL_MAX_ATTACHMENT_SIZE, validateAttachmentFile } from '../utils/attachments';
+import { applyPlanChange } from './planChanges';
+
+// Deep-copies plain data. Dates become ISO strings, exactly as they do when persisted to localStorage.
+const clone = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+const emptyState = () => ({
+  session: null, // The signed-in user: { uid, isAnonymous, email }
+  accounts: {}, // Email/password accounts keyed by email: { uid, password }
+  trips: {},
+  plans: {}, // Keyed by trip ID, then date ID
+  revisions: {}, // Keyed by trip ID, then revision ID
+  expenses: {}, // Keyed by trip ID, then expense ID
+  checklist: {}, // Keyed by trip ID, then task ID
+  attachments: {}, // Keyed by trip ID, then attachment ID; files are kept inline as data URLs
+  series: {}, // Keyed by trip ID, then entry ID
+  presence: {}, // Keyed by trip ID, then user ID
+  comments: {}, // Keyed by trip ID, then comment ID
+  votes: {}, // Keyed by trip ID, then vote ID
+  profiles: {},
+  invites: {},
+});
+
+const toList = (records = {}) => Object.entries(records).map(([id, data]) => ({ id, ...clone(data) }));
+
+const readAsDataUrl = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error);
+  reader.readAsDataURL(file);
+});
+
+// Storage backend keeping everything in the browser, for demos and tests that run without Firebase.
+// With a `storage` (e.g. window.localStorage) data survives reloads and is shared between tabs;
+// without one it lives in memory only. Accounts here are a stand-in for sign-in flows and are not secure.
+export function createLocalBackend({ appId = 'default-app-id', storage = null } = {}) {
+  const storageKey = `tripPlanner:${appId}`;
+  // Files are kept inline, so persisted data only has room for small ones
+  const maxAttachmentSize = storage ? LOCAL_MAX_ATTACHMENT_SIZE : MAX_ATTACHMENT_SIZE;
+  const listeners = new Set();
+  const authListeners = new Set();
+
+  const load = () => {
+    try {
+      return { ...emptyState(), ...JSON.parse(storage.getItem(storageKey)) };
+    } catch (error) {
+      return emptyState();
+    }
+  };
+
+  let state = storage ? load() : emptyState();
+
+  // Makes `nextState` current and tells subscribers. It is persisted first, so a write the storage refuses
+  // (e.g. over its quota) throws without changing anything.
+  const commit = (nextState) => {
+    if (storage) {
+      storage.setItem(storageKey, JSON.stringify(nextState));
+    }
+    state = nextState;
+    listeners.forEach(listener => listener());
+  };
+
+  const commitAuth = (nextState) => {
+    commit(nextState);
+    authListeners.forEach(listener => listener(clone(state.session)));
+  };
+
+  // Pick up changes made in other tabs
+  if (storage && typeof window !== 'undefined') {
+    window.addEventListener('storage', (event) => {
+      if (event.key !== storageKey) return;
+      const previousUid = state.session?.uid;
+      state = load();
+      if (state.session?.uid !== previousUid) {
+        authListeners.forEach(listener => listener(clone(state.session)));
+      }
+      listeners.forEach(listener => listener());
+    });
+  }
+
+  // Calls onChange with compute() now and after every change, until unsubscribed
+  const watch = (compute, onChange) => {
+    const listener = () => onChange(compute());
+    listeners.add(listener);
+    listener();
+    return () => listeners.delete(listener);
+  };
+
+  const requireTrip = (tripId) => {
+    if (!state.trips[tripId]) {
+      throw new Error(`Trip ${tripId} does not exist.`);
+    }
+    return state.trips[tripId];
+  };
+
+  const commitPlanChange = async (tripId, change) => {
+    requireTrip(tripId);
+    const tripPlans = state.plans[tripId] || {};
+    const { storedPlan, revision } = applyPlanChange(clone(tripPlans[change.dateId]) || null, change);
+
+    const nextPlans = { ...tripPlans };
+    if (storedPlan) {
+      nextPlans[change.dateId] = clone(storedPlan);
+    } else {
+      delete nextPlans[change.dateId];
+    }
+    commit({
+      ...state,
+      plans: { ...state.plans, [tripId]: nextPlans },
+      revisions: { ...state.revisions, [tripId]: { ...state.revisions[tripId], [generateId()]: clone(revision) } },
+    });
+  };
+
+  return {
+    name: storage ? 'local' : 'memory',
+
+    auth: {
+      onAuthStateChanged: (callback) => {
+        authListeners.add(callback);
+        callback(clone(state.session));
+        return () => authListeners.delete(callback);
+      },
+      signInAsGuest: async () => {
+        commitAuth({ ...state, session: { uid: generateId(), isAnonymous: true, email: null } });
+      },
+      // Like Firebase account linking, a guest keeps their user ID when creating an account
+      createAccount: async (email, password) => {
+        if (state.accounts[email]) {
+          throw new Error('An account with this email already exists.');
+        }
+        const uid = state.session?.isAnonymous ? state.session.uid : generateId();
+        commitAuth({
+          ...state,
+          accounts: { ...state.accounts, [email]: { uid, password } },
+          session: { uid, isAnonymous: false, email },
+        });
+        return clone(state.session);
+      },
+      signIn: async (email, password) => {
+        const account = state.accounts[email];
+        if (!account || account.password !== password) {
+          throw new Error('Wrong email or password.');
+        }
+        commitAuth({ ...state, session: { uid: account.uid, isAnonymous: false, email } });
+      },
+      signOut: async () => {
+        commitAuth({ ...state, session: null });
+      },
+      updateProfile: async () => {},
+    },
+
+    trips: {
+      subscribeForMember: (userId, onChange) => watch(
+        () => toList(state.trips).filter(trip => trip.memberIds?.includes(userId)),
+        onChange
+      ),
+      create: async (trip) => {
+        const tripId = generateId();
+        commit({ ...state, trips: { ...state.trips, [tripId]: clone(trip) } });
+        return tripId;
+      },
+      update: async (tripId, fields) => {
+        const trip = requireTrip(tripId);
+        commit({ ...state, trips: { ...state.trips, [tripId]: { ...trip, ...clone(fields) } } });
+      },
+      join: async (tripId, userId, role, inviteToken) => {
+        const trip = requireTrip(tripId);
+        const members = { ...trip.members, [userId]: role };
+        commit({
+          ...state,
+          trips: {
+            ...state.trips,
+            [tripId]: { ...trip, members, memberIds: Object.keys(members), joinedWithInvite: inviteToken },
+          },
+        });
+      },
+      remove: async (tripId) => {
+        const { [tripId]: removedTrip, ...trips } = state.trips;
+        const { [tripId]: removedPlans, ...plans } = state.plans;
+        const { [tripId]: removedRevisions, ...revisions } = state.revisions;
+        const { [tripId]: removedExpenses, ...expenses } = state.expenses;
+        const { [tripId]: removedChecklist, ...checklist } = state.checklist;
+        const { [tripId]: removedAttachments, ...attachments } = state.attachments;
+        const { [tripId]: removedSeries, ...series } = state.series;
+        const { [tripId]: removedPresence, ...presence } = state.presence;
+        const { [tripId]: removedComments, ...comments } = state.comments;
+        const { [tripId]: removedVotes, ...votes } = state.votes;
+        const invites = Object.fromEntries(Object.entries(state.invites).filter(([, invite]) => invite.tripId !== tripId));
+        commit({ ...state, trips, plans, revisions, expenses, checklist, attachments, series, presence, comments, votes, invites });
+      },
+    },
+
+    plans: {
+      subscribe: (tripId, onChange) => watch(
+        () => ({ plans: clone(state.plans[tripId] || {}), pendingDateIds: new Set() }),
+        onChange
+      ),
+      get: async (tripId, dateId) => clone(state.plans[tripId]?.[dateId]) || null,
+      listRange: async (tripId, startDateId, endDateId) => Object.fromEntries(
+        Object.entries(clone(state.plans[tripId] || {}))
+          .filter(([dateId]) => dateId >= startDateId && dateId <= endDateId)
+      ),
+      save: (tripId, dateId, change) => commitPlanChange(tripId, { action: 'save', ...change, dateId }),
+      delete: (tripId, dateId, change) =>
+        commitPlanChange(tripId, { ...change, dateId, action: 'delete', buildNextPlan: () => null }),
+      // There is no pre-trips shared calendar in local storage
+      importLegacy: async () => {},
+    },
+
+    revisions: {
+      subscribeForDate: (tripId, dateId, onChange) => watch(
+        () => toList(state.revisions[tripId]).filter(revision => revision.dateId === dateId),
+        onChange
+      ),
+      subscribeDeletes: (tripId, onChange) => watch(
+        () => toList(state.revisions[tripId]).filter(revision => revision.action === 'delete'),
+        onChange
+      ),
+      subscribeSince: (tripId, since, onChange) => watch(
+        () => toList(state.revisions[tripId]).filter(revision => new Date(revision.timestamp) >= since),
+        onChange
+      ),
+    },
+
+    expenses: {
+      subscribeForTrip: (tripId, onChange) => watch(() => toList(state.expenses[tripId]), onChange),
+      save: async (tripId, expenseId, expense) => {
+        requireTrip(tripId);
+        commit({
+          ...state,
+          expenses: { ...state.expenses, [tripId]: { ...state.expenses[tripId], [expenseId]: clone(expense) } },
+        });
+      },
+      remove: async (tripId, expenseId) => {
+        const { [expenseId]: removed, ...tripExpenses } = state.expenses[tripId] || {};
+        commit({ ...state, expenses: { ...state.expenses, [tripId]: tripExpenses } });
+      },
+    },
+
+    checklist: {
+      subscribeForTrip: (tripId, onChange) => watch(() => toList(state.checklist[tripId]), onChange),
+      save: async (tripId, taskId, task) => {
+        requireTrip(tripId);
+        commit({
+          ...state,
+          checklist: { ...state.checklist, [tripId]: { ...state.checklist[tripId], [taskId]: clone(task) } },
+        });
+      },
+      update: async (tripId, taskId, fields) => {
+        const task = state.checklist[tripId]?.[taskId];
+        if (!task) throw new Error(`Task ${taskId} does not exist.`);
+        commit({
+          ...state,
+          checklist: { ...state.checklist, [tripId]: { ...state.checklist[tripId], [taskId]: { ...task, ...clone(fields) } } },
+        });
+      },
+      remove: async (tripId, taskId) => {
+        const { [taskId]: removed, ...tripChecklist } = state.checklist[tripId] || {};
+        commit({ ...state, checklist: { ...state.checklist, [tripId]: tripChecklist } });
+      },
+    },
+
+    attachments: {
+      maxSize: maxAttachmentSize,
+      subscribeForTrip: (tripId, onChange) => watch(() => toList(state.attachments[tripId]), onChange),
+      upload: async (tripId, attachmentId, file, attachment) => {
+        requireTrip(tripId);
+        const error = validateAttachmentFile(file, maxAttachmentSize);
+        if (error) throw new Error(error);
+        const url = await readAsDataUrl(file);
+        commit({
+          ...state,
+          attachments: {
+            ...state.attachments,
+            [tripId]: { ...state.attachments[tripId], [attachmentId]: { ...clone(attachment), url } },
+          },
+        });
+      },
+      remove: async (tripId, attachment) => {
+        const { [attachment.id]: removed, ...tripAttachments } = state.attachments[tripId] || {};
+        commit({ ...state, attachments: { ...state.attachments, [tripId]: tripAttachments } });
+      },
+    },
+
+    series: {
+      subscribeForTrip: (tripId, onChange) => watch(() => toList(state.series[tripId]), onChange),
+      save: async (tripId, seriesId, series) => {
+        requireTrip(tripId);
+        commit({
+          ...state,
+          series: { ...state.series, [tripId]: { ...state.series[tripId], [seriesId]: clone(series) } },
+        });
+      },
+      update: async (tripId, seriesId, fields) => {
+        const series = state.series[tripId]?.[seriesId];
+        if (!series) throw new Error(`Entry ${seriesId} does not exist.`);
+        commit({
+          ...state,
+          series: { ...state.series, [tripId]: { ...state.series[tripId], [seriesId]: { ...series, ...clone(fields) } } },
+        });
+      },
+      remove: async (tripId, seriesId) => {
+        const { [seriesId]: removed, ...tripSeries } = state.series[tripId] || {};
+        commit({ ...state, series: { ...state.series, [tripId]: tripSeries } });
+      },
+    },
+
+    presence: {
+      subscribeForTrip: (tripId, onChange) => watch(() => toList(state.presence[tripId]), onChange),
+      set: async (tripId, userId, presence) => {
+        commit({
+          ...state,
+          presence: { ...state.presence, [tripId]: { ...state.presence[tripId], [userId]: clone(presence) } },
+        });
+      },
+      remove: async (tripId, userId) => {
+        const { [userId]: removed, ...tripPresence } = state.presence[tripId] || {};
+        commit({ ...state, presence: { ...state.presence, [tripId]: tripPresence } });
+      },
+    },
+
+    comments: {
+      subscribeForTrip: (tripId, onChange) => watch(() => toList(state.comments[tripId]), onChange),
+      save: async (tripId, commentId, comment) => {
+        requireTrip(tripId);
+        commit({
+          ...state,
+          comments: { ...state.comments, [tripId]: { ...state.comments[tripId], [commentId]: clone(comment) } },
+        });
+      },
+      remove: async (tripId, commentId) => {
+        const { [commentId]: removed, ...tripComments } = state.comments[tripId] || {};
+        commit({ ...state, comments: { ...state.comments, [tripId]: tripComments } });
+      },
+    },
+
+    votes: {
+      subscribeForTrip: (tripId, onChange) => watch(() => toList(state.votes[tripId]), onChange),
+      set: async (tripId, voteId, vote) => {
+        requireTrip(tripId);
+        commit({
+          ...state,
+          votes: { ...state.votes, [tripId]: { ...state.votes[tripId], [voteId]: clone(vote) } },
+        });
+      },
+      remove: async (tripId, voteId) => {
+        const { [voteId]: removed, ...tripVotes } = state.votes[tripId] || {};
+        commit({ ...state, votes: { ...state.votes, [tripId]: tripVotes } });
+      },
+    },
+
+    profiles: {
+      subscribe: (userIds, onChange) => watch(
+        () => Object.fromEntries(userIds.filter(id => state.profiles[id]).map(id => [id, clone(state.profiles[id])])),
+        onChange
+      ),
+      save: async (userId, profile) => {
+        commit({ ...state, profiles: { ...state.profiles, [userId]: { ...state.profiles[userId], ...clone(profile) } } });
+      },
+    },
+
+    invites: {
+      subscribeForTrip: (tripId, onChange) => watch(
+        () => toList(state.invites).filter(invite => invite.tripId === tripId),
+        onChange
+      ),
+      get: async (token) => clone(state.invites[token]) || null,
+      create: async (token, invite) => {
+        commit({ ...state, invites: { ...state.invites, [token]: clone(invite) } });
+      },
+      remove: async (token) => {
+        const { [token]: removed, ...invites } = state.invites;
+        commit({ ...state, invites });
+      },
+    },
+  };
+}
+
+// Convenience for tests: a local backend that keeps nothing between instances
+export const createMemoryBackend = (options = {}) => createLocalBackend({ ...options, storage: null });
@@ -0,0 +1,259 @@
+import { createLocalBackend, createMemoryBackend } from './localBackend';
+import { PlanConflictError } from '../utils/conflicts';
+import { PlanValidationError } from '../utils/planSchema';
+import { LOCAL_MAX_ATTACHMENT_SIZE } from '../utils/attachments';
+
+const trip = { name: 'Rome', startDate: '2030-05-10', endDate: '2030-05-12', members: { u1: 'owner' }, memberIds: ['u1'] };
+const items = [{ id: 'a', title: 'Colosseum', notes: '', startTime: '', endTime: '', category: 'activity' }];
+const buildNextPlan = () => ({ items, lastUpdatedBy: 'u1', timestamp: new Date() });
+
+// Collects every value a subscription reports
+const record = (subscribe) => {
+  const values = [];
+  subscribe(value => values.push(value));
+  return values;
+};
+
+describe('createMemoryBackend', () => {
+  test('saves plans with versions and notifies subscribers', async () => {
+    const backend = createMemoryBackend();
+    const tripId = await backend.trips.create(trip);
+    const updates = record(onChange => backend.plans.subscribe(tripId, onChange));
+
+    await backend.plans.save(tripId, '2030-05-10', { expectedVersion: null, buildNextPlan, userId: 'u1' });
+
+    expect(updates).toHaveLength(2);
+    expect(updates[1].plans['2030-05-10']).toMatchObject({ items, version: 1 });
+    expect(await backend.plans.get(tripId, '2030-05-10')).toMatchObject({ version: 1 });
+  });
+
+  test('rejects a save based on an outdated version', async () => {
+    const backend = createMemoryBackend();
+    const tripId = await backend.trips.create(trip);
+    await backend.plans.save(tripId, '2030-05-10', { expectedVersion: null, buildNextPlan, userId: 'u1' });
+
+    await expect(backend.plans.save(tripId, '2030-05-10', { expectedVersion: null, buildNextPlan, userId: 'u2' }))
+      .rejects.toBeInstanceOf(PlanConflictError);
+  });
+
+  test('rejects plans that do not match the schema before writing them', async () => {
+    const backend = createMemoryBackend();
+    const tripId = await backend.trips.create(trip);
+
+    await expect(backend.plans.save(tripId, '2030-05-10', { expectedVersion: null, buildNextPlan, userId: 'u2' }))
+      .rejects.toBeInstanceOf(PlanValidationError);
+    await expect(backend.plans.save(tripId, '2030-05-10', {
+      expectedVersion: null,
+      buildNextPlan: () => ({ ...buildNextPlan(), items: [{ ...items[0], category: 'party' }] }),
+      userId: 'u1',
+    })).rejects.toThrow('The plan for 2030-05-10 can\'t be saved: Item 1 has an unknown category "party".');
+    expect(await backend.plans.get(tripId, '2030-05-10')).toBeNull();
+  });
+
+  test('logs a revision for each change and lists deletes', async () => {
+    const backend = createMemoryBackend();
+    const tripId = await backend.trips.create(trip);
+    await backend.plans.save(tripId, '2030-05-10', { expectedVersion: null, buildNextPlan, userId: 'u1' });
+    await backend.plans.delete(tripId, '2030-05-10', { expectedVersion: 1, userId: 'u1' });
+
+    const [revisions] = record(onChange => backend.revisions.subscribeForDate(tripId, '2030-05-10', onChange));
+    const [deletes] = record(onChange => backend.revisions.subscribeDeletes(tripId, onChange));
+    expect(revisions.map(revision => revision.action).sort()).toEqual(['delete', 'save']);
+    expect(deletes).toHaveLength(1);
+    expect(deletes[0].before).toMatchObject({ items });
+    expect(await backend.plans.get(tripId, '2030-05-10')).toBeNull();
+  });
+
+  test('only lists trips the user is a member of and removes their plans and invites with them', async () => {
+    const backend = createMemoryBackend();
+    const tripId = await backend.trips.create(trip);
+    await backend.plans.save(tripId, '2030-05-10', { expectedVersion: null, buildNextPlan, userId: 'u1' });
+    await backend.invites.create('t1', { tripId, role: 'viewer' });
+    await backend.invites.create('t2', { tripId: 'other', role: 'viewer' });
+    const memberTrips = record(onChange => backend.trips.subscribeForMember('u1', onChange));
+    const [otherTrips] = record(onChange => backend.trips.subscribeForMember('u2', onChange));
+
+    await backend.trips.remove(tripId);
+
+    expect(otherTrips).toEqual([]);
+    expect(memberTrips[0]).toEqual([{ id: tripId, ...trip }]);
+    expect(memberTrips[memberTrips.length - 1]).toEqual([]);
+    expect(await backend.plans.listRange(tripId, '2030-01-01', '2030-12-31')).toEqual({});
+    expect(await backend.invites.get('t1')).toBeNull();
+    expect(await backend.invites.get('t2')).toMatchObject({ tripId: 'other' });
+  });
+
+  test('keeps expenses per trip and removes them with the trip', async () => {
+    const backend = createMemoryBackend();
+    const tripId = await backend.trips.create(trip);
+    const expense = { dateId: '2030-05-10', description: 'Gelato', amount: 4.5, currency: 'EUR', paidBy: 'u1', sharedWith: ['u1'] };
+    const updates = record(onChange => backend.expenses.subscribeForTrip(tripId, onChange));
+
+    await backend.expenses.save(tripId, 'e1', expense);
+    await backend.expenses.save(tripId, 'e2', { ...expense, description: 'Pizza' });
+    await backend.expenses.remove(tripId, 'e1');
+
+    expect(updates[2]).toEqual([{ id: 'e1', ...expense }, { id: 'e2', ...expense, description: 'Pizza' }]);
+    expect(updates[3]).toEqual([{ id: 'e2', ...expense, description: 'Pizza' }]);
+    await backend.trips.remove(tripId);
+    expect(updates[updates.length - 1]).toEqual([]);
+    await expect(backend.expenses.save(tripId, 'e3', expense)).rejects.toThrow(`Trip ${tripId} does not exist.`);
+  });
+
+  test('keeps checklist tasks per trip, updates their fields and removes them with the trip', async () => {
+    const backend = createMemoryBackend();
+    const tripId = await backend.trips.create(trip);
+    const task = { dateId: '', text: 'Passport', assigneeId: 'u1', dueDate: '', done: false };
+    const updates = record(onChange => backend.checklist.subscribeForTrip(tripId, onChange));
+
+    await backend.checklist.save(tripId, 't1', task);
+    await backend.checklist.update(tripId, 't1', { done: true, doneBy: 'u2' });
+
+    expect(updates[2]).toEqual([{ id: 't1', ...task, done: true, doneBy: 'u2' }]);
+    await expect(backend.checklist.update(tripId, 't2', { done: true })).rejects.toThrow('Task t2 does not exist.');
+    await backend.trips.remove(tripId);
+    expect(updates[updates.length - 1]).toEqual([]);
+  });
+
+  test('keeps attached files inline and removes them with the trip', async () => {
+    const backend = createMemoryBackend();
+    const tripId = await backend.trips.create(trip);
+    const file = new File(['hello'], 'pass.pdf', { type: 'application/pdf' });
+    const attachment = { dateId: '2030-05-10', itemId: '', name: 'pass.pdf', type: 'application/pdf', size: 5 };
+    const updates = record(onChange => backend.attachments.subscribeForTrip(tripId, onChange));
+
+    await backend.attachments.upload(tripId, 'a1', file, attachment);
+
+    expect(updates[1]).toEqual([{ id: 'a1', ...attachment, url: 'data:application/pdf;base64,aGVsbG8=' }]);
+    await backend.attachments.remove(tripId, updates[1][0]);
+    expect(updates[2]).toEqual([]);
+    await backend.attachments.upload(tripId, 'a2', file, attachment);
+    await backend.trips.remove(tripId);
+    expect(updates[updates.length - 1]).toEqual([]);
+  });
+
+  test('keeps multi-day and repeating entries per trip and removes them with the trip', async () => {
+    const backend = createMemoryBackend();
+    const tripId = await backend.trips.create(trip);
+    const series = { kind: 'span', title: 'Hotel', startDateId: '2030-05-10', endDateId: '2030-05-12', exceptions: {} };
+    const updates = record(onChange => backend.series.subscribeForTrip(tripId, onChange));
+
+    await backend.series.save(tripId, 's1', series);
+    await backend.series.update(tripId, 's1', { exceptions: { '2030-05-11': { skipped: true } } });
+
+    expect(updates[2]).toEqual([{ id: 's1', ...series, exceptions: { '2030-05-11': { skipped: true } } }]);
+    await expect(backend.series.update(tripId, 's2', { title: 'Car' })).rejects.toThrow('Entry s2 does not exist.');
+    await backend.trips.remove(tripId);
+    expect(updates[updates.length - 1]).toEqual([]);
+  });
+
+  test('keeps who is viewing a trip and removes them when they leave or the trip is removed', async () => {
+    const backend = createMemoryBackend();
+    const tripId = await backend.trips.create(trip);
+    const lastSeen = '2030-05-01T10:00:00.000Z';
+    const updates = record(onChange => backend.presence.subscribeForTrip(tripId, onChange));
+
+    await backend.presence.set(tripId, 'u1', { dateId: '2030-05-10', lastSeen });
+    await backend.presence.set(tripId, 'u2', { dateId: '', lastSeen });
+    await backend.presence.remove(tripId, 'u2');
+
+    expect(updates[2]).toEqual([{ id: 'u1', dateId: '2030-05-10', lastSeen }, { id: 'u2', dateId: '', lastSeen }]);
+    expect(updates[3]).toEqual([{ id: 'u1', dateId: '2030-05-10', lastSeen }]);
+    await backend.trips.remove(tripId);
+    expect(updates[updates.length - 1]).toEqual([]);
+  });
+
+  test('keeps comments and votes per trip and removes them with the trip', async () => {
+    const backend = createMemoryBackend();
+    const tripId = await backend.trips.create(trip);
+    const comment = { dateId: '2030-05-10', itemId: 'a', text: 'Book ahead?', userId: 'u1' };
+    const vote = { dateId: '2030-05-10', itemId: 'a', userId: 'u1', value: 1 };
+    const comments = record(onChange => backend.comments.subscribeForTrip(tripId, onChange));
+    const votes = record(onChange => backend.votes.subscribeForTrip(tripId, onChange));
+
+    await backend.comments.save(tripId, 'c1', comment);
+    await backend.votes.set(tripId, 'a_u1', vote);
+    await backend.votes.set(tripId, 'a_u1', { ...vote, value: -1 });
+
+    expect(comments[comments.length - 1]).toEqual([{ id: 'c1', ...comment }]);
+    expect(votes[votes.length - 1]).toEqual([{ id: 'a_u1', ...vote, value: -1 }]);
+    await backend.votes.remove(tripId, 'a_u1');
+    expect(votes[votes.length - 1]).toEqual([]);
+    await backend.trips.remove(tripId);
+    expect(comments[comments.length - 1]).toEqual([]);
+  });
+
+  test('lists the revisions recorded since a time', async () => {
+    const backend = createMemoryBackend();
+    const tripId = await backend.trips.create(trip);
+    await backend.plans.save(tripId, '2030-05-10', { expectedVersion: null, buildNextPlan, userId: 'u1' });
+
+    const [recent] = record(onChange => backend.revisions.subscribeSince(tripId, new Date(Date.now() - 60000), onChange));
+    const [none] = record(onChange => backend.revisions.subscribeSince(tripId, new Date(Date.now() + 60000), onChange));
+
+    expect(recent).toEqual([expect.objectContaining({ dateId: '2030-05-10', userId: 'u1' })]);
+    expect(none).toEqual([]);
+  });
+
+  test('adds members joining through an invite', async () => {
+    const backend = createMemoryBackend();
+    const tripId = await backend.trips.create(trip);
+
+    await backend.trips.join(tripId, 'u2', 'viewer', 'token');
+
+    const [[joined]] = record(onChange => backend.trips.subscribeForMember('u2', onChange));
+    expect(joined.members).toEqual({ u1: 'owner', u2: 'viewer' });
+    expect(joined.memberIds).toEqual(['u1', 'u2']);
+  });
+
+  test('keeps the guest user ID when creating an account', async () => {
+    const backend = createMemoryBackend();
+    const sessions = record(onChange => backend.auth.onAuthStateChanged(onChange));
+    await backend.auth.signInAsGuest();
+    const guest = sessions[sessions.length - 1];
+
+    const account = await backend.auth.createAccount('ana@example.com', 'secret1');
+    await backend.auth.signOut();
+    await backend.auth.signIn('ana@example.com', 'secret1');
+
+    expect(guest.isAnonymous).toBe(true);
+    expect(account).toEqual({ uid: guest.uid, isAnonymous: false, email: 'ana@example.com' });
+    expect(sessions[sessions.length - 1].uid).toBe(guest.uid);
+    await expect(backend.auth.signIn('ana@example.com', 'wrong')).rejects.toThrow('Wrong email or password.');
+  });
+});
+
+describe('createLocalBackend', () => {
+  test('keeps data in the given storage between instances', async () => {
+    const tripId = await createLocalBackend({ storage: localStorage }).trips.create(trip);
+
+    const [trips] = record(onChange => createLocalBackend({ storage: localStorage }).trips.subscribeForMember('u1', onChange));
+
+    expect(trips).toEqual([{ id: tripId, ...trip }]);
+  });
+
+  test('keeps working when the storage refuses a write', async () => {
+    // Refuses writes over a few kilobytes, as localStorage does once its quota is used up
+    const data = {};
+    const storage = {
+      getItem: (key) => data[key] ?? null,
+      setItem: (key, value) => {
+        if (value.length > 4000) throw new DOMException('The quota has been exceeded.', 'QuotaExceededError');
+        data[key] = value;
+      },
+    };
+    const backend = createLocalBackend({ storage });
+    const tripId = await backend.trips.create(trip);
+    const updates = record(onChange => backend.attachments.subscribeForTrip(tripId, onChange));
+    const attachment = { dateId: '2030-05-10', itemId: '', name: 'pass.pdf', type: 'application/pdf', size: 4000 };
+
+    await expect(backend.attachments.upload(tripId, 'a1', new File(['x'.repeat(4000)], 'pass.pdf', { type: 'application/pdf' }), attachment))
+      .rejects.toThrow('The quota has been exceeded.');
+    await expect(backend.attachments.upload(tripId, 'a2', { name: 'scan.pdf', type: 'application/pdf', size: LOCAL_MAX_ATTACHMENT_SIZE + 1 }, attachment))
+      .rejects.toThrow('Files can be up to 1 MB.');
+    await backend.plans.save(tripId, '2030-05-10', { expectedVersion: null, buildNextPlan, userId: 'u1' });
+
+    expect(updates.flat()).toEqual([]);
+    expect(await createLocalBackend({ storage }).plans.get(tripId, '2030-05-10')).toMatchObject({ items, version: 1 });
+  });
+});
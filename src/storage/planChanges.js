@@ -0,0 +1,24 @@
+import { PlanConflictError, getPlanVersion } from '../utils/conflicts';
+import { buildRevision } from '../utils/revisions';
+import { validatePlanDocument, PlanValidationError } from '../utils/planSchema';
+
+// Works out what a plan change writes, given the currently stored plan.
+// `change` is { dateId, action, expectedVersion, buildNextPlan, userId }; `buildNextPlan` receives the
+// stored plan and returns the plan to write, or null to delete the day.
+// Returns the plan to store (with its version bumped, or null) and the revision recording the change.
+// Throws a PlanConflictError if the stored version is no longer `expectedVersion`, and a PlanValidationError
+// if the plan to store doesn't match the schema the security rules enforce.
+export const applyPlanChange = (currentPlan, { dateId, action, expectedVersion, buildNextPlan, userId }) => {
+  if (getPlanVersion(currentPlan) !== expectedVersion) {
+    throw new PlanConflictError(dateId);
+  }
+
+  const nextPlan = buildNextPlan(currentPlan);
+  const storedPlan = nextPlan && { ...nextPlan, version: (getPlanVersion(currentPlan) || 0) + 1 };
+  const problems = storedPlan ? validatePlanDocument(storedPlan, userId) : [];
+  if (problems.length > 0) {
+    throw new PlanValidationError(dateId, problems);
+  }
+  const revision = buildRevision({ dateId, action, before: currentPlan, after: storedPlan, userId });
+  return { storedPlan, revision };
+};
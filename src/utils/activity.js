@@ -0,0 +1,72 @@
+import { getPlanItems } from './planItems';
+import { itemsEqual } from './conflicts';
+import { sortRevisions } from './revisions';
+import { parseDateId, toDate } from './dates';
+
+// The trip's activity feed, built from the revision log (see utils/revisions), and which days changed since
+// the user's last visit.
+
+// How far back the activity feed looks
+export const ACTIVITY_DAYS = 14;
+
+// localStorage key remembering when the user last opened each trip: { tripId: ISO time }
+export const LAST_VISIT_STORAGE_KEY = 'tripLastVisits';
+
+// Start of the period the activity feed covers
+export const getActivitySince = (now = new Date()) => new Date(now.getTime() - ACTIVITY_DAYS * 24 * 60 * 60 * 1000);
+
+const formatDay = (dateId) => parseDateId(dateId).toLocaleDateString('default', { month: 'short', day: 'numeric' });
+
+// What a revision did, to follow the name of who did it, e.g. 'added "Ferry to Naxos" on Jun 14' or 'deleted Jun 16'
+export const summarizeRevision = (revision) => {
+  const day = formatDay(revision.dateId);
+  if (revision.action === 'delete') return `deleted ${day}`;
+  if (revision.action === 'restore') return `restored an earlier version of ${day}`;
+
+  const beforeItems = getPlanItems(revision.before);
+  const afterItems = getPlanItems(revision.after);
+  const beforeById = Object.fromEntries(beforeItems.map(item => [item.id, item]));
+  const afterIds = new Set(afterItems.map(item => item.id));
+  const added = afterItems.filter(item => !beforeById[item.id]);
+  const removed = beforeItems.filter(item => !afterIds.has(item.id));
+  const changed = afterItems.filter(item => beforeById[item.id] && !itemsEqual(beforeById[item.id], item));
+  const title = (item) => `"${item.title || 'Untitled'}"`;
+
+  if (added.length + removed.length + changed.length === 0) return `reordered ${day}`;
+  if (added.length + removed.length + changed.length > 1) return `made ${added.length + removed.length + changed.length} changes on ${day}`;
+  if (added.length) return `added ${title(added[0])} on ${day}`;
+  if (removed.length) return `removed ${title(removed[0])} from ${day}`;
+  return `changed ${title(changed[0])} on ${day}`;
+};
+
+const readVisits = (storage) => {
+  try {
+    return JSON.parse(storage.getItem(LAST_VISIT_STORAGE_KEY)) || {};
+  } catch (error) {
+    return {};
+  }
+};
+
+// When the user last opened the trip, or null the first time
+export const readLastVisit = (storage, tripId) => {
+  const visitedAt = readVisits(storage)[tripId];
+  return visitedAt ? new Date(visitedAt) : null;
+};
+
+export const writeLastVisit = (storage, tripId, visitedAt) => {
+  storage.setItem(LAST_VISIT_STORAGE_KEY, JSON.stringify({ ...readVisits(storage), [tripId]: visitedAt.toISOString() }));
+};
+
+// True for a change someone else made after `readAt`: the last visit, or when the user last opened that day
+export const isUnread = (revision, userId, { visitedAt, readDays }) => {
+  if (revision.userId === userId) return false;
+  const readAt = Math.max(visitedAt?.getTime() || 0, readDays[revision.dateId]?.getTime() || 0);
+  return (toDate(revision.timestamp)?.getTime() || 0) > readAt;
+};
+
+// Newest first, each with whether it is unread: [{ revision, unread }]
+export const buildActivityFeed = (revisions, userId, visit) =>
+  sortRevisions(revisions).map(revision => ({ revision, unread: isUnread(revision, userId, visit) }));
+
+// Days with unread changes
+export const getUnreadDateIds = (feed) => new Set(feed.filter(entry => entry.unread).map(entry => entry.revision.dateId));
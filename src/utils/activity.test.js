@@ -0,0 +1,33 @@
+import { summarizeRevision, buildActivityFeed, getUnreadDateIds, readLastVisit, writeLastVisit } from './activity';
+
+const ferry = { id: 'a', title: 'Ferry to Naxos', notes: '', startTime: '08:00', endTime: '', category: 'transport' };
+const lunch = { id: 'b', title: 'Lunch', notes: '', startTime: '12:00', endTime: '', category: 'food' };
+
+test('summarizes what a revision changed', () => {
+  const revision = (before, after, action = 'save') => ({ dateId: '2025-06-14', action, before, after });
+  expect(summarizeRevision(revision(null, { items: [ferry] }))).toBe('added "Ferry to Naxos" on Jun 14');
+  expect(summarizeRevision(revision({ items: [ferry, lunch] }, { items: [lunch] }))).toBe('removed "Ferry to Naxos" from Jun 14');
+  expect(summarizeRevision(revision({ items: [ferry] }, { items: [{ ...ferry, startTime: '09:00' }] }))).toBe('changed "Ferry to Naxos" on Jun 14');
+  expect(summarizeRevision(revision({ items: [ferry] }, { items: [lunch] }))).toBe('made 2 changes on Jun 14');
+  expect(summarizeRevision(revision({ items: [ferry] }, null, 'delete'))).toBe('deleted Jun 14');
+});
+
+test("marks other members' changes since the last visit or since the day was opened as unread", () => {
+  const revisions = [
+    { id: '1', dateId: '2025-06-14', userId: 'alex', timestamp: new Date('2025-06-10T00:00:00Z') },
+    { id: '2', dateId: '2025-06-15', userId: 'alex', timestamp: new Date('2025-06-12T00:00:00Z') },
+    { id: '3', dateId: '2025-06-16', userId: 'me', timestamp: new Date('2025-06-12T00:00:00Z') },
+    { id: '4', dateId: '2025-06-17', userId: 'sam', timestamp: new Date('2025-06-12T00:00:00Z') },
+  ];
+  const visit = { visitedAt: new Date('2025-06-11T00:00:00Z'), readDays: { '2025-06-17': new Date('2025-06-13T00:00:00Z') } };
+  const feed = buildActivityFeed(revisions, 'me', visit);
+  expect(feed.map(entry => entry.revision.id)).toEqual(['2', '3', '4', '1']);
+  expect(getUnreadDateIds(feed)).toEqual(new Set(['2025-06-15']));
+});
+
+test('remembers the last visit of each trip', () => {
+  expect(readLastVisit(localStorage, 'trip1')).toBeNull();
+  writeLastVisit(localStorage, 'trip1', new Date('2025-06-11T00:00:00Z'));
+  expect(readLastVisit(localStorage, 'trip1')).toEqual(new Date('2025-06-11T00:00:00Z'));
+  expect(readLastVisit(localStorage, 'trip2')).toBeNull();
+});
@@ -0,0 +1,58 @@
+import { tripsCollectionPath } from './trips';
+
+// Files such as boarding passes and booking confirmations attached to a day or one of its items.
+// The file goes to the backend's file store; a document per attachment holds its details and URL.
+
+// Firestore path of a trip's attachment documents
+export const attachmentsCollectionPath = (appId, tripId) => `${tripsCollectionPath(appId)}/${tripId}/attachments`;
+
+// Firebase Storage path of an attachment's file
+export const attachmentStoragePath = (appId, tripId, attachmentId, fileName) =>
+  `artifacts/${appId}/trips/${tripId}/attachments/${attachmentId}/${fileName.replace(/[/\\]/g, '_')}`;
+
+// Largest file accepted, in bytes
+export const MAX_ATTACHMENT_SIZE = 10 * 1024 * 1024;
+// The local backend keeps files inside its localStorage data, which browsers cap at about 5 MB in all
+export const LOCAL_MAX_ATTACHMENT_SIZE = 1024 * 1024;
+
+// File types accepted, by MIME type
+export const ATTACHMENT_TYPES = {
+  'application/pdf': 'PDF',
+  'image/jpeg': 'JPEG image',
+  'image/png': 'PNG image',
+  'image/gif': 'GIF image',
+  'image/webp': 'WebP image',
+};
+
+// Value for a file input's `accept` attribute
+export const ATTACHMENT_ACCEPT = Object.keys(ATTACHMENT_TYPES).join(',');
+
+// Formats a size in bytes for display, e.g. "1.5 MB"
+export const formatFileSize = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1).replace(/\.0$/, '')} MB`;
+};
+
+// Returns an error message for a file that can't be attached, or '' if it can.
+// `maxSize` is the storage backend's limit (`backend.attachments.maxSize`).
+export const validateAttachmentFile = (file, maxSize = MAX_ATTACHMENT_SIZE) => {
+  if (!ATTACHMENT_TYPES[file.type]) return `"${file.name}" can't be attached. Attach a PDF or an image (JPEG, PNG, GIF or WebP).`;
+  if (file.size > maxSize) {
+    return `"${file.name}" is ${formatFileSize(file.size)}. Files can be up to ${formatFileSize(maxSize)}.`;
+  }
+  return '';
+};
+
+export const isImageAttachment = (attachment) => attachment.type.startsWith('image/');
+
+// Details stored for a file attached to a day (`itemId` '') or an item; the backend adds its `url`
+export const buildAttachment = ({ dateId, itemId, file }, userId, now = new Date()) => ({
+  dateId,
+  itemId: itemId || '',
+  name: file.name,
+  type: file.type,
+  size: file.size,
+  uploadedBy: userId,
+  uploadedAt: now,
+});
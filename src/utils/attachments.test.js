@@ -0,0 +1,29 @@
+import { validateAttachmentFile, formatFileSize, buildAttachment, attachmentStoragePath, MAX_ATTACHMENT_SIZE } from './attachments';
+
+const file = (name, type, size) => ({ name, type, size });
+
+test('accepts PDFs and images up to the size limit', () => {
+  expect(validateAttachmentFile(file('pass.pdf', 'application/pdf', 1000))).toBe('');
+  expect(validateAttachmentFile(file('photo.webp', 'image/webp', MAX_ATTACHMENT_SIZE))).toBe('');
+  expect(validateAttachmentFile(file('notes.txt', 'text/plain', 10)))
+    .toBe('"notes.txt" can\'t be attached. Attach a PDF or an image (JPEG, PNG, GIF or WebP).');
+  expect(validateAttachmentFile(file('scan.png', 'image/png', MAX_ATTACHMENT_SIZE + 1)))
+    .toBe('"scan.png" is 10 MB. Files can be up to 10 MB.');
+  expect(validateAttachmentFile(file('scan.png', 'image/png', 2 * 1024 * 1024), 1024 * 1024))
+    .toBe('"scan.png" is 2 MB. Files can be up to 1 MB.');
+});
+
+test('formats file sizes', () => {
+  expect(formatFileSize(512)).toBe('512 B');
+  expect(formatFileSize(1536)).toBe('2 KB');
+  expect(formatFileSize(1.5 * 1024 * 1024)).toBe('1.5 MB');
+  expect(formatFileSize(3 * 1024 * 1024)).toBe('3 MB');
+});
+
+test('builds attachment details and a safe storage path', () => {
+  const now = new Date('2030-05-01T12:00:00Z');
+  expect(buildAttachment({ dateId: '2030-05-10', file: file('pass.pdf', 'application/pdf', 1000) }, 'ana', now)).toEqual({
+    dateId: '2030-05-10', itemId: '', name: 'pass.pdf', type: 'application/pdf', size: 1000, uploadedBy: 'ana', uploadedAt: now,
+  });
+  expect(attachmentStoragePath('app', 't1', 'a1', '../x/y.pdf')).toBe('artifacts/app/trips/t1/attachments/a1/.._x_y.pdf');
+});
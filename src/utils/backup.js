@@ -0,0 +1,233 @@
+import { TRIP_COLORS, getTripSlug } from './trips';
+import { isValidDateId, addDays, daysBetween } from './dates';
+import { mergeImportedItems } from './ical';
+import { getPlanItems } from './planItems';
+import { toPlanDocument, validateItem, MAX_PLAN_ITEMS } from './planSchema';
+import { isValidTimeZone } from './timeZones';
+import { validateSeries } from './series';
+
+// JSON backups of a trip: its details, every plan document and its multi-day and repeating entries, for
+// snapshots, moving trips between app environments, and cloning a trip onto new dates
+
+export const BACKUP_FORMAT = 'trip-planner-backup';
+// Bump when the file layout changes; older files must stay importable. Version 2 added `series`.
+export const BACKUP_VERSION = 2;
+
+const TRIP_FIELDS = ['name', 'destination', 'startDate', 'endDate', 'color', 'timeZone'];
+// Timestamps are tagged so they come back as dates, whatever field they are in
+const TIMESTAMP_TAG = '$timestamp';
+
+// Thrown by parseBackup with every problem found in the file
+export class BackupValidationError extends Error {
+  constructor(problems) {
+    super(`The backup file is not valid: ${problems.join(' ')}`);
+    this.name = 'BackupValidationError';
+    this.problems = problems;
+  }
+}
+
+const isPlainObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+
+// Converts Dates and Firestore Timestamps to tagged ISO strings, keeping every other field as is
+const serializeValue = (value) => {
+  if (value instanceof Date || typeof value?.toDate === 'function') {
+    return { [TIMESTAMP_TAG]: (value instanceof Date ? value : value.toDate()).toISOString() };
+  }
+  if (Array.isArray(value)) return value.map(serializeValue);
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, fieldValue]) => [key, serializeValue(fieldValue)]));
+  }
+  return value;
+};
+
+const reviveValue = (value) => {
+  if (Array.isArray(value)) return value.map(reviveValue);
+  if (isPlainObject(value)) {
+    const keys = Object.keys(value);
+    if (keys.length === 1 && keys[0] === TIMESTAMP_TAG) return new Date(value[TIMESTAMP_TAG]);
+    return Object.fromEntries(keys.map(key => [key, reviveValue(value[key])]));
+  }
+  return value;
+};
+
+// Builds the backup of a trip, its plans (keyed by date ID) and its entries as a JSON-ready object
+export const buildBackup = ({ trip, plans, series = [], appId, now = new Date() }) => ({
+  format: BACKUP_FORMAT,
+  version: BACKUP_VERSION,
+  exportedAt: now.toISOString(),
+  source: { appId, tripId: trip.id },
+  trip: Object.fromEntries(TRIP_FIELDS.filter(field => trip[field] !== undefined).map(field => [field, trip[field]])),
+  plans: Object.fromEntries(Object.keys(plans).sort().map(dateId => [dateId, serializeValue(plans[dateId])])),
+  series: [...series].sort((a, b) => a.id.localeCompare(b.id)).map(serializeValue),
+});
+
+export const serializeBackup = (backup) => `${JSON.stringify(backup, null, 2)}\n`;
+
+const validatePlan = (plan, dateId) => {
+  if (!isPlainObject(plan)) return [`The plan for ${dateId} is not an object.`];
+  const problems = [];
+  // Plans saved before itinerary items existed only have a title and description
+  ['title', 'description', 'lastUpdatedBy'].forEach(field => {
+    if (plan[field] !== undefined && plan[field] !== null && typeof plan[field] !== 'string') {
+      problems.push(`The plan for ${dateId} has a non-text ${field}.`);
+    }
+  });
+  if (plan.items !== undefined && !Array.isArray(plan.items)) {
+    problems.push(`The items of ${dateId} are not a list.`);
+  }
+  if (problems.length > 0) return problems;
+
+  // Items are checked against the plan schema as they will be written, so a restore doesn't stop part way
+  // through; an older plan's title and description become one item
+  const items = getPlanItems(plan);
+  if (items.length > MAX_PLAN_ITEMS) {
+    problems.push(`${dateId} has more than ${MAX_PLAN_ITEMS} items.`);
+  }
+  items.forEach((item, index) => problems.push(...validateItem(item, `Item ${index + 1} on ${dateId}`)));
+  return problems;
+};
+
+const validateBackupSeries = (entry, index) => {
+  const where = `Entry ${index + 1}`;
+  if (!isPlainObject(entry)) return [`${where} is not an object.`];
+  if (typeof entry.id !== 'string' || !entry.id) return [`${where} has no ID.`];
+  if (entry.exceptions !== undefined && !isPlainObject(entry.exceptions)) return [`${where} has invalid exceptions.`];
+  const error = validateSeries(entry);
+  return error ? [`${where} ("${entry.title}"): ${error}`] : [];
+};
+
+// Returns the problems found in a parsed backup file ([] if it is valid)
+export const validateBackup = (backup) => {
+  if (!isPlainObject(backup) || backup.format !== BACKUP_FORMAT) {
+    return ['This is not a trip planner backup file.'];
+  }
+  if (!Number.isInteger(backup.version) || backup.version < 1) {
+    return ['The backup has no valid format version.'];
+  }
+  if (backup.version > BACKUP_VERSION) {
+    return ['The backup was made by a newer version of the app. Update the app, then import it again.'];
+  }
+
+  const problems = [];
+  const { trip, plans } = backup;
+  if (!isPlainObject(trip)) {
+    problems.push('The trip details are missing.');
+  } else {
+    if (typeof trip.name !== 'string' || !trip.name.trim()) problems.push('The trip has no name.');
+    if (!isValidDateId(trip.startDate) || !isValidDateId(trip.endDate)) {
+      problems.push('The trip dates are not valid YYYY-MM-DD dates.');
+    } else if (trip.endDate < trip.startDate) {
+      problems.push('The trip ends before it starts.');
+    }
+    if (trip.color !== undefined && !TRIP_COLORS[trip.color]) problems.push(`Unknown trip color "${trip.color}".`);
+    if (trip.timeZone !== undefined && !isValidTimeZone(trip.timeZone)) problems.push(`Unknown time zone "${trip.timeZone}".`);
+  }
+  if (!isPlainObject(plans)) {
+    problems.push('The plans are missing.');
+  } else {
+    Object.entries(plans).forEach(([dateId, plan]) => {
+      if (!isValidDateId(dateId)) {
+        problems.push(`"${dateId}" is not a valid YYYY-MM-DD date.`);
+      } else {
+        problems.push(...validatePlan(plan, dateId));
+      }
+    });
+  }
+  // Backups from before version 2 have no entries
+  if (backup.series !== undefined) {
+    if (Array.isArray(backup.series)) {
+      backup.series.forEach((entry, index) => problems.push(...validateBackupSeries(entry, index)));
+    } else {
+      problems.push('The multi-day and repeating entries are not a list.');
+    }
+  }
+  return problems;
+};
+
+// Parses and validates the text of a backup file. Timestamps come back as Dates.
+// Throws a BackupValidationError if the file isn't a valid backup.
+export const parseBackup = (text) => {
+  let backup;
+  try {
+    backup = JSON.parse(text);
+  } catch (error) {
+    throw new BackupValidationError(['The file is not valid JSON.']);
+  }
+  const problems = validateBackup(backup);
+  if (problems.length > 0) {
+    throw new BackupValidationError(problems);
+  }
+  return { ...backup, plans: reviveValue(backup.plans), series: reviveValue(backup.series || []) };
+};
+
+// Moves the backup's plans and entries onto dates starting at `startDate`, keeping the gaps between days
+export const shiftBackup = (backup, startDate) => {
+  const offset = daysBetween(backup.trip.startDate, startDate);
+  const shiftKeys = (byDate) => Object.fromEntries(Object.entries(byDate).map(([dateId, value]) => [addDays(dateId, offset), value]));
+  return {
+    ...backup,
+    trip: { ...backup.trip, startDate, endDate: addDays(backup.trip.endDate, offset) },
+    plans: shiftKeys(backup.plans),
+    series: backup.series.map(entry => ({
+      ...entry,
+      startDateId: addDays(entry.startDateId, offset),
+      endDateId: addDays(entry.endDateId, offset),
+      exceptions: shiftKeys(entry.exceptions || {}),
+    })),
+  };
+};
+
+// Date IDs that have a plan both in the backup and in `existingPlans`
+export const findConflictingDates = (backupPlans, existingPlans) =>
+  Object.keys(backupPlans).filter(dateId => existingPlans[dateId]).sort();
+
+export const RESTORE_MODES = {
+  merge: {
+    label: 'Merge',
+    description: 'Keep the current plans and add the backup. On days in both, items from the backup replace items with the same ID and the rest are kept. Entries from the backup replace the same entries in the trip.',
+  },
+  replace: {
+    label: 'Replace',
+    description: 'Make the trip match the backup. Days and entries in both are overwritten, and those missing from the backup are deleted.',
+  },
+};
+
+// Works out the writes that restore a backup into a trip's existing plans:
+// { saves: { dateId: plan }, deleteDateIds: [dateId] }
+// Every day written is credited to `userId`, as the security rules require.
+export const planRestore = (backupPlans, existingPlans, mode, { userId, now = new Date() }) => {
+  const saves = {};
+  Object.entries(backupPlans).forEach(([dateId, plan]) => {
+    const existingPlan = existingPlans[dateId];
+    if (mode === 'merge' && existingPlan) {
+      const { title, description, ...otherFields } = existingPlan;
+      saves[dateId] = {
+        ...otherFields,
+        items: mergeImportedItems(getPlanItems(existingPlan), getPlanItems(plan)),
+        lastUpdatedBy: userId,
+        timestamp: now,
+      };
+    } else {
+      saves[dateId] = toPlanDocument(plan, userId, now);
+    }
+  });
+  const deleteDateIds = mode === 'replace'
+    ? Object.keys(existingPlans).filter(dateId => !backupPlans[dateId]).sort()
+    : [];
+  return { saves, deleteDateIds };
+};
+
+// Works out the writes that restore a backup's multi-day and repeating entries into a trip's `existingSeries`:
+// { saves: { seriesId: entry }, removeIds: [seriesId] }. Entries keep their IDs, so restoring a backup of the
+// same trip updates them rather than adding copies; 'replace' also removes the entries missing from it.
+export const planSeriesRestore = (backupSeries, existingSeries, mode, { userId, now = new Date() }) => {
+  const backupIds = new Set(backupSeries.map(entry => entry.id));
+  return {
+    saves: Object.fromEntries(backupSeries.map(({ id, ...fields }) => [id, { ...fields, updatedBy: userId, updatedAt: now }])),
+    removeIds: mode === 'replace' ? existingSeries.map(entry => entry.id).filter(id => !backupIds.has(id)) : [],
+  };
+};
+
+// File name for a trip's backup, e.g. "summer-in-the-cyclades-backup-2025-06-01.json"
+export const getBackupFileName = (trip, now = new Date()) =>
+  `${getTripSlug(trip.name)}-backup-${now.toISOString().slice(0, 10)}.json`;
@@ -0,0 +1,142 @@
+import {
+  BACKUP_FORMAT, BACKUP_VERSION, BackupValidationError, buildBackup, serializeBackup, parseBackup, validateBackup, shiftBackup,
+  findConflictingDates, planRestore, planSeriesRestore, getBackupFileName
+} from './backup';
+import { ITEM_TEXT_LIMITS, MAX_PLAN_ITEMS } from './planSchema';
+
+const trip = { id: 't1', name: 'Naxos 2025', destination: 'Naxos', startDate: '2025-06-14', endDate: '2025-06-16', color: 'teal', members: { u1: 'owner' } };
+const museum = { id: 'a', title: 'Museum', notes: '', startTime: '09:00', endTime: '', category: 'activity' };
+const dinner = { id: 'b', title: 'Dinner', notes: '', startTime: '20:00', endTime: '', category: 'food' };
+const timestamp = new Date('2025-06-01T10:00:00Z');
+const plans = {
+  '2025-06-16': { items: [dinner], lastUpdatedBy: 'u2', timestamp, version: 3, rating: 5 },
+  '2025-06-14': { title: 'Old plan', description: 'Before items existed', lastUpdatedBy: 'u1', timestamp },
+};
+const hotel = {
+  id: 's1', kind: 'span', title: 'Hotel Porto', notes: '', category: 'lodging', startDateId: '2025-06-14', endDateId: '2025-06-16',
+  startTime: '15:00', endTime: '11:00', every: 1, exceptions: { '2025-06-15': { notes: 'Late breakfast' } },
+  createdBy: 'u1', updatedBy: 'u1', updatedAt: timestamp,
+};
+const now = new Date('2025-07-01T12:00:00Z');
+
+const roundTrip = (backup) => parseBackup(serializeBackup(backup));
+
+test('backs up trip details and whole plan documents, and restores timestamps as dates', () => {
+  const backup = buildBackup({ trip, plans, appId: 'prod', now });
+  expect(backup).toMatchObject({ format: BACKUP_FORMAT, version: BACKUP_VERSION, exportedAt: '2025-07-01T12:00:00.000Z', source: { appId: 'prod', tripId: 't1' } });
+  expect(backup.trip).toEqual({ name: 'Naxos 2025', destination: 'Naxos', startDate: '2025-06-14', endDate: '2025-06-16', color: 'teal' });
+  expect(Object.keys(backup.plans)).toEqual(['2025-06-14', '2025-06-16']);
+
+  expect(roundTrip(backup).plans).toEqual(plans);
+});
+
+test('reads Firestore Timestamps', () => {
+  const firestoreTimestamp = { toDate: () => timestamp };
+  const backup = buildBackup({ trip, plans: { '2025-06-14': { items: [], timestamp: firestoreTimestamp } }, appId: 'prod', now });
+  expect(roundTrip(backup).plans['2025-06-14'].timestamp).toEqual(timestamp);
+});
+
+test('rejects files that are not valid backups', () => {
+  expect(() => parseBackup('{')).toThrow(BackupValidationError);
+  expect(validateBackup({ format: 'other' })).toEqual(['This is not a trip planner backup file.']);
+  expect(validateBackup({ format: BACKUP_FORMAT, version: BACKUP_VERSION + 1 })[0]).toMatch(/newer version/);
+
+  const problems = validateBackup({
+    format: BACKUP_FORMAT,
+    version: 1,
+    trip: { name: '', startDate: '2025-06-16', endDate: '2025-06-14', color: 'gold' },
+    plans: {
+      '2025-02-30': { items: [] },
+      '2025-06-14': { items: [{ title: 3, startTime: '9am' }] },
+      '2025-06-15': { items: 'none' },
+    },
+  });
+  expect(problems).toEqual([
+    'The trip has no name.',
+    'The trip ends before it starts.',
+    'Unknown trip color "gold".',
+    '"2025-02-30" is not a valid YYYY-MM-DD date.',
+    'Item 1 on 2025-06-14 has no ID.',
+    'The title of item 1 on 2025-06-14 is not text.',
+    'Item 1 on 2025-06-14 has an invalid startTime.',
+    'The items of 2025-06-15 are not a list.',
+  ]);
+});
+
+test('rejects days that the plan schema would refuse to write', () => {
+  const backup = roundTrip(buildBackup({ trip, plans, appId: 'prod', now }));
+  const problems = validateBackup({
+    ...backup,
+    plans: {
+      '2025-06-14': { items: [{ ...museum, category: 'party', title: 'x'.repeat(ITEM_TEXT_LIMITS.title + 1) }] },
+      '2025-06-15': { items: Array.from({ length: MAX_PLAN_ITEMS + 1 }, (_, index) => ({ ...dinner, id: `d${index}` })) },
+      '2025-06-16': { title: 'Old plan', description: 'x'.repeat(ITEM_TEXT_LIMITS.notes + 1) },
+    },
+  });
+  expect(problems).toEqual([
+    `The title of item 1 on 2025-06-14 is longer than ${ITEM_TEXT_LIMITS.title} characters.`,
+    'Item 1 on 2025-06-14 has an unknown category "party".',
+    `2025-06-15 has more than ${MAX_PLAN_ITEMS} items.`,
+    `The notes of item 1 on 2025-06-16 is longer than ${ITEM_TEXT_LIMITS.notes} characters.`,
+  ]);
+});
+
+test('backs up multi-day and repeating entries, and reads backups made before they were included', () => {
+  const backup = roundTrip(buildBackup({ trip, plans, series: [hotel], appId: 'prod', now }));
+  expect(backup.series).toEqual([hotel]);
+
+  const { series, ...olderBackup } = buildBackup({ trip, plans, appId: 'prod', now });
+  expect(roundTrip({ ...olderBackup, version: 1 }).series).toEqual([]);
+
+  expect(validateBackup({ ...backup, series: [{ ...hotel, id: '' }, { ...hotel, endDateId: '2025-06-10' }] })).toEqual([
+    'Entry 1 has no ID.',
+    'Entry 2 ("Hotel Porto"): The last day must be on or after the first day.',
+  ]);
+});
+
+test('shifts a backup to new dates, keeping the gaps between days', () => {
+  const shifted = shiftBackup(roundTrip(buildBackup({ trip, plans, series: [hotel], appId: 'prod', now })), '2026-06-13');
+  expect(shifted.trip).toMatchObject({ startDate: '2026-06-13', endDate: '2026-06-15' });
+  expect(Object.keys(shifted.plans).sort()).toEqual(['2026-06-13', '2026-06-15']);
+  expect(shifted.series[0]).toMatchObject({
+    startDateId: '2026-06-13', endDateId: '2026-06-15', exceptions: { '2026-06-14': { notes: 'Late breakfast' } },
+  });
+});
+
+test('reports days that already have plans', () => {
+  expect(findConflictingDates(plans, { '2025-06-16': { items: [] }, '2025-06-20': { items: [] } })).toEqual(['2025-06-16']);
+});
+
+test('merges backup items into existing days, or replaces the trip plans', () => {
+  const existing = {
+    '2025-06-16': { items: [museum, { ...dinner, title: 'Late dinner' }], lastUpdatedBy: 'u3', version: 7 },
+    '2025-06-20': { items: [museum] },
+  };
+
+  const merged = planRestore(plans, existing, 'merge', { userId: 'u9', now });
+  expect(merged.saves['2025-06-16']).toEqual({ items: [museum, dinner], lastUpdatedBy: 'u9', timestamp: now, version: 7 });
+  expect(merged.saves['2025-06-14']).toEqual({
+    items: [expect.objectContaining({ title: 'Old plan', notes: 'Before items existed' })],
+    lastUpdatedBy: 'u9',
+    timestamp: now,
+  });
+  expect(merged.deleteDateIds).toEqual([]);
+
+  const replaced = planRestore(plans, existing, 'replace', { userId: 'u9', now });
+  expect(replaced.saves['2025-06-16']).toEqual({ items: [dinner], lastUpdatedBy: 'u9', timestamp: now });
+  expect(replaced.deleteDateIds).toEqual(['2025-06-20']);
+});
+
+test('restores entries by ID, removing the others only when replacing', () => {
+  const breakfast = { ...hotel, id: 's2', kind: 'repeat', title: 'Breakfast' };
+
+  const merged = planSeriesRestore([hotel], [{ ...hotel, title: 'Old hotel' }, breakfast], 'merge', { userId: 'u9', now });
+  const { id, ...hotelFields } = hotel;
+  expect(merged).toEqual({ saves: { s1: { ...hotelFields, updatedBy: 'u9', updatedAt: now } }, removeIds: [] });
+
+  expect(planSeriesRestore([hotel], [breakfast], 'replace', { userId: 'u9', now }).removeIds).toEqual(['s2']);
+});
+
+test('names backup files after the trip and date', () => {
+  expect(getBackupFileName(trip, now)).toBe('naxos-2025-backup-2025-07-01.json');
+});
@@ -0,0 +1,214 @@
+import { formatDateId, parseDateId, addDays, isValidDateId } from './dates';
+import { planHasContent, getPlanItems } from './planItems';
+
+// Calendar views and the date math behind them
+
+export const CALENDAR_VIEWS = {
+  month: { label: 'Month' },
+  week: { label: 'Week' },
+  day: { label: 'Day' },
+  trip: { label: 'Trip' },
+  agenda: { label: 'Agenda' },
+};
+
+export const DEFAULT_VIEW = 'month';
+
+// Views that show a fixed range (the trip) and have no previous/next navigation
+export const isRangeView = (view) => view === 'trip' || view === 'agenda';
+
+export const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Days the week can start on, as JavaScript day numbers (0 = Sunday)
+export const WEEK_START_OPTIONS = [0, 1, 6];
+
+// Short weekday names in display order for a week starting on `weekStartsOn`
+export const getWeekdayLabels = (weekStartsOn) =>
+  Array.from({ length: 7 }, (_, index) => WEEKDAY_NAMES[(weekStartsOn + index) % 7].slice(0, 3));
+
+// Date ID of the first day of the week containing `dateId`
+export const startOfWeek = (dateId, weekStartsOn) =>
+  addDays(dateId, -((parseDateId(dateId).getDay() - weekStartsOn + 7) % 7));
+
+export const getWeekDates = (dateId, weekStartsOn) => {
+  const start = startOfWeek(dateId, weekStartsOn);
+  return Array.from({ length: 7 }, (_, index) => addDays(start, index));
+};
+
+// Rows of 7 date IDs covering every week from `startDateId` to `endDateId`
+export const getWeeksBetween = (startDateId, endDateId, weekStartsOn) => {
+  const weeks = [];
+  for (let weekStart = startOfWeek(startDateId, weekStartsOn); weekStart <= endDateId; weekStart = addDays(weekStart, 7)) {
+    weeks.push(Array.from({ length: 7 }, (_, index) => addDays(weekStart, index)));
+  }
+  return weeks;
+};
+
+// Rows of 7 for the month containing `dateId`; days outside the month are null
+export const getMonthWeeks = (dateId, weekStartsOn) => {
+  const date = parseDateId(dateId);
+  const firstDateId = formatDateId(new Date(date.getFullYear(), date.getMonth(), 1));
+  const lastDateId = formatDateId(new Date(date.getFullYear(), date.getMonth() + 1, 0));
+  return getWeeksBetween(firstDateId, lastDateId, weekStartsOn)
+    .map(week => week.map(day => (day >= firstDateId && day <= lastDateId ? day : null)));
+};
+
+// Date IDs listed in the agenda: every day of the trip, plus any day outside it that has plans
+export const getAgendaDates = (trip, plans) => {
+  const dateIds = new Set(Object.keys(plans).filter(dateId => planHasContent(plans[dateId])));
+  for (let dateId = trip.startDate; dateId <= trip.endDate; dateId = addDays(dateId, 1)) {
+    dateIds.add(dateId);
+  }
+  return [...dateIds].sort();
+};
+
+// The date the previous/next buttons move to: a month, week or day back (direction -1) or forward (1)
+export const shiftViewDate = (view, dateId, direction) => {
+  if (view === 'month') {
+    const date = parseDateId(dateId);
+    return formatDateId(new Date(date.getFullYear(), date.getMonth() + direction, 1));
+  }
+  return addDays(dateId, direction * (view === 'week' ? 7 : 1));
+};
+
+const formatDayMonth = (dateId) => parseDateId(dateId).toLocaleDateString('default', { month: 'short', day: 'numeric' });
+
+// Heading shown above a view
+export const getViewTitle = (view, dateId, weekStartsOn, trip) => {
+  if (view === 'month') {
+    return parseDateId(dateId).toLocaleString('default', { month: 'long', year: 'numeric' });
+  }
+  if (view === 'week') {
+    const days = getWeekDates(dateId, weekStartsOn);
+    return `${formatDayMonth(days[0])} – ${formatDayMonth(days[6])}, ${parseDateId(days[6]).getFullYear()}`;
+  }
+  if (view === 'day') {
+    return parseDateId(dateId).toLocaleDateString('default', { weekday: 'long', month: 'long', day: 'numeric', year: 'numeric' });
+  }
+  return trip ? `${formatDayMonth(trip.startDate)} – ${formatDayMonth(trip.endDate)}, ${parseDateId(trip.endDate).getFullYear()}` : '';
+};
+
+// URL query parameters holding the view, so a view can be bookmarked or shared
+// `zone=viewer` shows times in the viewer's time zone instead of the trip's.
+export const VIEW_PARAMS = { view: 'view', date: 'date', weekStart: 'weekStart', trip: 'trip', zone: 'zone' };
+
+// Reads { view, date, weekStartsOn, tripId, zone } from a query string; missing or invalid values are null
+export const readViewState = (search) => {
+  const params = new URLSearchParams(search);
+  const view = params.get(VIEW_PARAMS.view);
+  const date = params.get(VIEW_PARAMS.date);
+  const weekStart = Number(params.get(VIEW_PARAMS.weekStart));
+  return {
+    view: CALENDAR_VIEWS[view] ? view : null,
+    date: isValidDateId(date) ? date : null,
+    weekStartsOn: params.has(VIEW_PARAMS.weekStart) && WEEK_START_OPTIONS.includes(weekStart) ? weekStart : null,
+    tripId: params.get(VIEW_PARAMS.trip) || null,
+    zone: params.get(VIEW_PARAMS.zone) === 'viewer' ? 'viewer' : null,
+  };
+};
+
+// Returns `search` with the view state set, keeping any other parameters
+export const writeViewState = (search, { view, date, weekStartsOn, tripId, zone }) => {
+  const params = new URLSearchParams(search);
+  const values = { view, date, weekStart: weekStartsOn, trip: tripId, zone };
+  Object.entries(VIEW_PARAMS).forEach(([key, param]) => {
+    if (values[key] === null || values[key] === undefined) {
+      params.delete(param);
+    } else {
+      params.set(param, String(values[key]));
+    }
+  });
+  const result = params.toString();
+  return result ? `?${result}` : '';
+};
+
+const DEFAULT_DURATION_MINUTES = 60;
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Positions a day's timed items on an hour-by-hour timeline:
+// [{ item, startMinutes, endMinutes, column, columnCount }]. Overlapping items share the width side by side.
+// Items without an end time are shown as lasting an hour; items ending on a later day run to midnight.
+export const layoutTimeline = (items) => {
+  const entries = items
+    .filter(item => item.startTime)
+    .map(item => {
+      const startMinutes = toMinutes(item.startTime);
+      let endMinutes = Math.min(startMinutes + DEFAULT_DURATION_MINUTES, 24 * 60);
+      if (item.endTime && item.endDayOffset) {
+        endMinutes = 24 * 60;
+      } else if (item.endTime && toMinutes(item.endTime) > startMinutes) {
+        endMinutes = toMinutes(item.endTime);
+      }
+      return { item, startMinutes, endMinutes, column: 0, columnCount: 1 };
+    })
+    .sort((a, b) => a.startMinutes - b.startMinutes || a.endMinutes - b.endMinutes);
+
+  // Split into clusters of transitively overlapping items, then give each item the first free column
+  let cluster = [];
+  let clusterEnd = -1;
+  const closeCluster = () => {
+    const columnCount = Math.max(1, ...cluster.map(entry => entry.column + 1));
+    cluster.forEach(entry => { entry.columnCount = columnCount; });
+    cluster = [];
+  };
+  entries.forEach(entry => {
+    if (entry.startMinutes >= clusterEnd) {
+      closeCluster();
+    }
+    const columnEnds = [];
+    cluster.forEach(other => {
+      columnEnds[other.column] = Math.max(columnEnds[other.column] ?? -1, other.endMinutes);
+    });
+    const freeColumn = columnEnds.findIndex(end => end <= entry.startMinutes);
+    entry.column = freeColumn === -1 ? columnEnds.length : freeColumn;
+    cluster.push(entry);
+    clusterEnd = Math.max(clusterEnd, entry.endMinutes);
+  });
+  closeCluster();
+  return entries;
+};
+
+// Positions the multi-day entries (items with a `span`, see utils/series) of one grid row as bars:
+// [{ item, startColumn, columnCount, lane, continuesBefore, continuesAfter }]. `week` holds the row's date IDs
+// (null for blank cells). A bar covers the consecutive days an entry is shown on; bars that would overlap
+// are stacked in lanes.
+export const layoutSpanBars = (week, plans) => {
+  const bars = [];
+  const openBars = {}; // The bar each entry is extending, by series ID
+  week.forEach((dateId, column) => {
+    const items = dateId ? getPlanItems(plans[dateId]).filter(item => item.span) : [];
+    const seenIds = new Set(items.map(item => item.seriesId));
+    Object.keys(openBars).forEach(seriesId => {
+      if (!seenIds.has(seriesId)) delete openBars[seriesId];
+    });
+    items.forEach(item => {
+      if (openBars[item.seriesId]) {
+        openBars[item.seriesId].columnCount += 1;
+        openBars[item.seriesId].continuesAfter = item.span.index < item.span.count - 1;
+        return;
+      }
+      const bar = {
+        item,
+        startColumn: column,
+        columnCount: 1,
+        lane: 0,
+        continuesBefore: item.span.index > 0,
+        continuesAfter: item.span.index < item.span.count - 1,
+      };
+      openBars[item.seriesId] = bar;
+      bars.push(bar);
+    });
+  });
+
+  // Give each bar the first lane free over its columns
+  const laneEnds = [];
+  bars.forEach(bar => {
+    const lane = laneEnds.findIndex(end => end <= bar.startColumn);
+    bar.lane = lane === -1 ? laneEnds.length : lane;
+    laneEnds[bar.lane] = bar.startColumn + bar.columnCount;
+  });
+  return bars;
+};
@@ -0,0 +1,93 @@
+import {
+  getWeekdayLabels, startOfWeek, getMonthWeeks, getWeeksBetween, getAgendaDates, shiftViewDate,
+  readViewState, writeViewState, layoutTimeline, layoutSpanBars
+} from './calendarViews';
+
+test('orders weekdays and weeks from the chosen first day', () => {
+  expect(getWeekdayLabels(1)).toEqual(['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun']);
+  // 2030-05-10 is a Friday
+  expect(startOfWeek('2030-05-10', 0)).toBe('2030-05-05');
+  expect(startOfWeek('2030-05-10', 1)).toBe('2030-05-06');
+  expect(startOfWeek('2030-05-10', 6)).toBe('2030-05-04');
+});
+
+test('pads the month grid with blanks before the 1st and after the last day', () => {
+  // May 2030 starts on a Wednesday
+  const sundayWeeks = getMonthWeeks('2030-05-20', 0);
+  expect(sundayWeeks[0]).toEqual([null, null, null, '2030-05-01', '2030-05-02', '2030-05-03', '2030-05-04']);
+  expect(sundayWeeks).toHaveLength(5);
+  expect(sundayWeeks[4]).toEqual(['2030-05-26', '2030-05-27', '2030-05-28', '2030-05-29', '2030-05-30', '2030-05-31', null]);
+
+  expect(getMonthWeeks('2030-05-20', 1)[0].slice(0, 3)).toEqual([null, null, '2030-05-01']);
+});
+
+test('covers a range spanning months with whole weeks', () => {
+  const weeks = getWeeksBetween('2030-05-30', '2030-06-02', 1);
+  expect(weeks).toHaveLength(1);
+  expect(weeks[0][0]).toBe('2030-05-27');
+  expect(weeks[0][6]).toBe('2030-06-02');
+});
+
+test('lists every trip day in the agenda plus other days with plans', () => {
+  const trip = { startDate: '2030-05-10', endDate: '2030-05-12' };
+  const plans = {
+    '2030-05-20': { items: [{ id: 'a', title: 'Flight home' }] },
+    '2030-05-01': { items: [] },
+  };
+  expect(getAgendaDates(trip, plans)).toEqual(['2030-05-10', '2030-05-11', '2030-05-12', '2030-05-20']);
+});
+
+test('moves by a month, week or day depending on the view', () => {
+  expect(shiftViewDate('month', '2030-01-31', 1)).toBe('2030-02-01');
+  expect(shiftViewDate('week', '2030-05-10', -1)).toBe('2030-05-03');
+  expect(shiftViewDate('day', '2030-12-31', 1)).toBe('2031-01-01');
+});
+
+test('reads and writes the view state in the URL, keeping other parameters', () => {
+  const search = writeViewState('?invite=abc', { view: 'week', date: '2030-05-10', weekStartsOn: 1, tripId: 'trip1' });
+  expect(search).toBe('?invite=abc&view=week&date=2030-05-10&weekStart=1&trip=trip1');
+  expect(readViewState(search)).toEqual({ view: 'week', date: '2030-05-10', weekStartsOn: 1, tripId: 'trip1', zone: null });
+
+  expect(writeViewState(search, { view: 'month', date: '2030-05-10', weekStartsOn: 0, tripId: null, zone: 'viewer' }))
+    .toBe('?invite=abc&view=month&date=2030-05-10&weekStart=0&zone=viewer');
+  expect(readViewState('?view=year&date=2030-02-30&weekStart=3&zone=mars')).toEqual({
+    view: null, date: null, weekStartsOn: null, tripId: null, zone: null,
+  });
+});
+
+test('lays out overlapping timed items side by side', () => {
+  const entries = layoutTimeline([
+    { id: 'untimed', title: 'Pack' },
+    { id: 'museum', startTime: '10:00', endTime: '12:00' },
+    { id: 'lunch', startTime: '11:30', endTime: '12:30' },
+    { id: 'coffee', startTime: '12:00' },
+    { id: 'dinner', startTime: '19:00', endTime: '18:00' },
+  ]);
+  const byId = Object.fromEntries(entries.map(entry => [entry.item.id, entry]));
+
+  expect(entries.map(entry => entry.item.id)).toEqual(['museum', 'lunch', 'coffee', 'dinner']);
+  expect(byId.museum).toMatchObject({ column: 0, columnCount: 2 });
+  expect(byId.lunch).toMatchObject({ column: 1, columnCount: 2 });
+  // The museum ends as coffee starts, so coffee reuses its column
+  expect(byId.coffee).toMatchObject({ column: 0, columnCount: 2, endMinutes: 13 * 60 });
+  // An end before the start falls back to the default hour
+  expect(byId.dinner).toMatchObject({ column: 0, columnCount: 1, startMinutes: 19 * 60, endMinutes: 20 * 60 });
+});
+
+test('draws multi-day entries as bars across a row, stacked when they overlap', () => {
+  const stay = (seriesId, index, count) => ({ id: `${seriesId}@${index}`, seriesId, title: seriesId, span: { index, count } });
+  const plans = {
+    '2030-05-09': { items: [stay('hotel', 1, 4)] },
+    '2030-05-10': { items: [stay('hotel', 2, 4), stay('car', 0, 2), { id: 'lunch', title: 'Lunch' }] },
+    '2030-05-11': { items: [stay('hotel', 3, 4), stay('car', 1, 2)] },
+    '2030-05-12': { items: [stay('ferry', 0, 3)] },
+  };
+  const week = [null, '2030-05-09', '2030-05-10', '2030-05-11', '2030-05-12', null, null];
+
+  expect(layoutSpanBars(week, plans).map(({ item, ...bar }) => [item.seriesId, bar])).toEqual([
+    ['hotel', { startColumn: 1, columnCount: 3, lane: 0, continuesBefore: true, continuesAfter: false }],
+    ['car', { startColumn: 2, columnCount: 2, lane: 1, continuesBefore: false, continuesAfter: false }],
+    // The ferry goes on past the last day shown in the row
+    ['ferry', { startColumn: 4, columnCount: 1, lane: 0, continuesBefore: false, continuesAfter: true }],
+  ]);
+});
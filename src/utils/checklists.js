@@ -0,0 +1,107 @@
+import { tripsCollectionPath } from './trips';
+import { addDays, isValidDateId } from './dates';
+
+// Packing lists and to-do checklists. Each task is its own document, on the whole trip (`dateId` '')
+// or on one day, so members can tick tasks off without touching the day's plan.
+
+// Firestore path of a trip's checklist tasks
+export const checklistCollectionPath = (appId, tripId) => `${tripsCollectionPath(appId)}/${tripId}/checklist`;
+
+// Ready-made lists added to a trip's checklist. `daysBefore` sets a due date that many days before the trip.
+export const CHECKLIST_TEMPLATES = {
+  essentials: {
+    label: 'Essentials',
+    tasks: [
+      { text: 'Passport or ID', daysBefore: 1 },
+      { text: 'Travel insurance', daysBefore: 14 },
+      { text: 'Phone charger and power adapter', daysBefore: 1 },
+      { text: 'Booking confirmations saved offline', daysBefore: 2 },
+      { text: 'Medication' },
+    ],
+  },
+  beach: {
+    label: 'Beach trip',
+    tasks: [
+      { text: 'Swimwear' },
+      { text: 'Sunscreen' },
+      { text: 'Sunglasses and hat' },
+      { text: 'Beach towel' },
+      { text: 'Flip-flops' },
+    ],
+  },
+  ski: {
+    label: 'Ski trip',
+    tasks: [
+      { text: 'Book ski passes', daysBefore: 14 },
+      { text: 'Book equipment rental', daysBefore: 7 },
+      { text: 'Ski jacket and trousers' },
+      { text: 'Thermal layers' },
+      { text: 'Gloves, goggles and helmet' },
+    ],
+  },
+  city: {
+    label: 'City break',
+    tasks: [
+      { text: 'Book museum tickets', daysBefore: 7 },
+      { text: 'Comfortable walking shoes' },
+      { text: 'Public transport card or app', daysBefore: 1 },
+      { text: 'Day bag' },
+    ],
+  },
+};
+
+// Returns an error message for invalid task fields, or '' if they are valid
+export const validateChecklistTask = ({ text, dueDate }) => {
+  if (!text?.trim()) return 'Describe the task.';
+  if (dueDate && !isValidDateId(dueDate)) return 'Enter the due date as YYYY-MM-DD.';
+  return '';
+};
+
+// Builds a new, open task from form fields
+export const buildChecklistTask = ({ dateId, text, assigneeId, dueDate }, userId, now = new Date()) => ({
+  dateId: dateId || '',
+  text: text.trim(),
+  assigneeId: assigneeId || '',
+  dueDate: dueDate || '',
+  done: false,
+  doneBy: '',
+  doneAt: null,
+  createdBy: userId,
+  createdAt: now,
+});
+
+// Fields to update when ticking a task off or reopening it
+export const getTaskCompletion = (done, userId, now = new Date()) =>
+  (done ? { done: true, doneBy: userId, doneAt: now } : { done: false, doneBy: '', doneAt: null });
+
+// Trip-level tasks for a template, leaving out those the trip's list already has
+export const buildTemplateTasks = (templateId, trip, existingTasks, userId, now = new Date()) => {
+  const template = CHECKLIST_TEMPLATES[templateId];
+  if (!template) return [];
+  const existingTexts = new Set(existingTasks.filter(task => !task.dateId).map(task => task.text.toLowerCase()));
+  return template.tasks
+    .filter(({ text }) => !existingTexts.has(text.toLowerCase()))
+    .map(({ text, daysBefore }) => buildChecklistTask({
+      text,
+      dueDate: daysBefore && trip?.startDate ? addDays(trip.startDate, -daysBefore) : '',
+    }, userId, now));
+};
+
+// Open tasks first, then by due date (tasks without one last) and text
+export const sortChecklistTasks = (tasks) => [...tasks].sort((a, b) =>
+  Number(a.done) - Number(b.done)
+  || (a.dueDate || '9999').localeCompare(b.dueDate || '9999')
+  || a.text.localeCompare(b.text));
+
+// True if an open task's due date has passed
+export const isTaskOverdue = (task, todayId) => !task.done && !!task.dueDate && task.dueDate < todayId;
+
+// Progress of the days with open tasks: { dateId: { done, total } }
+export const getChecklistProgress = (tasks) => {
+  const progress = {};
+  tasks.filter(task => task.dateId).forEach(task => {
+    const day = progress[task.dateId] || { done: 0, total: 0 };
+    progress[task.dateId] = { done: day.done + (task.done ? 1 : 0), total: day.total + 1 };
+  });
+  return Object.fromEntries(Object.entries(progress).filter(([, { done, total }]) => done < total));
+};
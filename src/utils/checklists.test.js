@@ -0,0 +1,59 @@
+import {
+  validateChecklistTask, buildChecklistTask, getTaskCompletion, buildTemplateTasks, sortChecklistTasks, isTaskOverdue,
+  getChecklistProgress
+} from './checklists';
+
+const trip = { startDate: '2030-05-10', endDate: '2030-05-12' };
+const now = new Date('2030-05-01T12:00:00Z');
+
+const task = (fields) => ({ dateId: '', text: 'Task', assigneeId: '', dueDate: '', done: false, ...fields });
+
+test('validates and builds tasks', () => {
+  expect(validateChecklistTask({ text: ' ' })).toBe('Describe the task.');
+  expect(validateChecklistTask({ text: 'Passport', dueDate: '2030-02-30' })).toBe('Enter the due date as YYYY-MM-DD.');
+  expect(validateChecklistTask({ text: 'Passport', dueDate: '' })).toBe('');
+
+  expect(buildChecklistTask({ dateId: '2030-05-11', text: ' Book tram ', assigneeId: 'ana' }, 'ben', now)).toEqual({
+    dateId: '2030-05-11', text: 'Book tram', assigneeId: 'ana', dueDate: '', done: false, doneBy: '', doneAt: null,
+    createdBy: 'ben', createdAt: now,
+  });
+  expect(getTaskCompletion(true, 'ana', now)).toEqual({ done: true, doneBy: 'ana', doneAt: now });
+  expect(getTaskCompletion(false, 'ana', now)).toEqual({ done: false, doneBy: '', doneAt: null });
+});
+
+test('adds template tasks the trip list lacks, due before the trip', () => {
+  const tasks = buildTemplateTasks('essentials', trip, [task({ text: 'passport or id' }), task({ dateId: '2030-05-10', text: 'Medication' })], 'ana', now);
+
+  expect(tasks.map(({ text, dueDate }) => [text, dueDate])).toEqual([
+    ['Travel insurance', '2030-04-26'],
+    ['Phone charger and power adapter', '2030-05-09'],
+    ['Booking confirmations saved offline', '2030-05-08'],
+    ['Medication', ''],
+  ]);
+  expect(tasks.every(({ dateId, createdBy }) => dateId === '' && createdBy === 'ana')).toBe(true);
+  expect(buildTemplateTasks('bogus', trip, [], 'ana', now)).toEqual([]);
+});
+
+test('sorts open tasks first by due date and flags overdue ones', () => {
+  const tasks = [
+    task({ text: 'Done', done: true, dueDate: '2030-01-01' }),
+    task({ text: 'Later' }),
+    task({ text: 'Soon', dueDate: '2030-05-02' }),
+    task({ text: 'Also later' }),
+  ];
+  expect(sortChecklistTasks(tasks).map(({ text }) => text)).toEqual(['Soon', 'Also later', 'Later', 'Done']);
+
+  expect(isTaskOverdue(tasks[2], '2030-05-03')).toBe(true);
+  expect(isTaskOverdue(tasks[2], '2030-05-02')).toBe(false);
+  expect(isTaskOverdue(tasks[0], '2030-05-03')).toBe(false);
+});
+
+test('reports progress for days with open tasks only', () => {
+  const tasks = [
+    task({ dateId: '2030-05-10', done: true }),
+    task({ dateId: '2030-05-10' }),
+    task({ dateId: '2030-05-11', done: true }),
+    task({ text: 'Trip-wide' }),
+  ];
+  expect(getChecklistProgress(tasks)).toEqual({ '2030-05-10': { done: 1, total: 2 } });
+});
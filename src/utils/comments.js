@@ -0,0 +1,48 @@
+import { tripsCollectionPath } from './trips';
+import { toDate } from './dates';
+
+// Discussion threads: members comment on a whole day (`itemId` '') or on one of its items.
+// Comments are their own documents, so posting one doesn't touch the day's plan.
+
+// Firestore path of a trip's comments
+export const commentsCollectionPath = (appId, tripId) => `${tripsCollectionPath(appId)}/${tripId}/comments`;
+
+export const MAX_COMMENT_LENGTH = 1000;
+
+// Returns an error message for invalid comment text, or '' if it is valid
+export const validateComment = (text) => {
+  if (!text?.trim()) return 'Write a comment first.';
+  if (text.trim().length > MAX_COMMENT_LENGTH) return `Keep comments under ${MAX_COMMENT_LENGTH} characters.`;
+  return '';
+};
+
+export const buildComment = ({ dateId, itemId, text }, userId, now = new Date()) => ({
+  dateId,
+  itemId: itemId || '',
+  text: text.trim(),
+  userId,
+  createdAt: now,
+});
+
+// A day's threads, oldest comment first: { '': dayComments, itemId: itemComments }.
+// Comments on items no longer in the day (`itemIds`) join the day's thread.
+export const getThreads = (comments, dateId, itemIds) => {
+  const threads = { '': [] };
+  comments
+    .filter(comment => comment.dateId === dateId)
+    .sort((a, b) => (toDate(a.createdAt)?.getTime() || 0) - (toDate(b.createdAt)?.getTime() || 0))
+    .forEach(comment => {
+      const threadId = itemIds.includes(comment.itemId) ? comment.itemId : '';
+      threads[threadId] = [...(threads[threadId] || []), comment];
+    });
+  return threads;
+};
+
+// Number of comments on each day: { dateId: count }
+export const countCommentsByDay = (comments) => {
+  const counts = {};
+  comments.forEach(comment => {
+    counts[comment.dateId] = (counts[comment.dateId] || 0) + 1;
+  });
+  return counts;
+};
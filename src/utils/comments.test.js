@@ -0,0 +1,23 @@
+import { validateComment, buildComment, getThreads, countCommentsByDay, MAX_COMMENT_LENGTH } from './comments';
+
+test('validates and builds comments', () => {
+  expect(validateComment('  ')).toBe('Write a comment first.');
+  expect(validateComment('x'.repeat(MAX_COMMENT_LENGTH + 1))).toMatch(/under/);
+  const now = new Date('2025-06-01T10:00:00Z');
+  expect(buildComment({ dateId: '2025-06-14', text: ' Too early? ' }, 'u1', now))
+    .toEqual({ dateId: '2025-06-14', itemId: '', text: 'Too early?', userId: 'u1', createdAt: now });
+});
+
+test('groups a day\'s comments into threads, oldest first', () => {
+  const comments = [
+    { id: '1', dateId: '2025-06-14', itemId: 'a', createdAt: new Date('2025-06-02T00:00:00Z') },
+    { id: '2', dateId: '2025-06-14', itemId: 'a', createdAt: new Date('2025-06-01T00:00:00Z') },
+    { id: '3', dateId: '2025-06-14', itemId: '', createdAt: new Date('2025-06-03T00:00:00Z') },
+    { id: '4', dateId: '2025-06-14', itemId: 'gone', createdAt: new Date('2025-06-01T00:00:00Z') },
+    { id: '5', dateId: '2025-06-15', itemId: '', createdAt: new Date('2025-06-01T00:00:00Z') },
+  ];
+  const threads = getThreads(comments, '2025-06-14', ['a']);
+  expect(threads[''].map(comment => comment.id)).toEqual(['4', '3']);
+  expect(threads.a.map(comment => comment.id)).toEqual(['2', '1']);
+  expect(countCommentsByDay(comments)).toEqual({ '2025-06-14': 4, '2025-06-15': 1 });
+});
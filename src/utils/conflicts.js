@@ -0,0 +1,60 @@
+import { getPlanItems } from './planItems';
+import { locationsEqual } from './locations';
+
+// Thrown from a save transaction when the day changed since the user started editing it
+export class PlanConflictError extends Error {
+  constructor(dateId) {
+    super(`The plan for ${dateId} was changed by someone else while you were editing it.`);
+    this.name = 'PlanConflictError';
+    this.dateId = dateId;
+  }
+}
+
+// Version of a plan document: null when the day has no plan, 0 for documents written before versions existed
+export const getPlanVersion = (plan) => (plan ? plan.version || 0 : null);
+
+const ITEM_FIELDS = ['title', 'notes', 'startTime', 'endTime', 'timeZone', 'endTimeZone', 'category', 'status'];
+
+// True if two items hold the same user-visible content
+export const itemsEqual = (a, b) =>
+  ITEM_FIELDS.every(field => (a?.[field] || '') === (b?.[field] || '')) && locationsEqual(a?.location, b?.location);
+
+// True if two item lists are identical, including order
+export const itemListsEqual = (a, b) =>
+  a.length === b.length && a.every((item, index) => item.id === b[index].id && itemsEqual(item, b[index]));
+
+// Three-way merge of item lists: changes on either side since `base` are kept.
+// When both sides edited the same item the local draft wins; items one side deleted
+// are dropped unless the other side edited them.
+export const mergeItems = (baseItems, mineItems, theirItems) => {
+  const baseById = Object.fromEntries(baseItems.map(item => [item.id, item]));
+  const mineById = Object.fromEntries(mineItems.map(item => [item.id, item]));
+  const theirsById = Object.fromEntries(theirItems.map(item => [item.id, item]));
+  const merged = [];
+
+  mineItems.forEach(item => {
+    const base = baseById[item.id];
+    const theirs = theirsById[item.id];
+    if (theirs) {
+      merged.push(base && itemsEqual(item, base) ? theirs : item);
+    } else if (!base || !itemsEqual(item, base)) {
+      // Added locally, or edited locally after they deleted it
+      merged.push(item);
+    }
+  });
+
+  theirItems.forEach(item => {
+    if (mineById[item.id]) return;
+    const base = baseById[item.id];
+    // Added by them, or edited by them after it was deleted locally
+    if (!base || !itemsEqual(item, base)) {
+      merged.push(item);
+    }
+  });
+
+  return merged;
+};
+
+// Convenience wrapper taking plan documents for base and theirs
+export const mergePlanDraft = (basePlan, draftItems, theirPlan) =>
+  mergeItems(getPlanItems(basePlan), draftItems, getPlanItems(theirPlan));
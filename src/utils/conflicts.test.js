@@ -0,0 +1,41 @@
+import { PlanConflictError, getPlanVersion, itemListsEqual, mergeItems } from './conflicts';
+
+const item = (id, title) => ({ id, title, notes: '', startTime: '', endTime: '', category: 'activity' });
+
+test('plan versions distinguish missing, legacy and versioned documents', () => {
+  expect(getPlanVersion(undefined)).toBeNull();
+  expect(getPlanVersion({ title: 'Old plan' })).toBe(0);
+  expect(getPlanVersion({ items: [], version: 3 })).toBe(3);
+});
+
+test('conflict errors carry the affected day', () => {
+  const error = new PlanConflictError('2025-06-14');
+  expect(error).toBeInstanceOf(Error);
+  expect(error.dateId).toBe('2025-06-14');
+});
+
+test('compares item lists including order', () => {
+  expect(itemListsEqual([item('a', 'A'), item('b', 'B')], [item('a', 'A'), item('b', 'B')])).toBe(true);
+  expect(itemListsEqual([item('a', 'A'), item('b', 'B')], [item('b', 'B'), item('a', 'A')])).toBe(false);
+  expect(itemListsEqual([item('a', 'A')], [item('a', 'A2')])).toBe(false);
+  const located = { ...item('a', 'A'), location: { name: 'Castelo', address: '', lat: 38.7139, lng: -9.1335 } };
+  expect(itemListsEqual([located], [{ ...located, location: { ...located.location } }])).toBe(true);
+  expect(itemListsEqual([located], [{ ...located, location: { ...located.location, lng: -9.2 } }])).toBe(false);
+  expect(itemListsEqual([located], [item('a', 'A')])).toBe(false);
+});
+
+test('merges additions, edits and deletions from both sides', () => {
+  const base = [item('a', 'Museum'), item('b', 'Lunch'), item('c', 'Show')];
+  const mine = [item('a', 'Museum (tickets booked)'), item('b', 'Lunch'), item('d', 'Ferry')];
+  const theirs = [item('a', 'Museum'), item('b', 'Lunch at harbour'), item('c', 'Show'), item('e', 'Dinner')];
+  expect(mergeItems(base, mine, theirs).map(merged => merged.title)).toEqual([
+    'Museum (tickets booked)', 'Lunch at harbour', 'Ferry', 'Dinner',
+  ]);
+});
+
+test('local edits win when both sides changed the same item', () => {
+  const base = [item('a', 'Museum')];
+  expect(mergeItems(base, [item('a', 'Mine')], [item('a', 'Theirs')])[0].title).toBe('Mine');
+  // Edited locally but deleted remotely: the edit is kept
+  expect(mergeItems(base, [item('a', 'Mine')], []).map(merged => merged.title)).toEqual(['Mine']);
+});
@@ -0,0 +1,35 @@
+// Helper function to format date as YYYY-MM-DD for Firestore document IDs
+export const formatDateId = (date) => {
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+};
+
+// Converts a Firestore Timestamp, Date or date string/number into a Date (or null if missing)
+export const toDate = (value) => {
+  if (!value) return null;
+  if (typeof value.toDate === 'function') return value.toDate();
+  return value instanceof Date ? value : new Date(value);
+};
+
+// Parses a YYYY-MM-DD date ID as local midnight
+export const parseDateId = (dateId) => {
+  const [year, month, day] = dateId.split('-').map(Number);
+  return new Date(year, month - 1, day);
+};
+
+// True for a YYYY-MM-DD string naming a real calendar day
+export const isValidDateId = (value) =>
+  typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && formatDateId(parseDateId(value)) === value;
+
+// Returns the date ID `days` days after (or before, if negative) `dateId`
+export const addDays = (dateId, days) => {
+  const date = parseDateId(dateId);
+  date.setDate(date.getDate() + days);
+  return formatDateId(date);
+};
+
+// Number of days from one date ID to another (negative if `toDateId` is earlier)
+export const daysBetween = (fromDateId, toDateId) =>
+  Math.round((parseDateId(toDateId) - parseDateId(fromDateId)) / (24 * 60 * 60 * 1000));
@@ -0,0 +1,19 @@
+import { formatDateId, isValidDateId, addDays, daysBetween } from './dates';
+
+test('formats dates as local YYYY-MM-DD IDs', () => {
+  expect(formatDateId(new Date(2025, 0, 5))).toBe('2025-01-05');
+});
+
+test('validates date IDs', () => {
+  expect(isValidDateId('2024-02-29')).toBe(true);
+  expect(isValidDateId('2025-02-29')).toBe(false);
+  expect(isValidDateId('2025-6-1')).toBe(false);
+  expect(isValidDateId(20250601)).toBe(false);
+});
+
+test('adds days and counts the days between date IDs across months and years', () => {
+  expect(addDays('2025-12-31', 1)).toBe('2026-01-01');
+  expect(addDays('2025-03-01', -1)).toBe('2025-02-28');
+  expect(daysBetween('2025-06-14', '2026-06-13')).toBe(364);
+  expect(daysBetween('2025-06-14', '2025-06-10')).toBe(-4);
+});
@@ -0,0 +1,168 @@
+import { tripsCollectionPath } from './trips';
+
+// Expenses, trip budgets and "who owes whom" settlement.
+// Amounts are stored as decimal numbers in the expense's currency and totalled in integer cents in the
+// trip's currency, using the exchange rates entered on the trip (so totals work offline and don't drift).
+
+// Firestore path of a trip's expenses
+export const expensesCollectionPath = (appId, tripId) => `${tripsCollectionPath(appId)}/${tripId}/expenses`;
+
+export const EXPENSE_CATEGORIES = {
+  lodging: { label: 'Lodging', barClass: 'bg-purple-500' },
+  transport: { label: 'Transport', barClass: 'bg-amber-500' },
+  food: { label: 'Food & Drink', barClass: 'bg-green-500' },
+  activities: { label: 'Activities', barClass: 'bg-blue-500' },
+  shopping: { label: 'Shopping', barClass: 'bg-pink-500' },
+  other: { label: 'Other', barClass: 'bg-gray-500' },
+};
+
+export const DEFAULT_EXPENSE_CATEGORY = 'other';
+
+export const DEFAULT_CURRENCY = 'EUR';
+
+// True for a three-letter ISO 4217 code such as "EUR"
+export const isValidCurrency = (code) => typeof code === 'string' && /^[A-Z]{3}$/.test(code);
+
+export const getTripCurrency = (trip) => (isValidCurrency(trip?.currency) ? trip.currency : DEFAULT_CURRENCY);
+
+export const toCents = (amount) => Math.round(Number(amount) * 100);
+
+// Formats cents in a currency for display, e.g. "€12.50"
+export const formatMoney = (cents, currency) => {
+  try {
+    return new Intl.NumberFormat(undefined, { style: 'currency', currency }).format(cents / 100);
+  } catch (error) {
+    return `${(cents / 100).toFixed(2)} ${currency}`;
+  }
+};
+
+// Currencies that can be converted to the trip's: its own and those with an exchange rate
+export const getTripCurrencies = (trip) =>
+  [getTripCurrency(trip), ...Object.keys(trip?.exchangeRates || {}).filter(code => code !== getTripCurrency(trip)).sort()];
+
+// An expense's amount in the trip's currency, in cents; null if there is no exchange rate for its currency.
+// `exchangeRates` hold the trip currency units one unit of each other currency is worth.
+export const toTripCents = (expense, trip) => {
+  if (expense.currency === getTripCurrency(trip)) return toCents(expense.amount);
+  const rate = trip?.exchangeRates?.[expense.currency];
+  return rate > 0 ? Math.round(toCents(expense.amount) * rate) : null;
+};
+
+// Returns an error message for invalid expense fields, or '' if they are valid
+export const validateExpense = ({ description, amount, currency, paidBy, sharedWith }) => {
+  if (!description?.trim()) return 'Describe the expense.';
+  if (!(Number(amount) > 0)) return 'Enter an amount greater than zero.';
+  if (!isValidCurrency(currency)) return 'Enter a three-letter currency code, e.g. EUR.';
+  if (!paidBy) return 'Choose who paid.';
+  if (!sharedWith?.length) return 'Choose at least one person to share the expense.';
+  return '';
+};
+
+// Builds the stored expense from form fields. `itemId` links it to an itinerary item of the day ('' for the day).
+export const buildExpense = ({ dateId, itemId, description, amount, currency, category, paidBy, sharedWith }, userId, now = new Date()) => ({
+  dateId,
+  itemId: itemId || '',
+  description: description.trim(),
+  amount: Math.round(Number(amount) * 100) / 100,
+  currency,
+  category: EXPENSE_CATEGORIES[category] ? category : DEFAULT_EXPENSE_CATEGORY,
+  paidBy,
+  sharedWith: [...new Set(sharedWith)].sort(),
+  createdBy: userId,
+  createdAt: now,
+});
+
+// Totals per day in trip-currency cents: { dateId: cents }. Expenses without an exchange rate are left out.
+export const getDailyTotals = (expenses, trip) => {
+  const totals = {};
+  expenses.forEach(expense => {
+    const cents = toTripCents(expense, trip);
+    if (cents !== null) {
+      totals[expense.dateId] = (totals[expense.dateId] || 0) + cents;
+    }
+  });
+  return totals;
+};
+
+// Spend against the trip's budget:
+// { total, byCategory: { category: cents }, budget, categoryBudgets, missingCurrencies }
+// `trip.budget` is { total, byCategory } in trip-currency units; unset budgets are null.
+export const summarizeExpenses = (expenses, trip) => {
+  const byCategory = {};
+  const missingCurrencies = new Set();
+  let total = 0;
+  expenses.forEach(expense => {
+    const cents = toTripCents(expense, trip);
+    if (cents === null) {
+      missingCurrencies.add(expense.currency);
+      return;
+    }
+    const category = EXPENSE_CATEGORIES[expense.category] ? expense.category : DEFAULT_EXPENSE_CATEGORY;
+    byCategory[category] = (byCategory[category] || 0) + cents;
+    total += cents;
+  });
+  const budget = trip?.budget || {};
+  return {
+    total,
+    byCategory,
+    budget: budget.total > 0 ? toCents(budget.total) : null,
+    categoryBudgets: Object.fromEntries(
+      Object.entries(budget.byCategory || {}).filter(([, amount]) => amount > 0).map(([category, amount]) => [category, toCents(amount)])
+    ),
+    missingCurrencies: [...missingCurrencies].sort(),
+  };
+};
+
+// Splits cents as evenly as possible; the first shares get the leftover cents
+const splitCents = (cents, count) => {
+  const share = Math.floor(cents / count);
+  return Array.from({ length: count }, (_, index) => share + (index < cents - share * count ? 1 : 0));
+};
+
+// What each person paid minus their share, in trip-currency cents: { userId: cents }.
+// Positive balances are owed money; expenses without an exchange rate are left out.
+export const computeBalances = (expenses, trip) => {
+  const balances = {};
+  const add = (userId, cents) => {
+    balances[userId] = (balances[userId] || 0) + cents;
+  };
+  expenses.forEach(expense => {
+    const cents = toTripCents(expense, trip);
+    if (cents === null || !expense.sharedWith?.length) return;
+    add(expense.paidBy, cents);
+    const sharers = [...expense.sharedWith].sort();
+    splitCents(cents, sharers.length).forEach((share, index) => add(sharers[index], -share));
+  });
+  return balances;
+};
+
+// The payments that settle the balances, largest first: [{ from, to, amount }] with amounts in cents.
+// Pairs the biggest debtor with the biggest creditor each time, which keeps the number of payments small.
+export const settleBalances = (balances) => {
+  const byAmount = (a, b) => b.amount - a.amount || a.userId.localeCompare(b.userId);
+  const creditors = Object.entries(balances).filter(([, cents]) => cents > 0).map(([userId, amount]) => ({ userId, amount }));
+  const debtors = Object.entries(balances).filter(([, cents]) => cents < 0).map(([userId, cents]) => ({ userId, amount: -cents }));
+  const payments = [];
+  while (creditors.length > 0 && debtors.length > 0) {
+    creditors.sort(byAmount);
+    debtors.sort(byAmount);
+    const amount = Math.min(creditors[0].amount, debtors[0].amount);
+    payments.push({ from: debtors[0].userId, to: creditors[0].userId, amount });
+    creditors[0].amount -= amount;
+    debtors[0].amount -= amount;
+    if (creditors[0].amount === 0) creditors.shift();
+    if (debtors[0].amount === 0) debtors.shift();
+  }
+  return payments;
+};
+
+// Returns an error message for invalid budget settings, or '' if they are valid
+export const validateBudgetSettings = ({ currency, budget, exchangeRates }) => {
+  if (!isValidCurrency(currency)) return 'Enter a three-letter currency code for the trip, e.g. EUR.';
+  const amounts = [budget?.total, ...Object.values(budget?.byCategory || {})].filter(amount => amount !== null && amount !== undefined);
+  if (amounts.some(amount => !(Number(amount) >= 0))) return 'Budgets must be zero or more.';
+  const rates = Object.entries(exchangeRates || {});
+  if (rates.some(([code]) => !isValidCurrency(code))) return 'Exchange rates need three-letter currency codes.';
+  if (rates.some(([, rate]) => !(Number(rate) > 0))) return 'Exchange rates must be greater than zero.';
+  return '';
+};
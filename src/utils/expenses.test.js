@@ -0,0 +1,82 @@
+import {
+  toTripCents, getTripCurrencies, validateExpense, buildExpense, getDailyTotals, summarizeExpenses,
+  computeBalances, settleBalances, validateBudgetSettings
+} from './expenses';
+
+const trip = {
+  currency: 'EUR',
+  exchangeRates: { USD: 0.9, CHF: 1.05 },
+  budget: { total: 500, byCategory: { food: 100, lodging: 0 } },
+};
+
+const expense = (fields) => ({
+  dateId: '2030-05-10', description: 'Expense', amount: 10, currency: 'EUR', category: 'other',
+  paidBy: 'ana', sharedWith: ['ana', 'ben'], ...fields,
+});
+
+test('converts amounts to trip-currency cents with the trip exchange rates', () => {
+  expect(toTripCents(expense({ amount: 12.34 }), trip)).toBe(1234);
+  expect(toTripCents(expense({ amount: 10, currency: 'USD' }), trip)).toBe(900);
+  expect(toTripCents(expense({ currency: 'JPY' }), trip)).toBeNull();
+  expect(getTripCurrencies(trip)).toEqual(['EUR', 'CHF', 'USD']);
+  expect(getTripCurrencies({})).toEqual(['EUR']);
+});
+
+test('validates and builds expenses', () => {
+  expect(validateExpense(expense({ description: ' ' }))).toBe('Describe the expense.');
+  expect(validateExpense(expense({ amount: '0' }))).toBe('Enter an amount greater than zero.');
+  expect(validateExpense(expense({ currency: 'euro' }))).toBe('Enter a three-letter currency code, e.g. EUR.');
+  expect(validateExpense(expense({ sharedWith: [] }))).toBe('Choose at least one person to share the expense.');
+  expect(validateExpense(expense())).toBe('');
+
+  const now = new Date('2030-05-10T12:00:00Z');
+  expect(buildExpense({ ...expense({ description: ' Taxi ', amount: '18.456', category: 'bogus' }), sharedWith: ['ben', 'ana', 'ben'] }, 'ana', now))
+    .toEqual({
+      dateId: '2030-05-10', itemId: '', description: 'Taxi', amount: 18.46, currency: 'EUR', category: 'other',
+      paidBy: 'ana', sharedWith: ['ana', 'ben'], createdBy: 'ana', createdAt: now,
+    });
+});
+
+test('totals spend per day and per category against the budget', () => {
+  const expenses = [
+    expense({ amount: 40, category: 'food' }),
+    expense({ dateId: '2030-05-11', amount: 100, currency: 'USD', category: 'lodging' }),
+    expense({ dateId: '2030-05-11', amount: 2000, currency: 'JPY', category: 'food' }),
+    expense({ amount: 25, category: 'food' }),
+  ];
+
+  expect(getDailyTotals(expenses, trip)).toEqual({ '2030-05-10': 6500, '2030-05-11': 9000 });
+  expect(summarizeExpenses(expenses, trip)).toEqual({
+    total: 15500,
+    byCategory: { food: 6500, lodging: 9000 },
+    budget: 50000,
+    categoryBudgets: { food: 10000 },
+    missingCurrencies: ['JPY'],
+  });
+  expect(summarizeExpenses([], {}).budget).toBeNull();
+});
+
+test('splits shared expenses and settles who owes whom', () => {
+  const expenses = [
+    // 10.00 split three ways: the first sharer takes the extra cent
+    expense({ amount: 10, paidBy: 'ana', sharedWith: ['ana', 'ben', 'cy'] }),
+    expense({ amount: 30, paidBy: 'ben', sharedWith: ['cy'] }),
+  ];
+  const balances = computeBalances(expenses, trip);
+
+  expect(balances).toEqual({ ana: 1000 - 334, ben: 3000 - 333, cy: -333 - 3000 });
+  expect(Object.values(balances).reduce((sum, cents) => sum + cents, 0)).toBe(0);
+  expect(settleBalances(balances)).toEqual([
+    { from: 'cy', to: 'ben', amount: 2667 },
+    { from: 'cy', to: 'ana', amount: 666 },
+  ]);
+  expect(settleBalances({ ana: 0 })).toEqual([]);
+});
+
+test('validates budget settings', () => {
+  expect(validateBudgetSettings({ currency: 'EUR', budget: { total: 100, byCategory: { food: null } }, exchangeRates: { USD: 0.9 } })).toBe('');
+  expect(validateBudgetSettings({ currency: 'eur' })).toBe('Enter a three-letter currency code for the trip, e.g. EUR.');
+  expect(validateBudgetSettings({ currency: 'EUR', budget: { total: -1 } })).toBe('Budgets must be zero or more.');
+  expect(validateBudgetSettings({ currency: 'EUR', exchangeRates: { usd: 1 } })).toBe('Exchange rates need three-letter currency codes.');
+  expect(validateBudgetSettings({ currency: 'EUR', exchangeRates: { USD: 0 } })).toBe('Exchange rates must be greater than zero.');
+});
@@ -0,0 +1,318 @@
+import { ITEM_CATEGORIES, DEFAULT_CATEGORY, getPlanItems } from './planItems';
+import { addDays } from './dates';
+import { getTripSlug } from './trips';
+import { isValidTimeZone, getTripTimeZone, convertDateTime } from './timeZones';
+import { formatLocation, hasCoordinates, isValidCoordinate } from './locations';
+import { ITEM_TEXT_LIMITS, LOCATION_TEXT_LIMITS } from './planSchema';
+
+// iCalendar (RFC 5545) export and import of trip plans
+
+const PRODUCT_ID = '-//Collaborative Trip Planner//Trip Plans//EN';
+const UID_DOMAIN = 'trip-planner';
+
+// RFC 5545 limits content lines to 75 octets; longer lines are folded onto continuation lines
+const MAX_LINE_OCTETS = 75;
+
+const escapeText = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+const unescapeText = (value) => value.replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+
+// Number of bytes a character takes in UTF-8
+const utf8Length = (char) => {
+  const codePoint = char.codePointAt(0);
+  if (codePoint < 0x80) return 1;
+  if (codePoint < 0x800) return 2;
+  return codePoint < 0x10000 ? 3 : 4;
+};
+
+// Splits a line into chunks of at most MAX_LINE_OCTETS UTF-8 bytes without breaking characters
+const foldLine = (line) => {
+  const chunks = [];
+  let current = '';
+  let currentOctets = 0;
+  for (const char of line) {
+    const octets = utf8Length(char);
+    // Continuation lines start with a space, which counts towards their length
+    const limit = chunks.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (currentOctets + octets > limit) {
+      chunks.push(current);
+      current = '';
+      currentOctets = 0;
+    }
+    current += char;
+    currentOctets += octets;
+  }
+  chunks.push(current);
+  return chunks.join('\r\n ');
+};
+
+const compactDate = (dateId) => dateId.replace(/-/g, '');
+
+const compactTime = (time) => `${time.replace(':', '')}00`;
+
+const formatUtcStamp = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// UID of the event exported for an item. It only depends on the trip, day and item,
+// so importing a re-export into a calendar app updates the events instead of duplicating them.
+export const getEventUid = (tripId, dateId, itemId) => `${tripId}-${dateId}-${itemId}@${UID_DOMAIN}`;
+
+// Builds the VEVENT lines for one plan item: all-day without a start time, timed otherwise
+const buildEventLines = (tripId, dateId, item, stamp, tripTimeZone) => {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${getEventUid(tripId, dateId, item.id)}`,
+    `DTSTAMP:${stamp}`,
+  ];
+  if (item.startTime) {
+    const startZone = item.timeZone || tripTimeZone;
+    lines.push(`DTSTART;TZID=${startZone}:${compactDate(dateId)}T${compactTime(item.startTime)}`);
+    if (item.endTime) {
+      lines.push(`DTEND;TZID=${item.endTimeZone || startZone}:${compactDate(dateId)}T${compactTime(item.endTime)}`);
+    }
+  } else {
+    lines.push(`DTSTART;VALUE=DATE:${compactDate(dateId)}`);
+    lines.push(`DTEND;VALUE=DATE:${compactDate(addDays(dateId, 1))}`);
+  }
+  lines.push(`SUMMARY:${escapeText(item.title || 'Untitled')}`);
+  if (item.notes) {
+    lines.push(`DESCRIPTION:${escapeText(item.notes)}`);
+  }
+  if (item.location) {
+    lines.push(`LOCATION:${escapeText(formatLocation(item.location))}`);
+    if (hasCoordinates(item.location)) {
+      lines.push(`GEO:${item.location.lat};${item.location.lng}`);
+    }
+  }
+  if (ITEM_CATEGORIES[item.category]) {
+    lines.push(`CATEGORIES:${escapeText(ITEM_CATEGORIES[item.category].label)}`);
+  }
+  lines.push('END:VEVENT');
+  return lines;
+};
+
+// Builds an .ics calendar with one event per plan item between two date IDs (inclusive).
+// Times are written as entered, tagged with the item's or the trip's IANA time zone. Calendar apps
+// resolve these names themselves, so no VTIMEZONE definitions are included.
+export const buildCalendar = ({ trip, plans, startDateId, endDateId, now = new Date() }) => {
+  const stamp = formatUtcStamp(now);
+  const tripTimeZone = getTripTimeZone(trip);
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    `X-WR-CALNAME:${escapeText(trip.name)}`,
+  ];
+  Object.keys(plans)
+    .filter(dateId => dateId >= startDateId && dateId <= endDateId)
+    .sort()
+    .forEach(dateId => {
+      getPlanItems(plans[dateId]).forEach(item => {
+        lines.push(...buildEventLines(trip.id, dateId, item, stamp, tripTimeZone));
+      });
+    });
+  lines.push('END:VCALENDAR');
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
+
+// Parses one content line into { name, params, value }
+const parseLine = (line) => {
+  const colonIndex = line.search(/:(?=(?:[^"]*"[^"]*")*[^"]*$)/);
+  if (colonIndex === -1) return null;
+  const [name, ...paramParts] = line.slice(0, colonIndex).split(';');
+  const params = Object.fromEntries(paramParts.map(part => {
+    const [key, ...rest] = part.split('=');
+    return [key.toUpperCase(), rest.join('=').replace(/^"|"$/g, '')];
+  }));
+  return { name: name.toUpperCase(), params, value: line.slice(colonIndex + 1) };
+};
+
+// Parses a DATE or DATE-TIME value into { dateId, time, timeZone } as written in the file. `timeZone` is
+// 'UTC' for UTC times ("...Z"), the TZID if it names an IANA zone, and null for floating times or
+// zones only the sending app knows (e.g. Windows zone names), which are read as wall-clock times.
+const parseDateValue = ({ params, value }) => {
+  const match = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/);
+  if (!match) {
+    throw new Error(`Invalid date "${value}".`);
+  }
+  const [, year, month, day, hours, minutes, , utc] = match;
+  if (params.VALUE === 'DATE' || hours === undefined) {
+    return { dateId: `${year}-${month}-${day}`, time: null, timeZone: null };
+  }
+  let timeZone = null;
+  if (utc) {
+    timeZone = 'UTC';
+  } else if (isValidTimeZone(params.TZID)) {
+    timeZone = params.TZID;
+  }
+  return { dateId: `${year}-${month}-${day}`, time: `${hours}:${minutes}`, timeZone };
+};
+
+const CATEGORY_BY_LABEL = Object.fromEntries(
+  Object.entries(ITEM_CATEGORIES).map(([id, category]) => [category.label.toLowerCase(), id])
+);
+
+// Parses the events of an .ics file: [{ uid, title, notes, category, location, start, end }], where start and end
+// are { dateId, time, timeZone } (time is null for all-day events) and location is null or { name, address[, lat, lng] }. Throws if the text isn't an iCalendar file.
+export const parseCalendar = (text) => {
+  // Undo line folding, then split into content lines
+  const lines = text.replace(/\r\n/g, '\n').replace(/\n[ \t]/g, '').split('\n').filter(Boolean);
+  if (!lines[0] || lines[0].trim().toUpperCase() !== 'BEGIN:VCALENDAR') {
+    throw new Error('This is not an iCalendar (.ics) file.');
+  }
+
+  const events = [];
+  let event = null;
+  let depth = 0; // Nesting inside the event, e.g. VALARM components
+  lines.forEach(rawLine => {
+    const line = parseLine(rawLine.trim());
+    if (!line) return;
+    if (line.name === 'BEGIN' && line.value.toUpperCase() === 'VEVENT') {
+      event = { uid: null, title: '', notes: '', category: DEFAULT_CATEGORY, location: null, start: null, end: null };
+      depth = 0;
+    } else if (!event) {
+      return;
+    } else if (line.name === 'BEGIN') {
+      depth += 1;
+    } else if (line.name === 'END' && depth > 0) {
+      depth -= 1;
+    } else if (line.name === 'END') {
+      if (event.start) {
+        events.push(event);
+      }
+      event = null;
+    } else if (depth === 0) {
+      switch (line.name) {
+        case 'UID':
+          event.uid = line.value;
+          break;
+        case 'SUMMARY':
+          event.title = unescapeText(line.value);
+          break;
+        case 'DESCRIPTION':
+          event.notes = unescapeText(line.value);
+          break;
+        case 'LOCATION':
+          event.location = { ...event.location, name: unescapeText(line.value), address: '' };
+          break;
+        case 'GEO': {
+          const [lat, lng] = line.value.split(';').map(Number);
+          if (isValidCoordinate(lat, lng)) event.location = { name: '', address: '', ...event.location, lat, lng };
+          break;
+        }
+        case 'CATEGORIES': {
+          const category = unescapeText(line.value).split(',').map(label => CATEGORY_BY_LABEL[label.trim().toLowerCase()]).find(Boolean);
+          if (category) event.category = category;
+          break;
+        }
+        case 'DTSTART':
+          event.start = parseDateValue(line);
+          break;
+        case 'DTEND':
+          event.end = parseDateValue(line);
+          break;
+        default:
+          break;
+      }
+    }
+  });
+  return events;
+};
+
+// Item ID for an imported event. Events this app exported for the trip keep their original item ID,
+// and other events get an ID derived from their UID, so importing a file again updates the same items.
+export const getImportedItemId = (event, tripId) => {
+  const prefix = `${tripId}-`;
+  const suffix = `@${UID_DOMAIN}`;
+  if (event.uid && event.uid.startsWith(prefix) && event.uid.endsWith(suffix)) {
+    // Strip the trip ID and the "YYYY-MM-DD-" date ID
+    return event.uid.slice(prefix.length + 11, -suffix.length);
+  }
+  return event.uid ? `ical-${event.uid}` : null;
+};
+
+// Reads a parsed start or end time in the trip's terms: UTC times and times in the trip's zone become
+// wall-clock times in the trip's zone, and times in other zones keep their zone.
+const toTripDateTime = ({ dateId, time, timeZone }, tripTimeZone) => {
+  if (!timeZone || timeZone === tripTimeZone) return { dateId, time, timeZone: null };
+  if (timeZone === 'UTC') return { ...convertDateTime(dateId, time, 'UTC', tripTimeZone), timeZone: null };
+  return { dateId, time, timeZone };
+};
+
+// Converts parsed events into plan items grouped by date ID, for a trip in `tripTimeZone`.
+// All-day events spanning several days (e.g. hotel stays) add an item to each day; timed events are
+// placed on their start day, keeping the end time only when they end on that day.
+export const eventsToPlanItems = (events, tripId, tripTimeZone) => {
+  const itemsByDate = {};
+  const addItem = (dateId, item) => {
+    itemsByDate[dateId] = [...(itemsByDate[dateId] || []), item];
+  };
+
+  events.forEach((event, index) => {
+    const start = event.start.time === null ? event.start : toTripDateTime(event.start, tripTimeZone);
+    const end = event.end?.time ? toTripDateTime(event.end, tripTimeZone) : null;
+    const keepEnd = !!start.time && !!end && end.dateId === start.dateId;
+    // Cut text down to what a plan may hold rather than failing the whole import
+    const item = {
+      id: (getImportedItemId(event, tripId) || `ical-event-${index}`).slice(0, ITEM_TEXT_LIMITS.id),
+      title: event.title.slice(0, ITEM_TEXT_LIMITS.title),
+      notes: event.notes.slice(0, ITEM_TEXT_LIMITS.notes),
+      category: event.category,
+      startTime: start.time || '',
+      endTime: keepEnd ? end.time : '',
+      ...(event.location && {
+        location: {
+          ...event.location,
+          name: event.location.name.slice(0, LOCATION_TEXT_LIMITS.name),
+          address: event.location.address.slice(0, LOCATION_TEXT_LIMITS.address),
+        },
+      }),
+      ...(start.timeZone && { timeZone: start.timeZone }),
+      ...(keepEnd && end.timeZone !== start.timeZone && { endTimeZone: end.timeZone || tripTimeZone }),
+    };
+    if (start.time === null) {
+      // DTEND of an all-day event is exclusive
+      let dateId = start.dateId;
+      do {
+        addItem(dateId, item);
+        dateId = addDays(dateId, 1);
+      } while (event.end && dateId < event.end.dateId);
+    } else {
+      addItem(start.dateId, item);
+    }
+  });
+  return itemsByDate;
+};
+
+// Merges imported items into a day's items: items with the same ID are overwritten, others are appended
+export const mergeImportedItems = (existingItems, importedItems) => {
+  const importedById = Object.fromEntries(importedItems.map(item => [item.id, item]));
+  const existingIds = new Set(existingItems.map(item => item.id));
+  return [
+    ...existingItems.map(item => importedById[item.id] || item),
+    ...importedItems.filter(item => !existingIds.has(item.id)),
+  ];
+};
+
+// Describes what importing items into each day does, sorted by date:
+// [{ dateId, action: 'create' | 'overwrite', items, addedCount, overwrittenTitles }]
+// 'create' days have no plan yet; 'overwrite' days have one, and `overwrittenTitles` lists its items that get replaced.
+export const buildImportPreview = (itemsByDate, plans) => Object.keys(itemsByDate).sort().map(dateId => {
+  const existingItems = getPlanItems(plans[dateId]);
+  const importedItems = itemsByDate[dateId];
+  const existingById = Object.fromEntries(existingItems.map(item => [item.id, item]));
+  return {
+    dateId,
+    action: plans[dateId] ? 'overwrite' : 'create',
+    items: importedItems,
+    addedCount: importedItems.filter(item => !existingById[item.id]).length,
+    overwrittenTitles: importedItems.filter(item => existingById[item.id]).map(item => existingById[item.id].title || 'Untitled'),
+  };
+});
+
+// File name for a trip's export, e.g. "summer-in-the-cyclades.ics"
+export const getCalendarFileName = (trip) => `${getTripSlug(trip.name)}.ics`;
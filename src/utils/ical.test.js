@@ -0,0 +1,172 @@
+import {
+  buildCalendar, parseCalendar, eventsToPlanItems, mergeImportedItems, buildImportPreview, getEventUid, getCalendarFileName
+} from './ical';
+import { validateItem } from './planSchema';
+import { withSeries } from './series';
+
+const trip = { id: 't1', name: 'Summer in Naxos', startDate: '2025-06-14', endDate: '2025-06-16', timeZone: 'Europe/Athens' };
+const museum = { id: 'a', title: 'Museum, then café', notes: 'Tickets; bring ID\nSecond line', startTime: '09:00', endTime: '11:30', category: 'activity' };
+const beach = {
+  id: 'b', title: 'Beach day', notes: '', startTime: '', endTime: '', category: 'activity',
+  location: { name: 'Plaka Beach', address: '', lat: 37.0504, lng: 25.3722 },
+};
+const now = new Date('2025-06-01T08:00:00Z');
+
+const exportTrip = (plans) =>
+  buildCalendar({ trip, plans, startDateId: trip.startDate, endDateId: trip.endDate, now });
+
+test('exports timed and all-day events with escaped text and CRLF line endings', () => {
+  const ics = exportTrip({ '2025-06-14': { items: [museum] }, '2025-06-15': { items: [beach] } });
+  const lines = ics.split('\r\n');
+
+  expect(lines[0]).toBe('BEGIN:VCALENDAR');
+  expect(lines).toContain(`UID:${getEventUid('t1', '2025-06-14', 'a')}`);
+  expect(lines).toContain('DTSTAMP:20250601T080000Z');
+  expect(lines).toContain('DTSTART;TZID=Europe/Athens:20250614T090000');
+  expect(lines).toContain('DTEND;TZID=Europe/Athens:20250614T113000');
+  expect(lines).toContain('SUMMARY:Museum\\, then café');
+  expect(lines).toContain('DESCRIPTION:Tickets\\; bring ID\\nSecond line');
+  expect(lines).toContain('DTSTART;VALUE=DATE:20250615');
+  expect(lines).toContain('DTEND;VALUE=DATE:20250616');
+  expect(lines).toContain('LOCATION:Plaka Beach');
+  expect(lines).toContain('GEO:37.0504;25.3722');
+  expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true);
+});
+
+test('exports each day of multi-day and repeating entries', () => {
+  const hotel = {
+    id: 's1', kind: 'span', title: 'Hotel Porto', notes: '', category: 'lodging', startDateId: '2025-06-14', endDateId: '2025-06-16',
+    startTime: '15:00', endTime: '11:00', every: 1, exceptions: {},
+  };
+  const ics = exportTrip(withSeries({ '2025-06-14': { items: [museum] } }, [hotel]));
+  expect(ics.match(/SUMMARY:Hotel Porto/g)).toHaveLength(3);
+  expect(ics).toContain('DTSTART;TZID=Europe/Athens:20250614T150000');
+  expect(ics).toContain('DTSTART;TZID=Europe/Athens:20250616T110000');
+});
+
+test('only exports days in the range', () => {
+  const ics = buildCalendar({ trip, plans: { '2025-06-14': { items: [museum] }, '2025-06-15': { items: [beach] } }, startDateId: '2025-06-15', endDateId: '2025-06-15', now });
+  expect(ics).not.toContain('Museum');
+  expect(ics.match(/BEGIN:VEVENT/g)).toHaveLength(1);
+});
+
+test('folds long lines to 75 octets', () => {
+  const ics = exportTrip({ '2025-06-14': { items: [{ ...beach, notes: 'ü'.repeat(100) }] } });
+  ics.split('\r\n').forEach(line => {
+    expect(Buffer.byteLength(line, 'utf8')).toBeLessThanOrEqual(75);
+  });
+  expect(parseCalendar(ics)[0].notes).toBe('ü'.repeat(100));
+});
+
+test('round-trips exported items back to the same days and item IDs', () => {
+  const plans = { '2025-06-14': { items: [museum] }, '2025-06-15': { items: [beach] } };
+  const itemsByDate = eventsToPlanItems(parseCalendar(exportTrip(plans)), 't1', 'Europe/Athens');
+  expect(itemsByDate).toEqual({ '2025-06-14': [museum], '2025-06-15': [beach] });
+});
+
+test('imports events from other calendars', () => {
+  const ics = [
+    'BEGIN:VCALENDAR',
+    'PRODID:-//Airline//EN',
+    'BEGIN:VEVENT',
+    'UID:flight-123@airline.example',
+    'DTSTART;TZID=Europe/Athens:20250614T071500',
+    'DTEND;TZID=Europe/Athens:20250614T081000',
+    'SUMMARY:Flight A3 360 to Naxos',
+    'LOCATION:Athens Airport',
+    'GEO:37.9364;23.9445',
+    'DESCRIPTION:Booking ref X',
+    ' Y7Z',
+    'BEGIN:VALARM',
+    'DESCRIPTION:Reminder',
+    'END:VALARM',
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    'UID:hotel-9@hotels.example',
+    'DTSTART;VALUE=DATE:20250614',
+    'DTEND;VALUE=DATE:20250616',
+    'SUMMARY:Hotel Porto Naxos',
+    'CATEGORIES:Lodging',
+    'END:VEVENT',
+    'END:VCALENDAR',
+  ].join('\n');
+
+  const itemsByDate = eventsToPlanItems(parseCalendar(ics), 't1', 'Europe/Athens');
+
+  expect(itemsByDate['2025-06-14']).toEqual([
+    {
+      id: 'ical-flight-123@airline.example', title: 'Flight A3 360 to Naxos', notes: 'Booking ref XY7Z', category: 'activity',
+      startTime: '07:15', endTime: '08:10', location: { name: 'Athens Airport', address: '', lat: 37.9364, lng: 23.9445 },
+    },
+    { id: 'ical-hotel-9@hotels.example', title: 'Hotel Porto Naxos', notes: '', category: 'lodging', startTime: '', endTime: '' },
+  ]);
+  // DTEND is exclusive for all-day events
+  expect(itemsByDate['2025-06-15']).toHaveLength(1);
+  expect(itemsByDate['2025-06-16']).toBeUndefined();
+});
+
+test('cuts text down to what a plan item may hold', () => {
+  const ics = [
+    'BEGIN:VCALENDAR',
+    'BEGIN:VEVENT',
+    `UID:${'u'.repeat(300)}@bookings.example`,
+    'DTSTART;VALUE=DATE:20250614',
+    `SUMMARY:${'Hotel '.repeat(50)}`,
+    `DESCRIPTION:${'Booking details. '.repeat(200)}`,
+    `LOCATION:${'Porto Naxos, '.repeat(60)}`,
+    'END:VEVENT',
+    'END:VCALENDAR',
+  ].join('\n');
+
+  const [item] = eventsToPlanItems(parseCalendar(ics), 't1', 'Europe/Athens')['2025-06-14'];
+
+  expect(validateItem(item, 'Item 1')).toEqual([]);
+  expect(item.id).toBe(`ical-${'u'.repeat(195)}`);
+  expect(item.location.name).toHaveLength(200);
+});
+
+test('keeps the zones of times outside the trip zone and converts UTC times into it', () => {
+  const flight = { ...museum, id: 'f', title: 'Flight to LA', startTime: '17:00', endTime: '10:00', timeZone: 'Asia/Tokyo', endTimeZone: 'America/Los_Angeles' };
+  const ics = exportTrip({ '2025-06-14': { items: [flight] } });
+  expect(ics).toContain('DTSTART;TZID=Asia/Tokyo:20250614T170000');
+  expect(ics).toContain('DTEND;TZID=America/Los_Angeles:20250614T100000');
+  expect(eventsToPlanItems(parseCalendar(ics), 't1', 'Europe/Athens')).toEqual({ '2025-06-14': [flight] });
+
+  const utcIcs = [
+    'BEGIN:VCALENDAR',
+    'BEGIN:VEVENT',
+    'UID:ferry@example.com',
+    'DTSTART:20250614T213000Z',
+    'DTEND:20250614T223000Z',
+    'SUMMARY:Night ferry',
+    'END:VEVENT',
+    'END:VCALENDAR',
+  ].join('\r\n');
+  // 21:30 UTC is 00:30 the next day in Athens (UTC+3 in summer)
+  expect(eventsToPlanItems(parseCalendar(utcIcs), 't1', 'Europe/Athens')['2025-06-15'][0])
+    .toMatchObject({ startTime: '00:30', endTime: '01:30' });
+});
+
+test('rejects files that are not calendars', () => {
+  expect(() => parseCalendar('name,date\nMuseum,2025-06-14')).toThrow('This is not an iCalendar (.ics) file.');
+});
+
+test('overwrites items with the same ID and appends the others', () => {
+  const updatedMuseum = { ...museum, startTime: '10:00' };
+  expect(mergeImportedItems([museum, beach], [updatedMuseum, { ...beach, id: 'c' }]))
+    .toEqual([updatedMuseum, beach, { ...beach, id: 'c' }]);
+});
+
+test('previews which days are created or overwritten', () => {
+  const plans = { '2025-06-14': { items: [museum] } };
+  const preview = buildImportPreview({ '2025-06-15': [beach], '2025-06-14': [{ ...museum, startTime: '10:00' }, beach] }, plans);
+  expect(preview).toEqual([
+    { dateId: '2025-06-14', action: 'overwrite', items: [{ ...museum, startTime: '10:00' }, beach], addedCount: 1, overwrittenTitles: ['Museum, then café'] },
+    { dateId: '2025-06-15', action: 'create', items: [beach], addedCount: 1, overwrittenTitles: [] },
+  ]);
+});
+
+test('names the file after the trip', () => {
+  expect(getCalendarFileName(trip)).toBe('summer-in-naxos.ics');
+  expect(getCalendarFileName({ name: '!!!' })).toBe('trip.ics');
+});
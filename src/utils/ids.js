@@ -0,0 +1,8 @@
+// Generates a random identifier for client-created records (items, trips, etc.)
+// Falls back to a Math.random based ID where crypto.randomUUID is unavailable (older browsers, jsdom)
+export const generateId = () => {
+  if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+    return crypto.randomUUID();
+  }
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+};
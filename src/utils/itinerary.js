@@ -0,0 +1,273 @@
+import { ITEM_CATEGORIES, getPlanItems, formatTimeRange, isProposal } from './planItems';
+import { getDisplayName } from './profiles';
+import { formatDateId, parseDateId, toDate } from './dates';
+import { buildPdf } from './pdf';
+import { getTripSlug } from './trips';
+import { getTripTimeZone, localizePlans } from './timeZones';
+import { formatLocation } from './locations';
+import { ATTACHMENT_TYPES, formatFileSize, isImageAttachment } from './attachments';
+
+// Itinerary export: the plans of a date range rendered as HTML, PDF, Markdown or plain text
+
+export const DEFAULT_ITINERARY_OPTIONS = {
+  pagePerDay: false,
+  includeEmptyDays: false,
+  showAuthors: true,
+  includeAttachments: true,
+  includeProposals: false,
+};
+
+// Shown in brackets after an item's title; proposals, when included, are marked as such
+const categoryLabel = (item) => {
+  const label = (ITEM_CATEGORIES[item.category] || ITEM_CATEGORIES.activity).label;
+  return isProposal(item) ? `${label}, proposal` : label;
+};
+
+// Collects the days between two date IDs (inclusive) for export:
+// { title, subtitle, days: [{ dateId, label, items, lastUpdatedBy, updatedAt }], attachments }
+// Times are given in the trip's time zone, including those of items entered in another zone.
+// `attachments` lists the files attached to days in the range: [{ dateId, dayLabel, itemTitle, name, type, size, url }]
+// Proposals the group hasn't confirmed yet are left out unless `includeProposals` is set.
+export const buildItinerary = ({
+  trip, plans: storedPlans, attachments = [], startDateId, endDateId, includeEmptyDays = false, includeProposals = false
+}) => {
+  const tripTimeZone = getTripTimeZone(trip);
+  const plans = localizePlans(storedPlans, tripTimeZone, tripTimeZone);
+  const days = [];
+  for (let date = parseDateId(startDateId); formatDateId(date) <= endDateId; date.setDate(date.getDate() + 1)) {
+    const dateId = formatDateId(date);
+    const plan = plans[dateId];
+    const items = getPlanItems(plan).filter(item => includeProposals || !isProposal(item));
+    if (items.length > 0 || includeEmptyDays) {
+      days.push({
+        dateId,
+        label: date.toDateString(),
+        items,
+        lastUpdatedBy: plan?.lastUpdatedBy || null,
+        updatedAt: toDate(plan?.timestamp),
+      });
+    }
+  }
+  return {
+    title: trip?.name || 'Trip Itinerary',
+    subtitle: [trip?.destination, `${startDateId} to ${endDateId}`, trip?.timeZone && `times in ${trip.timeZone}`].filter(Boolean).join(' · '),
+    days,
+    attachments: attachments
+      .filter(attachment => attachment.dateId >= startDateId && attachment.dateId <= endDateId)
+      .sort((a, b) => a.dateId.localeCompare(b.dateId) || a.name.localeCompare(b.name))
+      .map(({ dateId, itemId, name, type, size, url }) => ({
+        dateId,
+        dayLabel: parseDateId(dateId).toDateString(),
+        itemTitle: getPlanItems(storedPlans[dateId]).find(item => item.id === itemId)?.title || '',
+        name,
+        type,
+        size,
+        url,
+      })),
+  };
+};
+
+// "Sat Jun 14 2025 · Ferry · PDF, 120 KB"
+const describeAttachment = (attachment) =>
+  [attachment.dayLabel, attachment.itemTitle, `${ATTACHMENT_TYPES[attachment.type] || attachment.type}, ${formatFileSize(attachment.size)}`]
+    .filter(Boolean).join(' · ');
+
+// The attachments appendix is added when asked for and there are attachments
+const hasAppendix = (itinerary, options) => options.includeAttachments && itinerary.attachments?.length > 0;
+
+const describeAuthor = (day, profiles) =>
+  day.lastUpdatedBy ? `Last updated by ${getDisplayName(profiles, day.lastUpdatedBy)}${day.updatedAt ? ` on ${day.updatedAt.toLocaleString()}` : ''}` : '';
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Inlined so the page works offline and prints the same everywhere
+const ITINERARY_CSS = `
+  body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Helvetica, Arial, sans-serif; color: #1f2937; margin: 0; padding: 2rem; line-height: 1.5; }
+  main { max-width: 48rem; margin: 0 auto; }
+  h1 { color: #1e40af; margin: 0 0 0.25rem; font-size: 1.875rem; }
+  .subtitle { color: #4b5563; margin: 0 0 2rem; }
+  .day { border: 1px solid #e5e7eb; border-radius: 0.5rem; padding: 1rem 1.25rem; margin-bottom: 1.25rem; break-inside: avoid; page-break-inside: avoid; }
+  .day h2 { color: #1d4ed8; font-size: 1.25rem; margin: 0 0 0.75rem; }
+  .items { list-style: none; margin: 0; padding: 0; }
+  .item { margin-bottom: 0.75rem; }
+  .item-title { font-weight: 600; }
+  .time { font-family: ui-monospace, Menlo, Consolas, monospace; color: #4b5563; margin-right: 0.5rem; }
+  .category { color: #6b7280; font-size: 0.875rem; margin-left: 0.5rem; }
+  .location { margin: 0.25rem 0 0; color: #4b5563; font-size: 0.875rem; }
+  .notes { margin: 0.25rem 0 0; white-space: pre-wrap; color: #374151; }
+  .empty { color: #6b7280; font-style: italic; margin: 0; }
+  .author { color: #6b7280; font-size: 0.8125rem; margin: 0.75rem 0 0; }
+  .appendix h2 { color: #1d4ed8; font-size: 1.25rem; margin: 2rem 0 0.75rem; }
+  .attachment { margin-bottom: 1rem; break-inside: avoid; page-break-inside: avoid; }
+  .attachment img { display: block; max-width: 100%; max-height: 20cm; margin-top: 0.5rem; border: 1px solid #e5e7eb; }
+  @page { margin: 1.5cm; }
+  @media print {
+    body { padding: 0; }
+    .day { border: none; border-bottom: 1px solid #e5e7eb; border-radius: 0; padding: 0 0 1rem; }
+    .page-per-day .day { border-bottom: none; break-after: page; page-break-after: always; }
+    .page-per-day .day:last-child { break-after: auto; page-break-after: auto; }
+    .appendix { break-before: page; page-break-before: always; }
+  }
+`;
+
+// Renders a self-contained HTML document with print styles
+export const itineraryToHtml = (itinerary, options = DEFAULT_ITINERARY_OPTIONS, profiles = {}) => {
+  const days = itinerary.days.map(day => {
+    const items = day.items.length === 0
+      ? '<p class="empty">Nothing planned.</p>'
+      : `<ol class="items">${day.items.map(item => {
+        const time = formatTimeRange(item);
+        return `<li class="item"><div class="item-title">${time ? `<span class="time">${escapeHtml(time)}</span>` : ''}${escapeHtml(item.title || 'Untitled')}<span class="category">(${escapeHtml(categoryLabel(item))})</span></div>${item.location ? `<p class="location">Where: ${escapeHtml(formatLocation(item.location))}</p>` : ''}${item.notes ? `<p class="notes">${escapeHtml(item.notes)}</p>` : ''}</li>`;
+      }).join('')}</ol>`;
+    const author = options.showAuthors && describeAuthor(day, profiles);
+    return `<section class="day"><h2>${escapeHtml(day.label)}</h2>${items}${author ? `<p class="author">${escapeHtml(author)}</p>` : ''}</section>`;
+  }).join('\n');
+  // Images are shown in full so they print (e.g. boarding passes); other files are linked
+  const appendix = hasAppendix(itinerary, options)
+    ? `<section class="appendix"><h2>Attachments</h2><ol class="items">${itinerary.attachments.map(attachment => (
+      `<li class="attachment"><div class="item-title"><a href="${escapeHtml(attachment.url)}">${escapeHtml(attachment.name)}</a></div><p class="location">${escapeHtml(describeAttachment(attachment))}</p>${isImageAttachment(attachment) ? `<img src="${escapeHtml(attachment.url)}" alt="${escapeHtml(attachment.name)}">` : ''}</li>`
+    )).join('')}</ol></section>`
+    : '';
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(itinerary.title)}</title>
+<style>${ITINERARY_CSS}</style>
+</head>
+<body class="${options.pagePerDay ? 'page-per-day' : ''}">
+<main>
+<h1>${escapeHtml(itinerary.title)}</h1>
+<p class="subtitle">${escapeHtml(itinerary.subtitle)}</p>
+${days || '<p class="empty">No plans found for the selected date range.</p>'}
+${appendix}
+</main>
+</body>
+</html>
+`;
+};
+
+// Renders Markdown, e.g. for pasting into chat apps that format it
+export const itineraryToMarkdown = (itinerary, options = DEFAULT_ITINERARY_OPTIONS, profiles = {}) => {
+  const lines = [`# ${itinerary.title}`, '', `_${itinerary.subtitle}_`];
+  if (itinerary.days.length === 0) {
+    lines.push('', 'No plans found for the selected date range.');
+  }
+  itinerary.days.forEach(day => {
+    lines.push('', `## ${day.label}`, '');
+    if (day.items.length === 0) {
+      lines.push('_Nothing planned._');
+    }
+    day.items.forEach(item => {
+      const time = formatTimeRange(item);
+      lines.push(`- ${time ? `**${time}** ` : ''}${item.title || 'Untitled'} _(${categoryLabel(item)})_`);
+      if (item.location) {
+        lines.push(`  Where: ${formatLocation(item.location)}`);
+      }
+      if (item.notes) {
+        item.notes.split('\n').forEach(noteLine => lines.push(`  ${noteLine}`));
+      }
+    });
+    const author = options.showAuthors && describeAuthor(day, profiles);
+    if (author) {
+      lines.push('', `_${author}_`);
+    }
+  });
+  if (hasAppendix(itinerary, options)) {
+    lines.push('', '## Attachments', '');
+    itinerary.attachments.forEach(attachment => {
+      // Inline (data:) URLs of locally stored files would swamp the text, so only web links are kept
+      const name = /^https?:/.test(attachment.url) ? `[${attachment.name}](${attachment.url})` : attachment.name;
+      lines.push(`- ${name} _(${describeAttachment(attachment)})_`);
+    });
+  }
+  return `${lines.join('\n')}\n`;
+};
+
+// Renders plain text for places that don't format Markdown
+export const itineraryToText = (itinerary, options = DEFAULT_ITINERARY_OPTIONS, profiles = {}) => {
+  const lines = [itinerary.title.toUpperCase(), itinerary.subtitle];
+  if (itinerary.days.length === 0) {
+    lines.push('', 'No plans found for the selected date range.');
+  }
+  itinerary.days.forEach(day => {
+    lines.push('', day.label, '-'.repeat(day.label.length));
+    if (day.items.length === 0) {
+      lines.push('Nothing planned.');
+    }
+    day.items.forEach(item => {
+      const time = formatTimeRange(item);
+      lines.push(`• ${time ? `${time}  ` : ''}${item.title || 'Untitled'} (${categoryLabel(item)})`);
+      if (item.location) {
+        lines.push(`    Where: ${formatLocation(item.location)}`);
+      }
+      if (item.notes) {
+        item.notes.split('\n').forEach(noteLine => lines.push(`    ${noteLine}`));
+      }
+    });
+    const author = options.showAuthors && describeAuthor(day, profiles);
+    if (author) {
+      lines.push(author);
+    }
+  });
+  if (hasAppendix(itinerary, options)) {
+    lines.push('', 'ATTACHMENTS');
+    itinerary.attachments.forEach(attachment => {
+      lines.push(`• ${attachment.name} (${describeAttachment(attachment)})`);
+    });
+  }
+  return `${lines.join('\n')}\n`;
+};
+
+const GRAY = [75, 85, 99];
+const BLUE = [29, 78, 216];
+
+// Renders a PDF and returns its bytes
+export const itineraryToPdf = (itinerary, options = DEFAULT_ITINERARY_OPTIONS, profiles = {}) => {
+  const blocks = [
+    { text: itinerary.title, size: 20, bold: true, color: [30, 64, 175] },
+    { text: itinerary.subtitle, size: 11, color: GRAY, spaceBefore: 4 },
+  ];
+  if (itinerary.days.length === 0) {
+    blocks.push({ text: 'No plans found for the selected date range.', size: 11, spaceBefore: 18 });
+  }
+  itinerary.days.forEach((day, index) => {
+    blocks.push({ text: day.label, size: 14, bold: true, color: BLUE, spaceBefore: 20, pageBreakBefore: options.pagePerDay && index > 0 });
+    if (day.items.length === 0) {
+      blocks.push({ text: 'Nothing planned.', size: 11, color: GRAY, spaceBefore: 4 });
+    }
+    day.items.forEach(item => {
+      const time = formatTimeRange(item);
+      blocks.push({ text: `${time ? `${time}   ` : ''}${item.title || 'Untitled'} (${categoryLabel(item)})`, size: 11, bold: true, spaceBefore: 8 });
+      if (item.location) {
+        blocks.push({ text: `Where: ${formatLocation(item.location)}`, size: 10, color: GRAY, indent: 12, spaceBefore: 2 });
+      }
+      if (item.notes) {
+        blocks.push({ text: item.notes, size: 10, color: [55, 65, 81], indent: 12, spaceBefore: 2 });
+      }
+    });
+    const author = options.showAuthors && describeAuthor(day, profiles);
+    if (author) {
+      blocks.push({ text: author, size: 9, color: GRAY, spaceBefore: 8 });
+    }
+  });
+  // Files can't be embedded in this PDF, so the appendix lists them
+  if (hasAppendix(itinerary, options)) {
+    blocks.push({ text: 'Attachments', size: 14, bold: true, color: BLUE, spaceBefore: 20, pageBreakBefore: true });
+    itinerary.attachments.forEach(attachment => {
+      blocks.push({ text: attachment.name, size: 11, bold: true, spaceBefore: 8 });
+      blocks.push({ text: describeAttachment(attachment), size: 10, color: GRAY, indent: 12, spaceBefore: 2 });
+    });
+  }
+  return buildPdf(blocks, { title: itinerary.title });
+};
+
+// Base file name for exports of a trip, e.g. "summer-in-the-cyclades-itinerary"
+export const getItineraryFileName = (itinerary) => `${getTripSlug(itinerary.title)}-itinerary`;
@@ -0,0 +1,131 @@
+import {
+  buildItinerary, itineraryToHtml, itineraryToMarkdown, itineraryToText, itineraryToPdf, getItineraryFileName
+} from './itinerary';
+
+const trip = { id: 't1', name: 'Naxos <3', destination: 'Naxos, Greece', startDate: '2025-06-14', endDate: '2025-06-16' };
+const museum = { id: 'a', title: 'Museum & café', notes: 'Tickets at the door', startTime: '09:00', endTime: '11:00', category: 'activity' };
+const dinner = {
+  id: 'b', title: 'Dinner', notes: '', startTime: '', endTime: '', category: 'food',
+  location: { name: 'Taverna Oasis', address: 'Chora, Naxos' },
+};
+const plans = {
+  '2025-06-14': { items: [museum], lastUpdatedBy: 'u1', timestamp: new Date('2025-06-01T10:00:00Z') },
+  '2025-06-16': { items: [dinner], lastUpdatedBy: 'u2' },
+  '2025-06-20': { items: [dinner] },
+};
+const profiles = { u1: { displayName: 'Ana' } };
+const range = { trip, plans, startDateId: '2025-06-14', endDateId: '2025-06-16' };
+
+test('collects the days with plans in the range, or every day when asked', () => {
+  expect(buildItinerary(range).days.map(day => day.dateId)).toEqual(['2025-06-14', '2025-06-16']);
+  expect(buildItinerary({ ...range, includeEmptyDays: true }).days.map(day => day.dateId))
+    .toEqual(['2025-06-14', '2025-06-15', '2025-06-16']);
+  expect(buildItinerary(range).subtitle).toBe('Naxos, Greece · 2025-06-14 to 2025-06-16');
+});
+
+test('leaves out proposals unless asked, and marks them when included', () => {
+  const ferry = { id: 'p', title: 'Ferry to Paros', notes: '', startTime: '', endTime: '', category: 'transport', status: 'proposal' };
+  const withProposals = { ...range, plans: { ...plans, '2025-06-15': { items: [ferry] } } };
+  expect(buildItinerary(withProposals).days.map(day => day.dateId)).toEqual(['2025-06-14', '2025-06-16']);
+  const itinerary = buildItinerary({ ...withProposals, includeProposals: true });
+  expect(itinerary.days.map(day => day.dateId)).toEqual(['2025-06-14', '2025-06-15', '2025-06-16']);
+  expect(itineraryToText(itinerary, { showAuthors: false })).toContain('• Ferry to Paros (Transport, proposal)');
+});
+
+test('gives times in the trip time zone', () => {
+  const itinerary = buildItinerary({
+    trip: { ...trip, timeZone: 'Europe/Athens' },
+    plans: { '2025-06-15': { items: [{ id: 'c', title: 'Call home', startTime: '23:30', endTime: '23:50', timeZone: 'Europe/London', category: 'activity' }] } },
+    startDateId: '2025-06-14',
+    endDateId: '2025-06-16',
+  });
+  expect(itinerary.subtitle).toBe('Naxos, Greece · 2025-06-14 to 2025-06-16 · times in Europe/Athens');
+  // 23:30 in London is 01:30 the next day in Athens
+  expect(itinerary.days.map(day => day.dateId)).toEqual(['2025-06-16']);
+  expect(itinerary.days[0].items[0]).toMatchObject({ startTime: '01:30', endTime: '01:50', sourceDateId: '2025-06-15' });
+});
+
+test('renders self-contained, escaped HTML with print styles', () => {
+  const html = itineraryToHtml(buildItinerary(range), { pagePerDay: true, showAuthors: true }, profiles);
+  expect(html).toContain('<title>Naxos &lt;3</title>');
+  expect(html).toContain('Museum &amp; café');
+  expect(html).toContain('<body class="page-per-day">');
+  expect(html).toContain('@media print');
+  expect(html).toContain('Last updated by Ana');
+  expect(html).not.toMatch(/<link|<script|https?:/);
+});
+
+test('hides authors when asked', () => {
+  const itinerary = buildItinerary(range);
+  const options = { pagePerDay: false, showAuthors: false };
+  expect(itineraryToHtml(itinerary, options, profiles)).not.toContain('Last updated by');
+  expect(itineraryToMarkdown(itinerary, options, profiles)).not.toContain('Last updated by');
+  expect(itineraryToText(itinerary, options, profiles)).not.toContain('Last updated by');
+});
+
+test('renders Markdown and plain text', () => {
+  const itinerary = buildItinerary({ ...range, includeEmptyDays: true });
+  const options = { showAuthors: false };
+  expect(itineraryToMarkdown(itinerary, options)).toBe([
+    '# Naxos <3',
+    '',
+    '_Naxos, Greece · 2025-06-14 to 2025-06-16_',
+    '',
+    '## Sat Jun 14 2025',
+    '',
+    '- **09:00–11:00** Museum & café _(Activity)_',
+    '  Tickets at the door',
+    '',
+    '## Sun Jun 15 2025',
+    '',
+    '_Nothing planned._',
+    '',
+    '## Mon Jun 16 2025',
+    '',
+    '- Dinner _(Food)_',
+    '  Where: Taverna Oasis, Chora, Naxos',
+    '',
+  ].join('\n'));
+  expect(itineraryToText(itinerary, options)).toContain('Sat Jun 14 2025\n---------------\n• 09:00–11:00  Museum & café (Activity)\n    Tickets at the door');
+});
+
+test('renders a PDF with one page per day when asked', () => {
+  const toText = (bytes) => String.fromCharCode(...bytes);
+  const itinerary = buildItinerary(range);
+  const flowing = toText(itineraryToPdf(itinerary, { pagePerDay: false, showAuthors: true }, profiles));
+  const paged = toText(itineraryToPdf(itinerary, { pagePerDay: true, showAuthors: true }, profiles));
+
+  expect(flowing.startsWith('%PDF-1.4')).toBe(true);
+  expect(flowing).toContain('/Count 1');
+  expect(paged).toContain('/Count 2');
+  expect(flowing).toContain('(Last updated by Ana');
+});
+
+test('adds an appendix of the attachments in the range when asked', () => {
+  const attachments = [
+    { dateId: '2025-06-16', itemId: 'b', name: 'table.pdf', type: 'application/pdf', size: 2048, url: 'https://files.example/table.pdf' },
+    { dateId: '2025-06-14', itemId: '', name: 'pass.png', type: 'image/png', size: 500, url: 'data:image/png;base64,AAAA' },
+    { dateId: '2025-06-20', itemId: '', name: 'later.pdf', type: 'application/pdf', size: 10, url: 'https://files.example/later.pdf' },
+  ];
+  const itinerary = buildItinerary({ ...range, attachments });
+  const options = { showAuthors: false, includeAttachments: true };
+
+  expect(itinerary.attachments.map(({ name, itemTitle }) => [name, itemTitle])).toEqual([['pass.png', ''], ['table.pdf', 'Dinner']]);
+  const html = itineraryToHtml(itinerary, options);
+  expect(html).toContain('<h2>Attachments</h2>');
+  expect(html).toContain('<img src="data:image/png;base64,AAAA" alt="pass.png">');
+  expect(html).toContain('Mon Jun 16 2025 · Dinner · PDF, 2 KB');
+  expect(itineraryToMarkdown(itinerary, options)).toContain([
+    '## Attachments',
+    '',
+    '- pass.png _(Sat Jun 14 2025 · PNG image, 500 B)_',
+    '- [table.pdf](https://files.example/table.pdf) _(Mon Jun 16 2025 · Dinner · PDF, 2 KB)_',
+  ].join('\n'));
+  expect(itineraryToText(itinerary, options)).toContain('• table.pdf (Mon Jun 16 2025 · Dinner · PDF, 2 KB)');
+  expect(String.fromCharCode(...itineraryToPdf(itinerary, options))).toContain('/Count 2');
+  expect(itineraryToHtml(itinerary, { ...options, includeAttachments: false })).not.toContain('Attachments');
+});
+
+test('names files after the trip', () => {
+  expect(getItineraryFileName(buildItinerary(range))).toBe('naxos-3-itinerary');
+});
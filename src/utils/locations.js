@@ -0,0 +1,114 @@
+// Item locations and the day's route between them.
+// A location is { name, address, lat, lng }; coordinates are optional, and only located stops appear on the map.
+// Distances are straight lines, so travel times are rough estimates rather than routing results.
+
+const EARTH_RADIUS_KM = 6371;
+
+// Straight lines are shorter than streets; distances are stretched by this much when estimating travel time
+const DETOUR_FACTOR = 1.3;
+
+// Ways of getting between stops, with the average speed used to estimate travel time
+export const TRAVEL_MODES = {
+  walk: { label: 'Walking', kmPerHour: 4.5 },
+  transit: { label: 'Public transport', kmPerHour: 18 },
+  drive: { label: 'Driving', kmPerHour: 35 },
+};
+
+export const DEFAULT_TRAVEL_MODE = 'walk';
+
+export const isValidCoordinate = (lat, lng) =>
+  Number.isFinite(lat) && Number.isFinite(lng) && Math.abs(lat) <= 90 && Math.abs(lng) <= 180;
+
+export const hasCoordinates = (location) => !!location && isValidCoordinate(location.lat, location.lng);
+
+// Reads "38.7139, -9.1334" style text as coordinates; null for anything else
+export const parseCoordinates = (text) => {
+  const match = String(text).trim().match(/^(-?\d+(?:\.\d+)?)\s*[,;\s]\s*(-?\d+(?:\.\d+)?)$/);
+  if (!match) return null;
+  const [lat, lng] = [Number(match[1]), Number(match[2])];
+  return isValidCoordinate(lat, lng) ? { lat, lng } : null;
+};
+
+// Prepares a location for saving: trims text and drops invalid coordinates. Returns null for an empty location.
+export const cleanLocation = (location) => {
+  if (!location) return null;
+  const name = (location.name || '').trim();
+  const address = (location.address || '').trim();
+  if (hasCoordinates(location)) return { name, address, lat: location.lat, lng: location.lng };
+  return name || address ? { name, address } : null;
+};
+
+// Text for showing a location, e.g. "Café A Brasileira, Rua Garrett 120, Lisboa"
+export const formatLocation = (location) => {
+  if (!location) return '';
+  if (!location.address || location.address === location.name) return location.name || '';
+  return location.name ? `${location.name}, ${location.address}` : location.address;
+};
+
+// True if two (possibly missing) locations are the same place
+export const locationsEqual = (a, b) => {
+  const [left, right] = [cleanLocation(a), cleanLocation(b)];
+  if (!left || !right) return !left && !right;
+  return left.name === right.name && left.address === right.address && left.lat === right.lat && left.lng === right.lng;
+};
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+// Great-circle distance between two { lat, lng } points in kilometres
+export const distanceKm = (from, to) => {
+  const dLat = toRadians(to.lat - from.lat);
+  const dLng = toRadians(to.lng - from.lng);
+  const a = Math.sin(dLat / 2) ** 2 + Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+};
+
+// Estimated minutes to cover a straight-line distance, rounded up
+export const estimateTravelMinutes = (km, mode = DEFAULT_TRAVEL_MODE) => {
+  const { kmPerHour } = TRAVEL_MODES[mode] || TRAVEL_MODES[DEFAULT_TRAVEL_MODE];
+  return Math.ceil(((km * DETOUR_FACTOR) / kmPerHour) * 60);
+};
+
+// "850 m" or "3.2 km"
+export const formatDistance = (km) => (km < 1 ? `${Math.round(km * 1000)} m` : `${km.toFixed(1)} km`);
+
+// "25 min" or "1 h 10 min"
+export const formatDuration = (minutes) => {
+  if (minutes < 60) return `${minutes} min`;
+  const rest = minutes % 60;
+  return rest ? `${Math.floor(minutes / 60)} h ${rest} min` : `${Math.floor(minutes / 60)} h`;
+};
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Minutes between leaving one item and the start of the next, or null if either isn't timed on the same day.
+// Items without an end time are left at their start time.
+const getGapMinutes = (from, to) => {
+  if (!from.startTime || !to.startTime || from.endDayOffset) return null;
+  return toMinutes(to.startTime) - toMinutes(from.endTime || from.startTime);
+};
+
+// The day's route: its located items in itinerary order, and the legs between consecutive stops.
+// { stops: [{ item, number }], legs: [{ from, to, distanceKm, travelMinutes, gapMinutes, tooShort }] }
+// `tooShort` marks legs where the time between the items is less than the estimated travel time.
+export const getDayRoute = (items, mode = DEFAULT_TRAVEL_MODE) => {
+  const stops = items.filter(item => hasCoordinates(item.location)).map((item, index) => ({ item, number: index + 1 }));
+  const legs = stops.slice(1).map((stop, index) => {
+    const from = stops[index].item;
+    const to = stop.item;
+    const km = distanceKm(from.location, to.location);
+    const travelMinutes = estimateTravelMinutes(km, mode);
+    const gapMinutes = getGapMinutes(from, to);
+    return {
+      from,
+      to,
+      distanceKm: km,
+      travelMinutes,
+      gapMinutes,
+      tooShort: gapMinutes !== null && gapMinutes < travelMinutes,
+    };
+  });
+  return { stops, legs };
+};
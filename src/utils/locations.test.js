@@ -0,0 +1,51 @@
+import {
+  parseCoordinates, cleanLocation, formatLocation, distanceKm, estimateTravelMinutes, formatDistance, formatDuration,
+  getDayRoute
+} from './locations';
+
+const castle = { name: 'Castelo de São Jorge', address: 'Lisboa', lat: 38.7139, lng: -9.1335 };
+const square = { name: 'Praça do Comércio', address: 'Lisboa', lat: 38.7075, lng: -9.1364 };
+const belem = { name: 'Torre de Belém', address: 'Lisboa', lat: 38.6916, lng: -9.216 };
+
+test('reads typed coordinates and cleans locations', () => {
+  expect(parseCoordinates(' 38.7139, -9.1335 ')).toEqual({ lat: 38.7139, lng: -9.1335 });
+  expect(parseCoordinates('38.7139 -9.1335')).toEqual({ lat: 38.7139, lng: -9.1335 });
+  expect(parseCoordinates('91, 0')).toBeNull();
+  expect(parseCoordinates('Castelo')).toBeNull();
+
+  expect(cleanLocation({ name: '  ', address: '' })).toBeNull();
+  expect(cleanLocation({ name: 'Equator', lat: 0, lng: 0 })).toEqual({ name: 'Equator', address: '', lat: 0, lng: 0 });
+  expect(formatLocation(castle)).toBe('Castelo de São Jorge, Lisboa');
+  expect(formatLocation({ name: 'Lisboa', address: 'Lisboa' })).toBe('Lisboa');
+});
+
+test('estimates straight-line distances and travel times', () => {
+  expect(distanceKm(square, castle)).toBeCloseTo(0.75, 2);
+  expect(distanceKm(square, belem)).toBeCloseTo(7.1, 1);
+  // 0.75 km stretched by 1.3 for streets, walked at 4.5 km/h
+  expect(estimateTravelMinutes(distanceKm(square, castle), 'walk')).toBe(14);
+  expect(estimateTravelMinutes(distanceKm(square, belem), 'drive')).toBe(16);
+  expect(formatDistance(0.745)).toBe('745 m');
+  expect(formatDistance(7.21)).toBe('7.2 km');
+  expect(formatDuration(95)).toBe('1 h 35 min');
+  expect(formatDuration(120)).toBe('2 h');
+});
+
+test('builds the day route and flags gaps shorter than the travel time', () => {
+  const items = [
+    { id: 'a', title: 'Castle', startTime: '09:00', endTime: '11:00', location: castle },
+    { id: 'b', title: 'Lunch', startTime: '11:10', endTime: '12:30', location: square },
+    { id: 'x', title: 'Call home', startTime: '13:00', endTime: '', location: { name: 'Anywhere', address: '' } },
+    { id: 'c', title: 'Tower', startTime: '13:00', endTime: '', location: belem },
+    { id: 'd', title: 'Sunset', startTime: '', endTime: '', location: castle },
+  ];
+  const { stops, legs } = getDayRoute(items, 'walk');
+
+  expect(stops.map(stop => [stop.item.id, stop.number])).toEqual([['a', 1], ['b', 2], ['c', 3], ['d', 4]]);
+  expect(legs.map(leg => [leg.from.id, leg.to.id, leg.gapMinutes, leg.tooShort])).toEqual([
+    ['a', 'b', 10, true],
+    ['b', 'c', 30, true],
+    ['c', 'd', null, false],
+  ]);
+  expect(getDayRoute(items, 'drive').legs[1].tooShort).toBe(false);
+});
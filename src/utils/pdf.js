@@ -0,0 +1,148 @@
+// Minimal PDF writer for text documents, so itineraries can be downloaded as PDF without a library.
+// Uses the standard Helvetica fonts, which every PDF reader provides, with WinAnsi (Latin) encoding.
+
+// A4 in points
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+const MARGIN = 50;
+const LINE_HEIGHT = 1.3;
+
+// Helvetica glyph widths in 1/1000 em for the printable ASCII range (space to "~")
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584,
+];
+// Bold glyphs are wider; wrapping uses this factor instead of a second table
+const BOLD_WIDTH_FACTOR = 1.07;
+const DEFAULT_WIDTH = 556;
+
+// WinAnsi codes of common characters outside Latin-1
+const WIN_ANSI_EXTRAS = {
+  '€': 0x80, '‚': 0x82, '„': 0x84, '…': 0x85, '‘': 0x91, '’': 0x92, '“': 0x93, '”': 0x94,
+  '•': 0x95, '–': 0x96, '—': 0x97, '™': 0x99,
+};
+// Characters WinAnsi lacks that have a readable ASCII stand-in
+const REPLACEMENTS = { '→': '->' };
+
+// Converts text to a string of WinAnsi bytes (one char per byte); unsupported characters become "?"
+const toWinAnsi = (text) => Array.from(text).map(char => {
+  if (REPLACEMENTS[char]) return REPLACEMENTS[char];
+  if (WIN_ANSI_EXTRAS[char]) return String.fromCharCode(WIN_ANSI_EXTRAS[char]);
+  const code = char.charCodeAt(0);
+  return (code >= 0x20 && code < 0x7f) || (code >= 0xa0 && code <= 0xff) ? char : '?';
+}).join('');
+
+const charWidth = (char) => {
+  const code = char.charCodeAt(0);
+  return code >= 0x20 && code < 0x7f ? HELVETICA_WIDTHS[code - 0x20] : DEFAULT_WIDTH;
+};
+
+const textWidth = (text, size, bold) =>
+  Array.from(text).reduce((width, char) => width + charWidth(char), 0) * size / 1000 * (bold ? BOLD_WIDTH_FACTOR : 1);
+
+// Breaks text into lines no wider than maxWidth, at spaces where possible
+export const wrapText = (text, size, bold, maxWidth) => {
+  const lines = [];
+  text.split('\n').forEach(paragraph => {
+    let line = '';
+    paragraph.split(' ').forEach(word => {
+      const candidate = line ? `${line} ${word}` : word;
+      if (textWidth(candidate, size, bold) <= maxWidth) {
+        line = candidate;
+        return;
+      }
+      if (line) lines.push(line);
+      // Words longer than a line are split wherever they overflow
+      line = '';
+      Array.from(word).forEach(char => {
+        if (line && textWidth(line + char, size, bold) > maxWidth) {
+          lines.push(line);
+          line = '';
+        }
+        line += char;
+      });
+    });
+    lines.push(line);
+  });
+  return lines;
+};
+
+const escapePdfString = (text) => text.replace(/\\/g, '\\\\').replace(/\(/g, '\\(').replace(/\)/g, '\\)');
+
+const formatColor = ([r, g, b]) => [r, g, b].map(value => (value / 255).toFixed(3)).join(' ');
+
+// Lays out text blocks on pages and returns the content streams of the pages.
+// Block: { text, size, bold, color: [r, g, b], indent, spaceBefore, pageBreakBefore }
+const layoutPages = (blocks) => {
+  const pages = [];
+  let commands = null;
+  let y = 0;
+  const newPage = () => {
+    commands = [];
+    pages.push(commands);
+    y = PAGE_HEIGHT - MARGIN;
+  };
+  newPage();
+
+  blocks.forEach(({ text, size = 11, bold = false, color = [0, 0, 0], indent = 0, spaceBefore = 0, pageBreakBefore = false }) => {
+    if (pageBreakBefore && commands.length > 0) {
+      newPage();
+    } else if (commands.length > 0) {
+      y -= spaceBefore;
+    }
+    const lineHeight = size * LINE_HEIGHT;
+    wrapText(text, size, bold, PAGE_WIDTH - 2 * MARGIN - indent).forEach(line => {
+      if (y - lineHeight < MARGIN) {
+        newPage();
+      }
+      y -= lineHeight;
+      commands.push(
+        `BT /${bold ? 'F2' : 'F1'} ${size} Tf ${formatColor(color)} rg ${MARGIN + indent} ${y.toFixed(2)} Td (${escapePdfString(toWinAnsi(line))}) Tj ET`
+      );
+    });
+  });
+  return pages.map(pageCommands => pageCommands.join('\n'));
+};
+
+// Builds a PDF document from text blocks (see layoutPages) and returns its bytes
+export const buildPdf = (blocks, { title = '' } = {}) => {
+  const contents = layoutPages(blocks);
+  const objects = [];
+  const addObject = (body) => {
+    objects.push(body);
+    return objects.length;
+  };
+
+  const catalogId = addObject(null); // Filled in once the page tree exists
+  const pagesId = addObject(null);
+  const regularFontId = addObject('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+  const boldFontId = addObject('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+  const infoId = addObject(`<< /Title (${escapePdfString(toWinAnsi(title))}) /Producer (Collaborative Trip Planner) >>`);
+  const pageIds = contents.map(content => {
+    const contentId = addObject(`<< /Length ${content.length} >>\nstream\n${content}\nendstream`);
+    return addObject(
+      `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+      `/Resources << /Font << /F1 ${regularFontId} 0 R /F2 ${boldFontId} 0 R >> >> /Contents ${contentId} 0 R >>`
+    );
+  });
+  objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+  objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+  // Every character is one byte, so string lengths are byte offsets
+  let pdf = '%PDF-1.4\n';
+  const offsets = objects.map((body, index) => {
+    const offset = pdf.length;
+    pdf += `${index + 1} 0 obj\n${body}\nendobj\n`;
+    return offset;
+  });
+  const xrefOffset = pdf.length;
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+  return Uint8Array.from(pdf, char => char.charCodeAt(0));
+};
@@ -0,0 +1,31 @@
+import { buildPdf, wrapText } from './pdf';
+
+const toText = (bytes) => String.fromCharCode(...bytes);
+
+test('wraps text at spaces and splits words longer than a line', () => {
+  expect(wrapText('aaa bbb ccc', 10, false, 40)).toEqual(['aaa bbb', 'ccc']);
+  expect(wrapText('first\nsecond', 10, false, 200)).toEqual(['first', 'second']);
+  expect(wrapText('mmmmmmmmmm', 10, false, 30)).toEqual(['mmm', 'mmm', 'mmm', 'm']);
+});
+
+test('writes a cross-reference table pointing at every object', () => {
+  const pdf = toText(buildPdf([{ text: 'Hello (world)' }], { title: 'Trip' }));
+  const xrefOffset = Number(pdf.match(/startxref\n(\d+)/)[1]);
+  expect(pdf.slice(xrefOffset, xrefOffset + 4)).toBe('xref');
+
+  const offsets = pdf.slice(xrefOffset).match(/^(\d{10}) 00000 n $/gm).map(line => Number(line.slice(0, 10)));
+  offsets.forEach((offset, index) => {
+    expect(pdf.slice(offset).startsWith(`${index + 1} 0 obj`)).toBe(true);
+  });
+  expect(pdf).toContain('(Hello \\(world\\)) Tj');
+});
+
+test('encodes Latin characters as WinAnsi and replaces others', () => {
+  const pdf = toText(buildPdf([{ text: 'Café – 東京' }]));
+  expect(pdf).toContain(`(Café \u0096 ??) Tj`);
+});
+
+test('starts new pages on page breaks and when a page is full', () => {
+  expect(toText(buildPdf([{ text: 'One' }, { text: 'Two', pageBreakBefore: true }]))).toContain('/Count 2');
+  expect(toText(buildPdf(Array.from({ length: 80 }, (_, index) => ({ text: `Line ${index}` }))))).toContain('/Count 2');
+});
@@ -0,0 +1,101 @@
+import { generateId } from './ids';
+import { cleanLocation } from './locations';
+
+// Categories an itinerary item can belong to, with the Tailwind classes used to render them
+export const ITEM_CATEGORIES = {
+  transport: { label: 'Transport', badgeClass: 'bg-amber-100 text-amber-800', dotClass: 'bg-amber-500' },
+  lodging: { label: 'Lodging', badgeClass: 'bg-purple-100 text-purple-800', dotClass: 'bg-purple-500' },
+  food: { label: 'Food', badgeClass: 'bg-green-100 text-green-800', dotClass: 'bg-green-500' },
+  activity: { label: 'Activity', badgeClass: 'bg-blue-100 text-blue-800', dotClass: 'bg-blue-500' },
+};
+
+export const DEFAULT_CATEGORY = 'activity';
+
+// Items are confirmed unless marked as a proposal, an idea the group still votes on (see utils/proposals).
+// Only proposals store a `status`.
+export const ITEM_STATUSES = {
+  confirmed: { label: 'Confirmed' },
+  proposal: { label: 'Proposal' },
+};
+
+export const isProposal = (item) => item?.status === 'proposal';
+
+// Creates a new, empty itinerary item. Any provided fields override the defaults.
+export const createItem = (fields = {}) => ({
+  id: generateId(),
+  startTime: '',
+  endTime: '',
+  title: '',
+  notes: '',
+  category: DEFAULT_CATEGORY,
+  ...fields,
+});
+
+// Returns the ordered list of items for a plan document.
+// Documents written before items existed hold a single `{ title, description }` plan,
+// which is surfaced as one item so old days still display and migrate on the next save.
+export const getPlanItems = (plan) => {
+  if (!plan) return [];
+  if (Array.isArray(plan.items)) return plan.items;
+  if (plan.title || plan.description) {
+    return [createItem({ id: 'legacy', title: plan.title || '', notes: plan.description || '' })];
+  }
+  return [];
+};
+
+// True if the plan document has anything worth showing
+export const planHasContent = (plan) => getPlanItems(plan).length > 0;
+
+// True if an item has no user-entered content and can be dropped on save
+export const isBlankItem = (item) =>
+  !item.title?.trim() && !item.notes?.trim() && !item.startTime && !item.endTime && !cleanLocation(item.location);
+
+// Prepares a draft list for saving: drops blank items and trims text fields
+export const cleanItems = (items) =>
+  items
+    .filter(item => !isBlankItem(item))
+    .map(({ timeZone, endTimeZone, location, status, ...item }) => ({
+      ...item,
+      title: item.title.trim(),
+      notes: item.notes.trim(),
+      category: ITEM_CATEGORIES[item.category] ? item.category : DEFAULT_CATEGORY,
+      // Time zones are only stored when they differ from the trip's (see utils/timeZones)
+      ...(timeZone && { timeZone }),
+      ...(endTimeZone && endTimeZone !== timeZone && { endTimeZone }),
+      ...(cleanLocation(location) && { location: cleanLocation(location) }),
+      ...(status === 'proposal' && { status }),
+    }));
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Returns the first item whose end time is before its start time, if any.
+// `getDurationMinutes(item)` can compare times across time zones; by default they are compared as written.
+export const findInvalidTimeRange = (items, getDurationMinutes = (item) => toMinutes(item.endTime) - toMinutes(item.startTime)) =>
+  items.find(item => item.startTime && item.endTime && getDurationMinutes(item) < 0);
+
+// Returns a copy of items with the item at `fromIndex` moved to `toIndex`
+export const moveItem = (items, fromIndex, toIndex) => {
+  if (toIndex < 0 || toIndex >= items.length || fromIndex === toIndex) return items;
+  const next = [...items];
+  const [moved] = next.splice(fromIndex, 1);
+  next.splice(toIndex, 0, moved);
+  return next;
+};
+
+// Returns a copy of items ordered by start time; untimed items keep their relative order at the end
+export const sortItemsByTime = (items) => {
+  const timed = items.filter(item => item.startTime);
+  const untimed = items.filter(item => !item.startTime);
+  timed.sort((a, b) => a.startTime.localeCompare(b.startTime));
+  return [...timed, ...untimed];
+};
+
+// Formats an item's time span for display, e.g. "09:00–11:30", "22:00–06:10 (+1d)", "09:00" or "" if untimed
+export const formatTimeRange = (item) => {
+  if (item.startTime && item.endTime && item.endDayOffset) return `${item.startTime}–${item.endTime} (+${item.endDayOffset}d)`;
+  if (item.startTime && item.endTime) return `${item.startTime}–${item.endTime}`;
+  return item.startTime || item.endTime || '';
+};
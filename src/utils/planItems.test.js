@@ -0,0 +1,61 @@
+import {
+  createItem, getPlanItems, cleanItems, moveItem, sortItemsByTime, findInvalidTimeRange, formatTimeRange
+} from './planItems';
+
+test('surfaces a legacy single-plan document as one item', () => {
+  const items = getPlanItems({ title: 'Museum', description: 'Lunch at cafe' });
+  expect(items).toHaveLength(1);
+  expect(items[0]).toMatchObject({ title: 'Museum', notes: 'Lunch at cafe', category: 'activity' });
+});
+
+test('returns stored items as-is and nothing for empty plans', () => {
+  const stored = [createItem({ title: 'Ferry' })];
+  expect(getPlanItems({ items: stored })).toBe(stored);
+  expect(getPlanItems(undefined)).toEqual([]);
+  expect(getPlanItems({ title: '', description: '' })).toEqual([]);
+});
+
+test('cleanItems drops blank items and normalizes fields', () => {
+  const items = cleanItems([
+    createItem(),
+    createItem({ title: '  Hotel  ', category: 'unknown', location: { name: ' ', address: '' } }),
+    createItem({ location: { name: ' Castelo ', address: '', lat: 38.7139, lng: 200 } }),
+  ]);
+  expect(items).toHaveLength(2);
+  expect(items[0]).toMatchObject({ title: 'Hotel', category: 'activity' });
+  expect(items[0]).not.toHaveProperty('location');
+  // An item with only a place is kept; invalid coordinates are dropped
+  expect(items[1].location).toEqual({ name: 'Castelo', address: '' });
+});
+
+test('cleanItems only stores the status of proposals', () => {
+  const [proposal, confirmed] = cleanItems([
+    createItem({ title: 'Ferry', status: 'proposal' }),
+    createItem({ title: 'Flight', status: '' }),
+  ]);
+  expect(proposal.status).toBe('proposal');
+  expect(confirmed).not.toHaveProperty('status');
+});
+
+test('moveItem reorders and ignores out-of-range moves', () => {
+  const [a, b, c] = ['a', 'b', 'c'].map(id => createItem({ id }));
+  expect(moveItem([a, b, c], 2, 0).map(item => item.id)).toEqual(['c', 'a', 'b']);
+  const items = [a, b];
+  expect(moveItem(items, 0, -1)).toBe(items);
+});
+
+test('sortItemsByTime keeps untimed items at the end', () => {
+  const items = [
+    createItem({ id: 'untimed' }),
+    createItem({ id: 'late', startTime: '18:00' }),
+    createItem({ id: 'early', startTime: '08:30' }),
+  ];
+  expect(sortItemsByTime(items).map(item => item.id)).toEqual(['early', 'late', 'untimed']);
+});
+
+test('detects items ending before they start and formats time ranges', () => {
+  const bad = createItem({ startTime: '10:00', endTime: '09:00' });
+  expect(findInvalidTimeRange([createItem({ startTime: '09:00', endTime: '10:00' }), bad])).toBe(bad);
+  expect(formatTimeRange({ startTime: '09:00', endTime: '11:30' })).toBe('09:00–11:30');
+  expect(formatTimeRange({ startTime: '', endTime: '' })).toBe('');
+});
@@ -0,0 +1,111 @@
+import { getPlanItems } from './planItems';
+import { addDays, daysBetween, parseDateId } from './dates';
+import { itemListsEqual } from './conflicts';
+import { generateId } from './ids';
+
+// Rescheduling plans between days: moving, copying and swapping days or items, and shifting, duplicating
+// or deleting several days at once. Each operation returns the edits to write, { dateId: items }, for the
+// days it changes; an empty list deletes the day's plan. Items moved onto a day with a plan go after its items.
+
+// Copies of items with new IDs, so a copy can be edited apart from the original
+const copyItems = (items) => items.map(item => ({ ...item, id: generateId() }));
+
+// Applies edits on top of plans' items and returns the edits against the original plans,
+// leaving out days that end up as they were
+const collectEdits = (plans, buildEdits) => {
+  const itemsFor = (edits, dateId) => (dateId in edits ? edits[dateId] : getPlanItems(plans[dateId]));
+  const edits = buildEdits(itemsFor);
+  return Object.fromEntries(Object.entries(edits).filter(([dateId, items]) => !itemListsEqual(items, getPlanItems(plans[dateId]))));
+};
+
+// Moves (or with `copy`, copies) a day's items onto another day
+export const moveDay = (plans, fromId, toId, { copy = false } = {}) => {
+  if (fromId === toId) return {};
+  return collectEdits(plans, (itemsFor) => {
+    const moved = getPlanItems(plans[fromId]);
+    if (moved.length === 0) return {};
+    return {
+      [toId]: [...itemsFor({}, toId), ...(copy ? copyItems(moved) : moved)],
+      ...(!copy && { [fromId]: [] }),
+    };
+  });
+};
+
+// Swaps the items of two days
+export const swapDays = (plans, firstId, secondId) => {
+  if (firstId === secondId) return {};
+  return collectEdits(plans, () => ({
+    [firstId]: getPlanItems(plans[secondId]),
+    [secondId]: getPlanItems(plans[firstId]),
+  }));
+};
+
+// Day whose plan holds the item with `itemId`, or null
+export const findItemDay = (plans, itemId) =>
+  Object.keys(plans).find(dateId => getPlanItems(plans[dateId]).some(item => item.id === itemId)) || null;
+
+// Moves (or with `copy`, copies) one item, wherever it is, to the end of another day
+export const moveItemToDay = (plans, itemId, toId, { copy = false } = {}) => {
+  const fromId = findItemDay(plans, itemId);
+  if (!fromId || (fromId === toId && !copy)) return {};
+  return collectEdits(plans, (itemsFor) => {
+    const item = getPlanItems(plans[fromId]).find(candidate => candidate.id === itemId);
+    const edits = copy ? {} : { [fromId]: getPlanItems(plans[fromId]).filter(candidate => candidate.id !== itemId) };
+    edits[toId] = [...itemsFor(edits, toId), ...(copy ? copyItems([item]) : [item])];
+    return edits;
+  });
+};
+
+// Moves (or with `copy`, copies) the plans of the given days by `offset` days, keeping their order.
+// Days moved onto a day that isn't moving itself are added after its items.
+export const shiftDays = (plans, dateIds, offset, { copy = false } = {}) => {
+  if (!offset) return {};
+  const sourceIds = [...new Set(dateIds)].filter(dateId => getPlanItems(plans[dateId]).length > 0).sort();
+  return collectEdits(plans, (itemsFor) => {
+    const edits = {};
+    if (!copy) sourceIds.forEach(dateId => { edits[dateId] = []; });
+    sourceIds.forEach(dateId => {
+      const moved = getPlanItems(plans[dateId]);
+      const toId = addDays(dateId, offset);
+      edits[toId] = [...itemsFor(edits, toId), ...(copy ? copyItems(moved) : moved)];
+    });
+    return edits;
+  });
+};
+
+// Deletes the plans of the given days
+export const clearDays = (plans, dateIds) =>
+  collectEdits(plans, () => Object.fromEntries(dateIds.map(dateId => [dateId, []])));
+
+// The edits that bring the changed days back to how they are in `plans`
+export const getUndoEdits = (plans, edits) =>
+  Object.fromEntries(Object.keys(edits).map(dateId => [dateId, getPlanItems(plans[dateId])]));
+
+// Days whose plan is no longer what `edits` wrote, so undoing them would lose someone's changes
+export const getChangedSince = (plans, edits) =>
+  Object.keys(edits).filter(dateId => !itemListsEqual(getPlanItems(plans[dateId]), edits[dateId])).sort();
+
+// Every day from `fromId` to `toId`, inclusive and in either order
+export const getDateRange = (fromId, toId) => {
+  const [startId, endId] = fromId <= toId ? [fromId, toId] : [toId, fromId];
+  return Array.from({ length: daysBetween(startId, endId) + 1 }, (_, index) => addDays(startId, index));
+};
+
+const formatShortDate = (dateId) => parseDateId(dateId).toLocaleDateString('default', { month: 'short', day: 'numeric' });
+
+// Describes a reschedule for the undo notice, e.g. "Moved May 10 to May 12" or "Shifted 3 days by -1 day"
+export const describePlanMove = ({ type, fromId, toId, count, offset, copy }) => {
+  const days = count === 1 ? '1 day' : `${count} days`;
+  switch (type) {
+    case 'item':
+      return `${copy ? 'Copied' : 'Moved'} an item to ${formatShortDate(toId)}`;
+    case 'swap':
+      return `Swapped ${formatShortDate(fromId)} and ${formatShortDate(toId)}`;
+    case 'shift':
+      return `${copy ? 'Duplicated' : 'Shifted'} ${days} by ${offset > 0 ? '+' : ''}${offset} ${Math.abs(offset) === 1 ? 'day' : 'days'}`;
+    case 'delete':
+      return `Deleted ${days}`;
+    default:
+      return `${copy ? 'Copied' : 'Moved'} ${formatShortDate(fromId)} to ${formatShortDate(toId)}`;
+  }
+};
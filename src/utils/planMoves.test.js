@@ -0,0 +1,86 @@
+import {
+  moveDay, swapDays, findItemDay, moveItemToDay, shiftDays, clearDays, getUndoEdits, getChangedSince, getDateRange,
+  describePlanMove
+} from './planMoves';
+
+const item = (id, title = id) => ({ id, title, startTime: '', endTime: '', notes: '', category: 'activity' });
+const plans = {
+  '2030-05-10': { items: [item('tram'), item('museum')], version: 2 },
+  '2030-05-11': { items: [item('beach')], version: 1 },
+  '2030-05-12': { items: [item('fado')], version: 1 },
+};
+const ids = (edits) => Object.fromEntries(Object.entries(edits).map(([dateId, items]) => [dateId, items.map(({ id }) => id)]));
+const titles = (items) => items.map(({ title }) => title);
+
+test('moves a day onto another, after its items', () => {
+  expect(ids(moveDay(plans, '2030-05-10', '2030-05-11'))).toEqual({
+    '2030-05-11': ['beach', 'tram', 'museum'],
+    '2030-05-10': [],
+  });
+  expect(ids(moveDay(plans, '2030-05-12', '2030-05-14'))).toEqual({ '2030-05-14': ['fado'], '2030-05-12': [] });
+  expect(moveDay(plans, '2030-05-13', '2030-05-10')).toEqual({});
+  expect(moveDay(plans, '2030-05-10', '2030-05-10')).toEqual({});
+});
+
+test('copies a day with new item IDs', () => {
+  const edits = moveDay(plans, '2030-05-12', '2030-05-13', { copy: true });
+
+  expect(Object.keys(edits)).toEqual(['2030-05-13']);
+  expect(titles(edits['2030-05-13'])).toEqual(['fado']);
+  expect(edits['2030-05-13'][0].id).not.toBe('fado');
+});
+
+test('swaps two days', () => {
+  expect(ids(swapDays(plans, '2030-05-11', '2030-05-12'))).toEqual({ '2030-05-11': ['fado'], '2030-05-12': ['beach'] });
+  expect(ids(swapDays(plans, '2030-05-12', '2030-05-13'))).toEqual({ '2030-05-12': [], '2030-05-13': ['fado'] });
+});
+
+test('moves or copies a single item to another day', () => {
+  expect(findItemDay(plans, 'museum')).toBe('2030-05-10');
+  expect(findItemDay(plans, 'nope')).toBeNull();
+  expect(ids(moveItemToDay(plans, 'museum', '2030-05-12'))).toEqual({ '2030-05-10': ['tram'], '2030-05-12': ['fado', 'museum'] });
+  expect(titles(moveItemToDay(plans, 'museum', '2030-05-10', { copy: true })['2030-05-10'])).toEqual(['tram', 'museum', 'museum']);
+  expect(moveItemToDay(plans, 'museum', '2030-05-10')).toEqual({});
+});
+
+test('shifts days by an offset, including onto days that move too', () => {
+  expect(ids(shiftDays(plans, ['2030-05-11', '2030-05-12'], 1))).toEqual({
+    '2030-05-11': [],
+    '2030-05-12': ['beach'],
+    '2030-05-13': ['fado'],
+  });
+  // Shifting back lands the 11th on the 10th, which isn't moving, so it goes after the 10th's items
+  expect(ids(shiftDays(plans, ['2030-05-11', '2030-05-12'], -1))).toEqual({
+    '2030-05-10': ['tram', 'museum', 'beach'],
+    '2030-05-11': ['fado'],
+    '2030-05-12': [],
+  });
+  expect(shiftDays(plans, ['2030-05-11'], 0)).toEqual({});
+});
+
+test('duplicates days by an offset and deletes days', () => {
+  const edits = shiftDays(plans, ['2030-05-10', '2030-05-11', '2030-05-13'], 7, { copy: true });
+  expect(Object.keys(edits).sort()).toEqual(['2030-05-17', '2030-05-18']);
+  expect(titles(edits['2030-05-17'])).toEqual(['tram', 'museum']);
+
+  expect(clearDays(plans, ['2030-05-11', '2030-05-13'])).toEqual({ '2030-05-11': [] });
+});
+
+test('undoes edits unless the days changed since', () => {
+  const edits = moveDay(plans, '2030-05-10', '2030-05-11');
+  const undo = getUndoEdits(plans, edits);
+  expect(ids(undo)).toEqual({ '2030-05-11': ['beach'], '2030-05-10': ['tram', 'museum'] });
+
+  const after = { '2030-05-11': { items: edits['2030-05-11'] } };
+  expect(getChangedSince(after, edits)).toEqual([]);
+  expect(getChangedSince({ '2030-05-11': { items: [item('beach')] } }, edits)).toEqual(['2030-05-11']);
+});
+
+test('lists the days between two dates and describes moves', () => {
+  expect(getDateRange('2030-05-12', '2030-05-10')).toEqual(['2030-05-10', '2030-05-11', '2030-05-12']);
+  expect(describePlanMove({ type: 'day', fromId: '2030-05-10', toId: '2030-05-12' })).toBe('Moved May 10 to May 12');
+  expect(describePlanMove({ type: 'item', toId: '2030-05-12', copy: true })).toBe('Copied an item to May 12');
+  expect(describePlanMove({ type: 'shift', count: 3, offset: -1 })).toBe('Shifted 3 days by -1 day');
+  expect(describePlanMove({ type: 'shift', count: 1, offset: 7, copy: true })).toBe('Duplicated 1 day by +7 days');
+  expect(describePlanMove({ type: 'delete', count: 2 })).toBe('Deleted 2 days');
+});
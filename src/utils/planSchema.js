@@ -0,0 +1,128 @@
+import { ITEM_CATEGORIES, getPlanItems } from './planItems';
+import { hasCoordinates } from './locations';
+import { isValidTimeZone } from './timeZones';
+
+// The shape of plan documents (trips/{tripId}/plans/{dateId}). Every plan is checked against it before it
+// is written (see storage/planChanges), and firestore.rules enforces the same fields and item limit on the
+// server, so keep the two in step; rules-tests/ runs both against the same documents.
+
+// Every field a plan document has; any other field is rejected
+export const PLAN_FIELDS = ['items', 'lastUpdatedBy', 'timestamp', 'version'];
+
+export const MAX_PLAN_ITEMS = 100;
+
+// Longest text allowed in each item field. A revision holds a plan before and after a change, so a full
+// day has to fit in half of Firestore's 1 MiB document limit.
+export const ITEM_TEXT_LIMITS = {
+  id: 200,
+  title: 200,
+  notes: 2000,
+  timeZone: 64,
+  endTimeZone: 64,
+};
+
+export const LOCATION_TEXT_LIMITS = {
+  name: 200,
+  address: 500,
+};
+
+const ITEM_FIELDS = ['id', 'title', 'notes', 'startTime', 'endTime', 'category', 'status', 'timeZone', 'endTimeZone', 'location'];
+const LOCATION_FIELDS = ['name', 'address', 'lat', 'lng'];
+// Times are "HH:MM" (24-hour) or '' for no time
+const TIME_PATTERN = /^(([01]\d|2[0-3]):[0-5]\d)?$/;
+
+// Thrown before a write when a plan doesn't match the schema, with every problem found
+export class PlanValidationError extends Error {
+  constructor(dateId, problems) {
+    super(`The plan for ${dateId} can't be saved: ${problems.join(' ')}`);
+    this.name = 'PlanValidationError';
+    this.dateId = dateId;
+    this.problems = problems;
+  }
+}
+
+const isPlainObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+const isTimestamp = (value) => value instanceof Date || typeof value?.toDate === 'function';
+
+const findUnknownFields = (value, fields) => Object.keys(value).filter(key => !fields.includes(key));
+
+const validateText = (value, limit, label) => {
+  if (typeof value !== 'string') return [`${label} is not text.`];
+  if (value.length > limit) return [`${label} is longer than ${limit} characters.`];
+  return [];
+};
+
+const validateLocation = (location, where) => {
+  if (!isPlainObject(location)) return [`${where} has an invalid location.`];
+  const problems = findUnknownFields(location, LOCATION_FIELDS).map(key => `${where} has an unknown location field "${key}".`);
+  Object.entries(LOCATION_TEXT_LIMITS).forEach(([field, limit]) => {
+    if (location[field] !== undefined) problems.push(...validateText(location[field], limit, `The location ${field} of ${where.toLowerCase()}`));
+  });
+  if ((location.lat !== undefined || location.lng !== undefined) && !hasCoordinates(location)) {
+    problems.push(`${where} has invalid coordinates.`);
+  }
+  return problems;
+};
+
+// Returns the problems with one item of a plan ([] if it is valid); `where` names it in messages
+export const validateItem = (item, where) => {
+  if (!isPlainObject(item)) return [`${where} is not an object.`];
+  const problems = findUnknownFields(item, ITEM_FIELDS).map(key => `${where} has an unknown field "${key}".`);
+  if (!item.id) {
+    problems.push(`${where} has no ID.`);
+  }
+  Object.entries(ITEM_TEXT_LIMITS).forEach(([field, limit]) => {
+    if (item[field] !== undefined) problems.push(...validateText(item[field], limit, `The ${field} of ${where.toLowerCase()}`));
+  });
+  ['startTime', 'endTime'].forEach(field => {
+    if (item[field] !== undefined && !(typeof item[field] === 'string' && TIME_PATTERN.test(item[field]))) {
+      problems.push(`${where} has an invalid ${field}.`);
+    }
+  });
+  if (item.category !== undefined && !ITEM_CATEGORIES[item.category]) {
+    problems.push(`${where} has an unknown category "${item.category}".`);
+  }
+  // Confirmed items have no status (see cleanItems)
+  if (item.status !== undefined && item.status !== 'proposal') {
+    problems.push(`${where} has an unknown status "${item.status}".`);
+  }
+  ['timeZone', 'endTimeZone'].forEach(field => {
+    if (typeof item[field] === 'string' && !isValidTimeZone(item[field])) problems.push(`${where} has an unknown ${field}.`);
+  });
+  if (item.location !== undefined) {
+    problems.push(...validateLocation(item.location, where));
+  }
+  return problems;
+};
+
+// Returns the problems with a plan document about to be written by `userId` ([] if it can be written)
+export const validatePlanDocument = (plan, userId) => {
+  if (!isPlainObject(plan)) return ['The plan is not an object.'];
+  const problems = findUnknownFields(plan, PLAN_FIELDS).map(key => `The plan has an unknown field "${key}".`);
+  if (plan.lastUpdatedBy !== userId) {
+    problems.push('The plan must be credited to the signed-in user.');
+  }
+  if (!isTimestamp(plan.timestamp)) {
+    problems.push('The plan has no valid timestamp.');
+  }
+  if (!Number.isInteger(plan.version) || plan.version < 1) {
+    problems.push('The plan has no valid version.');
+  }
+  if (!Array.isArray(plan.items)) {
+    problems.push('The plan items are not a list.');
+  } else {
+    if (plan.items.length > MAX_PLAN_ITEMS) {
+      problems.push(`A day can have at most ${MAX_PLAN_ITEMS} items.`);
+    }
+    plan.items.forEach((item, index) => problems.push(...validateItem(item, `Item ${index + 1}`)));
+  }
+  return problems;
+};
+
+// Brings a plan from elsewhere (a backup, a revision, the pre-trips calendar) to the stored shape, credited
+// to `userId`: items only, with the single title and description of older documents turned into an item
+export const toPlanDocument = (plan, userId, now = new Date()) => ({
+  items: getPlanItems(plan),
+  lastUpdatedBy: userId,
+  timestamp: now,
+});
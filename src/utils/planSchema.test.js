@@ -0,0 +1,46 @@
+import { validatePlanDocument, validateItem, toPlanDocument, MAX_PLAN_ITEMS, ITEM_TEXT_LIMITS } from './planSchema';
+
+const timestamp = new Date('2025-06-01T10:00:00Z');
+const museum = {
+  id: 'a', title: 'Museum', notes: '', startTime: '09:00', endTime: '11:30', category: 'activity', status: 'proposal',
+  timeZone: 'Europe/Athens', location: { name: 'Archaeological Museum', address: 'Naxos', lat: 37.1, lng: 25.4 },
+};
+const plan = { items: [museum], lastUpdatedBy: 'u1', timestamp, version: 2 };
+
+test('accepts plans and items matching the schema', () => {
+  expect(validatePlanDocument(plan, 'u1')).toEqual([]);
+  expect(validatePlanDocument({ ...plan, items: [], timestamp: { toDate: () => timestamp } }, 'u1')).toEqual([]);
+});
+
+test('rejects plans credited to someone else, with unknown fields or too many items', () => {
+  expect(validatePlanDocument(plan, 'u2')).toEqual(['The plan must be credited to the signed-in user.']);
+  expect(validatePlanDocument({ ...plan, title: 'Old plan', version: undefined }, 'u1'))
+    .toEqual(['The plan has an unknown field "title".', 'The plan has no valid version.']);
+  const items = Array.from({ length: MAX_PLAN_ITEMS + 1 }, (_, index) => ({ ...museum, id: `i${index}` }));
+  expect(validatePlanDocument({ ...plan, items }, 'u1')).toEqual([`A day can have at most ${MAX_PLAN_ITEMS} items.`]);
+});
+
+test('reports each problem with an item', () => {
+  expect(validateItem({ ...museum, title: 'x'.repeat(ITEM_TEXT_LIMITS.title + 1), rating: 5 }, 'Item 1')).toEqual([
+    'Item 1 has an unknown field "rating".',
+    `The title of item 1 is longer than ${ITEM_TEXT_LIMITS.title} characters.`,
+  ]);
+  expect(validateItem({ id: '', startTime: '25:00', category: 'party', status: 'confirmed', timeZone: 'Mars/Base' }, 'Item 2')).toEqual([
+    'Item 2 has no ID.',
+    'Item 2 has an invalid startTime.',
+    'Item 2 has an unknown category "party".',
+    'Item 2 has an unknown status "confirmed".',
+    'Item 2 has an unknown timeZone.',
+  ]);
+  expect(validateItem({ id: 'b', location: { name: 7, lat: 200, lng: 0 } }, 'Item 3'))
+    .toEqual(['The location name of item 3 is not text.', 'Item 3 has invalid coordinates.']);
+});
+
+test('brings older and restored plans to the stored shape', () => {
+  const now = new Date('2025-07-01T12:00:00Z');
+  expect(toPlanDocument({ title: 'Old plan', description: 'Beach', lastUpdatedBy: 'u2', rating: 5 }, 'u1', now)).toEqual({
+    items: [expect.objectContaining({ id: 'legacy', title: 'Old plan', notes: 'Beach' })],
+    lastUpdatedBy: 'u1',
+    timestamp: now,
+  });
+});
@@ -0,0 +1,28 @@
+import { tripsCollectionPath } from './trips';
+import { toDate } from './dates';
+
+// Who has a trip open right now. Each member viewing it keeps a presence document, refreshed every
+// PRESENCE_HEARTBEAT_MS and removed when they leave; ones not refreshed within PRESENCE_TIMEOUT_MS
+// (a closed laptop, a lost connection) are ignored.
+
+// Firestore path of a trip's presence documents, one per user ID
+export const presenceCollectionPath = (appId, tripId) => `${tripsCollectionPath(appId)}/${tripId}/presence`;
+
+export const PRESENCE_HEARTBEAT_MS = 30 * 1000;
+export const PRESENCE_TIMEOUT_MS = 2 * 60 * 1000;
+
+// Presence document for a user with the day `dateId` open, or just the calendar ('')
+export const buildPresence = (dateId, now = new Date()) => ({ dateId: dateId || '', lastSeen: now });
+
+// The other users viewing the trip: [{ id, dateId, lastSeen }], leaving out `userId` and stale documents
+export const getActiveViewers = (presence, userId, now = new Date()) =>
+  presence.filter(viewer => viewer.id !== userId && now - (toDate(viewer.lastSeen)?.getTime() || 0) <= PRESENCE_TIMEOUT_MS);
+
+// User IDs of viewers with a day open, by day: { dateId: [userId] }
+export const getDayViewers = (viewers) => {
+  const byDate = {};
+  viewers.filter(viewer => viewer.dateId).forEach(viewer => {
+    byDate[viewer.dateId] = [...(byDate[viewer.dateId] || []), viewer.id];
+  });
+  return byDate;
+};
@@ -0,0 +1,14 @@
+import { buildPresence, getActiveViewers, getDayViewers, PRESENCE_TIMEOUT_MS } from './presence';
+
+test('lists other recent viewers and the days they have open', () => {
+  const now = new Date('2025-06-14T10:00:00Z');
+  const presence = [
+    { id: 'me', ...buildPresence('2025-06-14', now) },
+    { id: 'alex', ...buildPresence('2025-06-14', now) },
+    { id: 'sam', ...buildPresence('', now) },
+    { id: 'kim', ...buildPresence('2025-06-15', new Date(now.getTime() - PRESENCE_TIMEOUT_MS - 1)) },
+  ];
+  const viewers = getActiveViewers(presence, 'me', now);
+  expect(viewers.map(viewer => viewer.id)).toEqual(['alex', 'sam']);
+  expect(getDayViewers(viewers)).toEqual({ '2025-06-14': ['alex'] });
+});
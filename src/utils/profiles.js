@@ -0,0 +1,78 @@
+import { generateId } from './ids';
+import { toDate } from './dates';
+
+// How long an invite link stays valid after it is created
+export const INVITE_TTL_DAYS = 7;
+
+// URL query parameter carrying an invite token
+export const INVITE_PARAM = 'invite';
+
+// Firestore allows at most 30 values in an `in` query
+export const MAX_IN_QUERY_VALUES = 30;
+
+// Firestore paths for user profiles and trip invites
+export const profilesCollectionPath = (appId) => `artifacts/${appId}/public/data/profiles`;
+export const invitesCollectionPath = (appId) => `artifacts/${appId}/public/data/invites`;
+
+// Background colors for generated avatars. Full class names are listed so Tailwind keeps them in the build.
+const AVATAR_COLORS = ['bg-rose-500', 'bg-amber-500', 'bg-emerald-500', 'bg-sky-500', 'bg-indigo-500', 'bg-fuchsia-500'];
+
+// Picks a stable avatar color for a user ID
+export const getAvatarColorClass = (userId = '') => {
+  let hash = 0;
+  for (const char of userId) {
+    hash = (hash * 31 + char.charCodeAt(0)) % 997;
+  }
+  return AVATAR_COLORS[hash % AVATAR_COLORS.length];
+};
+
+// Returns up to two initials for a display name, e.g. "Alex Smith" -> "AS"
+export const getInitials = (name) =>
+  (name || '?')
+    .trim()
+    .split(/\s+/)
+    .slice(0, 2)
+    .map(part => part[0]?.toUpperCase() || '')
+    .join('') || '?';
+
+// Returns the name to show for a user, falling back to a short form of their ID
+export const getDisplayName = (profiles, userId) => {
+  if (!userId) return 'Unknown';
+  return profiles[userId]?.displayName || `Guest ${userId.slice(0, 6)}`;
+};
+
+// Picks the fields of a Firebase user the UI needs
+export const toAuthUser = (user) => ({
+  uid: user.uid,
+  isAnonymous: user.isAnonymous,
+  email: user.email || null,
+});
+
+// Builds the invite document for a trip, expiring INVITE_TTL_DAYS from `now`
+export const buildInvite = (trip, role, createdBy, now = new Date()) => ({
+  token: generateId(),
+  tripId: trip.id,
+  tripName: trip.name,
+  role,
+  createdBy,
+  createdAt: now,
+  expiresAt: new Date(now.getTime() + INVITE_TTL_DAYS * 24 * 60 * 60 * 1000),
+});
+
+export const isInviteExpired = (invite, now = new Date()) => {
+  const expiresAt = toDate(invite.expiresAt);
+  return !expiresAt || expiresAt <= now;
+};
+
+// Builds the shareable link for an invite token, relative to the current page
+export const buildInviteLink = (token, location = window.location) =>
+  `${location.origin}${location.pathname}?${INVITE_PARAM}=${encodeURIComponent(token)}`;
+
+// Splits a list into chunks of at most `size` values
+export const chunk = (values, size) => {
+  const chunks = [];
+  for (let i = 0; i < values.length; i += size) {
+    chunks.push(values.slice(i, i + size));
+  }
+  return chunks;
+};
@@ -0,0 +1,28 @@
+import { getInitials, getDisplayName, buildInvite, isInviteExpired, buildInviteLink, chunk } from './profiles';
+
+test('derives initials and display names', () => {
+  expect(getInitials('Alex  Smith Jones')).toBe('AS');
+  expect(getInitials('')).toBe('?');
+  expect(getDisplayName({ u1: { displayName: 'Sam' } }, 'u1')).toBe('Sam');
+  expect(getDisplayName({}, 'abcdef123')).toBe('Guest abcdef');
+  expect(getDisplayName({}, null)).toBe('Unknown');
+});
+
+test('invites expire after their time-to-live', () => {
+  const now = new Date('2025-06-01T12:00:00Z');
+  const invite = buildInvite({ id: 'trip1', name: 'Summer' }, 'viewer', 'alice', now);
+  expect(invite).toMatchObject({ tripId: 'trip1', tripName: 'Summer', role: 'viewer', createdBy: 'alice' });
+  expect(isInviteExpired(invite, new Date('2025-06-07T12:00:00Z'))).toBe(false);
+  expect(isInviteExpired(invite, new Date('2025-06-08T12:00:00Z'))).toBe(true);
+  expect(isInviteExpired({}, now)).toBe(true);
+});
+
+test('builds invite links on the current page', () => {
+  const link = buildInviteLink('a b', { origin: 'https://trips.example', pathname: '/planner' });
+  expect(link).toBe('https://trips.example/planner?invite=a%20b');
+});
+
+test('chunks lists for batched queries', () => {
+  expect(chunk([1, 2, 3, 4, 5], 2)).toEqual([[1, 2], [3, 4], [5]]);
+  expect(chunk([], 30)).toEqual([]);
+});
@@ -0,0 +1,70 @@
+import { tripsCollectionPath } from './trips';
+import { getPlanItems, isProposal } from './planItems';
+
+// Proposals: items marked `status: 'proposal'` (see utils/planItems) that members vote on before the trip's
+// organizer confirms one. Proposals starting at the same time on the same day are alternatives for one slot.
+// Each vote is its own document, one per member and item, so voting never touches the day's plan.
+
+// Firestore path of a trip's votes
+export const votesCollectionPath = (appId, tripId) => `${tripsCollectionPath(appId)}/${tripId}/votes`;
+
+// ID of a member's vote on an item, so voting again replaces it
+export const getVoteId = (itemId, userId) => `${itemId}_${userId}`;
+
+// Builds a vote document: `value` is 1 for an upvote, -1 for a downvote
+export const buildVote = (dateId, itemId, value, userId, now = new Date()) => ({ dateId, itemId, userId, value, votedAt: now });
+
+// Counts votes by item: { itemId: { up, down, score, mine } }, `mine` being the value of `userId`'s vote or 0
+export const tallyVotes = (votes, userId) => {
+  const tallies = {};
+  votes.forEach(vote => {
+    const tally = tallies[vote.itemId] || { up: 0, down: 0, score: 0, mine: 0 };
+    tallies[vote.itemId] = {
+      up: tally.up + (vote.value > 0 ? 1 : 0),
+      down: tally.down + (vote.value < 0 ? 1 : 0),
+      score: tally.score + Math.sign(vote.value),
+      mine: vote.userId === userId ? Math.sign(vote.value) : tally.mine,
+    };
+  });
+  return tallies;
+};
+
+// A day's proposals grouped by slot, in time order (untimed last): [{ startTime, items }]
+export const getProposalSlots = (items) => {
+  const slots = [];
+  items.filter(isProposal).forEach(item => {
+    const slot = slots.find(({ startTime }) => startTime === (item.startTime || ''));
+    if (slot) {
+      slot.items.push(item);
+    } else {
+      slots.push({ startTime: item.startTime || '', items: [item] });
+    }
+  });
+  return slots.sort((a, b) => (a.startTime || '99:99').localeCompare(b.startTime || '99:99'));
+};
+
+// The best-scored of a slot's alternatives, or null while none has more votes than the others
+export const getLeadingProposal = (slot, tallies) => {
+  const scored = slot.items.map(item => ({ item, score: tallies[item.id]?.score || 0 })).sort((a, b) => b.score - a.score);
+  if (scored.length === 0 || scored[0].score <= 0 || scored[0].score === scored[1]?.score) return null;
+  return scored[0].item;
+};
+
+// The day's items once the proposal `itemId` is confirmed: the other alternatives for its slot are dropped
+export const promoteProposal = (items, itemId) => {
+  const promoted = items.find(item => item.id === itemId);
+  if (!isProposal(promoted)) return items;
+  const slotTime = promoted.startTime || '';
+  return items
+    .filter(item => item.id === itemId || !isProposal(item) || (item.startTime || '') !== slotTime)
+    .map(item => {
+      if (item.id !== itemId) return item;
+      const { status, ...confirmed } = item;
+      return confirmed;
+    });
+};
+
+// Copies plans keeping only confirmed items; days left with only proposals are left out
+export const withoutProposals = (plans) => Object.fromEntries(Object.entries(plans)
+  .map(([dateId, plan]) => [dateId, { ...plan, items: getPlanItems(plan).filter(item => !isProposal(item)) }])
+  .filter(([, plan]) => plan.items.length > 0));
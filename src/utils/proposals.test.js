@@ -0,0 +1,38 @@
+import { tallyVotes, getProposalSlots, getLeadingProposal, promoteProposal, withoutProposals } from './proposals';
+
+const ferry = { id: 'a', title: 'Ferry', startTime: '09:00', status: 'proposal' };
+const flight = { id: 'b', title: 'Flight', startTime: '09:00', status: 'proposal' };
+const dinner = { id: 'c', title: 'Dinner', startTime: '', status: 'proposal' };
+const museum = { id: 'd', title: 'Museum', startTime: '09:00' };
+
+test('counts up and down votes per item, with the member\'s own vote', () => {
+  const votes = [
+    { itemId: 'a', userId: 'u1', value: 1 },
+    { itemId: 'a', userId: 'u2', value: 1 },
+    { itemId: 'b', userId: 'u1', value: -1 },
+  ];
+  expect(tallyVotes(votes, 'u1')).toEqual({
+    a: { up: 2, down: 0, score: 2, mine: 1 },
+    b: { up: 0, down: 1, score: -1, mine: -1 },
+  });
+});
+
+test('groups proposals starting at the same time into slots and finds the leading one', () => {
+  const slots = getProposalSlots([dinner, museum, ferry, flight]);
+  expect(slots.map(slot => [slot.startTime, slot.items.map(item => item.id)])).toEqual([['09:00', ['a', 'b']], ['', ['c']]]);
+  expect(getLeadingProposal(slots[0], { a: { score: 2 }, b: { score: 1 } })).toBe(ferry);
+  // A tie or no upvotes leaves the slot open
+  expect(getLeadingProposal(slots[0], { a: { score: 1 }, b: { score: 1 } })).toBeNull();
+  expect(getLeadingProposal(slots[1], {})).toBeNull();
+});
+
+test('confirms a proposal and drops the other alternatives for its slot', () => {
+  expect(promoteProposal([museum, ferry, flight, dinner], 'b')).toEqual([museum, { id: 'b', title: 'Flight', startTime: '09:00' }, dinner]);
+  const items = [museum];
+  expect(promoteProposal(items, 'd')).toBe(items);
+});
+
+test('removes proposals from plans, leaving out days with nothing confirmed', () => {
+  expect(withoutProposals({ '2025-06-14': { items: [museum, ferry] }, '2025-06-15': { items: [dinner] } }))
+    .toEqual({ '2025-06-14': { items: [museum] } });
+});
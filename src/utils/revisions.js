@@ -0,0 +1,103 @@
+import { getPlanItems, formatTimeRange, ITEM_CATEGORIES, ITEM_STATUSES } from './planItems';
+import { tripsCollectionPath } from './trips';
+import { toDate } from './dates';
+import { locationsEqual, formatLocation } from './locations';
+
+// How far back the "Recently Deleted" list looks
+export const RECENTLY_DELETED_DAYS = 30;
+
+// Firestore path of the revision log kept for each trip
+export const revisionsCollectionPath = (appId, tripId) => `${tripsCollectionPath(appId)}/${tripId}/revisions`;
+
+// Builds a revision document recording a change to the plan for `dateId`.
+// `before` and `after` are full plan documents, or null when the day had no plan.
+export const buildRevision = ({ dateId, action, before, after, userId, now = new Date() }) => ({
+  dateId,
+  action,
+  before: before || null,
+  after: after || null,
+  userId,
+  timestamp: now,
+});
+
+// Sorts revisions newest first (revision timestamps may be Firestore Timestamps)
+export const sortRevisions = (revisions) =>
+  [...revisions].sort((a, b) => (toDate(b.timestamp)?.getTime() || 0) - (toDate(a.timestamp)?.getTime() || 0));
+
+// The plan document a revision can be restored to: the result of a save, or what a delete removed
+export const getRestorablePlan = (revision) => revision.after || revision.before;
+
+// Returns the most recent delete of each day that still has no plan, within RECENTLY_DELETED_DAYS of `now`
+export const getRecentlyDeleted = (revisions, plans, now = new Date()) => {
+  const cutoff = now.getTime() - RECENTLY_DELETED_DAYS * 24 * 60 * 60 * 1000;
+  const latestByDate = {};
+  sortRevisions(revisions).forEach(revision => {
+    if (!latestByDate[revision.dateId]) latestByDate[revision.dateId] = revision;
+  });
+  return Object.values(latestByDate).filter(revision =>
+    revision.action === 'delete' &&
+    !plans[revision.dateId] &&
+    (toDate(revision.timestamp)?.getTime() || 0) >= cutoff
+  );
+};
+
+const describeItem = (item) => {
+  const time = formatTimeRange(item);
+  return `"${item.title || 'Untitled'}"${time ? ` (${time})` : ''}`;
+};
+
+const FIELD_LABELS = {
+  title: 'title',
+  notes: 'notes',
+  startTime: 'start time',
+  endTime: 'end time',
+  category: 'category',
+  status: 'status',
+};
+
+const formatFieldValue = (field, value) => {
+  if (field === 'category') return ITEM_CATEGORIES[value]?.label || value;
+  if (field === 'status') return (ITEM_STATUSES[value] || ITEM_STATUSES.confirmed).label;
+  return value ? `"${value}"` : 'empty';
+};
+
+// Compares two plan documents item by item and returns human-readable changes:
+// [{ type: 'added' | 'removed' | 'changed' | 'reordered', text }]
+export const diffPlans = (before, after) => {
+  const beforeItems = getPlanItems(before);
+  const afterItems = getPlanItems(after);
+  const beforeById = Object.fromEntries(beforeItems.map(item => [item.id, item]));
+  const afterById = Object.fromEntries(afterItems.map(item => [item.id, item]));
+  const changes = [];
+
+  afterItems.forEach(item => {
+    const previous = beforeById[item.id];
+    if (!previous) {
+      changes.push({ type: 'added', text: `Added ${describeItem(item)}` });
+      return;
+    }
+    const fieldChanges = Object.keys(FIELD_LABELS)
+      .filter(field => (previous[field] || '') !== (item[field] || ''))
+      .map(field => `${FIELD_LABELS[field]} ${formatFieldValue(field, previous[field])} → ${formatFieldValue(field, item[field])}`);
+    if (!locationsEqual(previous.location, item.location)) {
+      fieldChanges.push(`location ${formatFieldValue('location', formatLocation(previous.location))} → ${formatFieldValue('location', formatLocation(item.location))}`);
+    }
+    if (fieldChanges.length > 0) {
+      changes.push({ type: 'changed', text: `Changed "${previous.title || 'Untitled'}": ${fieldChanges.join(', ')}` });
+    }
+  });
+
+  beforeItems.forEach(item => {
+    if (!afterById[item.id]) {
+      changes.push({ type: 'removed', text: `Removed ${describeItem(item)}` });
+    }
+  });
+
+  const keptBefore = beforeItems.filter(item => afterById[item.id]).map(item => item.id);
+  const keptAfter = afterItems.filter(item => beforeById[item.id]).map(item => item.id);
+  if (keptBefore.join() !== keptAfter.join()) {
+    changes.push({ type: 'reordered', text: 'Reordered items' });
+  }
+
+  return changes;
+};
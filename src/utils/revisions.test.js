@@ -0,0 +1,33 @@
+import { buildRevision, sortRevisions, getRestorablePlan, getRecentlyDeleted, diffPlans } from './revisions';
+
+const museum = { id: 'a', title: 'Museum', notes: '', startTime: '09:00', endTime: '', category: 'activity' };
+const lunch = { id: 'b', title: 'Lunch', notes: '', startTime: '12:00', endTime: '', category: 'food' };
+
+test('describes added, removed, changed and reordered items', () => {
+  expect(diffPlans(null, { items: [museum] })).toEqual([{ type: 'added', text: 'Added "Museum" (09:00)' }]);
+  expect(diffPlans({ items: [museum, lunch] }, { items: [lunch] })).toEqual([{ type: 'removed', text: 'Removed "Museum" (09:00)' }]);
+  expect(diffPlans({ items: [museum] }, { items: [{ ...museum, startTime: '10:00', category: 'food' }] })).toEqual([
+    { type: 'changed', text: 'Changed "Museum": start time "09:00" → "10:00", category Activity → Food' },
+  ]);
+  expect(diffPlans({ items: [museum, lunch] }, { items: [lunch, museum] })).toEqual([{ type: 'reordered', text: 'Reordered items' }]);
+});
+
+test('restores the saved version, or what a delete removed', () => {
+  const saved = buildRevision({ dateId: '2025-06-14', action: 'save', before: null, after: { items: [museum] }, userId: 'u1' });
+  const deleted = buildRevision({ dateId: '2025-06-14', action: 'delete', before: { items: [lunch] }, after: null, userId: 'u1' });
+  expect(getRestorablePlan(saved)).toEqual({ items: [museum] });
+  expect(getRestorablePlan(deleted)).toEqual({ items: [lunch] });
+});
+
+test('lists recent deletes of days that are still empty, newest first', () => {
+  const now = new Date('2025-06-30T00:00:00Z');
+  const revisions = [
+    { id: '1', dateId: '2025-06-14', action: 'delete', timestamp: new Date('2025-06-20T00:00:00Z') },
+    { id: '2', dateId: '2025-06-15', action: 'delete', timestamp: new Date('2025-06-25T00:00:00Z') },
+    { id: '3', dateId: '2025-06-16', action: 'delete', timestamp: new Date('2025-06-26T00:00:00Z') },
+    { id: '4', dateId: '2025-05-01', action: 'delete', timestamp: new Date('2025-05-01T00:00:00Z') },
+  ];
+  const plans = { '2025-06-16': { items: [lunch] } };
+  expect(getRecentlyDeleted(revisions, plans, now).map(revision => revision.id)).toEqual(['2', '1']);
+  expect(sortRevisions(revisions)[0].id).toBe('3');
+});
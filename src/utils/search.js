@@ -0,0 +1,117 @@
+import { ITEM_CATEGORIES, getPlanItems } from './planItems';
+import { formatLocation } from './locations';
+import { getDisplayName } from './profiles';
+
+// Full-text search and filters over a trip's plans
+
+// Characters of context shown on each side of a match
+const SNIPPET_CONTEXT = 30;
+
+// Maximum number of matching days listed by default
+export const MAX_SEARCH_RESULTS = 50;
+
+// Item text the search looks at. New searchable fields only need an entry here:
+// `getText(item, plan, profiles)` returns the text to search ('' if the item has none).
+export const SEARCH_FIELDS = [
+  { id: 'title', label: 'Title', getText: (item) => item.title || '' },
+  { id: 'notes', label: 'Notes', getText: (item) => item.notes || '' },
+  { id: 'location', label: 'Location', getText: (item) => formatLocation(item.location) },
+  { id: 'category', label: 'Category', getText: (item) => ITEM_CATEGORIES[item.category]?.label || '' },
+  { id: 'author', label: 'Updated by', getText: (item, plan, profiles) => (plan.lastUpdatedBy ? getDisplayName(profiles, plan.lastUpdatedBy) : '') },
+];
+
+export const EMPTY_FILTERS = { authorId: '', category: '', startDateId: '', endDateId: '' };
+
+// Lower-cased with accents removed, so "sao" finds "São"
+export const normalizeText = (text) => text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+
+// Splits a query into normalized words
+export const getSearchTerms = (query) => normalizeText(query || '').split(/\s+/).filter(Boolean);
+
+// Cuts a snippet around a match: { before, match, after }, with "…" where the text was shortened
+export const buildSnippet = (text, index, length) => {
+  const start = Math.max(0, index - SNIPPET_CONTEXT);
+  const end = Math.min(text.length, index + length + SNIPPET_CONTEXT);
+  return {
+    before: `${start > 0 ? '…' : ''}${text.slice(start, index)}`.replace(/\s+/g, ' '),
+    match: text.slice(index, index + length),
+    after: `${text.slice(index + length, end)}${end < text.length ? '…' : ''}`.replace(/\s+/g, ' '),
+  };
+};
+
+// Searches one item. It matches when every term appears in at least one of its fields; returns
+// [{ field, label, snippet }] for the fields containing a term, or null when the item doesn't match.
+const searchItem = (item, plan, terms, profiles) => {
+  const fields = SEARCH_FIELDS
+    .map(field => {
+      const text = field.getText(item, plan, profiles);
+      // NFC keeps precomposed accents as one character, so positions line up with the normalized text
+      return { field, text: text.normalize('NFC'), normalized: normalizeText(text.normalize('NFC')) };
+    })
+    .filter(({ text }) => text);
+  if (!terms.every(term => fields.some(({ normalized }) => normalized.includes(term)))) return null;
+
+  return fields.flatMap(({ field, text, normalized }) => {
+    const term = terms.find(candidate => normalized.includes(candidate));
+    if (!term) return [];
+    // Positions only line up when normalizing kept the length, which a few letters (e.g. "İ") don't
+    const snippet = normalized.length === text.length
+      ? buildSnippet(text, normalized.indexOf(term), term.length)
+      : buildSnippet(text, 0, 0);
+    return [{ field: field.id, label: field.label, snippet }];
+  });
+};
+
+// True if any filter is set
+export const hasActiveFilters = (filters) => Object.values(filters || {}).some(Boolean);
+
+// True if a day passes the filters: within the date range, last updated by the author, and with an
+// item of the category. Days without a plan only pass a date range filter.
+export const dayMatchesFilters = (dateId, plan, filters) => {
+  if (filters.startDateId && dateId < filters.startDateId) return false;
+  if (filters.endDateId && dateId > filters.endDateId) return false;
+  if (filters.authorId && plan?.lastUpdatedBy !== filters.authorId) return false;
+  if (filters.category && !getPlanItems(plan).some(item => item.category === filters.category)) return false;
+  return true;
+};
+
+// Days whose plans match the query and pass the filters, in date order:
+// [{ dateId, matches: [{ itemId, title, field, label, snippet }] }]
+export const searchPlans = (plans, query, { filters = EMPTY_FILTERS, profiles = {}, limit = MAX_SEARCH_RESULTS } = {}) => {
+  const terms = getSearchTerms(query);
+  if (terms.length === 0) return [];
+
+  return Object.keys(plans)
+    .sort()
+    .filter(dateId => dayMatchesFilters(dateId, plans[dateId], filters))
+    .map(dateId => {
+      const plan = plans[dateId];
+      const matches = getPlanItems(plan)
+        .filter(item => !filters.category || item.category === filters.category)
+        .flatMap(item => (searchItem(item, plan, terms, profiles) || []).map(match => ({
+          itemId: item.id,
+          title: item.title || 'Untitled',
+          ...match,
+        })));
+      return { dateId, matches };
+    })
+    .filter(result => result.matches.length > 0)
+    .slice(0, limit);
+};
+
+// Tells the calendar which days to highlight while searching or filtering: a function of a date ID,
+// or null when neither is active so that nothing is dimmed. With a query only days with results match.
+export const getDayMatcher = (plans, query, filters, profiles = {}) => {
+  if (getSearchTerms(query).length > 0) {
+    const dateIds = new Set(searchPlans(plans, query, { filters, profiles, limit: Infinity }).map(result => result.dateId));
+    return (dateId) => dateIds.has(dateId);
+  }
+  if (hasActiveFilters(filters)) {
+    return (dateId) => dayMatchesFilters(dateId, plans[dateId], filters);
+  }
+  return null;
+};
+
+// Users who last updated a day of the trip, for the author filter
+export const getPlanAuthors = (plans) =>
+  [...new Set(Object.values(plans).map(plan => plan.lastUpdatedBy).filter(Boolean))].sort();
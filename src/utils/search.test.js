@@ -0,0 +1,84 @@
+import {
+  normalizeText, getSearchTerms, buildSnippet, searchPlans, dayMatchesFilters, getDayMatcher, getPlanAuthors, EMPTY_FILTERS
+} from './search';
+
+const plans = {
+  '2030-05-10': {
+    lastUpdatedBy: 'ana',
+    items: [
+      { id: 'a', title: 'Flight to Lisbon', notes: 'Terminal 2, bag drop opens three hours before departure at the main hall', category: 'transport' },
+      { id: 'b', title: 'Check in', notes: '', category: 'lodging', location: { name: 'Hotel Avenida' } },
+    ],
+  },
+  '2030-05-11': {
+    lastUpdatedBy: 'ben',
+    items: [
+      { id: 'c', title: 'Castelo de São Jorge', notes: 'Tram 28 up the hill', category: 'activity' },
+      { id: 'd', title: 'Dinner', notes: 'Fado in Alfama', category: 'food' },
+    ],
+  },
+  '2030-05-12': { lastUpdatedBy: 'ana', title: 'Old plan', description: 'Written before items' },
+};
+
+const profiles = { ana: { displayName: 'Ana Lima' }, ben: { displayName: 'Ben Ode' } };
+
+test('normalizes text and queries without case or accents', () => {
+  expect(normalizeText('São Jorge')).toBe('sao jorge');
+  expect(getSearchTerms('  Castelo   SÃO ')).toEqual(['castelo', 'sao']);
+  expect(getSearchTerms('')).toEqual([]);
+});
+
+test('cuts a snippet around the match', () => {
+  const text = 'Terminal 2, the bag drop\nopens three hours before departure at the main hall';
+  expect(buildSnippet(text, text.indexOf('three'), 5)).toEqual({
+    before: '…erminal 2, the bag drop opens ',
+    match: 'three',
+    after: ' hours before departure at the…',
+  });
+  expect(buildSnippet('Tram 28', 0, 4)).toEqual({ before: '', match: 'Tram', after: ' 28' });
+});
+
+test('finds days whose items contain every term, across fields', () => {
+  const results = searchPlans(plans, 'sao tram', { profiles });
+  expect(results).toHaveLength(1);
+  expect(results[0].dateId).toBe('2030-05-11');
+  expect(results[0].matches).toEqual([
+    { itemId: 'c', title: 'Castelo de São Jorge', field: 'title', label: 'Title', snippet: { before: 'Castelo de ', match: 'São', after: ' Jorge' } },
+    { itemId: 'c', title: 'Castelo de São Jorge', field: 'notes', label: 'Notes', snippet: { before: '', match: 'Tram', after: ' 28 up the hill' } },
+  ]);
+
+  expect(searchPlans(plans, 'avenida').map(result => result.matches[0].field)).toEqual(['location']);
+  expect(searchPlans(plans, 'lodging').map(result => result.dateId)).toEqual(['2030-05-10']);
+  expect(searchPlans(plans, 'before items').map(result => result.dateId)).toEqual(['2030-05-12']);
+  expect(searchPlans(plans, 'ben', { profiles }).map(result => result.dateId)).toEqual(['2030-05-11']);
+  expect(searchPlans(plans, 'tram museum')).toEqual([]);
+  expect(searchPlans(plans, '   ')).toEqual([]);
+  expect(searchPlans(plans, 'a', { limit: 2 })).toHaveLength(2);
+});
+
+test('applies author, category and date range filters', () => {
+  expect(dayMatchesFilters('2030-05-11', plans['2030-05-11'], { ...EMPTY_FILTERS, authorId: 'ana' })).toBe(false);
+  expect(dayMatchesFilters('2030-05-11', plans['2030-05-11'], { ...EMPTY_FILTERS, category: 'food' })).toBe(true);
+  expect(dayMatchesFilters('2030-05-13', undefined, { ...EMPTY_FILTERS, endDateId: '2030-05-12' })).toBe(false);
+  expect(dayMatchesFilters('2030-05-13', undefined, { ...EMPTY_FILTERS, startDateId: '2030-05-11' })).toBe(true);
+
+  const filters = { ...EMPTY_FILTERS, authorId: 'ana', startDateId: '2030-05-11' };
+  expect(searchPlans(plans, 'plan', { filters }).map(result => result.dateId)).toEqual(['2030-05-12']);
+  // A category filter also limits which items of a day are searched
+  expect(searchPlans(plans, 'in', { filters: { ...EMPTY_FILTERS, category: 'lodging' } })[0].matches.map(match => match.itemId))
+    .toEqual(['b', 'b']);
+});
+
+test('tells the calendar which days match, or null when nothing is active', () => {
+  expect(getDayMatcher(plans, '', EMPTY_FILTERS)).toBeNull();
+
+  const byQuery = getDayMatcher(plans, 'fado', EMPTY_FILTERS);
+  expect(['2030-05-10', '2030-05-11', '2030-05-12'].map(byQuery)).toEqual([false, true, false]);
+
+  const byFilter = getDayMatcher(plans, '', { ...EMPTY_FILTERS, authorId: 'ana' });
+  expect(['2030-05-10', '2030-05-11', '2030-05-13'].map(byFilter)).toEqual([true, false, false]);
+});
+
+test('lists the authors of a trip\'s days', () => {
+  expect(getPlanAuthors(plans)).toEqual(['ana', 'ben']);
+});
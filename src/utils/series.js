@@ -0,0 +1,156 @@
+import { tripsCollectionPath } from './trips';
+import { ITEM_CATEGORIES, DEFAULT_CATEGORY, getPlanItems, sortItemsByTime } from './planItems';
+import { addDays, daysBetween, isValidDateId } from './dates';
+import { cleanLocation } from './locations';
+
+// Entries that cover several days: a span (a hotel stay or car rental, shown as one bar across the days)
+// or a repeat (breakfast every day, a call every other evening). Each is one document, expanded into an
+// occurrence per day for display; `exceptions` change or skip single days.
+
+// Firestore path of a trip's multi-day and repeating entries
+export const seriesCollectionPath = (appId, tripId) => `${tripsCollectionPath(appId)}/${tripId}/series`;
+
+export const SERIES_KINDS = {
+  span: { label: 'Multi-day (e.g. a hotel stay)' },
+  repeat: { label: 'Repeating' },
+};
+
+// Longest gap between repeats, in days
+export const MAX_REPEAT_EVERY = 30;
+
+// Fields a single day can change; the rest always come from the entry
+export const OCCURRENCE_FIELDS = ['title', 'startTime', 'endTime', 'notes'];
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Returns an error message for invalid entry fields, or '' if they are valid
+export const validateSeries = ({ kind, title, startDateId, endDateId, startTime, endTime, every }) => {
+  if (!SERIES_KINDS[kind]) return 'Choose whether the entry spans days or repeats.';
+  if (!title?.trim()) return 'Give the entry a title.';
+  if (!isValidDateId(startDateId) || !isValidDateId(endDateId)) return 'Enter the first and last day as YYYY-MM-DD.';
+  if (endDateId < startDateId) return 'The last day must be on or after the first day.';
+  if (kind === 'span' && endDateId === startDateId) return 'A multi-day entry must end on a later day.';
+  if ((startTime && !TIME_PATTERN.test(startTime)) || (endTime && !TIME_PATTERN.test(endTime))) return 'Enter times as HH:MM.';
+  if (kind === 'repeat' && startTime && endTime && endTime < startTime) return 'The end time must be after the start time.';
+  if (kind === 'repeat' && !(Number.isInteger(Number(every)) && every >= 1 && every <= MAX_REPEAT_EVERY)) {
+    return `Repeat every 1 to ${MAX_REPEAT_EVERY} days.`;
+  }
+  return '';
+};
+
+// Builds the stored fields of a new entry from form fields
+export const buildSeries = ({ kind, title, notes, category, location, startDateId, endDateId, startTime, endTime, every }, userId, now = new Date()) => ({
+  kind,
+  title: title.trim(),
+  notes: (notes || '').trim(),
+  category: ITEM_CATEGORIES[category] ? category : DEFAULT_CATEGORY,
+  ...(cleanLocation(location) && { location: cleanLocation(location) }),
+  startDateId,
+  endDateId,
+  startTime: startTime || '',
+  endTime: endTime || '',
+  every: kind === 'repeat' ? Number(every) : 1,
+  exceptions: {},
+  createdBy: userId,
+  updatedBy: userId,
+  updatedAt: now,
+});
+
+// Days the entry falls on, before exceptions
+export const getSeriesDates = (series) => {
+  const dateIds = [];
+  const step = series.kind === 'repeat' ? series.every || 1 : 1;
+  for (let dateId = series.startDateId; dateId <= series.endDateId; dateId = addDays(dateId, step)) {
+    dateIds.push(dateId);
+  }
+  return dateIds;
+};
+
+// The item shown for an entry on one day. Spans start at `startTime` on their first day and end at `endTime`
+// on their last (shown as that day's time), so check-in and check-out land on the right days.
+// Occurrence items carry `seriesId` and, for spans, `span: { index, count }` (index from 0).
+export const getOccurrence = (series, dateId) => {
+  const override = series.exceptions?.[dateId];
+  if (override?.skipped) return null;
+
+  let times = { startTime: series.startTime, endTime: series.endTime };
+  let span;
+  if (series.kind === 'span') {
+    const index = daysBetween(series.startDateId, dateId);
+    const count = daysBetween(series.startDateId, series.endDateId) + 1;
+    span = { index, count };
+    if (index === 0) times = { startTime: series.startTime, endTime: '' };
+    else if (index === count - 1) times = { startTime: series.endTime, endTime: '' };
+    else times = { startTime: '', endTime: '' };
+  }
+  return {
+    id: `${series.id}@${dateId}`,
+    seriesId: series.id,
+    title: series.title,
+    notes: series.notes || '',
+    category: series.category,
+    ...(series.location && { location: series.location }),
+    ...times,
+    ...(span && { span }),
+    ...(override && Object.fromEntries(OCCURRENCE_FIELDS.filter(field => field in override).map(field => [field, override[field]]))),
+  };
+};
+
+// Occurrences of all entries by day: { dateId: [item] }
+export const expandSeries = (seriesList) => {
+  const byDate = {};
+  seriesList.forEach(series => {
+    getSeriesDates(series).forEach(dateId => {
+      const occurrence = getOccurrence(series, dateId);
+      if (occurrence) {
+        byDate[dateId] = [...(byDate[dateId] || []), occurrence];
+      }
+    });
+  });
+  return byDate;
+};
+
+// Plans with each day's occurrences added among its items, ordered by time. For display and export only.
+export const withSeries = (plans, seriesList) => {
+  if (seriesList.length === 0) return plans;
+  const merged = { ...plans };
+  Object.entries(expandSeries(seriesList)).forEach(([dateId, occurrences]) => {
+    merged[dateId] = { ...plans[dateId], items: sortItemsByTime([...getPlanItems(plans[dateId]), ...occurrences]) };
+  });
+  return merged;
+};
+
+// Fields to update when one day of an entry is edited: only that day (`scope` 'day'), or the whole entry
+export const getOccurrenceUpdate = (series, dateId, fields, scope, userId, now = new Date()) => {
+  const changes = Object.fromEntries(OCCURRENCE_FIELDS.filter(field => field in fields).map(field => [field, fields[field]]));
+  if (scope === 'day') {
+    return { exceptions: { ...series.exceptions, [dateId]: { ...series.exceptions?.[dateId], ...changes } }, updatedBy: userId, updatedAt: now };
+  }
+  // A span's days show a single time: its start on the first day and its end on the last
+  if (series.kind === 'span') {
+    const { startTime, endTime, ...rest } = changes;
+    const hasTime = startTime !== undefined;
+    return {
+      ...rest,
+      ...(hasTime && dateId === series.startDateId && { startTime }),
+      ...(hasTime && dateId === series.endDateId && { endTime: startTime }),
+      updatedBy: userId,
+      updatedAt: now,
+    };
+  }
+  return { ...changes, updatedBy: userId, updatedAt: now };
+};
+
+// Fields to update to leave one day out of an entry
+export const getSkipUpdate = (series, dateId, userId, now = new Date()) => ({
+  exceptions: { ...series.exceptions, [dateId]: { skipped: true } },
+  updatedBy: userId,
+  updatedAt: now,
+});
+
+// "Every day", "Every other day" or "Every 3 days"
+export const describeRepeat = (every) => {
+  if (every === 1) return 'Every day';
+  if (every === 2) return 'Every other day';
+  return `Every ${every} days`;
+};
@@ -0,0 +1,90 @@
+import {
+  validateSeries, buildSeries, getSeriesDates, getOccurrence, expandSeries, withSeries, getOccurrenceUpdate, getSkipUpdate,
+  describeRepeat
+} from './series';
+
+const now = new Date('2030-05-01T12:00:00Z');
+
+const hotel = {
+  id: 'hotel', kind: 'span', title: 'Hotel Avenida', notes: '', category: 'lodging',
+  startDateId: '2030-05-10', endDateId: '2030-05-13', startTime: '15:00', endTime: '11:00', every: 1, exceptions: {},
+};
+const breakfast = {
+  id: 'breakfast', kind: 'repeat', title: 'Breakfast', notes: '', category: 'food',
+  startDateId: '2030-05-10', endDateId: '2030-05-14', startTime: '08:00', endTime: '09:00', every: 2, exceptions: {},
+};
+
+test('validates and builds entries', () => {
+  const fields = { kind: 'span', title: 'Hotel', startDateId: '2030-05-10', endDateId: '2030-05-12', startTime: '', endTime: '' };
+  expect(validateSeries({ ...fields, title: ' ' })).toBe('Give the entry a title.');
+  expect(validateSeries({ ...fields, endDateId: '2030-05-10' })).toBe('A multi-day entry must end on a later day.');
+  expect(validateSeries({ ...fields, endDateId: '2030-05-09' })).toBe('The last day must be on or after the first day.');
+  expect(validateSeries({ ...fields, startTime: '3pm' })).toBe('Enter times as HH:MM.');
+  expect(validateSeries({ ...fields, kind: 'repeat', every: 0 })).toBe('Repeat every 1 to 30 days.');
+  expect(validateSeries({ ...fields, kind: 'repeat', every: 1, startTime: '10:00', endTime: '09:00' }))
+    .toBe('The end time must be after the start time.');
+  expect(validateSeries(fields)).toBe('');
+
+  expect(buildSeries({ ...fields, title: ' Hotel ', category: 'nope', every: 3 }, 'ana', now)).toEqual({
+    kind: 'span', title: 'Hotel', notes: '', category: 'activity', startDateId: '2030-05-10', endDateId: '2030-05-12',
+    startTime: '', endTime: '', every: 1, exceptions: {}, createdBy: 'ana', updatedBy: 'ana', updatedAt: now,
+  });
+});
+
+test('expands spans day by day and repeats every N days', () => {
+  expect(getSeriesDates(hotel)).toEqual(['2030-05-10', '2030-05-11', '2030-05-12', '2030-05-13']);
+  expect(getSeriesDates(breakfast)).toEqual(['2030-05-10', '2030-05-12', '2030-05-14']);
+  expect(describeRepeat(1)).toBe('Every day');
+  expect(describeRepeat(2)).toBe('Every other day');
+  expect(describeRepeat(3)).toBe('Every 3 days');
+});
+
+test('shows check-in on the first day of a span and check-out on the last', () => {
+  expect(getOccurrence(hotel, '2030-05-10')).toMatchObject({
+    id: 'hotel@2030-05-10', seriesId: 'hotel', startTime: '15:00', endTime: '', span: { index: 0, count: 4 },
+  });
+  expect(getOccurrence(hotel, '2030-05-11')).toMatchObject({ startTime: '', endTime: '', span: { index: 1, count: 4 } });
+  expect(getOccurrence(hotel, '2030-05-13')).toMatchObject({ startTime: '11:00', endTime: '', span: { index: 3, count: 4 } });
+  expect(getOccurrence(breakfast, '2030-05-12')).toMatchObject({ startTime: '08:00', endTime: '09:00' });
+  expect(getOccurrence(breakfast, '2030-05-12').span).toBeUndefined();
+});
+
+test('applies exceptions to single days', () => {
+  const changed = {
+    ...breakfast,
+    exceptions: { '2030-05-12': { title: 'Brunch', startTime: '10:00' }, '2030-05-14': { skipped: true } },
+  };
+
+  expect(getOccurrence(changed, '2030-05-12')).toMatchObject({ title: 'Brunch', startTime: '10:00', endTime: '09:00' });
+  expect(getOccurrence(changed, '2030-05-14')).toBeNull();
+  expect(Object.keys(expandSeries([changed, hotel])).sort()).toEqual([
+    '2030-05-10', '2030-05-11', '2030-05-12', '2030-05-13',
+  ]);
+});
+
+test('merges occurrences into the plans in time order', () => {
+  const plans = { '2030-05-10': { items: [{ id: 'museum', title: 'Museum', startTime: '10:00' }], version: 2 } };
+  const merged = withSeries(plans, [hotel, breakfast]);
+
+  expect(merged['2030-05-10'].items.map(item => item.id)).toEqual(['breakfast@2030-05-10', 'museum', 'hotel@2030-05-10']);
+  expect(merged['2030-05-10'].version).toBe(2);
+  expect(merged['2030-05-11'].items.map(item => item.id)).toEqual(['hotel@2030-05-11']);
+  expect(plans['2030-05-10'].items).toHaveLength(1);
+  expect(withSeries(plans, [])).toBe(plans);
+});
+
+test('saves an edit for one day or for every day', () => {
+  expect(getOccurrenceUpdate(breakfast, '2030-05-12', { title: 'Brunch', endTime: '11:00' }, 'day', 'ana', now)).toEqual({
+    exceptions: { '2030-05-12': { title: 'Brunch', endTime: '11:00' } }, updatedBy: 'ana', updatedAt: now,
+  });
+  expect(getOccurrenceUpdate(breakfast, '2030-05-12', { title: 'Brunch', startTime: '07:30' }, 'all', 'ana', now)).toEqual({
+    title: 'Brunch', startTime: '07:30', updatedBy: 'ana', updatedAt: now,
+  });
+  // A span's last day shows its check-out time, so changing it there moves the end
+  expect(getOccurrenceUpdate(hotel, '2030-05-13', { title: 'Hotel', startTime: '12:00', endTime: '' }, 'all', 'ana', now)).toEqual({
+    title: 'Hotel', endTime: '12:00', updatedBy: 'ana', updatedAt: now,
+  });
+  expect(getSkipUpdate(hotel, '2030-05-11', 'ana', now)).toEqual({
+    exceptions: { '2030-05-11': { skipped: true } }, updatedBy: 'ana', updatedAt: now,
+  });
+});
@@ -0,0 +1,149 @@
+import { getPlanItems } from './planItems';
+import { daysBetween } from './dates';
+
+// Time zones. Plans are keyed by dates in the trip's home time zone, and item times are wall-clock times
+// in the item's own zone (`item.timeZone`, e.g. a flight departing Tokyo) or else the trip's zone.
+// An item can end in another zone (`item.endTimeZone`, e.g. the same flight arriving in LA).
+
+// Offered when the browser can't list its time zones
+const FALLBACK_TIME_ZONES = [
+  'UTC', 'America/Los_Angeles', 'America/Denver', 'America/Chicago', 'America/New_York', 'America/Sao_Paulo',
+  'Europe/London', 'Europe/Lisbon', 'Europe/Paris', 'Europe/Berlin', 'Europe/Athens', 'Africa/Cairo',
+  'Asia/Dubai', 'Asia/Kolkata', 'Asia/Bangkok', 'Asia/Singapore', 'Asia/Shanghai', 'Asia/Tokyo',
+  'Australia/Sydney', 'Pacific/Auckland',
+];
+
+export const getViewerTimeZone = () => Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+
+// True for an IANA time zone name the browser knows, e.g. "Asia/Tokyo"
+export const isValidTimeZone = (timeZone) => {
+  if (typeof timeZone !== 'string' || !timeZone) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// The trip's home time zone. Trips created before time zones existed use the viewer's zone.
+export const getTripTimeZone = (trip) => (isValidTimeZone(trip?.timeZone) ? trip.timeZone : getViewerTimeZone());
+
+// Sorted time zone names for pickers, always including `extraZones` (e.g. the zones already in use)
+export const getTimeZoneOptions = (...extraZones) => {
+  const zones = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : FALLBACK_TIME_ZONES;
+  return [...new Set(['UTC', ...zones, ...extraZones.filter(isValidTimeZone)])].sort();
+};
+
+const partFormatters = new Map();
+const getPartFormatter = (timeZone) => {
+  if (!partFormatters.has(timeZone)) {
+    partFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone, hourCycle: 'h23', year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit',
+    }));
+  }
+  return partFormatters.get(timeZone);
+};
+
+// The wall-clock { dateId, time } of an instant in a time zone
+export const toZonedDateTime = (instant, timeZone) => {
+  const parts = Object.fromEntries(getPartFormatter(timeZone).formatToParts(instant).map(part => [part.type, part.value]));
+  return { dateId: `${parts.year}-${parts.month}-${parts.day}`, time: `${parts.hour}:${parts.minute}` };
+};
+
+const wallClockAsUtc = (dateId, time) => {
+  const [year, month, day] = dateId.split('-').map(Number);
+  const [hours, minutes] = time.split(':').map(Number);
+  return Date.UTC(year, month - 1, day, hours, minutes);
+};
+
+// Minutes the zone is ahead of UTC at an instant
+const getOffsetMinutes = (instant, timeZone) => {
+  const { dateId, time } = toZonedDateTime(instant, timeZone);
+  return (wallClockAsUtc(dateId, time) - Math.floor(instant.getTime() / 60000) * 60000) / 60000;
+};
+
+// The instant of a wall-clock date and time in a time zone. Times skipped by a DST change move forward.
+export const fromZonedDateTime = (dateId, time, timeZone) => {
+  const utcGuess = wallClockAsUtc(dateId, time);
+  const firstTry = utcGuess - getOffsetMinutes(new Date(utcGuess), timeZone) * 60000;
+  return new Date(utcGuess - getOffsetMinutes(new Date(firstTry), timeZone) * 60000);
+};
+
+// Converts a wall-clock date and time from one zone to another: { dateId, time }
+export const convertDateTime = (dateId, time, fromZone, toZone) =>
+  (fromZone === toZone ? { dateId, time } : toZonedDateTime(fromZonedDateTime(dateId, time, fromZone), toZone));
+
+// Today's date ID in a time zone
+export const getTodayId = (timeZone, now = new Date()) => toZonedDateTime(now, timeZone).dateId;
+
+// Short name of a zone, e.g. "JST" or "GMT+9", as shown to the viewer
+export const getTimeZoneAbbreviation = (timeZone, instant = new Date()) =>
+  new Intl.DateTimeFormat('en-US', { timeZone, timeZoneName: 'short' })
+    .formatToParts(instant)
+    .find(part => part.type === 'timeZoneName')?.value || timeZone;
+
+const getStartZone = (item, tripTimeZone) => item.timeZone || tripTimeZone;
+const getEndZone = (item, tripTimeZone) => item.endTimeZone || getStartZone(item, tripTimeZone);
+
+// True if the item's times are not both in the trip's zone
+export const hasOwnTimeZone = (item, tripTimeZone) =>
+  getStartZone(item, tripTimeZone) !== tripTimeZone || getEndZone(item, tripTimeZone) !== tripTimeZone;
+
+// Minutes from an item's start to its end on the day `dateId`, across time zones (negative if it ends first)
+export const getItemDurationMinutes = (item, dateId, tripTimeZone) =>
+  (fromZonedDateTime(dateId, item.endTime, getEndZone(item, tripTimeZone))
+    - fromZonedDateTime(dateId, item.startTime, getStartZone(item, tripTimeZone))) / 60000;
+
+// Converts one item stored on `dateId` to `displayTimeZone`: { dateId, item }. The returned item's times
+// are in the display zone, `endDayOffset` counts the days it ends after it starts, and `sourceDateId` is
+// the day it is stored on. Items without a start time stay on their day.
+export const localizeItem = (item, dateId, tripTimeZone, displayTimeZone) => {
+  if (!item.startTime) {
+    return { dateId, item: { ...item, sourceDateId: dateId } };
+  }
+  const start = convertDateTime(dateId, item.startTime, getStartZone(item, tripTimeZone), displayTimeZone);
+  const end = item.endTime ? convertDateTime(dateId, item.endTime, getEndZone(item, tripTimeZone), displayTimeZone) : null;
+  return {
+    dateId: start.dateId,
+    item: {
+      ...item,
+      startTime: start.time,
+      endTime: end ? end.time : '',
+      endDayOffset: end ? Math.max(0, daysBetween(start.dateId, end.dateId)) : 0,
+      sourceDateId: dateId,
+    },
+  };
+};
+
+// Plans as seen from `displayTimeZone`, keyed by date ID in that zone. Timed items can move to another day
+// (e.g. an early flight seen from a zone behind the trip's); days only reached by moved items get a plan
+// with just `items`. Use it for display and export only; edits go to the stored plans.
+export const localizePlans = (plans, tripTimeZone, displayTimeZone) => {
+  const needsConversion = tripTimeZone !== displayTimeZone
+    || Object.values(plans).some(plan => getPlanItems(plan).some(item => hasOwnTimeZone(item, tripTimeZone)));
+  if (!needsConversion) return plans;
+
+  const localized = {};
+  Object.keys(plans).sort().forEach(dateId => {
+    getPlanItems(plans[dateId]).forEach(item => {
+      const { dateId: displayDateId, item: displayItem } = localizeItem(item, dateId, tripTimeZone, displayTimeZone);
+      if (!localized[displayDateId]) {
+        localized[displayDateId] = { ...plans[displayDateId], items: [] };
+      }
+      localized[displayDateId].items.push(displayItem);
+    });
+  });
+  // Keep empty stored days, e.g. so their metadata still shows in exports
+  Object.keys(plans).forEach(dateId => {
+    if (!localized[dateId]) localized[dateId] = { ...plans[dateId], items: [] };
+  });
+  return localized;
+};
+
+// The stored day to open for `dateId` of localized plans: the day its items are stored on when they all come
+// from one day (e.g. a flight seen a day earlier from the viewer's zone), otherwise `dateId` itself
+export const getSourceDateId = (displayPlans, dateId) => {
+  const sourceDateIds = new Set(getPlanItems(displayPlans[dateId]).map(item => item.sourceDateId || dateId));
+  return sourceDateIds.size === 1 ? [...sourceDateIds][0] : dateId;
+};
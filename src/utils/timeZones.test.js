@@ -0,0 +1,64 @@
+import {
+  isValidTimeZone, getTripTimeZone, getViewerTimeZone, getTimeZoneOptions, fromZonedDateTime, convertDateTime,
+  getTodayId, getItemDurationMinutes, localizePlans, getSourceDateId
+} from './timeZones';
+import { findInvalidTimeRange, formatTimeRange } from './planItems';
+
+test('validates zone names and falls back to the viewer zone for trips without one', () => {
+  expect(isValidTimeZone('Asia/Tokyo')).toBe(true);
+  expect(isValidTimeZone('Mars/Olympus_Mons')).toBe(false);
+  expect(isValidTimeZone('')).toBe(false);
+  expect(getTripTimeZone({ timeZone: 'Asia/Tokyo' })).toBe('Asia/Tokyo');
+  expect(getTripTimeZone({})).toBe(getViewerTimeZone());
+  expect(getTimeZoneOptions()).toContain('UTC');
+});
+
+test('converts wall-clock times between zones, across dates and DST changes', () => {
+  expect(fromZonedDateTime('2030-05-10', '09:00', 'Asia/Tokyo').toISOString()).toBe('2030-05-10T00:00:00.000Z');
+  expect(convertDateTime('2030-05-10', '08:00', 'Asia/Tokyo', 'America/Los_Angeles')).toEqual({ dateId: '2030-05-09', time: '16:00' });
+  // Lisbon is UTC+0 in winter and UTC+1 in summer
+  expect(convertDateTime('2030-01-15', '12:00', 'Europe/Lisbon', 'UTC')).toEqual({ dateId: '2030-01-15', time: '12:00' });
+  expect(convertDateTime('2030-07-15', '12:00', 'Europe/Lisbon', 'UTC')).toEqual({ dateId: '2030-07-15', time: '11:00' });
+  expect(getTodayId('Pacific/Kiritimati', new Date('2030-05-10T20:00:00Z'))).toBe('2030-05-11');
+  expect(getTodayId('Pacific/Pago_Pago', new Date('2030-05-10T08:00:00Z'))).toBe('2030-05-09');
+});
+
+test('compares start and end times in their own zones', () => {
+  // Leaves Tokyo at 17:00 and lands in Los Angeles at 10:00 the same calendar day
+  const flight = { id: 'f', title: 'Flight', startTime: '17:00', endTime: '10:00', timeZone: 'Asia/Tokyo', endTimeZone: 'America/Los_Angeles' };
+  expect(getItemDurationMinutes(flight, '2030-05-10', 'Europe/Lisbon')).toBe(9 * 60);
+  expect(findInvalidTimeRange([flight], (item) => getItemDurationMinutes(item, '2030-05-10', 'Europe/Lisbon'))).toBeUndefined();
+  expect(findInvalidTimeRange([flight])).toBe(flight);
+});
+
+test('shows plans in another zone, moving items to the day they fall on there', () => {
+  const plans = {
+    '2030-05-10': {
+      lastUpdatedBy: 'u1',
+      items: [
+        { id: 'breakfast', title: 'Breakfast', startTime: '08:00', endTime: '09:00' },
+        { id: 'museum', title: 'Museum', startTime: '', endTime: '' },
+        { id: 'flight', title: 'Flight', startTime: '17:00', endTime: '10:00', timeZone: 'Asia/Tokyo', endTimeZone: 'America/Los_Angeles' },
+      ],
+    },
+  };
+  const plainPlans = { '2030-05-10': { items: plans['2030-05-10'].items.slice(0, 2) } };
+  expect(localizePlans(plainPlans, 'Asia/Tokyo', 'Asia/Tokyo')).toBe(plainPlans);
+
+  const inLosAngeles = localizePlans(plans, 'Asia/Tokyo', 'America/Los_Angeles');
+  expect(inLosAngeles['2030-05-09'].items.map(item => [item.id, formatTimeRange(item), item.sourceDateId])).toEqual([
+    ['breakfast', '16:00–17:00', '2030-05-10'],
+  ]);
+  expect(inLosAngeles['2030-05-10'].lastUpdatedBy).toBe('u1');
+  expect(inLosAngeles['2030-05-10'].items.map(item => [item.id, formatTimeRange(item)])).toEqual([
+    ['museum', ''],
+    ['flight', '01:00–10:00'],
+  ]);
+  expect(getSourceDateId(inLosAngeles, '2030-05-09')).toBe('2030-05-10');
+  expect(getSourceDateId(inLosAngeles, '2030-05-10')).toBe('2030-05-10');
+  expect(getSourceDateId(inLosAngeles, '2030-05-12')).toBe('2030-05-12');
+
+  // Ends the next day when seen from Tokyo
+  const inTokyo = localizePlans({ '2030-05-10': { items: [plans['2030-05-10'].items[2]] } }, 'Asia/Tokyo', 'Asia/Tokyo');
+  expect(formatTimeRange(inTokyo['2030-05-10'].items[0])).toBe('17:00–02:00 (+1d)');
+});
@@ -0,0 +1,82 @@
+import { isValidTimeZone, getViewerTimeZone } from './timeZones';
+
+// Cover colors a trip can use. Full class names are listed so Tailwind keeps them in the build.
+export const TRIP_COLORS = {
+  blue: { label: 'Blue', swatchClass: 'bg-blue-500', bannerClass: 'bg-blue-600', cellClass: 'bg-blue-50' },
+  green: { label: 'Green', swatchClass: 'bg-green-500', bannerClass: 'bg-green-600', cellClass: 'bg-green-50' },
+  orange: { label: 'Orange', swatchClass: 'bg-orange-500', bannerClass: 'bg-orange-600', cellClass: 'bg-orange-50' },
+  pink: { label: 'Pink', swatchClass: 'bg-pink-500', bannerClass: 'bg-pink-600', cellClass: 'bg-pink-50' },
+  purple: { label: 'Purple', swatchClass: 'bg-purple-500', bannerClass: 'bg-purple-600', cellClass: 'bg-purple-50' },
+  teal: { label: 'Teal', swatchClass: 'bg-teal-500', bannerClass: 'bg-teal-600', cellClass: 'bg-teal-50' },
+};
+
+export const DEFAULT_TRIP_COLOR = 'blue';
+
+// Member roles, from most to least privileged
+export const ROLES = {
+  owner: { label: 'Owner', canEdit: true, canManage: true },
+  editor: { label: 'Editor', canEdit: true, canManage: false },
+  viewer: { label: 'Viewer', canEdit: false, canManage: false },
+};
+
+// Firestore paths for trips and the plans stored under each trip
+export const tripsCollectionPath = (appId) => `artifacts/${appId}/public/data/trips`;
+export const plansCollectionPath = (appId, tripId) => `${tripsCollectionPath(appId)}/${tripId}/plans`;
+
+// Path of the single shared calendar used before trips existed
+export const legacyPlansCollectionPath = (appId) => `artifacts/${appId}/public/data/tripPlans`;
+
+export const getTripColor = (trip) => TRIP_COLORS[trip?.color] || TRIP_COLORS[DEFAULT_TRIP_COLOR];
+
+// Returns the member's role in the trip, or null if they are not a member
+export const getMemberRole = (trip, userId) => trip?.members?.[userId] || null;
+
+export const canEditTrip = (trip, userId) => !!ROLES[getMemberRole(trip, userId)]?.canEdit;
+export const canManageTrip = (trip, userId) => !!ROLES[getMemberRole(trip, userId)]?.canManage;
+
+// True if the YYYY-MM-DD date ID falls inside the trip's date range
+export const isWithinTrip = (trip, dateId) =>
+  !!trip && dateId >= trip.startDate && dateId <= trip.endDate;
+
+// Returns an error message for invalid trip form fields, or '' if they are valid
+export const validateTripFields = ({ name, startDate, endDate, timeZone }) => {
+  if (!name?.trim()) return 'Trip name is required.';
+  if (!startDate || !endDate) return 'Trip start and end dates are required.';
+  if (endDate < startDate) return 'Trip end date must be on or after the start date.';
+  if (timeZone !== undefined && !isValidTimeZone(timeZone)) return 'Choose a valid time zone for the trip.';
+  return '';
+};
+
+// Builds the Firestore document for a new trip owned by `ownerId`
+export const buildNewTrip = ({ name, destination, startDate, endDate, color, timeZone }, ownerId) => ({
+  name: name.trim(),
+  destination: destination?.trim() || '',
+  startDate,
+  endDate,
+  timeZone: isValidTimeZone(timeZone) ? timeZone : getViewerTimeZone(),
+  color: TRIP_COLORS[color] ? color : DEFAULT_TRIP_COLOR,
+  ownerId,
+  // `members` holds roles; `memberIds` mirrors its keys so trips can be queried with array-contains
+  members: { [ownerId]: 'owner' },
+  memberIds: [ownerId],
+  createdAt: new Date(),
+});
+
+// Returns the `members`/`memberIds` fields after setting `userId` to `role` (or removing them if role is null)
+export const withMemberRole = (trip, userId, role) => {
+  const members = { ...trip.members };
+  if (role) {
+    members[userId] = role;
+  } else {
+    delete members[userId];
+  }
+  return { members, memberIds: Object.keys(members) };
+};
+
+// Lower-case, dash-separated form of a trip name for file names, e.g. "summer-in-the-cyclades"
+export const getTripSlug = (name) =>
+  (name || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'trip';
+
+// Sorts trips by start date, then name, for the trip switcher
+export const sortTrips = (trips) =>
+  [...trips].sort((a, b) => a.startDate.localeCompare(b.startDate) || a.name.localeCompare(b.name));
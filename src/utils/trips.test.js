@@ -0,0 +1,45 @@
+import {
+  buildNewTrip, withMemberRole, canEditTrip, canManageTrip, isWithinTrip, validateTripFields, sortTrips
+} from './trips';
+
+const fields = { name: ' Ski weekend ', destination: 'Alps', startDate: '2025-02-07', endDate: '2025-02-09', color: 'teal' };
+
+test('new trips are owned by their creator', () => {
+  const trip = buildNewTrip(fields, 'alice');
+  expect(trip).toMatchObject({ name: 'Ski weekend', ownerId: 'alice', members: { alice: 'owner' }, memberIds: ['alice'] });
+  expect(buildNewTrip({ ...fields, color: 'neon' }, 'alice').color).toBe('blue');
+  expect(buildNewTrip({ ...fields, timeZone: 'Europe/Zurich' }, 'alice').timeZone).toBe('Europe/Zurich');
+});
+
+test('withMemberRole keeps memberIds in sync with members', () => {
+  const trip = buildNewTrip(fields, 'alice');
+  const added = withMemberRole(trip, 'bob', 'viewer');
+  expect(added).toEqual({ members: { alice: 'owner', bob: 'viewer' }, memberIds: ['alice', 'bob'] });
+  expect(withMemberRole({ ...trip, ...added }, 'bob', null)).toEqual({ members: { alice: 'owner' }, memberIds: ['alice'] });
+});
+
+test('roles decide who can edit and manage a trip', () => {
+  const trip = { ...buildNewTrip(fields, 'alice'), members: { alice: 'owner', bob: 'editor', carol: 'viewer' } };
+  expect([canEditTrip(trip, 'alice'), canEditTrip(trip, 'bob'), canEditTrip(trip, 'carol'), canEditTrip(trip, 'dave')])
+    .toEqual([true, true, false, false]);
+  expect([canManageTrip(trip, 'alice'), canManageTrip(trip, 'bob')]).toEqual([true, false]);
+});
+
+test('checks date ranges and validates trip fields', () => {
+  const trip = buildNewTrip(fields, 'alice');
+  expect(isWithinTrip(trip, '2025-02-07')).toBe(true);
+  expect(isWithinTrip(trip, '2025-02-10')).toBe(false);
+  expect(validateTripFields(fields)).toBe('');
+  expect(validateTripFields({ ...fields, name: ' ' })).toMatch(/name/);
+  expect(validateTripFields({ ...fields, endDate: '2025-02-01' })).toMatch(/end date/);
+  expect(validateTripFields({ ...fields, timeZone: 'Alps/Chalet' })).toMatch(/time zone/);
+});
+
+test('sorts trips by start date then name', () => {
+  const trips = [
+    { name: 'B', startDate: '2025-06-01' },
+    { name: 'C', startDate: '2025-01-01' },
+    { name: 'A', startDate: '2025-06-01' },
+  ];
+  expect(sortTrips(trips).map(trip => trip.name)).toEqual(['C', 'A', 'B']);
+});